@@ -7,6 +7,8 @@
 // @updateURL    https://github.com/xpufx/reddit-comments-overkill/raw/refs/heads/main/reddit-comments-overkill-api.user.js
 // @match        https://www.reddit.com/user/*/comments*
 // @match        https://old.reddit.com/user/*/comments*
+// @match        https://www.reddit.com/user/*/submitted*
+// @match        https://old.reddit.com/user/*/submitted*
 // @grant        none
 // @run-at       document-idle
 // ==/UserScript==
@@ -20,18 +22,834 @@ function shouldSkipCommentByDate(createdUtc, daysToPreserve) {
   return (Date.now() / 1000 - createdUtc) / 86400 <= daysToPreserve;
 }
 
-function loneLineCheck(text, char) {
-  if (!text) return false;
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-  return lines.some(l => l === char);
+// Date bounds are "YYYY-MM-DD" strings (as produced by <input type="date">) in the browser's
+// local time. Returns unix seconds, or null for an empty/invalid bound.
+function parseDateBound(value, endOfDay) {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + (endOfDay ? 1 : 0));
+  if (isNaN(d.getTime())) return null;
+  return d.getTime() / 1000 - (endOfDay ? 0.001 : 0);
 }
 
-function shouldSkipCommentByDot(text, preserveDotComments) {
-  return preserveDotComments && loneLineCheck(text, '.');
+// Only comments written inside [fromDate, toDate] (inclusive, either bound optional) may be deleted.
+// Applies on top of daysToPreserve; set days to 0 to use the window on its own.
+function shouldSkipCommentByDateRange(createdUtc, fromDate, toDate) {
+  const from = parseDateBound(fromDate, false);
+  const to = parseDateBound(toDate, true);
+  if (from === null && to === null) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return (from !== null && createdUtc < from) || (to !== null && createdUtc > to);
+}
+
+// Count-based retention keeps the newest N comments whatever their age. The cutoff is the
+// created_utc of the Nth newest comment; comments at or after it are kept. With fewer than N
+// comments every comment is kept (cutoff 0); N = 0 keeps none (cutoff Infinity). Returns null
+// when the rule is off.
+const RETENTION_MODE_DAYS = 'days';
+const RETENTION_MODE_COUNT = 'count';
+
+function newestCutoff(createdUtcs, keepCount) {
+  if (typeof keepCount !== 'number' || !(keepCount >= 0)) return null;
+  if (keepCount === 0) return Infinity;
+  const sorted = createdUtcs.filter(t => t != null && !isNaN(t)).sort((a, b) => b - a);
+  return sorted.length < keepCount ? 0 : sorted[keepCount - 1];
+}
+
+// Comments and posts are ranked apart, the way the DOM variants count each profile listing on its
+// own: N keeps the newest N comments and, separately, the newest N posts. Items are
+// { kind: 'comment' | 'post', created_utc }.
+function newestCutoffsByKind(items, keepCount) {
+  const cutoffs = {};
+  for (const kind of ['comment', 'post']) {
+    cutoffs[kind] = newestCutoff(items.filter(i => (i.kind === 'post' ? 'post' : 'comment') === kind).map(i => i.created_utc), keepCount);
+  }
+  return cutoffs;
+}
+
+function shouldSkipCommentByRank(createdUtc, cutoff) {
+  if (cutoff == null || isNaN(cutoff)) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return createdUtc >= cutoff;
+}
+
+const DEFAULT_PRESERVE_MARKER = '.';
+const DEFAULT_DELETE_MARKER = 'x';
+
+// Markers are user-defined tokens such as "#keep"; blank or multi-line values fall back to the default
+function normalizeMarker(value, fallback) {
+  const m = value == null ? '' : String(value).trim();
+  return m && !/\n/.test(m) ? m : fallback;
+}
+
+// Marker detection reads a comment the way it renders. Both parsers below reduce a comment to
+// its top-level blocks in order, each block an array of trimmed lines. Code blocks, quotes and
+// lists become empty blocks: they keep their position but never contain a marker. Headings
+// become a single "#text" line so markers like "#keep" survive rendering.
+const MARKER_MODE_ANYWHERE = 'anywhere'; // marker may be any plain paragraph line
+const MARKER_MODE_LAST_LINE = 'last';    // marker must be the last line of the final block
+
+function decodeEntities(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCharCode(parseInt(d, 10)))
+    .replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function headingLine(level, text) {
+  return '#'.repeat(level) + text.trim();
+}
+
+// Raw markdown, e.g. the `body` field of comments.json (which Reddit HTML-escapes)
+function markdownParagraphs(text) {
+  if (!text) return [];
+  const blocks = [];
+  let cur = null; // { kind: 'p' | 'quote' | 'list' | 'code' | 'fence', lines, blankSeen }
+  const flush = () => {
+    if (cur) blocks.push(cur.kind === 'p' ? cur.lines : []);
+    cur = null;
+  };
+
+  for (const raw of decodeEntities(String(text)).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+
+    if (cur && cur.kind === 'fence') {
+      if (/^ {0,3}(`{3,}|~{3,})\s*$/.test(raw)) flush();
+      continue;
+    }
+    if (!line) {
+      if (cur && cur.kind === 'list') cur.blankSeen = true;
+      else flush();
+      continue;
+    }
+    if (/^ {0,3}(`{3,}|~{3,})/.test(raw)) {
+      flush();
+      cur = { kind: 'fence' };
+      continue;
+    }
+    // Indented lines continue a list item, even across blank lines
+    if (cur && cur.kind === 'list' && /^(\s{2,}|\t)/.test(raw)) continue;
+    // Indented code needs a preceding blank line; otherwise it is a lazy paragraph continuation
+    if (/^( {4}|\t)/.test(raw) && (!cur || cur.kind === 'code')) {
+      cur = cur || { kind: 'code' };
+      continue;
+    }
+    if (cur && cur.kind === 'code') flush();
+    if (/^ {0,3}>/.test(raw)) {
+      if (!cur || cur.kind !== 'quote') { flush(); cur = { kind: 'quote' }; }
+      continue;
+    }
+    if (/^ {0,3}([-*+]|\d+[.)])(\s|$)/.test(raw)) {
+      if (!cur || cur.kind !== 'list') { flush(); cur = { kind: 'list' }; }
+      cur.blankSeen = false;
+      continue;
+    }
+    // Lazy continuation of a quote or list item
+    if (cur && (cur.kind === 'quote' || (cur.kind === 'list' && !cur.blankSeen))) continue;
+    const h = line.match(/^(#{1,6})(.*?)#*$/);
+    if (h) {
+      flush();
+      blocks.push([headingLine(h[1].length, h[2])]);
+      continue;
+    }
+    if (!cur || cur.kind !== 'p') { flush(); cur = { kind: 'p', lines: [] }; }
+    cur.lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Rendered comment HTML, e.g. the innerHTML of an old Reddit .md element
+function htmlParagraphs(html) {
+  if (!html) return [];
+  let s = String(html);
+  // Collapse innermost ignored blocks first so nested quotes and lists reduce to one placeholder
+  const ignored = /<(pre|blockquote|ul|ol)\b[^>]*>(?:(?!<(?:pre|blockquote|ul|ol)\b)[\s\S])*?<\/\1>/gi;
+  let prev;
+  do { prev = s; s = s.replace(ignored, '<p>\u0000</p>'); } while (s !== prev);
+
+  const blocks = [];
+  const blockRe = /<(p|h([1-6]))\b[^>]*>([\s\S]*?)<\/(?:p|h[1-6])>/gi;
+  let m;
+  while ((m = blockRe.exec(s)) !== null) {
+    const text = decodeEntities(m[3].replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0 && l !== '\u0000');
+    blocks.push(m[2] ? [headingLine(Number(m[2]), lines.join(' '))] : lines);
+  }
+  // No block markup at all: treat the text as a single paragraph
+  if (!blocks.length) {
+    const lines = decodeEntities(s.replace(/<[^>]+>/g, '')).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    if (lines.length) blocks.push(lines);
+  }
+  return blocks;
+}
+
+// `source` is raw markdown or the block list from markdownParagraphs()/htmlParagraphs()
+function loneLineCheck(source, marker, mode) {
+  const blocks = Array.isArray(source) ? source : markdownParagraphs(source);
+  if (mode === MARKER_MODE_LAST_LINE) {
+    const last = blocks[blocks.length - 1];
+    return !!last && last[last.length - 1] === marker;
+  }
+  return blocks.some(b => b.includes(marker));
+}
+
+function shouldSkipCommentByDot(text, preserveDotComments, marker, mode) {
+  return preserveDotComments && loneLineCheck(text, normalizeMarker(marker, DEFAULT_PRESERVE_MARKER), mode);
+}
+
+function shouldDeleteCommentByX(text, xMeansDelete, marker, mode) {
+  return xMeansDelete && loneLineCheck(text, normalizeMarker(marker, DEFAULT_DELETE_MARKER), mode);
+}
+
+// Subreddit lists are typed by the user as "r/foo, bar /r/Baz" — normalize to bare lowercase names
+function parseSubredditList(text) {
+  if (!text) return [];
+  return String(text).split(/[\s,]+/)
+    .map(s => s.replace(/^\/?r\//i, '').replace(/\/+$/, '').toLowerCase())
+    .filter(s => s.length > 0);
+}
+
+function shouldSkipCommentBySubreddit(subreddit, onlySubreddits, exceptSubreddits) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const only = parseSubredditList(onlySubreddits);
+  if (only.length && !only.includes(sub)) return true;
+  return parseSubredditList(exceptSubreddits).includes(sub);
+}
+
+// Reddit-native signals that protect a comment from automatic deletion. `signals` holds what was
+// read from comments.json or old Reddit's .thing markup; `enabled` is a comma-separated list of
+// the signals the user chose to honour, e.g. "distinguished,saved".
+const REDDIT_SIGNALS = ['distinguished', 'stickied', 'gilded', 'saved'];
+
+function parseSignalList(text) {
+  const wanted = String(text || '').split(/[\s,]+/).map(s => s.toLowerCase());
+  return REDDIT_SIGNALS.filter(s => wanted.includes(s));
+}
+
+// Returns the first enabled signal present on the comment, or null
+function matchRedditSignal(signals, enabled) {
+  if (!signals) return null;
+  return parseSignalList(enabled).find(s => !!signals[s]) || null;
+}
+
+function shouldSkipCommentBySignal(signals, enabled) {
+  return matchRedditSignal(signals, enabled) !== null;
+}
+
+// Own-thread preservation compares the submission's author (`link_author` in comments.json,
+// the "by <author>" link in old Reddit's p.parent) with the account being cleaned.
+function shouldSkipCommentByThreadAuthor(linkAuthor, username, preserveOwnThreads) {
+  if (!preserveOwnThreads || !linkAuthor || !username) return false;
+  return String(linkAuthor).toLowerCase() === String(username).toLowerCase();
+}
+
+// Depth filter uses the parent fullname: "t3_..." (a post) means top-level, "t1_..." (a comment)
+// means reply. Unknown parents are preserved while a filter is active.
+const DEPTH_FILTER_ALL = 'all';
+const DEPTH_FILTER_TOP_LEVEL = 'top';
+const DEPTH_FILTER_REPLIES = 'replies';
+
+function shouldSkipCommentByDepth(parentId, depthFilter) {
+  if (depthFilter !== DEPTH_FILTER_TOP_LEVEL && depthFilter !== DEPTH_FILTER_REPLIES) return false;
+  const prefix = String(parentId || '').slice(0, 3);
+  if (prefix !== 't3_' && prefix !== 't1_') return true;
+  return depthFilter === DEPTH_FILTER_TOP_LEVEL ? prefix !== 't3_' : prefix !== 't1_';
+}
+
+// Per-subreddit retention: "AskReddit=7, myproject=365, politics=0" (":" also accepted).
+// Subreddits without a rule fall back to the default days. Malformed entries are dropped.
+function parseSubredditPolicies(text) {
+  if (!text) return [];
+  const policies = [];
+  for (const part of String(text).split(/[,\n]+/)) {
+    const m = part.trim().match(/^(\S+?)\s*[=:]\s*(\d+)$/);
+    if (!m) continue;
+    const sub = parseSubredditList(m[1])[0];
+    if (sub) policies.push([sub, parseInt(m[2], 10)]);
+  }
+  return policies;
+}
+
+function serializeSubredditPolicies(policies) {
+  return policies.map(([sub, days]) => sub + '=' + days).join(',');
+}
+
+// Returns { label, days } for logging, e.g. { label: 'r/askreddit', days: 7 } or { label: 'default', days: 10 }
+function findSubredditPolicy(subreddit, policies, defaultDays) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const rule = parseSubredditPolicies(policies).find(([s]) => s === sub);
+  return rule ? { label: 'r/' + rule[0], days: rule[1] } : { label: 'default', days: defaultDays };
+}
+
+// minScore of null disables the threshold. Unknown scores (e.g. "[score hidden]") are preserved
+// whenever a score rule is active, the same way unknown dates are.
+function shouldSkipCommentByScore(score, minScore, onlyDownvoted) {
+  const thresholdOn = minScore != null && !isNaN(minScore);
+  if (!thresholdOn && !onlyDownvoted) return false;
+  if (score == null || isNaN(score)) return true;
+  if (thresholdOn && score >= minScore) return true;
+  return !!onlyDownvoted && score > 0;
+}
+
+// Pattern lists hold one rule per line: /regex/flags is a full regular expression,
+// anything else is a case-insensitive keyword. Lines that fail to compile are skipped.
+function compilePattern(line) {
+  const m = line.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (m) return new RegExp(m[1], m[2].replace(/g|y/g, ''));
+    return new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch {
+    return null;
+  }
+}
+
+function parsePatternList(text) {
+  if (!text) return [];
+  return String(text).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+}
+
+function invalidPatterns(text) {
+  return parsePatternList(text).filter(l => !compilePattern(l));
+}
+
+// Returns the first line of the pattern list that matches the text, or null
+function matchPatternList(text, patterns) {
+  if (!text) return null;
+  for (const line of parsePatternList(patterns)) {
+    const re = compilePattern(line);
+    if (re && re.test(text)) return line;
+  }
+  return null;
+}
+
+function shouldSkipCommentByPattern(text, keepPatterns) {
+  return matchPatternList(text, keepPatterns) !== null;
+}
+
+function shouldDeleteCommentByPattern(text, purgePatterns) {
+  return matchPatternList(text, purgePatterns) !== null;
+}
+
+// Content types map to the profile listings the scripts walk: /user/<name>/comments holds
+// t1_ comments, /user/<name>/submitted holds t3_ posts.
+const CONTENT_TYPE_COMMENTS = 'comments';
+const CONTENT_TYPE_POSTS = 'posts';
+const CONTENT_TYPE_BOTH = 'both';
+
+function contentListings(contentType) {
+  if (contentType === CONTENT_TYPE_POSTS) return ['submitted'];
+  if (contentType === CONTENT_TYPE_BOTH) return ['comments', 'submitted'];
+  return ['comments'];
+}
+
+// Listing name from a profile path such as "/user/name/submitted/", or null
+function listingFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/(?:user|u)\/[^\/]+\/(comments|submitted)(?:[\/.]|$)/);
+  return m ? m[1] : null;
+}
+
+// Discovery passes. Listings stop at ~1000 items per sort, so extended discovery runs top and
+// controversial once per t= window. A pass key is "sort" or "sort:window", e.g. "top:week".
+const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+const TIME_FILTERED_SORTS = ['top', 'controversial'];
+
+function discoveryPasses(sorts, extended) {
+  return sorts.flatMap(sort => extended && TIME_FILTERED_SORTS.includes(sort) ? TIME_WINDOWS.map(t => sort + ':' + t) : [sort]);
+}
+
+function parsePass(pass) {
+  const [sort, t] = String(pass || '').split(':');
+  return { sort: sort, t: t || null };
+}
+
+// Adds ids to the seen set and returns how many were new
+function countNewIds(ids, seen) {
+  let added = 0;
+  for (const id of ids) {
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      added++;
+    }
+  }
+  return added;
+}
+
+// Thread pages look like /r/<sub>/comments/<id>/<slug>/; returns the post id, or null
+function threadIdFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/r\/[^\/]+\/comments\/([a-z0-9]+)(?:[\/.]|$)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// Reddit's data export (comments.csv, posts.csv): RFC 4180 CSV with a header row. Quoted fields
+// may contain commas, doubled quotes and newlines. Returns one object per row keyed by header.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const header = (rows.shift() || []).map(h => h.trim());
+  return rows
+    .filter(r => r.some(v => v !== ''))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+// Export ids are bare base36 ("k3x9z1"); listings and /api/info use fullnames ("t1_k3x9z1").
+// Invalid and duplicate ids are dropped.
+function exportFullnames(rows, prefix) {
+  const names = new Set();
+  for (const r of rows) {
+    const id = String(r.id || '').trim().toLowerCase().replace(/^t[13]_/, '');
+    if (/^[a-z0-9]+$/.test(id)) names.add(prefix + id);
+  }
+  return [...names];
+}
+
+// Minimal ZIP reader: walks the central directory and inflates only the wanted entries.
+// Reddit's export uses stored or deflate entries, which DecompressionStream covers. Returns
+// { 'comments.csv': text, ... } keyed by the lowercased base name; wanted files that are missing
+// are simply absent.
+async function readZipEntries(buffer, wanted) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip file');
+
+  const files = {};
+  const decoder = new TextDecoder();
+  let ptr = view.getUint32(eocd + 16, true);
+  for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) break;
+    const method = view.getUint16(ptr + 10, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + view.getUint16(ptr + 30, true) + view.getUint16(ptr + 32, true);
+
+    const base = name.split('/').pop().toLowerCase();
+    if (!wanted.includes(base)) continue;
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, size);
+    if (method === 0) {
+      files[base] = decoder.decode(data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[base] = await new Response(stream).text();
+    } else {
+      throw new Error(name + ' uses unsupported compression method ' + method);
+    }
+  }
+  return files;
+}
+
+// An item the user already deleted comes back from /api/info with author "[deleted]"
+function isDeletedItem(d) {
+  return !d || d.author === '[deleted]' || d.body === '[deleted]' || d.selftext === '[deleted]';
+}
+
+// History cleanup walks these profile listings; each maps to the call that removes one item
+const HISTORY_LISTINGS = ['saved', 'hidden', 'upvoted', 'downvoted'];
+
+function historyCleanupRequest(listing, fullname) {
+  if (listing === 'saved') return { path: '/api/unsave', params: { id: fullname } };
+  if (listing === 'hidden') return { path: '/api/unhide', params: { id: fullname } };
+  if (listing === 'upvoted' || listing === 'downvoted') return { path: '/api/vote', params: { id: fullname, dir: '0' } };
+  return null;
+}
+
+// Overwrite-before-delete placeholder. Tokens: {date} (today, local YYYY-MM-DD), {subreddit}, {id}.
+// Unknown tokens are left as typed; an empty template falls back to the default.
+const DEFAULT_OVERWRITE_TEMPLATE = 'Deleted by its author on {date}.';
+
+function localDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+function renderOverwriteTemplate(template, fields) {
+  const text = String(template || '').trim() || DEFAULT_OVERWRITE_TEMPLATE;
+  const values = Object.assign({ date: localDateString(new Date()) }, fields);
+  return text.replace(/\{(\w+)\}/g, (token, key) => values[key] != null ? String(values[key]) : token);
+}
+
+// Incremental scans keep a per-user index of fullname → { state, decision, rules } from earlier
+// runs. Decisions that flip by themselves as time passes are never treated as settled.
+const TIME_BOUND_DECISIONS = ['preserveAge', 'preserveNewest'];
+
+// The parts of an item that can change while its fullname stays the same
+function itemState(item) {
+  const signals = Object.keys(item.signals || {}).filter(k => item.signals[k]).sort().join('+');
+  return [item.score ?? '', item.subreddit || '', signals, item.title || '', item.body || ''].join('\u0001');
+}
+
+// A listed item needs no fresh look when the index holds it in the same state, decided under
+// the same rules, and the decision does not depend on the clock. A delete decision ('delete',
+// 'deleteByDate', ...) is indexed before the delete runs; an item still listed with one is not
+// done yet (the delete failed or was throttled), and neither is one indexed as 'deleted'.
+function isSettledItem(record, state, rules) {
+  return !!record && record.state === state && record.rules === rules &&
+    !/^delete/.test(record.decision) && !TIME_BOUND_DECISIONS.includes(record.decision);
+}
+
+// Items from an early-stopped scan plus the indexed ones it did not reach (never those deleted)
+function mergeIndexedItems(fetched, records) {
+  const seen = new Set(fetched.map(item => item.name));
+  const rest = records.filter(r => r.decision !== 'deleted' && !seen.has(r.name)).map(r => r.item);
+  return fetched.concat(rest);
+}
+
+// Post-run verification: what still matches the delete rules after the cool-down.
+// items are { created_utc, subreddit }; subreddits are sorted by count, then by name.
+function residualReport(items, checkedAt) {
+  const counts = {};
+  let oldestUtc = null;
+  for (const item of items) {
+    const sub = item.subreddit || '(unknown)';
+    counts[sub] = (counts[sub] || 0) + 1;
+    if (item.created_utc != null && (oldestUtc === null || item.created_utc < oldestUtc)) oldestUtc = item.created_utc;
+  }
+  const subreddits = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return { checkedAt, count: items.length, oldestUtc, subreddits };
+}
+
+// One line for the log and overlay; `previous` is the report persisted by the last run
+function formatResidualReport(report, previous) {
+  let text = report.count
+    ? report.count + ' left, oldest ' + localDateString(new Date(report.oldestUtc * 1000)) + ', in ' +
+      report.subreddits.slice(0, 5).map(([sub, n]) => 'r/' + sub + ' (' + n + ')').join(', ') +
+      (report.subreddits.length > 5 ? ' and ' + (report.subreddits.length - 5) + ' more' : '')
+    : 'Nothing left';
+  if (previous) text += '; previous run: ' + previous.count + ' left';
+  return text;
+}
+
+// Run schedule (quiet hours): "HH:MM-HH:MM day,day" in local time, e.g. "22:00-06:00 fri,sat".
+// A window that ends before it starts runs past midnight and belongs to the day it starts on;
+// equal times mean the whole day. No days listed means every day. Blank or malformed = no schedule.
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseSchedule(text) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*(.*)$/.exec(String(text || ''));
+  if (!m || +m[1] > 23 || +m[2] > 59 || +m[3] > 23 || +m[4] > 59) return null;
+  const days = m[5].toLowerCase().split(/[\s,]+/).map(d => SCHEDULE_DAYS.indexOf(d.slice(0, 3))).filter(d => d >= 0);
+  return {
+    from: +m[1] * 60 + +m[2],
+    to: +m[3] * 60 + +m[4],
+    days: days.length ? [...new Set(days)].sort() : [0, 1, 2, 3, 4, 5, 6]
+  };
+}
+
+function serializeSchedule(schedule) {
+  if (!schedule) return '';
+  const hm = mins => String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+  return hm(schedule.from) + '-' + hm(schedule.to) +
+    (schedule.days.length < 7 ? ' ' + schedule.days.map(d => SCHEDULE_DAYS[d]).join(',') : '');
+}
+
+// Whether `date` falls inside one of the schedule's windows; no schedule means any time
+function inSchedule(schedule, date) {
+  if (!schedule) return true;
+  const mins = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (schedule.from === schedule.to) return schedule.days.includes(day);
+  if (schedule.from < schedule.to) return schedule.days.includes(day) && mins >= schedule.from && mins < schedule.to;
+  return (schedule.days.includes(day) && mins >= schedule.from) ||
+    (schedule.days.includes((day + 6) % 7) && mins < schedule.to);
+}
+
+// When the next window opens: `date` itself inside a window (or without a schedule)
+function nextScheduleStart(schedule, date) {
+  if (inSchedule(schedule, date)) return date;
+  for (let i = 0; i <= 7; i++) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() + i, Math.floor(schedule.from / 60), schedule.from % 60);
+    if (start > date && schedule.days.includes(start.getDay())) return start;
+  }
+  return date;
 }
 
-function shouldDeleteCommentByX(text, xMeansDelete) {
-  return xMeansDelete && loneLineCheck(text, 'x');
+// Job state (DOM variants): one versioned record per account holds a run — the settings, the
+// listing and pass being worked on, the page to continue from, counters and the fullnames still
+// pending there. Storage lives in the script; these helpers only shape the record.
+const JOB_STATE_VERSION = 1;
+
+function createJob(user, pageUrl, now) {
+  return { version: JOB_STATE_VERSION, user, listing: null, sort: null, page: 1, pageUrl, counters: { deleted: 0, pages: 1 }, pendingIds: [], settings: {}, startedAt: now };
+}
+
+// A record saved by another version of the script is dropped, never guessed at
+function isCurrentJob(record) {
+  return !!record && record.version === JOB_STATE_VERSION;
+}
+
+// What a page load does with a saved record: the script's own navigation resumes it, any other
+// load (closed tab, followed link) only offers it, and no record or one without a pass does nothing
+function jobResumeAction(record, navigated) {
+  if (!isCurrentJob(record) || !record.sort) return 'none';
+  return navigated ? 'resume' : 'offer';
+}
+
+// Work on pass `sort` of `listing`; a different pass starts again from its first page
+function enterJobPass(record, listing, sort, settings) {
+  if (record.listing !== listing || record.sort !== sort) record.page = 1;
+  record.listing = listing;
+  record.sort = sort;
+  record.settings = settings;
+  return record;
+}
+
+// The listing a run moves on to once every pass on `listing` is done; null when the run is over
+function nextJobListing(listings, listing) {
+  const i = listings.indexOf(listing);
+  return i >= 0 && i + 1 < listings.length ? listings[i + 1] : null;
+}
+
+// About to load `url`: the next page of the same pass, or the first page of another
+function advanceJobPage(record, url, nextPage) {
+  record.pageUrl = String(url);
+  record.page = nextPage ? record.page + 1 : 1;
+  if (nextPage) record.counters.pages++;
+  record.pendingIds = [];
+  return record;
+}
+
+function markJobPending(record, ids) {
+  record.pendingIds = ids.filter(Boolean);
+  return record;
+}
+
+function markJobDeleted(record, id) {
+  record.counters.deleted++;
+  record.pendingIds = record.pendingIds.filter(p => p !== id);
+  return record;
+}
+
+
+// Shared rate limiter — used by all three userscripts and test.js.
+// During development: scripts @require this file.
+// On release: release.sh inlines it into the .user.js bundle.
+
+// Reddit's rate-limit headers: x-ratelimit-remaining (requests left in the window, can be
+// fractional), x-ratelimit-used, x-ratelimit-reset (seconds until the window resets) and
+// Retry-After (seconds or an HTTP date). `get` is a header getter; times come back absolute.
+// Returns null when the response carries none of them.
+function parseRateLimitHeaders(get, now) {
+  const num = name => {
+    const n = parseFloat(get(name));
+    return isNaN(n) ? null : n;
+  };
+  const remaining = num('x-ratelimit-remaining');
+  const used = num('x-ratelimit-used');
+  const reset = num('x-ratelimit-reset');
+  const retryAfter = String(get('retry-after') || '').trim();
+  let retryUntil = null;
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) retryUntil = now + parseFloat(retryAfter) * 1000;
+  else if (retryAfter && !isNaN(Date.parse(retryAfter))) retryUntil = Math.max(now, Date.parse(retryAfter));
+  if (remaining === null && reset === null && retryUntil === null) return null;
+  return { remaining, used, resetAt: reset === null ? null : now + reset * 1000, retryUntil, at: now };
+}
+
+// Earliest time for the next request: Retry-After when given, the reset when the budget (less
+// `reserve` left for Reddit's own page) is spent, otherwise the rest of the window spread evenly
+function nextRequestAt(budget, reserve) {
+  if (!budget) return 0;
+  if (budget.retryUntil) return budget.retryUntil;
+  if (budget.remaining === null || budget.resetAt === null || budget.resetAt <= budget.at) return 0;
+  if (budget.remaining <= reserve) return budget.resetAt;
+  return budget.at + (budget.resetAt - budget.at) / (budget.remaining - reserve);
+}
+
+function formatRateBudget(budget, now) {
+  if (!budget) return '';
+  const secs = at => Math.max(0, Math.ceil((at - now) / 1000)) + 's';
+  if (budget.retryUntil && budget.retryUntil > now) return 'Reddit asked to wait ' + secs(budget.retryUntil);
+  if (budget.remaining === null) return '';
+  return 'Reddit budget: ' + Math.floor(budget.remaining) + ' requests left' +
+    (budget.resetAt !== null ? ', resets in ' + secs(budget.resetAt) : '');
+}
+
+// Throttling that does not come as a 429: a 403, a 200 HTML "you're doing that too much"
+// interstitial, or an error JSON body (RATELIMIT errors name their wait, e.g. "try again in 9
+// minutes"). Returns { kind, waitMs } with kind 'forbidden', 'interstitial', 'ratelimit' or
+// 'error' and waitMs 0 when Reddit named no wait, or null for an ordinary response.
+function detectSoftThrottle(status, contentType, body) {
+  const text = String(body || '');
+  const hint = /(?:try again in|take a break for)\s+(\d+)\s*(millisecond|second|minute|hour)s?/i.exec(text);
+  const waitMs = hint ? parseInt(hint[1], 10) * { millisecond: 1, second: 1000, minute: 60000, hour: 3600000 }[hint[2].toLowerCase()] : 0;
+  const throttleText = /you(?:'|\u2019|&#39;)re doing that too much|doing that a lot|whoa there,? pardner|too many requests/i;
+  if (status === 403) return { kind: 'forbidden', waitMs };
+  if (/json/i.test(contentType || '') || /^\s*[{[]/.test(text)) {
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* not JSON after all */ }
+    if (data && typeof data === 'object') {
+      const errors = (data.json && data.json.errors) || data.errors || (data.error ? [[data.error, data.message || '']] : []);
+      if (!errors.length) return null;
+      const flat = errors.map(e => [].concat(e).join(' ')).join('; ');
+      return { kind: /RATELIMIT/.test(flat) || throttleText.test(flat) ? 'ratelimit' : 'error', waitMs };
+    }
+  }
+  if (/html/i.test(contentType || '') || /^\s*</.test(text)) {
+    if (throttleText.test(text)) return { kind: 'interstitial', waitMs };
+  }
+  return null;
+}
+
+// Token bucket with backoff. Every request takes a token from a bucket that refills at
+// `refillPerSec` up to `capacity`; Reddit's x-ratelimit budget spaces requests out further; a 429
+// blocks until Retry-After or the window reset, or for an exponential backoff (doubling from
+// `baseWait` up to `maxWait`) when Reddit sends neither. `now` and `sleep` are injectable so the
+// tests can run it on a fake clock.
+function createRateLimiter(options) {
+  const opts = Object.assign({
+    capacity: 10,
+    refillPerSec: 1,
+    reserve: 2, // requests left over for Reddit's own page scripts
+    baseWait: 60000,
+    maxWait: 1800000,
+    pollMs: 5000, // longest single sleep, so long waits are reported as they go
+    now: () => Date.now(),
+    sleep: ms => new Promise(r => setTimeout(r, ms)),
+    onWait: () => {} // (ms, reason) before each sleep; reason is 'rate limited', 'pacing' or 'bucket'
+  }, options);
+
+  let tokens = opts.capacity;
+  let refilledAt = opts.now();
+  let blockedUntil = 0;
+  let multiplier = 1;
+  let budget = null;
+  let resetFrom = 1; // the multiplier the last non-429 response reset, see noteThrottle()
+
+  // Wait for a throttle Reddit gave no length for; doubles from baseWait up to maxWait
+  function backoff() {
+    const wait = Math.min(opts.baseWait * multiplier, opts.maxWait);
+    multiplier = Math.min(multiplier * 2, opts.maxWait / opts.baseWait);
+    return wait;
+  }
+
+  // How long until the next request may go out, and why
+  function pending(now) {
+    tokens = Math.min(opts.capacity, tokens + (now - refilledAt) / 1000 * opts.refillPerSec);
+    refilledAt = now;
+    if (blockedUntil > now) return [blockedUntil - now, 'rate limited'];
+    const paced = nextRequestAt(budget, opts.reserve) - now;
+    if (paced > 0) return [paced, 'pacing'];
+    if (tokens < 1) return [Math.ceil((1 - tokens) / opts.refillPerSec * 1000), 'bucket'];
+    return [0, ''];
+  }
+
+  return {
+    isLimited: () => blockedUntil > opts.now(),
+    budget: () => budget,
+    multiplier: () => multiplier,
+
+    // What has to outlive a page load: when the current wait ends, the backoff multiplier and
+    // Reddit's last budget. restore() never shortens a wait already in progress.
+    state: () => ({ blockedUntil, multiplier, budget }),
+    restore(saved) {
+      if (!saved) return;
+      blockedUntil = Math.max(blockedUntil, Number(saved.blockedUntil) || 0);
+      multiplier = Math.min(Math.max(1, Number(saved.multiplier) || 1), opts.maxWait / opts.baseWait);
+      if (!budget && saved.budget) budget = saved.budget;
+    },
+
+    // Resolves once a request may be sent, and takes a token for it
+    async acquire() {
+      for (;;) {
+        const [wait, reason] = pending(opts.now());
+        if (wait <= 0) break;
+        opts.onWait(wait, reason);
+        await opts.sleep(Math.min(wait, opts.pollMs));
+      }
+      tokens -= 1;
+    },
+
+    // Every response goes through here. Returns { wait, fromHeaders } for a 429, null otherwise.
+    noteResponse(status, getHeader) {
+      const now = opts.now();
+      const parsed = parseRateLimitHeaders(getHeader, now);
+      if (parsed) budget = parsed;
+      if (status !== 429) {
+        resetFrom = multiplier;
+        multiplier = 1; // a successful response ends the backoff streak
+        return null;
+      }
+      const headerUntil = parsed && (parsed.retryUntil || parsed.resetAt);
+      const fromHeaders = !!headerUntil && headerUntil > now;
+      const wait = fromHeaders ? Math.min(headerUntil - now, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHeaders };
+    },
+
+    // Throttling without a 429 (see detectSoftThrottle, or a delete that did nothing). Its response
+    // has already been through noteResponse() as a success, so the streak that reset carries on.
+    // Waits `hintMs` when Reddit named a wait, otherwise backs off. Returns { wait, fromHint }.
+    noteThrottle(hintMs) {
+      const now = opts.now();
+      multiplier = Math.max(multiplier, resetFrom);
+      resetFrom = 1;
+      const fromHint = hintMs > 0;
+      const wait = fromHint ? Math.min(hintMs, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHint };
+    }
+  };
+}
+
+// Self-tuning pace between deletions: the delay creeps down by `speedUp` after every success and
+// jumps up by `slowDown` on any throttle, within [minDelay, maxDelay]. Long pauses scale with it
+// (scale() is the delay relative to baseDelay). state()/restore() carry the learned pace to the
+// next run.
+function createPaceController(options) {
+  const opts = Object.assign({
+    baseDelay: 1000,
+    minDelay: 250,
+    maxDelay: 60000,
+    speedUp: 0.97,
+    slowDown: 2
+  }, options);
+  const clamp = ms => Math.min(opts.maxDelay, Math.max(opts.minDelay, Math.round(ms)));
+  let delay = clamp(opts.baseDelay);
+
+  return {
+    delay: () => delay,
+    scale: () => delay / opts.baseDelay,
+    success() { delay = clamp(delay * opts.speedUp); },
+    throttle() { delay = clamp(delay * opts.slowDown); },
+    reset() { delay = clamp(opts.baseDelay); },
+    state: () => ({ delay }),
+    restore(saved) {
+      const ms = saved && Number(saved.delay);
+      if (ms > 0) delay = clamp(ms);
+    }
+  };
+}
+
+function formatPace(delayMs) {
+  return 'Pace: ' + (delayMs / 1000).toFixed(delayMs < 10000 ? 2 : 0) + 's between deletions';
 }
 
 
@@ -55,10 +873,35 @@ const DELETE_DELAY_MIN = 1000;
 const DELETE_DELAY_MAX = 1000;
 const LONG_DELAY_AFTER = [10, 20];
 const LONG_DELAY_MS = [10000, 15000];
+const SOFT_THROTTLE_RETRIES = 5; // per item, before it is given up on
 
+let retentionMode = RETENTION_MODE_DAYS; // 'days' keeps the last N days, 'count' keeps the newest N comments
 let daysToPreserve = 10;
+let subredditPolicies = ''; // per-subreddit days overriding daysToPreserve, e.g. "askreddit=7,politics=0"
+let keepNewestCount = 200;
+let deleteFromDate = '';
+let deleteToDate = '';
 let preserveDotComments = true;
 let xMeansDelete = false;
+let preserveMarker = DEFAULT_PRESERVE_MARKER;
+let deleteMarker = DEFAULT_DELETE_MARKER;
+let markerMode = MARKER_MODE_ANYWHERE;
+let onlySubreddits = '';
+let exceptSubreddits = '';
+let protectedSignals = REDDIT_SIGNALS.join(',');
+let contentType = CONTENT_TYPE_COMMENTS;
+let preserveOwnThreads = false;
+let depthFilter = DEPTH_FILTER_ALL;
+let minScoreToPreserve = null;
+let onlyDeleteDownvoted = false;
+let keepPatterns = '';
+let purgePatterns = '';
+let extendedDiscovery = false;
+let incrementalScan = true; // end a pass at the first page whose items are all indexed and unchanged
+let overwriteBeforeDelete = false;
+let overwriteTemplate = DEFAULT_OVERWRITE_TEMPLATE;
+let verifyAfterMinutes = 5; // cool-down before the post-run verification re-fetch (0 = off)
+let runSchedule = ''; // quiet hours: delete only inside this window, e.g. "22:00-06:00 fri,sat" (blank = any time)
 let dryRun = false;
 
 const LOGO_120 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAHgAAACDCAYAAABGMd8IAAAAIGNIUk0AAHomAACAhAAA+gAAAIDoAAB1MAAA6mAAADqYAAAXcJy6UTwAAAAGYktHRAD/AP8A/6C9p5MAAAAHdElNRQfqBRUFDCvS7s4+AAB3OUlEQVR42uy9d5xdV3X3/d37nHPr9N40RTMa9d67XGTLtlyxMaabYlqAEEpIIIEUEhKSkAQIvRpjcDfu3bKs3rs0Gk3vfW6/p+z9/nGuZDtPCCbvmyd5njdbH30sa0Z3zjm/s9Zee63f+i34n/U/63/W/6z/Wf+z/mf9z/qf9T/rf9bvtsR/9QX8Z67x4WG60ikmYy6dvQMcO3aEYNDACAZQWuO4HvPmzmb2goXUVZXQbJgI8X/XI/m/4m601nzsb/8W7bic6O4hYbtMpFKYeVHSrsLTElcIZCSPjGHhOBotNEHtYSWSWMolLxDA0AqlbcqLCmmorKC2vJzLLt/M9tmz/6tv8T+8/o8FePFttyJlGDsSJKMUk55iIl3M5cGR4JRh5cWVVxzMzy9xXV0ipBUxTCuslMrzlA4oIQQCIYWwTcW08Ny0JY2Y9tyxTDY5URwNTq8rKUj+/cikV4+mwDIJ2g6zZtTyF1/+MrP+D7Ly/3OuFPjqz+7n/peeZzqZwAuFqe44byTnzC52tG5ylJ6DIedoac1EixlKUylMsxBJGClNhDRAGhop9Gs3r7VWnkB7hsZGqSRaT5iCAUPoDk85Z4XQp0KGOG9OTY8cK6pKVcRGiBqChc0tfPFtN7K4ZeF/9WP5d9d/e4D/7Fs/YNf505wfHKRzKs6qiopQzM42ZWE5lrVehCKLMcxmLYxiDMNSaISQoEGjuAimRIAGhUAj/DsXAiE0AoEQEiklEhBCAxqNp1E6LjxvUNvZs1p5u7WX3R3U7skzJ8enamYW0VBawM2bN/C5t73zv/pR/Zvrvy3Af/w3/8jjJw4w7HncVFNrvDw80ugoY7NnWldLw1glhKzVQlqeNNDi4o1oQBAwTcIBi5BlEQ1a5IVChANBApZFwDBBgKsUGdchYzuksjbJrE3G88jaWRzXRQkDLQRCgxA+3EIrhHIntOce1XbmhaDnPV8WkKdOppxklSGosPLY8cNv/lc/ujes/3YAr377u5nMZphAUhtQeZlwdJnjiRtdIbdpYc6SwrCUED6UnkvINCiIhJhRVuYHRhXlNFRVUlNcTEEkQl44QCQUJGCaGDkLBf9V8JRH1vHIOC6JbJZYKs3w5CQ9QyN0j4/TOzpG39gY05ksWVf7T0tKUCA8BTiDBs4rllYPGOnsK8frGkZmdfdQ6Qpe/eWP/qsfJfDfCODLP/QJhoaHmfAUJQHyHTN4uS3ku1QgsEnKQDnCwNMK7dnkBS2aKipY2trMslnNNFVXUV1STEEkTMgQGFIAAoVAoNFao7RG+377tZsXvmsWwnfhAvBQKAWOq5jOpBmZjNE1Msbhjk6OXuiga3Sc6awD0sQQGqk1nvaSyskcthzvXtN1Hj0bigwsyKbYMmcm3/zCn/yXPtf/FgBveOd7OD8+QXUgFJ1CbHKC1geUFdxqYOUDKAmRoEVzeRlr5rWyesE85tfPoDQ/j4BpIDQopch6HrFUivF4nLF4nLHJGGPxBFPxBKlMhqzj+kBrjRQC0zLJCwYpyotSUphPWWEBpYX5lOXnUxSOEA5YGBIQkoyrmUqkuDA4wL5z59l1po32oVGSThaEQCIR2nNwnENeKv2jQuk+enzcGZlfHGLl/BZ+/IUv/P8P4Hd+8KPsGR5hfVmB8ep4bLkTCP2eMqztQhjFGoFWLsUFYZbPmc01q1awanYLVYWFhAwDJQRJx2MkFqOjt5/z/YOcHxqmY3CYkelpko5NxnZwlYdWCpDoXIAlBDnbBkMKDAGGgKBlEgkGKczLo76yjNnVNbTUVDGrroaa4gLyAgGkEDiux0g8wZHODl44cpTD5zoYjqfxpIEAtOdmTdd5xbKz/xLy1DOjTibdVBzlle//4P8/AM++6RYGbEGNJSqz0nhPVpof1laoCcPAdB2K80JsXLqIGzZuYElTI0VBCyRkHEXv6AjHurrZc7KNs939DEyMk3QcHA1CSixDErIMIsEAIStIyLSIBC1CgQDSlEhhoD3I2lmSdpaMbZNxbJK2TcbTeFoghMAUkrBpUF4YpaWqnBWts1jSMpPGqnIKgiZSa1K24uzQCE8ePMxLh08wMDmFJyRSgXCdSVT2V0E3+60zD/305JJb3k21hKfuvvv/XoAvf8eddE+MUxKSZl9Kb9HB8OcIBbd4CMvQmpJIiMtWLOWmyzezpKmRPEviKsVoPMmhs+fZceQIB8+1MxhPkXUVJoKIZVFaEKWhqoL6yjKa62qpr6ykvCCfwnCEYMDCDBgEpMSQEiUlngapFLbtkM5miWcyjMUSDIyN0Tk0RM/oBF0jY4zEpkllbTylkcKgOBJgfn0tmxcvZP38edQVFWFJQUopzg4O8OtX9/HMgUOMJhJgmKA0OPbpgJP9+xLc+8azXmJJbSUPfeOf/+8DeNWtt9MzHaPICpbFBXc5wfDHhQxVaaUIG4pV81p513XbWD1vDnmmgSugb3yalw4d5al9BznT108q44CUFEdDtFSVs7J1FotbZtJaV0N1aTGRUBhDyJwz9iMq7TtmPAUXBkfYc/wEPX19NNfVsXzeHBprqwmaJhePWa5WJB2b0elJLvQPc/xCF4cudNI+PMpYMoWrIGIYNJeXsmnxfC5bvphZleWEJWQ8xeHubu5/4RVePXmOuKNy1+MmySbvDWcyf3t6fPL8yrpKDvxvsOT/bQC3Xn0dbdMpmovzFmSs4J/aVvBGKY2AcD1qSgp527YruHnLRsry8/FQjIxO8vS+gzyx9yDnBwZxlCIaCNBQUc7qBXPYvHgBC5saKSuIYgkJSqPAT15cui2dg0zQOzrOjx57iif27GdsbJKgIUklExQXFrB+6RKu27SGVQvmUVqQh9Aq96/8z3M1TKTSnO0fYO/JU+w52Ubb0BhJJ4MhBLVF+WxeMIdr16xiVl01AdMknnF48egx7nn2ec4PjeMKC6FsDDu123LtP20W2ZfaHanaHrj//3yA5153PXmZtBwJRK+yTesrygosc6VBSGk2Lp7H+95yPUuaG7GEwWQyxbP7D/LAcy9zpmcQV0NeJMDK2S1cv34t6+fPo7q0GEtK0AqtFVlXEZuKUVxShGFIP2uVuzWFwsna/NE3vs/3n36OqqpK3nvzDWxYPI+BoUFe3XeU/UePMzE5zvzmJm69+gqu3rCWysJCtNKve0oCKQSe1ozE4hxu7+Dp/QfYdeIs48k4UlrUlRZzw+plvOPyyynIC+JJuDA0yt1Pv8ST+w6RcBykAMOxuy0v+5chN3W3I0LZDZWF/PBb3/lPefbGfyawWmt+9uIuCvJDoQFbv882A3/vBYKztYKycJA7r7+a37vjFmZVVYCCg2fP8w8/u4d7n32JnvFJokGTyxfP4RO338KHb9zOqlnNFEYiyIuZKw0gOd1+HiEFpUWFl86zftnPPw7tO3GWv/3R3Wxcu5bSkgJOnzoJTpprN29k7eKFbFq3msKSYs729HD/M8+w98BR8sJ51NZWYlnma6+LBi00BcEArTVVbFo0n+WtM/G0pnNkgpSdobWmglXz5jEVS+C5HlX5hSyZPYtQyKC9q4tkxkGagSLXEFtcJcyQ1kdOj8Szyxcupuvsyf9zAN71xC/Z8oE/wPS86Jjt/YEKRr6krFC5Uh6zKsv41Lvv4NbLN1JgBRiPZfnZE8/xd/fex/GeAQwhWTWriT942y189C03s6ypiYhh5tytv59qrRFCcKGvn9NtbSxbuBDLP7ReTG8AkLYzfO1HP6F/cpwPvOut5BVEySsqomnGDM63XeCH9z3IRCaNDJgsWLKA5qZm2jq7eOjJp+kZGGbmjBmUFRUgtEILcj/d//mGKagtq6BzZIwLnef50HVX877t17Hn1Cn+/Ac/5FTbBea0tqC9NIXRCHWVVYyPjzMWTyAwg1oaa7N4xflKH+7NpBNltTVMdXf9nwHw42cGiIQC+Wkr8EdeMPJZZYXy0YoVc5r54gfezYaFs5GGyYmuPv7uZ/dw/4svE0tlaCwp5EM3Xsfn3nkHa+bOJWRZaM0b9lYNaAGprM39Tz3FkkULmVFezsUg6dISsOfYSb72/Z+wfdvVFJQVMToxTmlxPq31DXzjZ7/keP8Yh862cbytjbGpOKXl5SxbupiK8nJe2reX53fvo6iwhOYZdZhCXCxVABItDV44doyHnnyGj95yM9dvXM+jO3fztZ/8gqyjWb1wHmVFBSSSWZSnqSwpZk5zE+lUmr6RURytTa3lMkepmpDn7HeFFV++chVdp47/9wa4efNWgoj8pBn4ghuMfMo1g2GhXC5fvpA/+sB7mFtThac0z+w7yFe+9yMOnbsAAq5cuoA/v+t93LBpA0XRMGiVc49+POy6DhqNRIIUPPvKLvpGRth+2WVYCLS4aLkaoTQZ1+NrP/wpIxNT3HrzdjqGh8i6ipYZ1Rw9fJqdZ9ooaphBuKgAJQz6ewfpaO9kcjJGYVERS5YuondknEeeegETWDRnNqZhXLqmtt4+fvHYE7zrpu2sX7iAnzz1LN9+8FHmNjXx8be9lflN9biOcyk7akpJTWkJaxcvJJ1Jcb6zD1dLqSQLPK3rTDuzZ0ITf++129m3b/d/T4DnXHk1FiI65anPe6Hop5xAMGR4LtetX8nn3vt26kuLSdguv3j2Rb7+81/SNzFNTWEeH3nLDXz+Pe+ita42ZyEXH2POarVmOh4jYAUxpWBwYpJ/+dkvuP7Ky2mprUYLDQgttegCnhaaF3fsP1j63V/eV3rttddQWFFE/+gooaBFVV4hP//146iCQmTAQktBJBTCABLTcfoHh+nuHyCeSDN7ziwyruaZF19mQWszs+rr0GjimTRPPf8CG1YvZ/GsOfzzfQ/yq2df4IaN6/jAW7aTZ0I2k0FJP98dDoZIZlLk5UepLixg4awWtPY4f/4CthJCGNY8DFkZFuw5OzKemGw/+98P4Jmr1hGNhgJDWfdTOpz3OWVaEeE5bF+/mj94zx1UF+Qxmcrw3Qce5ce/fopYOsvCulr+9K47eee2rRSEgpDbW7kEs1+vS2WyTMXiFBUUIITgwWdfondomPfcciMhU6CERmJMCinvEkL+w5//1d+9+Pc//tl6wuF577rjVvqG+rBth4baGk6d6eBITzdGQR7iYljmuqSn4wSlxLMzJONxJiamGI/FCRcW0Tc0THnI5Iq1q9AIznd2UFFeTuvMVv7x3l/x1O7dfPCWm7lh4zoyyQRZxwEpyA8GCQbDvHTkON+870HOdnUzt6mJioI85rU0odGc6ejEFlJIac6TShcUW9auUGVdZqq7/b8PwNff+UESQ33GhCPvcCJ5f+5aoULTtdm2ajmfuvMdVBbmM5ZM808/v4/7XthB1nFZP7eFv/7ER9mydDGm8F3sJasVfs74YvlnbHIShaYoP4+JWJyv//getm5cx6oFcxFaIKRkaGRM/eCnv3j1pre890TbYM+snompzyxbtaJo66bV1FZXU1FWgeMoHtt1gIxh+qU/LZBonEQKJ5FCuR7pRBKhNMpTxGIJnGwGhSCE4LrLNhIwJCErSGlFBd/81YO8cvAAn3vvu1k7fz6jU+NkXBdpSCqLi5lIZfiXBx7mV8+/zFg8Q2ffID19/cyd1UJFQSFzZzbhei6nL3TgaqQrxMKMbWfMZHJv4+IF3tD5tv96gLfecjNP3XsPgZnzL8taoX/yAuFqrVwuW7qQz3zwvVQVFzKWSPFPP/slj7z0Klprtq1Zxl9/4iMsaGrkUnAkLgKbO+po8DNLmu6BPgrz8ymIRHlh/2Fe3L2Xj73jdkoLoiAMTp7v4FNf+qvAvc8/vyEbCsyOm3JLcU3Nuq2XrROVVVXsOXGaFw8c58XDxxlLZ8Dwb10D0vXITE77VpxKYNtZ/3rQ4HlkMykcx6MgYHHDlZspjEaxrAA/f+Jpdh05zBc/9AHm1M+gb2wE24NoKEBlSSmHTp/nKz/8Oe0D/dxy+Wbm1ddxrquLruExegcGWDBrFpWF+cxunkkikeDEhXZcKU0hxBJPip5ZKnXq7Te9W+/Y8/J/LcCTgRKqmme3Zq3gP9uh0ALtuSxtbeLzH7yT+rJippJpvnH3r3h0xx6EgJs3ruHPPvpBGiv9yNenzIjXpSe49PAB0o5N79Ag1eUVGMLkW/c/QDQY5I7rtmGYktHJKT73l1/jQk87NTWl4Wh+ePGErRbUN88UV25eR89YnB/9+hl6JqZJu+4luo7/XmncdAY3kQTHIZVIoJV36Uq0lBQWF5NNxlk5p4nbrtmKZVo8vWcPO/fs5TPvfy/1FRX0jQyjtKKyqIjComLuefQJ/vHuX1BTV8kX3v9u3nf1VtYvno/yXM529nJheIyevh7mzWqhPD/C7KYG+gcG6RocQpiBsBZ60YQ09j/66q4+ffsV/NnB/9gZWf6H/tXrVv2CFURMWZAQ4o9sK7DG05rG8mI+8c63MbOqglTW5nu/fJBHnt+BchyuW7uSL33kA9SXlVwKo37TErlfqXSWrO1hWgG6h4Y5eOIU65YvJhQIoF348YMPcfDMYT5y+1WsqCvhM7dsYGFZHjqRIByM8PK+fWS1f7daK3TO/WqtwVPYqbQfdafSeK7rJzSUQilFMBTENC2ieNy89XKioRCnz5/n+Vde4X3veBs1ZSX0DPVjGQat1bUU5kX4xk9/zs8feZobLtvCN/7gE1yzbCkBU1IcCfOJ22/j7VdfgQHsPH6Kf/75LxmeilGeF+Kjt7+FJU0z0J6NEwi0ZDH/dHZzc3XTmYn/MD7/rwD+4z/8DGYqZWSEeK8bCN6uhRDFlsFH33Yby1tb8DzNvU89zy+efgHb9bh21RL+/GMfoKakKGedr7lknSvEa+2zLvRFBobQJFMpXK2R0uDQmdPYqSyL585BCDh65iw/++X93LJuIZXGFN5UD3Kih8TICDNn1NI3PEZ7VzcmGuG6aE/5v5VCeQovY6OyDsrxSGcyoPUlcAHy86PEp6dYs3A+W9euIRFP8eLOnbzthutpqqmlY2CIYCjMrLo6PAR//d2fse/QEb788ffxpQ+/l/ryYlBe7vQsyQua3HnjNdyybiWGJ3j+wDG+d/8jTKcdZlZV8LG33UJNcT64Gi0CWxNCfqwoaAYXrdz0vx/gv/rpw6SKi1e7wdAfeIYVtjyX27ZexmVrl2Foxcv7D/HTB3+N7bqsmz+bL/7eXdSVl3LJ+YrXjkD6tb+9lIXyvwapTAaFwvU8dh04TFlhAU11ddiuwz2PPoapHLYtqOL4oaOUBAw6B6YYs2HVihXsP3IMbQRQrgIPtOcDqJUC18NNZZCeRyaVzFk1BKwQUphYgSBogY4neNt12yguKODM2bOsXrqM+S2tdPX3EQ6FmFUzg1g6y5e/8S06u3v4289/ltu2biFiGSjtM1Js1+FU2zmefPZ5xoeH+Nx73s4N61aitOaxXXt5+MWdeEqzZHYz77t+O1EpsAWmI40PDWa8rRdqq/73AjxvzQZamupK3WD4szoYasBxWD67hdu3byMoDc529vKtn/+Ssekk86sr+fJHPsCsupocu4KL9vuGuo/jOniv+/rFv8/YNgjBZCLJ2fZu6qrKKYyG6O7p47kdO7l8/gyy4+O0dY1j6gDPH+uhddY8pBGga2gUYRqoHLPjonVqT+E5Dm42g5NJk0klQHsAmJZFRWUVRcXFTI+PsXhmI5etWU08Eae4qIjFC+YzNDpCfjjMrNoaUrbN1779PSbHJ/jrz3ycVfNn42mJFj7AB06c5e+/9X2eevYlZjbNZG7rLKrLi/jDD7ybDfNmk3EUP33iWfacOINQmstXreDyFUsRtoNSRpmyrM+WTE3V1K/63a34PwzwzOJiOW17t9uGtc1Vmqr8MO97601UFeUznUjxL/fex+nuXoryQnz6/e9i5YLZoNUlq/3XSyBIJVNMTE2iX/ctWmsczyNkBRkdn2BwdIx5LTOxDMmO3fuZGh2nsSLKq6cuYNvQNxbnzHCMdWtXceDEcTzTJJXOXgLWuwSwi5fNgOeRSSbxPAe0h0CTSqUxTINgIIBKxnnXDduoKClCmiYNDTOYjscwTYPG6moMJD+4++eMj4/zF5/9NHNmNiK1h4HmfFc/X/nGD/jat39AfUMDd935TubPbvapu2hmVpXzxx94D7MqyxiajvOdXz5Ez+A44YDJu6+/hnm1VWjPQZnWuqw23m/YGVNPDv/nA1y6ZCV7ewfmOmbgY0oaIUu53L59G0vntOC5Ho888wIvHTpMQAruuulatm/egMqR0MXrHLD2Ebz0uYFggPb2dtLpzOvJj3hKkReKMD0+ie1lmN3SjOO6vHroEPlhyfBYjKdOjNHtBNg1kKCucRb5FeWc6RvEczRuxkZ7Hp6n8DwPz3NRroO2HdyMTTaVQWiB1sJnYOQsPT45xeLmZq69bAMITSgY9uk92QzVZWVYhsETz79I3+AAf/aZ36elpgKpFFMpmx8+/Djv+8znaO/s4E9+//d4543Xkh8OoRQYWiK0gdKK5XNa+Pjtt1BkGRy70MVPH3mSpO0ws6qMd990DdGQAI2pDesDTlHJ8ui66/9zAdZ/B0HPC6Qt+SHXkvO057KkdSbXbNmAgeT4uXbufvQJHBeuXLGUD771LQQsA0MYSGEghIEU0qerwmvnXs10OBhOZ7MOp0+fvmTo/vP2MAxJMpMhLxChobKSWCLF+e5eCId4/uQgndMeZyYcBtIGW6+6hiMX2nENg9j0FHiev796LtrVKFfjOR7CVdiJZG7byJ2LlSJkBTAU2LFpbr9+G5WVFf61KI9MOk1FSQlBy+TkuTYOHzvCpz50F001VQghOdPVy6f/8m/4yj//C2tXLufv//TzLJ3djJGrkGgEWvjZOi0kQnts37KOt23ZgOG5PLVrDy/sOYhGs27ZYrasWoHQLo5p1WcxP9paW5G3YtXqN42X+Ttb74+XYVnmCjMUvtWVBvmmyR03bKesMJ9YMsmPHnyEwYkJmmuq+YP3vZvK4mKGJybpHxzG8zz/WCRBS/C5yxCwLOqrqmRJfp5saGjk0cceY/acueRHQggBkWAQicbTivxQiKKCfNACQwg6R1NUlJRSUhZgZHSE1sWLqKir4fGD+3CxyGayCClyFakceV1phPLwslnsdDKXDgWBgXQVRdFCpsZGmFlRxLVXbOFiuUN5Hvl5eYSCQWLTMQ4dPMTbbn0LTTWVKKV4+cBRvvTN7zAw0M+n3vdu7rztFvLCQZLZLFPxGAFhUFRYiDQM/+dpgUIStSw++NYbOXDyFEcu9HDfE8+wfP5s6spKuO2qrRw9c5aOqSTCMK8fSSUeHJi0f/2fBnBEOOGECNylzVA1SrNp+RLWLFqARPDy/kPsPHKCAJq3X7eVlfPncPrCBb74ze/TNjgBQqCFgbYkmAIhNZaUhKRgZXND/hc/+D7qamtIZm1e3r2H67dehtQwo6aa+NQUoYBJYX6ESCRCYX4e73vbWxn93o8YjSfQQhIuLOTKa65iz5HDTMdSOFr4+77KkdzJuWA0KI9UIoZWPscL/JfAjAQxQgapkXFufft2Gqsr/dozYJkmlhBopeno6GTFksXMndmE7Ske37GLv/iX75CMp/jyJz/O7ddeje1kOdfZyeT0NCVFRcyoqsYwjEs0ooubldCCxqoyPnzHW/jjr3+X8339PPDM83zsbbcyZ0YN121cx7d//RSeYRS7hvHBmrzgK0VNc6dOd575rXj9Tpms6nnLUWZgfTYQ+oJnBqLleRE+/p53MLO2koGxCb7+o3voHxxl4+J5/OFH7yI/Euaff/JzXuoepXz5FiL1rUQbmwk3NZM/s5WCxlYKm2aTX9/EsaNHaC4vZsHMJhK2zf2PPsbmdWsJBQMEAgEKomGS6Qzdg8Ns3bieoGmwaN4cmpvqeWLHK6hQhMuu2EhLczMPP/kMtgLXseENRy6NUAohNG46RXp6OteklqPnCU1FVTV21iWTiNPa3MS81haK8vPgEizgODamadHYMAMpBA+9uJM//No/kU2m+PNPfIRbr72awfExjp07RyqTpbVxJvWVPleLXNbutcvyC6BaK+prq+kZGOLkhQ56BwdZOHs2teWlVJSVcujoKcZiMQTUuK5zVLQ0nZ0+99sB/p324JqS0qBnWHdoK1guPcWW5cuZP6sJVymeemknZzu7KC0I8ZE73kp1eQmudhkeH4dAHp7SNFQUUhAJUV+cT3V+lKqCPKoKI9hmCNeMMDQ2DsDyJQuZTqR48sVXQIDUmqAVoKKkiDlN9RimgciF2mfPtJFIJpkzr5XVq1Zw8OgJYok0juuiNQil/cyVVuAqPNtBa0UmHke7CpSBws9wRSL5FBSWkI1PURWRPPDQQ7zjo7/Pzx58hOl4CiklQmj/GFVRgZQGnhDsOXSYZHyaz77/Pbz12quYTMQ42d5OQV4ey+cvoKK4+NJx8LUc+8VUz8WiiiQ/GObOW26gobyE8ekkDz/7MtPZLOUlJVyzYQ2W5+IKmSdM613W8Fi+zu7//w7ghSvW0z85tcARxnUKQUlehKu2rCdsmfQMDPHY8ztwHMVlq1awac3KnCuUGMpDZTKQSrCgtoTKkGBOaRGNRVEaCiLUF+aRTsTIZNM4rl8cLyssZOPadfzsoUfpHRllz5599A+NUJKfz+ymRgz801b/4DC/fOQxCooLqaurYmIsxuFjpxCm5R+FNLlWFQWexs1m0a6LymTIplJ+OUEopNZILamoqiGeShJw4qyoirKuJoI93s8X/vKv+MgXv8zuQ0fwPI1hGAihcg9QUBQwufPG7bzz1pswDMnE2ASVRSUsmjWb/FDoImfvNU/C6/4ixx0Dv/1m4cwmbtq8CeFpXt13mKMnz2AIzYaVS5lRUYbWAhEMb85IubZw8e/9VtzetItuqGmUYx4fdkKR7Z72xOWrlnHztiuwTIP7H3uap3ftpzyaz59+/C5aGmt9Tg2CZ17cSfuEgyyopLNvjMFYhs7RGD0jcXpGY3SPJHCVQazvAhtnN7Fq3jwkEAqF+fFDvya/oIChoRGeeOFltqxfS1lxCZFQACkMfvHwo9z/5DNUzqihq72Dfa8eIGG7SMvMudxccJVzzdlEkoBlkZqexrUzCClAKFCCSF4B5TXV9He246UzmJ7LwhKDO7evYu6iZl46eJT7H3uJ0bFJZtTXUlRUkONmKUKGwdVbtlBakI/rODi2Q1PdDEKW+YZs3cX1b+mA6Nf1TJVXlPHSvv30jE4gtWLNssUU5UWYnE5wou0CnmmGtec55UHzmfG+Lu//NcA3N5Vz3AvUOqHIlz0rUB0yBe9/6y0019cxOjbJv/zkHoanY9y4fjXvf+stCNN3PYaUDI6M8ureAwhpkEpmsONxMrGUn0myXZJTk7gjg8jxft553VU019agURTm57H/xFl2HTxKTX09jzzzHPNbmlg0ZzZSCkYmp/jy3/0jsiCfptlzaDt7gel4Ei0hEAig8SmzfmOYRmdtPCeLFJCemva5VdLPhWsMapqbySbjTA4N4kpBPJOlOixpiHgsrC3i6vVL0dLjV48/yVMv7MAwQ9TPqCUvHKS2ppq8vDz/RUKSF4kQsF7ft/xGnthFK77Y7XgRfK01HoqSgjzGJ2PsPXGKiakYi+fNpaasmEheHvuOHGfadtCeKpGO+9xlm5YPnzv5m/fiNwXw2VA9gaC53YtEP+BobS5onME7brmBcDDASzv38shLOymKhvjDu+5k7qyZqFzBQAAz6+sRTor0xABFwqZUpDHiIwz1XkBql7GzR5mTJ3j/9iu5ZvMGUqk00/EExQUFZGybX/z6caZTWaIhg3ktM5nZMINgwOLJF17ip488waKNGxiKxXGEgSEUmViSQDCElq9R9KTWZBMJLGmQTSXwHPtS26jSEMkrpGZmI73nz+M6WaRhETEMGvODEI8zPdCLlZ1m1dxa1ixbQO/wGL/49VMcOnmG0qJi6qqrscwc61OClBfZnfI1vq0gRyvy/98HVaP1a9Z7sehiCElJQSEvvbqHgek44WCQVYvnE41GaO/tp6O7H4HMF3hd1yybuWfnzt+8F78pgCuLokEnFP6MF4osRSnesu1K1ixZQCad5rv33k/7wCAbFy/gI++8A8syXke7gVA4wJrlS7nusk3cfOVmbr5yCzdcthYzG+fArl3IZIK/+ezHufnqyzl84hR//o/f5uiZNjauXkl5aTEvv7qbo20XCAnBh955B9XlZcSTSf7sH75OKhiiqrmZjt4+DMPAUppUPEEgHEHL12xHOTZOKo1WHk6umC/wvbNGUDunFS/rEB8aJRzNw3MdDKWQuASFQtkukxNxUlMT1BYIrlq3iFkzGzlw7Bz3PvECnX0DVJWXUllWmutN9nKJjNcb7Ruj+de75dfM2v+z0prCgkI6BwY51tZOIpFk/fIllBXnoxXsPngEVyM9nbXaz/c8NjXQl/5N2P3WIOv0R25HFJXWe4HgGg8oy4+yeslCTAFn2js5dv4CoYDJ9Vdspig/6meFLnkkAUpiaklBJExBXpjCvAgzykv5zAffy19+8i6qSyLYTgrQpNMZ4ukkQ6PDDE6MU1CQxx03XMu8pnqS8TSxWJygFWDn3oPsPnychpaZ9PT14bou0VAIJ5vBCAUQxsWUo0a4HnYihefYuNksEoGUwnfPQCQ/n7K6aoZ7e7DCFo2zZ9PYOgc3ks/xCYcXB7KcSkgmbcHYeIr2kxcYOnqQlUVZ/u4j1/Gua5bx/MvPcvtHf5+//Ofv0NE7ABiXouXXnLP4jRpcl0qluf9XaEzL5JrNGygKWwyMjLD/+Ck0MK+lkbqaclzXxfP04lgsvWhe85z/uAX/SzxEWIrt2UDgnRrDWDVvNjdu24Jlmjz89IvsPnqSWXXVfPp976a4IA9Pa58jBTmBk9duUOfqR1r4XX4L58xi+YJ5FOXle+XlZbqxrlZuu3wTs5ubefSpZ7jvkSfYvvVKZtfXcvJcG3NntTCvtYVv/fjnHDl3gfKaKobGJpDCoDASZqCnBysc9gV1cj9T2VkyiThSaZ+Gm7MepUEbkqZli/E8l2RnN4Vhi4HeHiLRCPUtrQQLChhNp+mbShNzJIFQgGjAIpNMER8fQ6anWNFSyeWr55PKpPjlY8/w1EuvIqRB/Yw6opHI61owXl8E/c1AX/purSkuLGTfkcNc6B9COy4bVy0nHArQ3z/E8bPtIEUY7Z5vTqde7Z76t0kBvxXgW9autLqn0x+1A4GVhoRbrriMJfNnEYsl+cEvH2JwfJK3XLGRt1xz1aUb8a1E4noejq9Vg6f9oEeR+7MGpT0qKiopLiuRpjSkpz2eeO4FvvZP3+B8Ksk4Gp1I8p5bbyCdzjAxMcnqFct4+MmnOX6undHRUZRWVNdUkUkkGB+dIBCO4uUck9CabDKGymYvPkEMKYgW5FFRX0/FvDlUNM/k/N693LJ2FV/9o89QHDA4fewo3b29FFRX07RkEUZJOX2TKXpGpphKOYRDQUKGZHp0kunRMQpNm8sXz2Tlkrl0DAxxzyNPsefICaKRKLU11QQDJpAr+mty526R6626qPxzEdjcpaIJhoOMjI2x5/AJEqkUa5Yvpry4GNv1ePXQUVwkBjozkc0+kpocc/4t/H5rqvJQR19FRporHQEV0TDzWmdhSMm5C5109vWTH7TYtHolpjTQnoMpNNO2zf2PPcOhI8dRWiFkzj3Jiz4r1yGQyyRqpVg4q5V3vOUGsok4A8kM85atoqKqlBcfe4Ir2tp52w3bufe+B/DsLA011YRMg4aGRi50djM9PMpkLIYRDuNpjdaev/faWZxMBpnbD4PBIKGARcA0KSktpXrhAgY6Ogkkk7ztpu2sWDiPxfNauX77Nn5+3yM8/souzgz207hwIYuvuoL+tvMcOXuWnlMjrKiMsry+hGw8xfTx89T2j1Pf0sBX3rWF3Z1x7n5qH5/84pfZuG4tH3jbraxdupBQyG9NzbVBvmatb7De19XRtGLVksUURR5gfDrGiTNtzGqsp76uhvKiAnrHpkAYC71wuAE4/TtbsNaar/7LD1akDOPDrpShefV13LLtKiLBII+/8DK7jhxnZnUFn3jvuyiMhNFKI02Lex58mF898CCb162htbWJhrpqZtRUMaOuhrraGhpqqqmrqaGmtpaGuhoqSkt4/JkXGJ+Y4M53vp3R8Ri7j56hctZM0tk0U1293Lj1CkwJ+YVREIJHnniS0vpGSquqGBodIzGdQPqmgcw1d2eSCZTr+rpZpsGMhgaSiTix8SnGR8eoLCnlwr59XLVsMR9+zztQKktscpLGGTPYunkja5cuJjk+zqE9+xgdG6WuuZnKmU2MZ1xO9ozQNTpFfihMSWEetptmcnSUzNQYs2uKuGHLSqqqK3l53xHueejXXOgboKq8grKSUqRh+NwwrS9ZNf8KZJHjhUUiEfYePMyF/mEKohHWLltEMGDR1tFFZ98gSBEWnrd37YJ5J7s6L/xuAP/Zn/0ZoYq6mxwzcL3wtNi8Yinr1yxHuR73PvwEnf2DXL5qGbdt34ZEoAS4Gr7znR+wfvUa3v+ed6CkpKaqhtaWWVihCPklpRQVF1NQXEKksJjSohKuXLeaaF6UnTt3c91VV7JiwRwO7dtPx8AwlRXlTPf0sm3LRqqrKggETKrKKzhx8iwHT56luKqS0vJK3IxDJpHAyaQRWqOUws5mckxcSUVNNflFhQwNDPqR89xZBE3B1PnzfOlTn6Chrpr77n+AZCJNQ1MTEsGM2mquWLeGpa3NDHV0cHDnq6TSSWbMn0NhYzODsSwneyaZnMpSHA1SkhdFZW1G+vvJTgyxpKmcbRsXE42YPPnSTn71yFMMjoxTXVNNaWlxTmrv9dH0/xphh0NBegaG2HXkFK7jsHn1cory8xkaHePgqTN4wjBwsn3Nwn62vbdP/04Ab9xwlTWYSn7IsQJLAlqz/YqNzJ3VzOj4FPc88gTJdIZ33ngtq5YsBOWiEXjAo48+xuzZrdQ0zmD3qTPE0hm0YdDe08tYPMFYPMHoZIzhyWnGpqeoLi9leirOiVOnqS4vpW+ojys3beTZx58im0kjUjbbtqyjuCAfy/B1r5YsXEhfVy8HDx1CCIPy0kqkGcBT4Dkujp1Fa88v1IfDzF6xhN7OLtJT0wQCIVpXLafz+Ak2zp3Lxz5wJ7H4FKFwhJY5czhz+jQFBfmEQ0Esy6ClcQZXrF9LQ3UVHafPcvLoSWQwzMylS5DlZVwYnqZtcJJYMk3ENMmLhLCTKbrPt+ElR1g7r4mrVy8mi8fDz+3g8WdfIZHJUl9bRVFe/muAXlQk0K812EnDIJnJ8vSO3aRsm1WLF1BTVUEynWHXgcNklAbHjSVd/cj0UJ/9OwEcKq8oSSj1cce06vJCAd5y3VXUVFVy4kwbv37uJaKhIB+44zbqa6pAKf+ULwSPPf4kdTNmUD+zkaNtF5iOxRkaGSPjuj4jws7i2hlc10Fpj8bqSqbGJjh+/ATbrrycg8eP0DyjlsWzm3noocdIZxxuunorB4+doL2rl/qaGqrKS9i0YQ0RS3Jo/wFGRscprqqhpLqKQCjoPyxPIbWgftF8rHCInlNn0EDl7FZC4RDj58/yxx//EEvmz8WyApzr7uVffvADGurqaGxspLe/l3Nt5xgeHaW8vJy1K5azdfMGCkJBTh04TFdHF/k11dTOnU9cWpztH6VreIqpRIaAtCiORJkanWR0sJ/CQIZNS1u5Yv1KplNpHnjiBZ59eQ+u1tRUV5IXjQIGSl/cm1+zatMK8uzOXQxPTTFzRg1zW1sAwb7Dx5hIJDGUwlDeo8nhvonfCeBAYenMtLQ+5kijYEZFGTddcwX50Qiv7D3IqweP0lxXw523v4W8SPhS7lcieOzJp6ipq6WldRaTGZtIfgHRggLC0SihSJTiwgLqq6sIhUIU5xdQX1rK8OAIx4+f4M6338b6NWuJhCLkhaOUFRSQSsZZ0DqLv/vuD3joxReJxePMrK+nuqyYtcuWsnr5UiZGRzl56iQZ16WsuoaSmjpCRUXIaJRwURGD5y6QmZ5CWAGaFi9ksP0Ca5rq+dRd76Ovb4C//86P+Kvv/ghlBrGE5P4HH+D4yTM01NQyu3UOU4kU6VSSuppy1q1cxuZVq8jGYxzcuYfR8QmqWlrIr6pnIGZzfnCMkckktu1SEA3hJNNkYmmEPUmRkeTK1YtYt2wunQMD/Pyhp3h170EMy6K6ppxwKJgLunK8bSEIBIPsPHCYs909FEUjrF2xFNOUHDl5mt7hEQwwA9p7JjnU1/E7AWzmFa3MBsPvcaW05jXVs3XzeqQUPPr085zp7GL5nFncdv01SEO+TvQTHn/yaarraqhvbODU+S7iyTSJVIqp6RixqWncTJpoMEhndy/x2DSVJUWMTcZ55OnnGZucoL29hyeefoFv/+DH9A4NUF9TQ1FRPmYgTPfYOB2Dg+zeu4+6qhpqqyqZUVvN1o3rmdPcwHBfN2dPnSSWSFBYXERJRRWRggIqmmZQ2TSDoAH97V2oqSn+5GMfZEHrLHbs3scrh45yrrOHVCxGnmlwyw3bueHG65mMJ/nZgw/zwK8fY+WSRVSVVyCFpLK8lC1rV7NgVjO9589y8uBBHOVS09yMkV9Ez1SK3skU01mHoBUiHc/4yUvPYbi7k/Kg5tq1S1g4t4m2rg7ufegx9h48SjAUoKaqinA4hC+n6rvp0+c72HvsJPnhEJdtWEskYNHW0cOpC50YCMNwnVcf/uInj/z8qefeiOFvAlePP0N08UcbtSYkXEVFSTFWwCSTzdI/MARC01RbTShg+blnBFooXCFAClwtUbnAK+24KM8jCKxbvoSSvAgGiuYZ1WgEIdMgnU0z7WZ5+UI7mWPHiXUP8Cd/8HsEQkH27dnDt3/wE6QVZmp8gvFEkg6tmB79Gp+8671csWkjBdEgt15zFZetX83LO3fzwOPPsP/4Kfodj1BJCXnV5ZgoYqNjiFiMt2+/jss3rGd8cpKxyQlUJskdV2/hum1bWbdiGe2dPfzD93/IudFBxoYnuX7tWua2trL70BH6B/rZsmEdZcUlXH/5JlYsns+9Dz/GD+/5Je19fVTMnU/TqvVM9PZwaKCb/mSSOUUW8b4YjuNRXhTl9JETFHT30dzcwB+/dRVnxlZzz5O7+fyf/SUrVqzkfW+7jdVLFxMIhRBomhtnEAoEmIjHiccShCuKqa6qxJQSpTA9aN60dsVrtcffBrAovZpoQ2slCCGVoqqyHCkNkpkksek4pmFQX1OTO8vmskNoDGkQDEcYn5hCCpPmqipStoOnPAwJQalx3QyuVhgYGAgc5dHX30dBaRGrb7ue84dPUBWKsGXLJnonJli7ZjVeOsPJ06d55ZW9vHrwENOJGBWllUzE0iTtLNFggP0HjtDY2MhbrruGqy/bwLnObnbsOcCuvQdo6+5BeIqt8+dz0/VXc8X6NTi2w+Fjx2ioq+Wf/uYr1FX51tnd08tX/v7r9DgO81YtQWXPccdN12NnHb5374Mc6e/lnmde5OaN67nh2isoKynkI3e+k83rV/P9n9zDwzt2M1lYRm1LC9HyCgbOtzE8NkxPSDGacZkTz1JbWkhX9zBTUwnKSvOpK6nkbz98M3vbB7j78Zf50Kc+y5YNG3j77TezbsUSGmsqiRoW01MJRkfGqKgspaSkGNOQZD0Pjai99tN/bgJvSHj8Rhe9cf1KYyjFW1UguMIUgqs2raO5cQZjY1M88vQLICV3bL+GlpkNeOpiCVthGCZZ1+ORRx6lp6eHgZ4uhro7GOnpYainj5HRcf/NM0327TvEizv3sOvICZ7a+Sp1C+cSrark8DM72DJ3Di1zZ/PU3j2UlRQxMTlNsKiYTZdv4MZtV7CodRb9g8M8+sTTFOUXUFRSxsc//yV27NlL88x6CvPyOdvWzuaNa7njpuu58eoruePG67n95htobWnEtW0S8RThaB6haJTB0TEOnzjJqTPnmN0yk3WrVjMxOsb5Y8d59/U3cvmaVezYvYefP/kMy7Zfx/m2DvrPn+eqrVsIhwJIFDWVZVy2cT2tMxvpbjvPmVOnkVaQmhkz8cwIPRNJ+iczTCcdHNslLxxgenqaSCCMTsXpPnuGOXUlXL9lKZXFBezYd4yHn3yJ3v5RrFCQ3YcOEEslWb1wETOb6pmaTvDKnv1kHA/p2IPasR8eH+p/QyT9Gy24p2fE8AL5lRpB0JQU5ef5XfbTCVIZm3A0RGlpCZ5SuVKXH+q7bpqtV2wkYEkO7D+Ia2dAGJzr6mPf8TNY0XzaOrp59x23sfvYCV7ad4L8qhpK5yyieeNqRvoGyUzEWLpkAYNjYzRV1lIQKWDMk3QODXPkQgd5wSCtjU18YcN6fn7PL3j+hZcYnJhmxHWJllfws6ef4xN3vI2JiUlOHD/Jtsu30FRXgwaGkkmeOXiIcxe6mBgeYnhoiHgiQzKRpa9/CCOT4e5vfo1NK1fwF5/6OO3dvZxtayeeShFLTFOVH+HIw48QEoJPf/GPKCsqRaKQUuIpRdCyuH7rFpYtWsgv7n+Uux98hO6+XooaZjKjdTGjfT3snxqiN5tlSVbTmBfgdOcIs5sqCEiXwy/toLa2km2L5rF52c08e6SDh158ll8/+xQJT+JhMjY1iVaKqGURMk2mdRYtZbGj3RAQf1MAx9IECJkFWuCz/INBlFKMTU5iuy5FhiAaCeHmtKouVU60xhCCKy/bzJWXbcJAsu/gMfZ/8/uULlhOaX0Tr5w5wdT3f0TaUxTPqKdh0TIKa0uwpWSkZ4CK/AJm1M4gbqepLi7ifFcHfaNjVFXV0lIzl4zr0Ds4QFlhAVU1Nfz0vkfZf6YN8qPklZZTXF1OMp1l6zXbmHSzHGnvpKm0BFEY5Zn+LvZ7HsnqGnRZEXkVFXh9QyTaO/xjm+dx/nw7G1YuI2Vn+dH9D/LMSzsIhoPcdO21bNm0ha7uHoT2WDh/LhJFPJHhxZdfIRQOsXXLRrTnUlVWwic+9B7WrVvBd350Ny/uOQT5xVTUzSBbXsHoQC+vDo/Tn9A0RA3S7YPMayiluqKYoYFhhkbGqK6r4uqWFjZ+9Doe39vFL3edJJlwiE1M4HoOwXCAUDSC9gkUhfFMMg8YfVMAu64bBl2sBVhWgEAwiBYQj03jOTYhyyIYDCE8n8ROThVdCulL9wmBQiOkpKu3l/6pCZbddiVpGULk53Pi8AEmO9qYsWQh5S1lhCvysJMZlJQMxyZ59OlnWbVsCTW1EYoKKykoLGRofJJj7SMsamxg67IljIyPcc9DTzKVtHnfW68jmUzx4ksv4lSWM3jkGLK+jtr1y+g7fpLk2XY233Izx22XvmmbZP8IY8eOM9V2jtjoKLPqavjjD7yLBXNamdfSQmw6yV994zscGBli5uZN/OD+B1m9ZBEVZcUUL5yDIQziiQQ7dh/gJ7+6n0PHjvKet97GFZs3AZaftlWa1YsWMOcvv8TTL+7gOz/7JWfPHqesppGG5tmMj45wfLSHrnSS1nyLrI4xryJMQWkRoxNTnD11gaHuYapnlHLrwlbcbD3fffIEmXQaAQQDASLR8MXzchghQv/LSeg3HpEs0/IQIaE1lmliWiZaa7LZDNrziIYiBANBPOVy6ux5XtzxKslUGiFNpPRV4S4Kck9OxbGTaU7ueIGmpQupbJxBILwaKxwgWpxHcXUUpMdE9yAyKyiqquenjz3DA089x9yZTaxbsYyli+azYEYVQs5gZGiINtvhgcee4lhbO7NmVPKxO99BUWE+bR0dVBSVsfvgIf707nuZWzOD6qZ5pKwIr4xMMDKVYejYCaZOHGF+RQmf+Mh7SMaSPPTIU4wOjTJ/+9WEI1G+8vVv82pnD63brmZsPMaZI6d45OkXeN87biWRTnP6xFmee/4lugb6WTJvLne94+3MntPiszakyCnaamzXJhQyuWn7VpYtXcQvHniYXz3yJL2jo1Q0zCK/qIKxwS4OTw0zlEzTn8gwqzhIU0mE/PIosWSKtrZ+hgfGsDMGpmWSdX2pRVNKAob0W16FsIyAZb5pgLXWUoCBxpcOEhIPTdJ2UIBhCKSAM+3tfO6rf08mr4RoVQ0YGincHGPR9DlnwXwaLrsaOzXNsedeYcnmlbSuWU1FXRFuaholBfbIFIeeeI7i0jq0EljRfGLTk7y87xCvHj5MZWkhc2c2snblKs62dbHvxCmiNeVc98HbOfHc87yy+wBbL9vA7JYWpJLMm9NMKG3TcbaP2KwQpUU19Jw4Sd/BQ8wpiPD+t7+F+tpqosUF1JeV09E9yI9/cR/VVZWMT8V44tgRWq7cRvdgkkxWEi2v55UDh3jrLdsZHh0hnU5y803XUTejjrxIBNf1GJ+c5OTpM4yOTzA8OkFfby/LVy5j1aploDwaqir49EfuYsPqlXz3J/ew7/hxAuU1lNU3Eo+V0DfQxfhYjN60zdy0R21YUBQKEgyZ2FmPeMxBGRZp18NVCqUVUgqUVmghTDMYst40wEJIoYQvom2QaxpTfkZSa42UvszF7v2HmJYWC665Hi8cRkgTYfhnYqEFWvpCoR4Q0A5hK8yF46dpXrWUyvpSpFeEUJAcniSTtgmETAbOn2HD4rlUly0hYpkYUpPIuOw7coSv/P03kUaAUFUVDYuXYTW0UL5kij///o954OlnWLdsCRtWraGuropZTfXsHxzAKKsh0TdN9ys7uWXNEq64bCOGaRKLJ+g/1833vvdTtO3y1S9/ka7BQe57dQ91azcyHnfIxDNkk3EysRGCBeUEpMGs+npaGxrwlIejNFmliSVjtLe3c/bMOXqHhxken2RqcorVq1dhChMPvwYspWbt6uXMbW3msadf5Ie/epDeM8cpr51JQ/M8JkYHODMxSH8qxcyQoCHiUFsoKIxEGEgpssL3Cp5SuDmJJq01CkQ6nTHeNMC54q0mJ9unUH4p7iLYWqM0pDMZzGgxcUci3QRR0yKuDSxLEBIeMdclIiUuJo5hYhSXYJ9x6D9yGtuxScZiJKZjxPuHsdNppmOT1Jbn86XPfhTDCJJKZ6kqL+Xw2Xaq5s6h4KUd9Fy4QMrNcGrHLnr7hqhqqKNh65VMTwxz9wvPc/fDj3L1hg3Mamxk9yuHMFqmSfV2U+wmuWbrFiYzKVIj4zz53Evs2rOfpuZGtm+9knNdvdz90COEquroP3OBZCJJcrifxPgwpflR8ubO4u5HHicSDLJy8UKaZ9SgtYvraQwpmbtwHvMXLUIjfAtzHQwpiSfiuJ6Hp323Gg5aFOYV8Pbbbmbp0sX85N77eGbHHlJmHqWVVYTy8hkd6uVEfJIRVzFBkEBacz7mSzNJw6frespnUgid+238r6fefwdgV6E9DzSO8vxRM0phGiIXhHk4jkJJE8cDL5FkTk0h165exD0v72V+ZQ111aU8tOMgt25azuBUjGfbBrFdTXximj3P7vBbSj0PXI2BgkCQoYFhqoRDPBbDDUU4ePwkW1atwpbQNLOJ5fPnQybDyPAIuw4dY8/J05w+fBQjP8SabRtZefl64kPjHNm5l6gSuPEpvIkRJrsucNWSxUwmk3R19fLt73yPksIytl1+GdGgxWBvN44HV6xbjUKApzHyDFRlHoI5GIbESSc4evwEIyNjPPDQI/ztX34JQwr+8Ts/5nz/AEoASuRqLgIpJFpptPJQaJQ0CAUl29at45brrkGamnkzG/jyZz7BpnUr+f6Pf8WZsycprKqlvnEO8dg0QxODTE+lEdIhriWGyNGCtfZbYl0PoUFqrcKW4b1pgLXnKL8zy2/AzjoOSiuCQX9QRSqVIp3N+hQT18FNZZkcT3C2vYfJkTjdegA7Y5OKp+jsGmI0nsKeSuDFExRUlLHq1msgL5zzCBKkh3JcxtoH6Xj2RYbHpsmvDBDNyyNgmkxOjJPMZCmpqyUaCVJcVcLCFfOZtbCZqBb87O57OfH8K2SnphkbnWRiaJzRvj4KykvwBnpJjQ2z9PbrMS2LBx99klja5m//9CNcecUWpmNJMijygiaRYIjxeAIF5JkW+dEIk7E4jvI51tFQkGw2y0c+9kmOnzzFue4+Hjt+jhmrVhEMWAil8HK90DpHmzWFPxtCGBYT01N8+/6HaW6cwZKlC8l6HoZlceWWLcyfM5f7HniIh596geGeBGVVdYjSGkYGO4nklO1jdpKQ8BvYHM/F8VyfXK+Ua6fT9psGWPkprwxA1nXJZn2/Hwj5LZ3ZrE02m8GSAukpHMejrX+S8z0juMJiZGoY0T6ONiSP7T3nt1xYkmws7idEigqRhVFfHCX3FMyshxhJYAtBf18fl82aSWHTTCytWbdwHmbABM8jlc4SMAOURvIwhCISCNDd3cN3fvUww71DZDJZyuuquOJtN1PTWMvOR58hGZvi7gcfobyqgsGsS3FpOVXlpZzr6+XXL+8h4yoWtjQyb+ZMnnp5B47SzG6sZ+PqlTz64g4GJ2MIJVjYXMemlUsJGoJUMkFHZydFNY0sXL6COQ3V/oBL/DE+KIE2fP61KSCjYO/R0wwdPkxXdy9Lli5+jaKjPGqrKvjkxz7EhnXr+eEv7mPf4eMoz6OxpIDbbtzO0y/v4tCpMwQty5/L5npkHRuERmvlKMd13jTARXn56TGYQmtc2yWTzuIpRWE0D9O0yHiKdCZL04xaMiPPYvd1I0NRPCuAMg2/4dlL+zeL8rsL4g4TPd2ES6O4jkCnPBxLEUYgPImtNEoJQnlFfO/u+3nh5f0oKXF0lmXzZvO2t7yFhx57jGd27iWddRFe1nfxKOLZNNUF+Vy1eQvRaJj7n3uWSHkZk65iemKMLauWcfDUWc4Oj2GGIgQch6RtE0JjRIKEpUXf+ARj09MYBQWYUjKaSvLkzlcJ50XYtmwp7R3dyKBFOuviuR7K81CuTTLlMTg4RsDLYmqFtIzcKD3BwFSCsVgKLRS2kKQzHsqw/GY4/fpGNF8cRmjNqiXzaZ35WU6ePkMskaKluYm8vCgPP/kswpCEo1G0gkzaJpXM5Ci6Oi48nXrTAJeapjvmunGhwfU8kqk0SkFRQQHBQIi0pxmfmGbFsoVcsWoOL+/bTVKYRKsaKa1pZLS3E2dqFEsqso6LIwTSChCIhqheuYq0kmArwo7H1PAwoUiYUGkpeIKixrlMj41xMOliSUlsaAitBePjP+ThV/cRrWrAiFhkpkaZHBmiLj+P7ZdfwbXXXk1ZWQmGUuzfv49Tuw5TUFFOvqv5ww9/kO/96mH2dw6QzmZJDw+QzGaR6Qxhv/kX17ZRKoBp+pNbDCFIOi6FoQABoSiIBJBSkrYzKCGJZxyUEUQ5CXAhbIUwNWAFMIQBUhLvT9I7nPGb1YTCRKNtJyc0Li51OOQ2RpTWuJ5HJBJi7apll1pbz7VdYGJqCsOyKC4uRmlNOpUlk80i0ZjoqZL8SGL0zQLcWlrsto1PDaIUjvKYnJzCVZpwYR754TyGpqbp6x9k9cpFfPJjH+Tm6/r53t2/5MiFboZGepjXUMktd9xBWXEB9z/8JHs6+qhavpJgVTm6sJhMRmM5WUbaznPh5VfIKy1kyc3bsWOT2EDRrNmk02lMxyWbnGDP4ZMcLsinoL4JZTskR4apzIvyjnfczjWXbQHDZGB8jN7hERbNbuG6q6/k6/c8wHhPPwuqqikuKaKlroYXDpygfNYcxifHEErjZR2qy8qZSKaYTKSQEYmbTFFdV4NyFe19w8QDQQaGx8gLWqxZuohMJkVWww9/eT9KBoilBUdefImDbtYPfgxfskJYJsHicsz8YtJTY3iTI3jxaSqFoqWlBUe5gP5XPCwfbh9ohdIa0zCJJ9NkHAfLEBQX5OG6DrFkjKxt+1xvzxs3pc6+aQs+3dWvRNAallYUF8HY6ATK8wgEA0TCQdxRh96BfrTSREJB5sxpJT8aRiUmuPW6q3nrW2+gsrwCKWHnzn2IoSkoqSKhTIyEjWVKlFC4ZpSGdRvxDM1EKkteSxOFrSGEIfGmJkm0XWBocpRAcQnRsjKm+/uZkR9g2zWb2bx5CzJgcfxCB4V5eWRth+KSEtrbz7N06WJKHnqc850X2LrwGr7745/x6AuvUtgwByuSj22F6O4fZN2MOoKWyQxZypzGOhxHgfYIGP75sig/AlJiGAYBQyA8m7GJGLF0hurF84knkwweO8PE2QGWzJ1NbXU1nue7X9d1Od5+lHRRKXYyQX3YYOHiRrZt2URzYyPKU7mGtdd6lchxs4R+XXOa8hgZHyPjagoK8iguLUYpj4mpGI7toP0grn/9rBnZU2dOvDmAT4x2UVDT0oXyHC1Na3x8Ett2CAUtyipKaOvto29oGNv1u/QSiTjRcJA//oOPcdXG9WgTPNfBE+A5aVwnQzbr4TgS03HxTAPTNDHLahEhD8NJQyBMygxiCQ8xNcbQgWMMn+kgL68MMxokPdLPnddfyTVbLiMULeCZfXsYnZimvqmZqGHS0d/JspI8QtE8duw+QGxiEuE6vLznIJMZl/KW+VjFJRAwiVbU8L37H+Ppl1/lxmuuYNH8eTz2xDOcbruAVi6uZ6OVi9YeRm5IltIaTJNY1sYrLWTeNZsJ5AVZ0L2aky/uxhqf4qPvfisNjfU5xTzNnoNH+Obd93JmsIsbPvAe3vv22/wcguf5vcu5FtfX2lZepziQ446jNe0dnWRtm5KiQvILC1AKRsfGsV0XhNYS0fW9Xz/x5o9JAKZhdEjtxRBm6fD4BIlkikCwgNraKjh8nAs9fbR3dpOXF8bxHK7ffg3FRSWMTk2h8C9eIghFItgTY3hD/ahIHq5poE0TbZooQ5KJDZPp66Ny4Xy8UIDJrgsMHDmMl/UonzGTSFEZ0yMDVEajrFu5hn3nztPeP8ispkYKkBw9foymmgqaG+r9HPHLr3JhYAQdDOGYJtNaUj5vITIUZGKgF2kGyC8uImNojnd2sHoywZ6f/4rn9x8jXFblyzzYHk4yydT4EKYpmT1/LgVlJRAMUV2YR11zAxnPIxVLEiguZuVVV/Dcj37Osy++zM03Xo/neYCmZWYDv//+O/nJ3fcwODjE4MgYnnJz7lihFa/NOn6d4t9Fty2kgeMpTpzvQHuK0vw8hCnJOA5DQ8N4WmN6XhbX7dTZFCIYeQOG/+5YnRlzl80Yd7ynMlZ4fllBhE9//C7qG2s4uP8o//z9uzGEpLaizD++GBLLMNBa4Ck/aha5/th4Ms3I+BRGOIo2TIRhIAzDV5tBo5IJtPb8rkChySSmMbIORjQCoShKCITjYNpZyouKidtpPO1RGAwyNh1DCIuSonzwPEbHxsl4GiuSB4bAzaYJWUFcw/CfnJ3F8TRGKIwpQThZCiIRpmIJdCCEDAZ8t+m5SK1x7AzKcwmFQ4TzogjDQBsXp5qKXKLfj4azk3HChiC/wK+d6xyn3dSSlO2ScbKU5OdfosQK7bfXcBHs1+z2YsyFkL6c8tD4NOlEnDuu38Z1N21jairGN771Q0529RJ0neEST28fbD968Hey4Kr8yMTk2HSnQM9PxBOMDI9QO6OKmppq8kIBYhmHzpFxX8jbkEhPox0XTa7JyzCQluFLBLou9lQKgfRbSUxQnofUAkMaaBNcx5dV8I8fmuxUDGTc/wxpkdaaWP8ABgLlpBnVyu/z1TA9PYmyAggpMYUgm4zhKQchBG42A6aJQKI9f3ysnUliCI0wLBKpFCgPw80iU7n8OZ6v8WEEEApS8QzJRNoPipSL9lykYYKQeMqfaiqFZEoaDEwncD3HfxkQSDsX+5gmA8PjPjkip8thCAOlXIRr+1ZrmkjLVzB4LU3s+GMBTIOmpnpQmqnJaUbGJvyXxHX6Qpbs+ze98L8H8IKqotS50ckTwnO321oxMDDEAmc+5eVl1FZWMN3VhzANJBqlPfIsk8s2raekMB+l4Wx7B8fazlNTVcG6ZUsxDQlKcaGjg7Md7Wxat4mCSBilTc52dXGyrROkYNOKpdRXlOM5Nr3D/Rw+eYZ4ymbe3FYqS4ro6upl/col4Lk5aqnBniMn6Bge8Zu57Ay1ZSWsXr2SgpISutq72HPyJHbWZcnsFpYvXoSdjbN7737au4cpzo+wbsVyDhw5wVgqg1CCBc2NVFZWsvvwSVYvWcTkxATH2ztRKAqDQdYuW82hY8eJhiOsXrGMQMBESoMT57vp7x9kxdL5HDh+ipGxcZbPn4shFBOxaVYvW+GbphS4rmLHrj1E88OsX7kSIQSHT53mRPsFFAqBiZAGQkm055GXF6G8ohzlevT3DxJLJJBag3LbSsPBic5/A8N/lzbbUFNH33SyKOvp6z0hrHAowKKF84hGI/T1D9DW0Y282KqpHMojIb70+c9QVlpMUUEet9xwPf19vZQVF/Lxj3wIJxEjGg4Rm46RzmT4k89/noJQmJLyMm66fjvBgMH5tvN88qMfZumCOWhlc/mWjcxtnsX+3fu46spNXLFlAydPnmb9mtVsu3wzyxYtIO24dPQNMjQxDp5LY2UpX/78Z2huqCdoGly+fiNnzpxi6dzZ/OEnPoYhNA21NVxz1VW0tbUTEg5f/fM/QSDZf/QIBflh/vzzn2bx/Hm88NLLfOJDd7J5w2pe3b+fZCLOW667mt/70AfZtXs3TTNq+ehd7yOdmCI/L8zo+BSWFPzVn/4hFeVlHNyzj/fcfjsL582hs+MCa1au4OqtV1BXXUU6kWRqbIxP//4nKC3Mx5Im0YJCTpw9509AxfS3ATR4LnNnNbNh/Spcx2PPvoOc6+zGQCjLtX/a+Yfv3fVnjzz3v2D471rwoy+9SEXj3FNSi0HXNGb2DwwxPR2nMC/CnDmtPLNjN65yQZi+dF1u03n0kV+za+8+vva1v2Xx3NkcOnKMqVicI6dOMxWLc/z0OaL5ebie4ue/eoB9J0/xthu3c/vbbuPVV3YgtcsLr7zCd77/I+a3zuIvvvxFli6YhZtK+WfTrh7+6u++zhc+83Hyovl89evfJCsDaKHRrsOWTZuIRCJ86rN/zFg8SVllJXYixic//H4OHTrAV/7pXwgZJn/xxc9y6/XXcN+9v8BFcO21V7HnwH5mzmpm5swGzp5qw0unsDNpFi2cx/VbL+eVnTt5yw3XIQ1QpoUCUukkx06dYiqR4tipdmbU1OJ4LpvXraTrxmuxpEaaJodOn+P42fN89St/wbETx/nhD37ErJYW8ouK6Ozq5uVXd3O2swfX71kB7+LxyY9p5rTOwjAkU9MxLlzoQmmQuHGp1KFPP/C8/rcw/K3toxV5eT3JeOq4K8TMiekYfT19VFeU0tgwg4qiAvrHJn3CmQCEAcLgpltuYctVVxGORNm9ey/BcJhAOEzrgoWksjZdIxNoz8ay/GkpqXSa3p4+DGES0ALtOGhhYCuLkfE4nudQUFgA+E3lCj9RrnK9x44QeEIg8ffqstJiXMcmls6S1pLeoWGKAgahYJjBgQHSySRZbTA6Mkp1dS2BYIBkMkF7Wzuf/NiHcT2PV17aQUVpJcLVKA/2797D5jUrWb98Gd3tnXhNCiMQREiLSDifBQuXEktm6OwZBw2peIodLzzPzTdsxzQEh4+f9AXPhIWUEmlaqECInoFh/u5v/p6rtl7BXR++i+6BQf7uW99mbDqR+36N9DQFwSDzWltQnk8sGBge9YMw2+k2bef8Pzz+zL+J32+VcDhxYn/aUN5OqVFZ1+PMuXMkM2lC4SCzW5v9/KnQOdVJD43iQlsb2XSKeCxGW/sFrFAQgebYkUMc2LsboRUB0yJgBZk/ezbXXnE573z72zl18hRDwyMIIaivrWLL+lV89EPvR5gBznT2+K0vwaBfD1UeQgmEVnieg9YeWkiUYXHo2AmaGhq48+1v5fI1y/j4ne+ktCDKoYOHuObqq7juyk3cct2VrFq7llcPHiTrKSwzyBNPP4+LpO18B2fPnCMYDCBQhAIhzp05w769+8jLL+CX9z2ApzXSkASCFraTZdeunezZ/SoaD0P62afnX9nJo08+TXVd/aWmd6QkGAgQCIRAGBQVFzGjuornn3ySvbteYeHsWRRFwuB5fn+S8NtYZtRWU11Vgesq2i90kUhnMLRCut6BUpfR34Tfb+3wzx9Nsqu9zVbI611p5NuZNHPn+s1bhiE5euI0ngahFZYU1NXU8OSTT/H8yy/T3NJKLJEimUrR3DST5pkzmTN7HsFQhPYLHVRXV1NbXU1jQyPtF9r5yd33MB1PUVNfR3V1Fa3NzWjt8eNf3MeJ8x1UV1eAkOw/egLXtqmpriE2neDIiRN+5CsNEJLBoSEmRoZZu2oFyxbNJ5NOcfDQUQ4fO0E0P8oVl21i1qwWnnn5FR568hkCgRB1dfU8t3M3L+/azcFDxwiGw5iBIAcOHqGhoZHOnl4ee/o5Xt1/gIGhEWobGjh8/AR4ipaZM2lpmcXC+YtwlEfXhQtUVVSxc/9Bdh/wux97h4Y5fu48hmUwa2YTvYPDnL3QQWFBlMs3b2LdunUUFhXx6K8f58DRo7kecYnGr5VvvWwTrbOaSaRSPPviTgbHxjGVm5V2+p+GhzqP/ib83tR42brGuXkTjv5lJhK6zhCCd7ztVlavXEJ8OsY/fvuHDE1O+7ocyk/xKdfFxWdjCtNEK4UlDUSupmorhac8AjLX4u8pbDcLwsSQBtL0z3944CqFoyRYgqCUfrJfaaTnETAMUJDFy3U2ylyiQGE4DlHLxDAliVQa12/yQWhFQV4ULSTxdBotTEwhsAywbRtHKQQGAUtiGga27REwJdpzyHguWoCFgWUaZJEYSIK5c7HQkqznoDwHyzDJ5u7TEAJpGNi57suoaaIUZJSHUC6m1kSCQVzHI5XOoEx5aTiY1prS/Ah/9OlPUFJSRHtHD//yw7uZTqUJOqkzhdq9fuDbz18QW+v+TezelNrsHxTK5BcGks/LUOgaBy3PnDrDjKoKHnvyWcbGY74rcbMEBQSkiRmwSNsOmUwWZXlIU2LbHoZtI1wPD1+JJ2MYYAUQhgWGgdCgbBtl27n2ST/YENJEpmx/7zUkUvgzgl3bwZeDUAjtgvAzZHgeUmsyrn+MUkr5882Eh0IwlUijTAvTsJBK4CjtK985WUztSzB6nokTCIJhklYKw1VYruuzNlwHW0p0IIib2yJ8OPwkiGdI3GwWtIfUfvHfFQYyGEFLg7STk1VG+7L/jkMinXhtuqoHOsec0Y7NglkLKC4uImU7nD17numEny8wPPVqTUlR728C900D/GAGHTDFs57yuoVlNZ1pv0D/QB8DQ+MoNFVFedxwxVYuW7uK2uoqDMNkcGSMQydO8MhzL3K+tx/Pg8tXLuWWbVeicnN9z3X18IMHHiYtNGAilcPV61dx7ZYNPpleSA4fO8FTL77Eh99zFxVlJTn1OAE5QfGLlReJ4vCJU/zswUe4fO1art+2FYSv+HNR2URoTTJjc7KtnVcOHaFjcBBl+GXL5a1NvOu2G7GERCI50d7B9+9/CFt5mMrjli2b2LJ2JQoPA8nuoyf41a+f4MarLueK9Wt8hqMwePyFl3hsx04WN83kve+4lbD0y4aHzrTxs0efwLlomTnpFVO5vPXqy1m5eCGu8hBK88gzL7Lj+HGEYRC1LFatWknGc5mcjHH02Ak8rbFcJxkS+qmR2JT9ZjD8rWvpsnWBaF3rD81ZS7SYs0qL1iXamLlQz9l4uX7oyad0JpvW/3q5SumDJ07qK259hxZVzfqt77tLZ2370tdPt7XrxtUbtTFvpTbmr9OB1mX6e/fc+4bP+Orf/5NuXbZad3T16N+2Hnn8KV3QMk9/4atf+3e+S2nbzuojp87qt971e9psXaBF0wL99rs+rh3PvfRdT+14VUfnLNW0LNSt67boEyfPXPr304mEfssHPqoD9a36mz/4yRs+/Ut/83XNjFZ90zs/8IZ7vf/JZ3SkdYk2567S5rxV2pi3Ssu5q3SgZaH+0T2/esNnfPKPv6xpWaiZtUQv336r/sYjv9Zff+TX+r1f+HMdbl2q5axlOtgwd++MWfOqX6+B+W+tN602e+TIITuE97DhOjFf49egtCCfv/zDz3HjtquwLBNPvzYxRWkPgWL5grn89Rc/x6yGGZw4fY6B4RG/iqI0VRXl1NfU+BK/rkueKWiqqwPty/8mMykOHjuB44Hr+Vl5pT1fPfbfWF4u/+OTJfzP8F6X481dGaYpWDyvlb/+48+xfFYr2nVxcoV2ncv+K+UhhCSA5s633sac2S0o7aKVxy8ffpSnd7yKMixczy/gaO0CCuX58YBSEs/z6Tsa8FwX5YFS/pahL8ocK43rubnP8HPSnlagJYZpsmLNKoxAgGwyy5GDR8nYNtJzPFN5j2yZOWP4N4mr/U4uGkCrDM2zFu7O2O4+x3O2Ks9h88Y1bLtss+8ytcDzNBe6OnAcm+amRgJBE6UVyxbO5y3XXcV3f/YLOrp7aKyrQaPJy4vQ2tjAK4dPoJSisrSMpvq6S2OeR8cmOHWhA0IhhJS5R6XIZl1OnvHFthH+Q9Majp47j4dACv26iWqKQ0ePsXPvQaoqK9iyfg2V5SVorWisr+Ot117N4eOncy48p3CTU4YXjsOqOXN5x623YOSmi5/v6uBbP/wxyaztN77/Lxbk+VuCyM0x1q8NmrlYMcrNir/4ZHOj9C5OS8wlqpXGFAbhcASpoL+3j/buLj/X7tgdESke6Z6cVvyW9aYBzr0pE0VNC3dmPLXVADasWEo0EsrlgyUv7HiZP/jCn5LJZPizP/o877j9ZgQaKQzWr1nFt+/+BcdOneGydWv8KothMKelGQON57nMqKmmrLQk1+Mk6OzuZWRymuLSkksPSSCZmIzxyT/6E8509/nsewFCSz9YymXTLoqKCSHZsWsvf/zX/4BpGtz1ztv4my99EdM0kAKWLJhPJBR+TbDq4jQnTxGR8P533E5tTSVaKxzX44c//xWnOnuRZvDSnKXXPaXXTZL518DrS9LGl76FnPDK6xTuLr6U5Jr6snYGJ5th/6FDpDT+cBPHeXhmQd75V/bv/a24/U6K77//rt/D8zyttSYYCNBY/1r05imXx559jjO9A3SOTvLMjlewHYeLJ7GykhJMM8C+Q0d8mknu14J5cymIRkEpGupqiIRDl25u38EjTMUTvv6lumjXEqU006kMkymbybT/eyJrk3D90OWNj1ygkSgzQEoEOHnmPJlM9tJ1RcIhTEPmRtm9TjDUddi0YjHXXX0FItce+uq+A9zz8ON4ZggtzTfUbV8D8XWf8frrUBeTQfqSweRq+Sj1xpchR8HxxcuVx/mODk6daQMpMYXuDBjy3qTS/65O9H8I4K//7Bu4ys7TaEzTIhx+rbjsKo+pRAKMAFgBYum0z9nNLcsykKbJ2fMdjE1MXnqLmxsaKC8uwQQWL5iPaViAJp3JcPDoMbzcEEnBa25XSkFZNMyMwigzSwqYVVpIbUEUKdQlRvJrnAiNwkNp33UGAkFkDhzIDaHMzVLSvEafKSkp4sPvv5OyokLQMDo5zT999wcMjE+BYV4it1+0xN+8LqmcvYFgpy9aL//a2nMW7Xk+RTiW4pWd+0hkbUzH1gE3+6s51RUnT7af4M2s33XqikBo6+IAC4R83RckWl063eUooW+c5C0Mg76hES60d1BXVYlGUVZSSG1lKaMjQyycM8d/aEjGxsY5e74dpIFUb5T4Kyst5gff/Dqe8pCGhWUYPL9rD5/6ytdIKnIg+6+vQBAJBSnPDxHJK+S6q64gHA5fevRjoxOkMxlc5fpF95xlLV68CKQfuBnS4PGnn+GFPXvBsl4r8gu/8es1bF4DTP1r0JW+JIB18bybe6C8lm8Sb9wpgGPHj3O+s8cXcHHstjD65xPxpMubXL/zWB2BlGi/N0Zd5JtcAjTH5s9FsBff1IsayGiYjMU5fOwEmzauATQFeVFmz2yiu6eHqqpKvJygS9v5TnqGhkEKUArbUUym0riOS1a5BIqK8ZQi47iYUlCUnw+OP8LO1ZqesTFG4wnywxFWrl3HN+obkaEQRaXF7Dh9moDwaKqq4cU9e8h4HkJa9IxPMpKMozUETYtUKkUkGKQs3591JANBtCdfuyuVI597vshqUAqEet0LjR8DgD9YROiLQdTrRM94w8bAJSV1AZ6AM23tuBpMjRtG3H3Z0oVnf/nI/W8ar98Z4Etm+7qxMBepYq97gTHw03Ii91Z6ueOBUprDp04zPDHJVCpF0DRpbWnmXNt5UtrlyUP7qMwv5PCZs6QdnyUhpaR7YoznLpwlZXuURkPkhQKYGCjtURoNk3EcLkrZeq5mf1s7Rzu7CQUCCFOC9KeIZoeG0J7DvKpy+rsGePi5FyAQQkiTM/2D7G1vQ0kDKQSmBBNBgRVgRWsrqxYt4sVDR5DSQHkalEfGc3n52FEmU2lmVVb6CijSZ4X0T0yQdl2Ko1H/mHcRv4vylNoXJReXNE543X8FSsgc69LFtLPHioKhe/rGxt/U3vsft+CLk9jlRdci8bT2u+lE7ooRuAj6xsbpnxjD8zReMoXEp6ScON/OvpNnONjZQVFBAaWlRcybPZPu8Ul2nTvL6uZZHDpxEk9cTFVKsq7HQCyO62mW1NdzaPduOnuH8TIZFC69/cPY/rAItIaM1sQ8D8/zKIuE/E6FeJKU41KeHyUqLP70q1+ld2QSDAvXc7GVIqN82wpKzeKWWfQODDEQi9E5NcW1V13O7kOHsF1yo499z9QzPsn5kVE8T+EqBcpDKsXJnh4OdnZSX1qKdGw/+/YGkXDf0rOeS/foCEpDQTTy+ocMWmE5Tiqo3W9+9MZ13Z/7+vd+J7x+dwvOhfoSQSKbZcfJU/SPjlFTXPia2LEAR7mc6+9jV9tZiiIFzCkuxhDS5yWNjTMVi+MFLAamppjZ1MCq1cvpH59AexLhKM62taPlxc5kifA0wlEIoVDpDL+672FOdAz4LlzkZBRznKyLysWe61BaVsjsaAE9nZ3Ma2lmf3s7qZRCFBVie8rPLXsujmfjOL76jWko5tfVkpfK0pBfRN/4OKf7B1g9dzYLW5s4eLIDgoFLQqeuUmSVR8pzLxVPyDEkUx4kXJeI9Hlr5IZg+f7aj6szjsMLR4/SMzrO0uamXCXJwI+BHQzXe6pUBh96+uB5/bvC9R+YPvpaRJvIZNh56iS7zrXROzmZYxnmfrserquxXY2rchGwlCAl0/Ek/d09FIQCxJMJRDDEwmUr6BseImiZTE9M0D847F+euphvVti2g7IvkuFMMKUvF6GlH9Dlsl1I8BwPJ5NFeopjh4/yV3/9VXQiQZ5pMhmP4UjBujUrwc0CGldrXNfFsW0ihkmJFeQvv/I3jA0NURYKMZVMMjg1yU3XXUvINHLTWvzd2HZsslkb23EuhU5KAp6Hl7VRtl+M0FLkiC/qDSxKgSCrNFNZl0TW9o9N2sNQHgHX7Y6axt8OJKdjJy/0UFc3iy1brvhPBFhzaSiD0hpXg+uBUMLXe9D+mdWUBp7WOI6L59g+UxJAC2xXc66tnbK8fBzXo2t4lO6xCcbjcQojES60dzCdSPsvRM6feVqRzWZIpJOklUNeyKQyEqCmKExdaZTGigJqC8MYyn8BbMfGydrg+nSZ4ek4Z4+fpq64hGzWpa1vgFWrlpMfDOSehD9MxHVdpNKMjYxy4twFnnvuBZrKyhCuS8fQAPMWLWDuzIZLhD/tKRzHxcna/kTTXCEEBMpT/nU4DtrxwHFAea/zdPJS0cRzFY7j4Lq5rzsO2rERrtvlOW5eOBicLVy3XDt2tKay4E2VeeE/4KIV2nntMK9xXRvHzvrc4aAJuKAkBXlRbNcha9t4rovnOn6gIQQIg87OHm4IhpEajnd0cbKrm6zjUhKNcvhCJ66+OJbGl8L3lEcmm8V1XVyl+cynP+23bRg5RVZpMjk2yae/+GVUrt0169g4yvO3MjPIS6/s4lOrlmK4ms7hEVqXLmHh7NnsPnbW7yVSGuU4ZJ0Mrgqg0Ly8az/XX7ONimiY/ulphuNxbrhmKyf+6bu4wvcsjuPiOi4614x9cSiY4ynsnLpuKBymujBKIu2Sydq+xzBVrnNB5LyHg+N4FzX/0UhsYW5whHhYYkwJ9ISp3P7nXz7yBeDYfwbAGq3jQvgu0HNcJALHcxiNTbN4+WJKnn0eU0pWLF/M4PgYTtYhZJlMTUyRzqQRwkQbJl19g9jJNCHTYDp3U5YhCEnJ2fYOpJGTZhIShN/qkfEcHBeeO3SEgGnhKQ9POaA1BUGL+fXNfs5Ya7J2hmQqTTqTIaAV0rA4faGTydFRSiJhOsbG6B8fY/PGDew9fh6l/XRpJp0hbUncaB4gGI8lePnlV9h07eV0jY5ytKODTYvmM7O2mnN9/f5D8fzJ4peOEbliiu35wE/G4ixb0sLf/N1f4aSzpGJxbDvL2Qtd/Oz+B1ESso5DyrWxHZu8/CiF4TBppXG0MLRhFAjDLMC06nEyC+xk4jv/KQALIcivnTVkg0rbWTk1PkFZWSkdeoTz/UNsmDeXr/7FlzAsAxmKsqvtHA4eNeUl7H3mJdJpG4I+S2hseoqhwUHKiwqZHBzGEJLiaAQ3kaJ3eDRHAPAnWAitci2SLqZpovFwlZ/LDgaCmIZBeX6UvFAQwwpgBgI0VpazaLqWprJyBidjKFcxlUiyd+8Btt9yE0X9vRRHoszbtIGf3vcIyrGpKSxmfk0V+XkhIlbI77wIwvM7X2XrdVdSX1zI2OQU2WyS66+9go4f/xxpmJhC49kZsk7arwTlqkS262I7NmNxl8f37ScUDBAMmORZAWoqS7iipo57f3U/jueis1nsrM3o5DjrLt9Iy7w5TE1PMzEyyvjEOK8cPE5b7wguwvN+Uznt/wMLxhT0COWlHETegYNHuP2dt3OgvY2prOaFYycozs8DDRPxblzlMremmnxP8uwrr6KE6beEIEi7WU6dPsOWq68glU4SDYVpqaml+0wH8YyNNi1/cJXQOK5HxAyybfEKMpksrmv7513P9TsVclIJR4+exFGSY6fOUVFaSsh16Gtr58D+I35QZBi88Oo+ykorCIUsOroHOWvbmIamt7ubw7v3YoSC2EpzoK8DW1oIJRkcG+fZJ57l6qu34pTXUBQJsWzhAkoLC7FTKVa2tPhjYAsLeepEG/iaOhRHI9TkhfGExPU02axNPJ1iyHGZTEyxrLYR7bgox0U7Lp5WnBoconN4jGg4SGEkQllTE+u3bMIM59H203vJHWPedOz0pjfri6umfnb9pMtjdiC4qDgc4Ctf/CxOXogjbedJujaelhhaEg0HWTijlpmlZXz9mz/g5cPHAUFe0MLOuGS1y6KWRj738Q8TSyWZnpwkmUrzxAs7OHqh12f04+9xISloKC1Eex7JZIqMnUVplVOuwae9SHClRBMA5UfPviiKB1qiDH+WIFojLx5jtE/tEaYJwsBwsijTAMNESwONAUqhtUtIa0KWTy0yTUnYCDKSSlIaDdFYU0kkP0IkFKGto5czPT3Mra/n9ttupLiogLy8PCLhEMI0cJXC8zRWwMTIOHzoo5/gs5/+OEU1NRzt7iarPLK2R1rnxuM6HstbZtJ9po0f/vSXmIa0w4nkrfHJ3sf+UwDesn6zcejC4B9lLOvLjvaMmZVlfPRD72PW7FlMZ1JkXYegGUQi6Dx3jgcfeZwTHQN40qIgbLJx7SoOHjjCcCxGwDCJBCxsO4vtOv5kIcPyCxaXLtCPzJVn53K58tKV61zdV+rcCHbpc6O19jX2VG4WoAaE1ARMAzud9fPmOUK5FuJ1pUiNn4k10LmWUYHAy20Xwq/Y+2lXT6CN3KEiRyYUWvpnXUsiXYXwXIKGQcAyiQRMgpYkGAxQXFBEeVkpKMELu3azfdsVXLFpI+FIhHBeFE9C3MkSSyWJxRM0VFZyYM9BvvXDe5BoO5JI3JaY7H1TY95/ZxcdS2e9kCl+5GTSG3QoeHXn+BRf/rtvMbexgbqqCkxTMhWL09XXT/fQILYn/NopLrW1M2iZP4f2nm6G49M4GqYyfmOWkMFcCtZvEPOTF/hdE8JEBgx//hL+2dcw5CXJRAOQpoSgibQMApZFQBoEpMSwAkjDIBoJUTuzgc7ODpTjJySE8nLe1E+hOo4ikXXIut6l6qSdSJOKp1BKYwRMAgET13ZQroNWHlopfxCmMFHCF0AXKjfKXgqSCpIZl8lk1n8R8IB+/2U1AkgrxAPP7eSxF14hLxyhpCCfksICiooKqKwop7a2GjcYZWhwyCc5q9/NLH9nCwbAqqSoKDTftYL/kAkErvRkQGpP55IGCqRAGH7jFNqnkypDELQMVqxagpe2OXToCIYwMKTA09rXPDYDaGkSKSoiUloOoTyMUJhgOEgwEsQKWciQgRUyCQYtAgETyzIwDYkZkBghCzNgEbJMwgGLUMAiEgwQNHKzBE0JhvCP11r4gyS1f5xJpLKMT04zHU+T1YqA0qjhCQ49/RKDfUOUzKhh4fqVFNVW4ToZpJNFatCeR3oqzVDvFKPjU2RiU0yODKNcF5RH0BIETIlj2yhP4CFw/YyA3xmJvEQS0NpPc5JLdwqlMSQETBPPtLCRGHbWjibjt05P9LwpF/0fKDbAe27Ywk+feOlUVVXkAzj2ez2yN7laNCkhI0IKIQVZQzmThnLbhJQvay1as466PavM4L7dB6gtK2PzxnWUVZYRDgZIpbMcOHSUnt4BPKVx7SxmIEy0pgmiBYiAiRGUEJDIgECaEm0JXFMgAn52SOSsWguB7SjcdIJYJo2KxzE0BAqiFNZUUlRahCEDuEoSTztMxGNMTidJpW085TNJDE8w1tnD2Zd2YmdtFly2noalCwmXFoIFJVF/mIiQQcbGE0xfGEC4IwQdTXx4AO2kEcqjqrKCNWtWUF5ejGs7xKaS7Nl3mL6RMQQK004rA3VcmNa456lSPLdMoQsQMqSFDGjTRElJBom6WKXSWhj+/Nr/RAsGtm26nFfPXuAf79guv/TQk9WprDfTxawQSCGlngqYDBaFI31t509Mz1+0rKhzfPL3bazf1/L/ae9MQ+w6zzv+e897lrvMvXfunRnNPpJmRrvjWLYi7wnBBmeRDW3xh7ZqKKGBJsT54iR0o1CXFOzQBlJD24BpSRpKC4G6ZKkbErvGxNYaSVZkaeRZpNk0oztz7527ne193344d2S3peBC4pFhft/m43n+zD3PeZb/4xYMmqGRAR7+2IMMjg4BBr8V8Oa5S5w/9yaNRgNsj3Spn+7d+8j0jyKyXViexHUEti2wpcEWCuIQE/qoxgZBpUK7sk5QryOMpru3yNDELgb3T5Ab7MdOpfCDkHqzzUY9oNn08eMIYyyszsVQqUI2pmZYeusKxeFeBg7sIdXTg+W5dOWz9BRyuLbDWqXFwkKFtaUKjeUV1memqM1Po/0GrmtzYP9e7vnI3RR6iwgpaGw0eeO1U1y6Mk2sFbYKYjtsf7fg2s+MD43cXLm5lgvafrEdBTuUsHpDZYaF5ezQUowjxJDCDGhDn6siNy/MZ5aXZ7/3KxUY4B++9QIvfPdfuDz1Fuu1BiogKb2lLLIpl97uEh+5+w5OnD1PStqp+bXq8ch2/9R46VElBD2FLo7ee4TJ/eNI2yKOYWlhkZ+fOsPi4g0iLbBSXXT1D9M9shPLcSDyiYImYatJ1GoQtjaI/aR+66WzFEslhsZ3smPPbvIjAziZDH4c02i2aTSa+H5AFCUWq1bS2saCxNcrDmkvL6JbLbpHh0n3lfDSLoV8iq5cliiU3CzXWFmsUC838GsVaktz1BauEzVqCKEZ3FHi8F0fYueunUg7Sc7m5xd5/eRZVpbLifOdURt22P5WwRPPtgNdPji5h/n5BVr1BtVGHdX2gcTy6olHHnUvXV/KbrSD7jDSw9LEoxnXfn1+YXbuVy7wuzlx4gxnz54mDH3Gxw9z7NjDt+7lGmMY3n2Q3rZvzVji0dDyvqZc74gWyfrJ3r0T3HXPnRS6CxgBURAwN3ONi29eoXyzkmTXtoMxNqgQ0bmyhuPhZfIUegfoHttF19gQqXwX2rIIY4UKIkIVEuskq7bEpnm5QGxe49YgjMJBIYUi5Tj0lrpJ57tIZzwUkmqtxeryTSprVeKNFsH6GrXlazTXV4j9NsIoeop5Dh06xP4De0hnUiitadab/OLcRS5cuEgrjrEMODqcy1jia0P54j9eLy/4D33oDn700r/fimO5vMrJk+fI5bL84MUfcurCOaZn51iv1fH9EKFCsq7NemX1PenySxP4vdA/tIeVpRmKoxOHAsSfhEL+mrJsD6Pp6Slw+PCdjO8bx/VcBIJW0+ftt2eYunQlsXHSiaOPMEltubRzkq7RPdi5HpSdQm32d0RigGGJxBh084WVlIg3h1OTzyfbkqQ8SSbtkEmlkZaBKKbZDmm0fIJ2G9WKiDbqtNaXaa4u0a6toMMGlrDIF4pM7hvnwIG9FAsFhCVQ2jA/t8iZ02dZXFhMzGi00o4KX87Y8pkvPnDva98+d0l/+cnf4IvP/PF7jt9sucIfPPU0fqvJiy/+8+0nMMA9Rx7kzNVrDOTSpY1QfzZ0vS9paY9qNJ5rs3P3GHfddYj+wR0gJdoYGtU6s1OzTF+9SnmtQhxrjOVhpbI42TzpYh9u9w7crgJWKpv8t1uic+bdQnSa+HrzYHWnZiyEwLIkUoJF0sc1cYyOQ+J2A9WsE2xUaVXLBI0Kut0EE2FLi95iifHxXeyaGKOrlEfYFpa2qK7VuHjhIlenZvD9xEdSqqhih8Hfl1LuNxavXV944L57+dnrr7wv8X7fBQb4+GOf4vyFywxZvjUTp+5Xlnxaue6nYlt6GEMu5bFncjf7Dh6g0FO49TkT+gEryyvMzl5naXmFjUaLSEcIYyGlg+2lsDI53EweJ5PHSeWQHcGFZd2qjolNuyJjQEWYOEQFPpHfImpVk/d6q44OfXSs0EZjS8hkUwwPDjAxMc7g6DBu2kuOXitFs1Zn+q1pLl+6SqXRwFhga6XtKH7DRf3VaDHzg5kba/5XPnucP3vu2fct1lsi8CZ9QxOsRZq+lF1qGnE8tOTnlWXvRyTtwVw2w8TELvbsnaDU14vjOcktCK1p1hvcuLHC/OIyqzduUq/WiaI4sbdHgOgYmFgWQlpYwkFYHZPQzvyYMRqtI7SJ0Cr5bmXT+FwIXEfS1ZWnt7eXkbFh+gf76S4WOg0PkzQwqlXenppm6vIU69UaRthIbXBUsOBivp1B/N2NjbXruwb6+ernjvOFr/zR+xrjLRUYYN+BI5TrNZb+4ikx8IffPBQYPhcL60kl5aAiKQZkMmlGRobYt3+S/sEBvJTH5rCfimPCtk+1ssFapUalUqOyXqVRrxMGIVGsUFpvTtHcegcjNqtgAtu2kNLCdRy6ujIUCgVKPUVKPUUKxSKpTBppy846iiAKQtZW15idnmFu7jrVjUZnRdUgtao6Sn0/B397dPfwiVem5uKj45P85MRPtiS+Wy7wJoePPsz5qbe5c6DXnVqrHVXC+l1s55hyU/2apOngug59vb2MjQ4zNDxAvlTATnvYsnP8o1MJUh37Y78V4vst/CAgCEPCsDMOI0THfsHDc2zS6RSe5+F5Hm4qhXTspB9tJfVloSHyA+rVGstLN5i7Ns+Nm2X8MEjc1oXAUaomg+CntlIv9OXTryyWa81De8Z44dmv8uFHf33L4nrbCAzw+7/3JV76z58yu1Jm2JFew/WORMjf1EJ8Irbl7lhKC5N8W6ZcO6nXDvUzODhAqVQk25XGcpILMbcaCO+YxtFpLyeP3cmoxWbidctSMLnFqCNF2PKp1WqsrKyyOL/AenmdZhBgsJCWhZU4CaxY2rycdu3vZFX46kKt3RjpLTA2PMBrr7281SG9vQTe5P6HPs7U1RnqYczD48POL1Yr+xrafDoy4nEj7DuVlDktrc4Sn0FKQTqdolDIk8/nyOdzdBcLdHVl8DwvGUCQSWFDdIbldGfzX6kkSYqCiGYjMY7ZqG1Qq25Qq9RottvEKtlTEEJg6RhLK9/W+oojxEtZKf+tG/HzGT9olTxJf6nIufMntzqEt7gtBd7kY584RnV5lenFZRrleUZ2HtxRb/tHYsljsZSPaCknDZZnjEDxzgCbwCBt0WlE2ImrrSORcjPJojOio4jjxL09UipJ0lRn1lF0iv9GJJUurQKh9azU8evSxP+Rc52fff6Tjy38+T99T4/19JHd0cP5E69sdcj+F7e1wJsYY/joI8d46/IU5XKZJ+87IF+eWhpta3NEax4wwjqM4+7UUvZpy84ihHj3UOp/X+k0m7kSmxu58M5PeWfY3EitW5ZRN4mi60LF5yS8mpb22YM7RxZePXk6Kg3s4I79+3ni2BN8+ekvbHWI/k8+EAK/m986/hSXL5/h6rXr1NsBpr4qJkf35gPH7m9F4URo2Iuwdmttho0RA0pQ0JAFXIGQQhgr2fM22kAkDIGEFpiaEGbZwloUmGs2Ytpz5HRGmJXnHxqrffpfL5h8Os3E7l08eN/dPP/Nb2x1KN4THziB381zX/9Lfvz9HzM1d41GHFFp1NG1Gsa8Ke7/8JPeRqTTlXojE8U6K8ABYQsrGdM0RittTGS0DnPZrpYtRbuYTfmnzp0ORarXiJRLPpMi53mMDvRy5KP389fPfX2rH/n/zQda4P/J6VNv8PzfvECsFJcuXqLlh6xXq7Ra/juL2bd+mjt/CkF3oYDj2ORyWe6Y3I/WAb/9md/h8cc/udWPtM0222yzzTbbbLPNNttss80vl/8C8p8xTJWq2fQAAAAASUVORK5CYII=';
@@ -68,6 +911,7 @@ const LOGO_64 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAEAAAABGCAYAAAB8M
 let overlayEl = null;
 let overlayStatusEl = null;
 let overlayLogEl = null;
+let overlayBudgetEl = null;
 let badgeEl = null;
 let stopRequested = false;
 
@@ -80,6 +924,47 @@ function savePersistedLog(lines) {
 }
 let persistedLog = loadPersistedLog();
 
+// Marker tokens are remembered across sessions — existing comments already carry them
+function loadSavedMarkers() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('rco_markers') || '{}');
+    preserveMarker = normalizeMarker(saved.preserve, DEFAULT_PRESERVE_MARKER);
+    deleteMarker = normalizeMarker(saved.delete, DEFAULT_DELETE_MARKER);
+    if (saved.mode === MARKER_MODE_LAST_LINE) markerMode = MARKER_MODE_LAST_LINE;
+  } catch {}
+}
+function saveMarkers() {
+  try { localStorage.setItem('rco_markers', JSON.stringify({ preserve: preserveMarker, delete: deleteMarker, mode: markerMode })); } catch {}
+}
+loadSavedMarkers();
+
+// Per-subreddit retention policies are remembered across sessions
+function loadSavedPolicies() {
+  try { subredditPolicies = serializeSubredditPolicies(parseSubredditPolicies(localStorage.getItem('rco_policies') || '')); } catch {}
+}
+function savePolicies() {
+  try { localStorage.setItem('rco_policies', subredditPolicies); } catch {}
+}
+loadSavedPolicies();
+
+// The run schedule is remembered across sessions
+function loadSavedSchedule() {
+  try { runSchedule = serializeSchedule(parseSchedule(localStorage.getItem('rco_schedule') || '')); } catch {}
+}
+function saveSchedule() {
+  try { localStorage.setItem('rco_schedule', runSchedule); } catch {}
+}
+loadSavedSchedule();
+
+// The overwrite template is remembered across sessions; the toggle itself is not
+function loadSavedOverwriteTemplate() {
+  try { overwriteTemplate = localStorage.getItem('rco_overwrite_template') || DEFAULT_OVERWRITE_TEMPLATE; } catch { /* keep default */ }
+}
+function saveOverwriteTemplate() {
+  try { localStorage.setItem('rco_overwrite_template', overwriteTemplate); } catch { /* ignore quota */ }
+}
+loadSavedOverwriteTemplate();
+
 function log(message, ...args) {
   if (LOGGING_ENABLED) console.log('[' + SCRIPT_NAME + '] ' + message, ...args);
   const extra = args.length ? ' ' + args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ') : '';
@@ -95,52 +980,107 @@ function log(message, ...args) {
 /*******************************
  * RATE LIMITING
  ******************************/
-let rateLimitActive = false;
-let lastRateLimitTime = 0;
-let rateLimitMultiplier = 1;
-
-function isRateLimited() {
-  if (!rateLimitActive) return false;
-  const now = Date.now();
-  const timeSinceLimit = now - lastRateLimitTime;
-  const cappedWait = Math.min(BASE_RATE_LIMIT_WAIT * rateLimitMultiplier, RATE_LIMIT_MAX);
-  if (timeSinceLimit >= cappedWait) {
-    rateLimitActive = false;
-    return false;
+const RATE_BUDGET_RESERVE = 2; // requests left over for Reddit's own page scripts
+
+// Token bucket, Reddit's x-ratelimit budget and the 429 backoff all live in src/ratelimit.js
+const rateLimiter = createRateLimiter({
+  baseWait: BASE_RATE_LIMIT_WAIT,
+  maxWait: RATE_LIMIT_MAX,
+  reserve: RATE_BUDGET_RESERVE,
+  onWait: (ms, reason) => {
+    if (reason === 'rate limited') log("Still rate limited, waiting...");
+    else if (reason === 'pacing' && ms > 1000) log('Pacing: ' + formatRateBudget(rateLimiter.budget(), Date.now()) + ', waiting ' + (ms / 1000).toFixed(1) + 's');
+    updateBudgetDisplay();
   }
-  return true;
-}
+});
 
 async function waitForRateLimit() {
-  while (isRateLimited()) {
-    log("Still rate limited, waiting...");
-    await sleep(5000);
+  await rateLimiter.acquire();
+}
+
+function updateBudgetDisplay() {
+  if (overlayBudgetEl) overlayBudgetEl.textContent = [formatRateBudget(rateLimiter.budget(), Date.now()), formatPace(pace.delay())].filter(Boolean).join(' · ');
+}
+
+// A 429 waits for Retry-After or the window reset when Reddit sends them, else backs off exponentially
+function noteRateLimitResponse(status, getHeader, via) {
+  const hadBackoff = rateLimiter.multiplier() > 1;
+  const limited = rateLimiter.noteResponse(status, getHeader);
+  updateBudgetDisplay();
+  if (limited) {
+    log("RATE LIMIT detected (429) via " + via);
+    slowPace();
+    if (limited.fromHeaders) log("Rate limited, Reddit asks to wait " + (limited.wait / 1000).toFixed(0) + "s");
+    else log("Rate limited, waiting " + (limited.wait / 1000) + "s, multiplier: " + rateLimiter.multiplier());
+  } else if (hadBackoff) {
+    log("Rate limit multiplier reset");
   }
 }
 
+// Throttles that are not a 429 (see detectSoftThrottle) go into the same backoff but are counted
+// apart, by kind, and summed up in the log at the end of each run
+let softThrottleCounts = {};
+function noteSoftThrottle(kind, hintMs, where) {
+  softThrottleCounts[kind] = (softThrottleCounts[kind] || 0) + 1;
+  const throttle = rateLimiter.noteThrottle(hintMs);
+  updateBudgetDisplay();
+  log('Soft throttle (' + kind + ') on ' + where + ', #' + softThrottleCounts[kind] + ' this run; ' +
+    (throttle.fromHint ? 'Reddit asks to wait ' : 'backing off ') + (throttle.wait / 1000).toFixed(0) + 's, multiplier: ' + rateLimiter.multiplier());
+  slowPace();
+}
+
+function formatSoftThrottleCounts() {
+  return Object.keys(softThrottleCounts).map(kind => kind + ' ' + softThrottleCounts[kind]).join(', ');
+}
+
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 const rand = (a, b) => Math.floor(Math.random() * (b - a + 1)) + a;
 
+// Delete delays and long pauses are scaled by a pace learned per account (see createPaceController)
+const pace = createPaceController({ baseDelay: DELETE_DELAY_MAX });
+function paceAccount() {
+  return (getUsername() || '').toLowerCase();
+}
+function loadPaces() {
+  try { return JSON.parse(localStorage.getItem('rco_pace') || '{}'); } catch { return {}; }
+}
+function savePace() {
+  const paces = loadPaces();
+  paces[paceAccount()] = pace.state();
+  try { localStorage.setItem('rco_pace', JSON.stringify(paces)); } catch { /* ignore quota */ }
+}
+pace.restore(loadPaces()[paceAccount()]);
+
+function slowPace() {
+  pace.throttle();
+  savePace();
+  log(formatPace(pace.delay()) + ' after the throttle');
+}
+
+// A random delay from [min, max] at the learned pace
+function paced(min, max) {
+  return Math.round(rand(min, max) * pace.scale());
+}
+
 // Fetch monkey-patch for rate limit detection
 const originalFetch = window.fetch;
 window.fetch = async function(...args) {
   const resp = await originalFetch(...args);
-  if (resp.status === 429) {
-    log("RATE LIMIT detected (429)");
-    rateLimitActive = true;
-    lastRateLimitTime = Date.now();
-    const cappedWait = Math.min(BASE_RATE_LIMIT_WAIT * rateLimitMultiplier, RATE_LIMIT_MAX);
-    rateLimitMultiplier = Math.min(rateLimitMultiplier * 2, RATE_LIMIT_MAX / BASE_RATE_LIMIT_WAIT);
-    log("Rate limited, waiting " + (cappedWait / 1000) + "s, multiplier: " + rateLimitMultiplier);
-  } else {
-    if (rateLimitMultiplier > 1) {
-      rateLimitMultiplier = 1;
-      log("Rate limit multiplier reset");
-    }
-  }
+  noteRateLimitResponse(resp.status, name => resp.headers.get(name), 'fetch');
   return resp;
 };
 
+// XHR monkey-patch, for requests Reddit's own page scripts make while a run is going
+const OriginalXHR = window.XMLHttpRequest;
+window.XMLHttpRequest = class extends OriginalXHR {
+  constructor() {
+    super();
+    this.addEventListener('readystatechange', () => {
+      if (this.readyState === 4) noteRateLimitResponse(this.status, name => this.getResponseHeader(name), 'XMLHttpRequest');
+    });
+  }
+};
+
 /*******************************
  * THREAD SLEEP HELPER
  ******************************/
@@ -222,6 +1162,12 @@ function showOverlay(title, statusHtml) {
   if (statusHtml) overlayStatusEl.innerHTML = statusHtml;
   panel.appendChild(overlayStatusEl);
 
+  // Reddit's request budget from the x-ratelimit-* headers, empty until a response carries them
+  overlayBudgetEl = document.createElement('div');
+  Object.assign(overlayBudgetEl.style, { fontSize: '12px', color: '#777', marginBottom: '8px' });
+  panel.appendChild(overlayBudgetEl);
+  updateBudgetDisplay();
+
   overlayLogEl = document.createElement('div');
   Object.assign(overlayLogEl.style, {
     fontSize: '11px', color: '#555', height: '120px', overflowY: 'auto',
@@ -242,68 +1188,555 @@ function showOverlay(title, statusHtml) {
   document.body.appendChild(overlayEl);
 }
 
-function updateOverlay(html) {
-  if (overlayStatusEl) overlayStatusEl.innerHTML = html;
+function updateOverlay(html) {
+  if (overlayStatusEl) overlayStatusEl.innerHTML = html;
+}
+
+function updateOverlayStatus(msg) {
+  if (overlayStatusEl) overlayStatusEl.textContent = msg;
+}
+
+function hideOverlay() {
+  if (overlayEl) { overlayEl.remove(); overlayEl = null; overlayStatusEl = null; overlayLogEl = null; overlayBudgetEl = null; }
+  btn.style.display = 'flex';
+}
+
+function showBadge() {
+  if (badgeEl) return;
+  badgeEl = document.createElement('div');
+  badgeEl.textContent = 'RCO';
+  Object.assign(badgeEl.style, {
+    position: 'fixed', bottom: '15px', right: '15px', padding: '6px 10px',
+    background: '#d00', color: '#fff', borderRadius: '4px', fontSize: '12px',
+    fontWeight: 'bold', cursor: 'pointer', zIndex: 999999,
+    boxShadow: '0 2px 6px rgba(0,0,0,0.3)', userSelect: 'none'
+  });
+  badgeEl.onclick = () => showOverlay();
+  badgeEl.title = 'Click to open RCO overlay';
+  document.body.appendChild(badgeEl);
+}
+
+/*******************************
+ * SEEN-ID INDEX (IndexedDB)
+ ******************************/
+// Per-user record of every fetched item: { user, name, item, state, decision, rules }. `item` is the
+// last-known listing item, so an early-stopped scan can still categorize what it did not re-fetch.
+const INDEX_DB = 'rco_api_index';
+let indexDbPromise = null;
+
+function openIndexDb() {
+  if (!indexDbPromise) {
+    indexDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(INDEX_DB, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore('items', { keyPath: ['user', 'name'] });
+        store.createIndex('user', 'user');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return indexDbPromise;
+}
+
+// fullname → record for the current user; an empty Map when IndexedDB is unavailable
+async function loadIndex() {
+  try {
+    const db = await openIndexDb();
+    const records = await new Promise((resolve, reject) => {
+      const req = db.transaction('items').objectStore('items').index('user').getAll(getUsername().toLowerCase());
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return new Map(records.map(r => [r.name, r]));
+  } catch (e) {
+    log('Seen-ID index unavailable (' + e.message + '), fetching everything');
+    return new Map();
+  }
+}
+
+async function indexItems(items, decision) {
+  if (!items.length || dryRun) return;
+  const user = getUsername().toLowerCase();
+  const rules = currentRules();
+  try {
+    const db = await openIndexDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction('items', 'readwrite');
+      for (const item of items) {
+        tx.objectStore('items').put({ user, name: item.name, item, state: itemState(item), decision, rules, seenAt: Date.now() });
+      }
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (e) {
+    log('Could not update the seen-ID index: ' + e.message);
+  }
+}
+
+// Everything categorizeComments() depends on; decisions indexed under other rules are looked at again
+function currentRules() {
+  return JSON.stringify([retentionMode, daysToPreserve, subredditPolicies, keepNewestCount, deleteFromDate, deleteToDate,
+    preserveDotComments, xMeansDelete, preserveMarker, deleteMarker, markerMode, onlySubreddits, exceptSubreddits,
+    protectedSignals, preserveOwnThreads, depthFilter, minScoreToPreserve, onlyDeleteDownvoted, keepPatterns, purgePatterns]);
+}
+
+/*******************************
+ * FETCH COMMENTS VIA JSON API
+ ******************************/
+// One comment or post from any listing or search; `sort` records the pass that found it
+function toListingItem(d, sort) {
+  return {
+    name: d.name,              // t1_xxx or t3_xxx
+    kind: d.name.startsWith('t3_') ? 'post' : 'comment',
+    created_utc: d.created_utc, // Unix timestamp
+    body: d.body || d.selftext || '',
+    title: d.title || '',      // posts only
+    author: d.author || '',
+    score: d.score,
+    signals: {
+      distinguished: !!d.distinguished,
+      stickied: !!d.stickied,
+      gilded: d.gilded > 0 || (d.all_awardings || []).length > 0 || d.total_awards_received > 0,
+      saved: !!d.saved
+    },
+    subreddit: d.subreddit || '',
+    link_author: d.link_author || '', // author of the post the comment is on
+    parent_id: d.parent_id || '',     // t3_ = top-level, t1_ = reply
+    permalink: d.permalink || '',
+    sort: sort,
+    id: d.id
+  };
+}
+
+// Follows the `after` cursor through one listing (or search) until it runs out, or until a page
+// holds only items for which `settled` is true (incremental scans)
+async function fetchListingPages(baseUrl, label, progressStep, progressCb, settled = null) {
+  const comments = [];
+  const seen = new Set();
+  let after = null;
+  let page = 0;
+
+  while (true) {
+    await waitForRateLimit();
+    page++;
+    const url = new URL(baseUrl);
+    url.searchParams.set('limit', String(API_PAGE_LIMIT));
+    if (after) url.searchParams.set('after', after);
+
+    if (progressCb) progressCb(progressStep);
+
+    let resp;
+    try {
+      resp = await fetch(url.toString(), { credentials: 'include' });
+    } catch (e) {
+      log('Fetch error for ' + label + ' page ' + page + ': ' + e.message);
+      break;
+    }
+    if (!resp.ok) {
+      log('HTTP ' + resp.status + ' for ' + label + ' page ' + page + ', stopping pass');
+      break;
+    }
+
+    let data;
+    try { data = await resp.json(); } catch {
+      log('JSON parse error for ' + label + ' page ' + page + ', stopping pass');
+      break;
+    }
+
+    const children = data?.data?.children || [];
+    if (!children.length) break;
+
+    const pageItems = [];
+    for (const child of children) {
+      const d = child?.data;
+      if (!d || d.created_utc == null) continue;
+      pageItems.push(toListingItem(d, label));
+      if (seen.has(d.name)) continue;
+      seen.add(d.name);
+      comments.push(pageItems[pageItems.length - 1]);
+    }
+
+    if (settled && pageItems.length && pageItems.every(settled)) {
+      log('  ' + label + ' page ' + page + ' has nothing new or changed, ending pass early');
+      break;
+    }
+
+    after = data?.data?.after;
+    if (!after) break;
+    await sleep(FETCH_DELAY_MS);
+  }
+
+  return comments;
+}
+
+// Listing is "comments" (t1_) or "submitted" (t3_ posts); pass is a sort, optionally with a t= window
+async function fetchCommentsBySort(pass, progressCb, listing = 'comments', settled = null) {
+  const { sort, t } = parsePass(pass);
+  const url = new URL(location.origin + '/user/' + getUsername() + '/' + listing + '.json');
+  url.searchParams.set('sort', sort);
+  if (t) url.searchParams.set('t', t);
+  return fetchListingPages(url, pass, fetchStepName(listing, pass), progressCb, settled);
+}
+
+// Reddit search only returns posts, so author: searches can find submissions but not comments
+async function fetchAuthorSearch(subreddit, progressCb) {
+  const url = new URL(location.origin + '/r/' + subreddit + '/search.json');
+  url.searchParams.set('q', 'author:' + getUsername());
+  url.searchParams.set('restrict_sr', 'on');
+  url.searchParams.set('sort', 'new');
+  url.searchParams.set('t', 'all');
+  url.searchParams.set('include_over_18', 'on');
+  const step = 'search r/' + subreddit;
+  const found = await fetchListingPages(url, step, step, progressCb);
+  return found.filter(c => c.author.toLowerCase() === getUsername().toLowerCase());
+}
+
+function fetchStepName(listing, pass) {
+  return listing === 'submitted' ? 'posts ' + pass : pass;
+}
+
+function fetchSteps() {
+  const passes = discoveryPasses(SORTS, extendedDiscovery);
+  return contentListings(contentType).flatMap(listing => passes.map(pass => fetchStepName(listing, pass)));
+}
+
+// `incremental` uses the seen-ID index; verification always fetches everything
+async function fetchAllComments(progressCb, incremental = false) {
+  const index = incremental ? await loadIndex() : new Map();
+  const rules = currentRules();
+  const settled = index.size ? item => isSettledItem(index.get(item.name), itemState(item), rules) : null;
+  const all = [];
+  const seen = new Set();
+  const report = []; // [pass, new unique IDs]
+  const addAll = (step, found) => {
+    const fresh = found.filter(c => !seen.has(c.name));
+    for (const c of fresh) seen.add(c.name);
+    all.push(...fresh);
+    report.push([step, fresh.length]);
+    log('  Got ' + found.length + ', ' + fresh.length + ' new unique');
+    if (progressCb) progressCb(step, all.length);
+  };
+  const steps = fetchSteps();
+
+  for (const listing of contentListings(contentType)) {
+    for (const pass of discoveryPasses(SORTS, extendedDiscovery)) {
+      const step = fetchStepName(listing, pass);
+      log('Fetching ' + listing + ' pass: ' + pass);
+      addAll(step, await fetchCommentsBySort(pass, progressCb, listing, settled));
+      if (step !== steps[steps.length - 1]) await sleep(SORT_DELAY_MS);
+    }
+  }
+
+  // Per-subreddit author: searches, seeded from the subreddits found so far
+  if (extendedDiscovery && contentListings(contentType).includes('submitted')) {
+    const subreddits = [...new Set(all.map(c => c.subreddit).filter(Boolean))];
+    log('Searching ' + subreddits.length + ' subreddit(s) for author:' + getUsername());
+    for (const subreddit of subreddits) {
+      if (!overlayEl) break; // cancelled
+      await sleep(SORT_DELAY_MS);
+      addAll('search r/' + subreddit, await fetchAuthorSearch(subreddit, progressCb));
+    }
+  } else if (extendedDiscovery) {
+    log('Skipping author: searches — Reddit search only returns posts');
+  }
+
+  if (report.length > 1) {
+    log('Discovery report (new unique IDs per pass): ' + report.map(([step, n]) => step + ' +' + n).join(', '));
+  }
+
+  if (index.size) {
+    const kinds = contentListings(contentType).map(listing => listing === 'submitted' ? 'post' : 'comment');
+    const merged = mergeIndexedItems(all, [...index.values()].filter(r => kinds.includes(r.item.kind)));
+    log('Seen-ID index: ' + (merged.length - all.length) + ' items not re-fetched, using their last-known state');
+    return merged;
+  }
+  return all;
+}
+
+/*******************************
+ * CATEGORIZE COMMENTS
+ ******************************/
+function categorizeComments(comments) {
+  const categorized = {
+    deleteByDate: [],  // past cutoff, no dot, no x
+    deleteByX: [],     // has x override
+    deleteByPattern: [], // matched a force-delete pattern
+    preserveDot: [],   // has dot preserve
+    preservePattern: [], // matched a keep pattern
+    preserveAge: [],   // within cutoff or outside the date range, no dot, no x
+    preserveSubreddit: [], // outside the only-list or inside the except-list
+    preserveScore: [], // at/above score threshold, or not downvoted in downvoted-only mode
+    preserveNewest: [], // one of the newest N comments (count retention mode)
+    preserveSignal: [], // distinguished, stickied, gilded/awarded or saved
+    preserveOwnThread: [], // on a post the user submitted (link_author)
+    preserveDepth: [], // outside the top-level/replies filter (parent_id)
+    deletePost: [],    // posts (t3_) that any delete rule selected, reviewed as their own group
+  };
+
+  // Count retention ranks the full list by created_utc, so it must see every fetched item.
+  // Comments and posts are ranked apart, as the DOM variants count each listing on its own.
+  const rankCutoffs = retentionMode === RETENTION_MODE_COUNT ? newestCutoffsByKind(comments, keepNewestCount) : {};
+  for (const kind of Object.keys(rankCutoffs)) {
+    const cutoff = rankCutoffs[kind];
+    if (cutoff === null || !comments.some(c => c.kind === kind)) continue;
+    log('Keeping newest ' + keepNewestCount + ' ' + kind + 's' +
+      (cutoff > 0 && cutoff < Infinity ? ' (created at or after ' + new Date(cutoff * 1000).toISOString() + ')' : ''));
+  }
+
+  for (const c of comments) {
+    if (shouldSkipCommentBySubreddit(c.subreddit, onlySubreddits, exceptSubreddits)) {
+      categorized.preserveSubreddit.push(c);
+      continue;
+    }
+    if (shouldSkipCommentBySignal(c.signals, protectedSignals)) {
+      categorized.preserveSignal.push(c);
+      continue;
+    }
+    // A post is never a reply, and is always in a thread the user started
+    if (c.kind === 'comment' && shouldSkipCommentByThreadAuthor(c.link_author, getUsername(), preserveOwnThreads)) {
+      categorized.preserveOwnThread.push(c);
+      continue;
+    }
+    if (c.kind === 'comment' && shouldSkipCommentByDepth(c.parent_id, depthFilter)) {
+      categorized.preserveDepth.push(c);
+      continue;
+    }
+
+    const policy = findSubredditPolicy(c.subreddit, subredditPolicies, daysToPreserve);
+    c.policy = retentionMode === RETENTION_MODE_DAYS ? policy.label + ' ' + policy.days + 'd' : 'newest ' + keepNewestCount;
+    const byAge = retentionMode === RETENTION_MODE_DAYS && shouldSkipCommentByDate(c.created_utc, policy.days);
+    const byDate = byAge || shouldSkipCommentByDateRange(c.created_utc, deleteFromDate, deleteToDate);
+    const byNewest = shouldSkipCommentByRank(c.created_utc, rankCutoffs[c.kind]);
+    const blocks = markdownParagraphs(c.body);
+    const byDot = shouldSkipCommentByDot(blocks, preserveDotComments, preserveMarker, markerMode);
+    const byX = shouldDeleteCommentByX(blocks, xMeansDelete, deleteMarker, markerMode);
+    const byScore = shouldSkipCommentByScore(c.score, minScoreToPreserve, onlyDeleteDownvoted);
+    const text = c.title ? c.title + '\n' + c.body : c.body; // posts match on title and self text
+    const byKeep = shouldSkipCommentByPattern(text, keepPatterns);
+    const byPurge = shouldDeleteCommentByPattern(text, purgePatterns);
+
+    let bucket;
+    if (byDot) {
+      bucket = 'preserveDot';
+    } else if (byKeep) {
+      bucket = 'preservePattern';
+    } else if (byX) {
+      bucket = 'deleteByX';
+    } else if (byPurge) {
+      bucket = 'deleteByPattern';
+    } else if (byScore) {
+      bucket = 'preserveScore';
+    } else if (byNewest) {
+      bucket = 'preserveNewest';
+    } else if (!byDate) {
+      bucket = 'deleteByDate';
+    } else {
+      bucket = 'preserveAge';
+    }
+    if (c.kind === 'post' && bucket.startsWith('delete')) bucket = 'deletePost';
+    categorized[bucket].push(c);
+  }
+
+  return categorized;
+}
+
+/*******************************
+ * DELETE VIA /api/del
+ ******************************/
+// /api/editusertext answers 200 with json.errors when the edit is refused (e.g. archived thread)
+async function overwriteViaApi(fullname, text) {
+  let softThrottles = 0;
+  while (true) {
+    await waitForRateLimit();
+    try {
+      const fd = new FormData();
+      fd.append('thing_id', fullname);
+      fd.append('text', text);
+      fd.append('api_type', 'json');
+      const resp = await fetch('/api/editusertext', {
+        method: 'POST', body: fd, credentials: 'include'
+      });
+      if (resp.status === 429) {
+        log('Rate limited on edit, backing off');
+        continue;
+      }
+      const body = await resp.text().catch(() => '');
+      // An 'error' body is a refusal (reported below); the other kinds mean the edit never happened
+      const soft = detectSoftThrottle(resp.status, resp.headers.get('content-type'), body);
+      if (soft && soft.kind !== 'error') {
+        noteSoftThrottle(soft.kind, soft.waitMs, 'edit');
+        if (++softThrottles < SOFT_THROTTLE_RETRIES) continue;
+        log('Giving up on overwriting ' + fullname + ' after ' + softThrottles + ' soft throttles');
+        return false;
+      }
+      if (!resp.ok) {
+        log('Overwrite failed with HTTP ' + resp.status + ' for ' + fullname);
+        return false;
+      }
+      let data = null;
+      try { data = JSON.parse(body); } catch { /* not JSON */ }
+      if (!data?.json) {
+        log('Overwrite not confirmed for ' + fullname + ' (no JSON answer)');
+        return false;
+      }
+      const errors = data.json.errors || [];
+      if (errors.length) {
+        log('Overwrite refused for ' + fullname + ': ' + errors.map(e => [].concat(e).join(' ')).join('; '));
+        return false;
+      }
+      return true;
+    } catch (e) {
+      log('Overwrite error for ' + fullname + ': ' + e.message);
+      await sleep(5000);
+    }
+  }
+}
+
+async function deleteCommentViaApi(fullname, comment) {
+  if (dryRun) {
+    log('DRY-RUN: Would ' + (overwriteBeforeDelete ? 'overwrite and ' : '') + 'delete ' + fullname);
+    return true;
+  }
+
+  // Link posts have no body to overwrite. A failed overwrite skips the delete: deleting would keep
+  // the original text as the last edited version, which is what the overwrite is there to prevent.
+  if (overwriteBeforeDelete && (!comment || comment.kind !== 'post' || comment.body)) {
+    const text = renderOverwriteTemplate(overwriteTemplate, { subreddit: comment?.subreddit || '', id: fullname });
+    if (!(await overwriteViaApi(fullname, text))) {
+      log('Overwrite failed for ' + fullname + ', not deleting it');
+      return false;
+    }
+    log('Overwrote ' + fullname + ' with: ' + text);
+    await sleep(paced(DELETE_DELAY_MIN, DELETE_DELAY_MAX));
+  }
+
+  let softThrottles = 0;
+  while (true) {
+    await waitForRateLimit();
+    try {
+      const fd = new FormData();
+      fd.append('id', fullname);
+      const resp = await fetch('/api/del', {
+        method: 'POST', body: fd, credentials: 'include'
+      });
+      // The fetch patch has already applied these headers; here they only make the log specific
+      const budget = parseRateLimitHeaders(name => resp.headers.get(name), Date.now());
+      if (resp.status === 429) {
+        log('Rate limited on delete, ' + (budget ? formatRateBudget(budget, Date.now()) : 'no rate-limit headers, backing off'));
+        continue;
+      }
+      // An ok status is not proof: Reddit also throttles with an HTML page, a 403 or an error body
+      const soft = detectSoftThrottle(resp.status, resp.headers.get('content-type'), await resp.text().catch(() => ''));
+      if (soft) {
+        noteSoftThrottle(soft.kind, soft.waitMs, 'delete');
+        if (++softThrottles < SOFT_THROTTLE_RETRIES) continue;
+        log('Giving up on ' + fullname + ' after ' + softThrottles + ' soft throttles');
+        return false;
+      }
+      if (resp.ok) {
+        if (budget && budget.remaining !== null && budget.remaining <= RATE_BUDGET_RESERVE) log('Delete budget spent: ' + formatRateBudget(budget, Date.now()));
+        return true;
+      }
+      log('Delete failed with HTTP ' + resp.status + ' for ' + fullname);
+      return false;
+    } catch (e) {
+      log('Delete error for ' + fullname + ': ' + e.message);
+      await sleep(5000);
+    }
+  }
+}
+
+// Outside the run schedule: sleep until the next window opens, or until Stop
+async function waitForSchedule() {
+  const schedule = parseSchedule(runSchedule);
+  if (inSchedule(schedule, new Date())) return;
+  const resumeAt = nextScheduleStart(schedule, new Date());
+  log('Outside the run schedule (' + runSchedule + '), pausing until ' + resumeAt.toLocaleString());
+  if (overlayStatusEl) {
+    overlayStatusEl.innerHTML += '<br>Outside the run schedule ' + escapeHtml(runSchedule) + ', paused until ' + escapeHtml(resumeAt.toLocaleString());
+    overlayStatusEl.scrollTop = overlayStatusEl.scrollHeight;
+  }
+  while (!stopRequested && Date.now() < resumeAt.getTime()) {
+    await sleep(Math.min(60000, resumeAt.getTime() - Date.now()));
+  }
+  if (!stopRequested) log('Run schedule window open, resuming');
 }
 
-function updateOverlayStatus(msg) {
-  if (overlayStatusEl) overlayStatusEl.textContent = msg;
-}
+async function runDeletions(comments, progressCb) {
+  let deleted = 0;
+  softThrottleCounts = {};
+  let nextPause = rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
 
-function hideOverlay() {
-  if (overlayEl) { overlayEl.remove(); overlayEl = null; overlayStatusEl = null; overlayLogEl = null; }
-  btn.style.display = 'flex';
-}
+  for (let i = 0; i < comments.length; i++) {
+    if (stopRequested) { log('Stop requested, stopping deletions'); break; }
+    await waitForSchedule();
+    if (stopRequested) { log('Stop requested, stopping deletions'); break; }
 
-function showBadge() {
-  if (badgeEl) return;
-  badgeEl = document.createElement('div');
-  badgeEl.textContent = 'RCO';
-  Object.assign(badgeEl.style, {
-    position: 'fixed', bottom: '15px', right: '15px', padding: '6px 10px',
-    background: '#d00', color: '#fff', borderRadius: '4px', fontSize: '12px',
-    fontWeight: 'bold', cursor: 'pointer', zIndex: 999999,
-    boxShadow: '0 2px 6px rgba(0,0,0,0.3)', userSelect: 'none'
-  });
-  badgeEl.onclick = () => showOverlay();
-  badgeEl.title = 'Click to open RCO overlay';
-  document.body.appendChild(badgeEl);
+    const c = comments[i];
+    const ok = await deleteCommentViaApi(c.name, c);
+    if (ok) {
+      deleted++;
+      await indexItems([c], 'deleted');
+      if (!dryRun) {
+        pace.success();
+        savePace();
+        updateBudgetDisplay();
+      }
+      const ageDays = ((Date.now() / 1000 - c.created_utc) / 86400).toFixed(1);
+      log('Deleted r/' + c.subreddit + ' "' + c.body.slice(0, 50) + '..."  ' + ageDays + 'd ago' + (c.policy ? '  [policy ' + c.policy + ']' : ''));
+    }
+    if (progressCb) progressCb(deleted, comments.length, c);
+
+    if (deleted >= nextPause) {
+      const p = paced(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
+      log('Long pause after ' + deleted + ' deletions, waiting ' + (p / 1000) + 's');
+      if (overlayStatusEl) overlayStatusEl.innerHTML += '<br>Progress: ' + deleted + ' / ' + comments.length + '  (rate limit pause ' + (p / 1000).toFixed(0) + 's)';
+      await sleep(p);
+      nextPause = deleted + rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+    }
+
+    await sleep(paced(DELETE_DELAY_MIN, DELETE_DELAY_MAX));
+  }
+
+  if (Object.keys(softThrottleCounts).length) log('Soft throttles this run: ' + formatSoftThrottleCounts());
+  return deleted;
 }
 
 /*******************************
- * FETCH COMMENTS VIA JSON API
+ * HISTORY CLEANUP (saved, hidden, votes)
  ******************************/
-async function fetchCommentsBySort(sort, progressCb) {
-  const comments = [];
+const HISTORY_LABELS = { saved: 'Unsave', hidden: 'Unhide', upvoted: 'Clear upvote', downvoted: 'Clear downvote' };
+
+// Collect the whole listing first: removing items while paging would shift the `after` cursor
+async function fetchHistoryListing(listing, progressCb) {
+  const items = [];
   const seen = new Set();
   let after = null;
   let page = 0;
 
-  while (true) {
+  while (!stopRequested) {
     await waitForRateLimit();
     page++;
-    const url = new URL(location.origin + '/user/' + getUsername() + '/comments.json');
-    url.searchParams.set('sort', sort);
+    const url = new URL(location.origin + '/user/' + getUsername() + '/' + listing + '.json');
     url.searchParams.set('limit', String(API_PAGE_LIMIT));
     if (after) url.searchParams.set('after', after);
 
-    if (progressCb) progressCb(sort);
-
     let resp;
     try {
       resp = await fetch(url.toString(), { credentials: 'include' });
     } catch (e) {
-      log('Fetch error for ' + sort + ' page ' + page + ': ' + e.message);
+      log('Fetch error for ' + listing + ' page ' + page + ': ' + e.message);
       break;
     }
     if (!resp.ok) {
-      log('HTTP ' + resp.status + ' for ' + sort + ' page ' + page + ', stopping sort');
+      log('HTTP ' + resp.status + ' for ' + listing + ' page ' + page + ', stopping');
       break;
     }
 
     let data;
     try { data = await resp.json(); } catch {
-      log('JSON parse error for ' + sort + ' page ' + page + ', stopping sort');
+      log('JSON parse error for ' + listing + ' page ' + page + ', stopping');
       break;
     }
 
@@ -312,140 +1745,308 @@ async function fetchCommentsBySort(sort, progressCb) {
 
     for (const child of children) {
       const d = child?.data;
-      if (!d || d.created_utc == null) continue;
-      if (seen.has(d.name)) continue;
+      if (!d || !d.name || seen.has(d.name)) continue;
       seen.add(d.name);
-      comments.push({
-        name: d.name,              // t1_xxx
-        created_utc: d.created_utc, // Unix timestamp
-        body: d.body || '',
-        subreddit: d.subreddit || '',
-        permalink: d.permalink || '',
-        sort: sort,
-        id: d.id
-      });
+      items.push({ name: d.name, subreddit: d.subreddit || '', title: d.title || d.link_title || '' });
     }
+    if (progressCb) progressCb(items.length);
 
     after = data?.data?.after;
     if (!after) break;
     await sleep(FETCH_DELAY_MS);
   }
 
-  return comments;
+  return items;
 }
 
-async function fetchAllComments(progressCb) {
-  const all = [];
-  const seen = new Set();
+async function cleanupHistoryItem(listing, fullname) {
+  const req = historyCleanupRequest(listing, fullname);
+  if (dryRun) {
+    log('DRY-RUN: Would call ' + req.path + ' for ' + fullname);
+    return true;
+  }
 
-  for (const sort of SORTS) {
-    log('Fetching sort: ' + sort);
-    const sorted = await fetchCommentsBySort(sort, progressCb);
-    let added = 0;
-    for (const c of sorted) {
-      if (!seen.has(c.name)) {
-        seen.add(c.name);
-        all.push(c);
-        added++;
+  let softThrottles = 0;
+  while (true) {
+    await waitForRateLimit();
+    try {
+      const fd = new FormData();
+      for (const [key, value] of Object.entries(req.params)) fd.append(key, value);
+      const resp = await fetch(req.path, {
+        method: 'POST', body: fd, credentials: 'include'
+      });
+      if (resp.status === 429) {
+        log('Rate limited on ' + req.path + ', backing off');
+        continue;
       }
+      // Same throttles as on /api/del: an HTML page, a 403 or an error body
+      const soft = detectSoftThrottle(resp.status, resp.headers.get('content-type'), await resp.text().catch(() => ''));
+      if (soft) {
+        noteSoftThrottle(soft.kind, soft.waitMs, req.path);
+        if (++softThrottles < SOFT_THROTTLE_RETRIES) continue;
+        log('Giving up on ' + fullname + ' after ' + softThrottles + ' soft throttles');
+        return false;
+      }
+      if (resp.ok) return true;
+      log(req.path + ' failed with HTTP ' + resp.status + ' for ' + fullname);
+      return false;
+    } catch (e) {
+      log(req.path + ' error for ' + fullname + ': ' + e.message);
+      await sleep(5000);
     }
-    log('  Got ' + sorted.length + ', ' + added + ' new unique');
-    if (progressCb) progressCb(sort, all.length);
-    if (sort !== SORTS[SORTS.length - 1]) await sleep(SORT_DELAY_MS);
   }
-
-  return all;
 }
 
-/*******************************
- * CATEGORIZE COMMENTS
- ******************************/
-function categorizeComments(comments) {
-  const categorized = {
-    deleteByDate: [],  // past cutoff, no dot, no x
-    deleteByX: [],     // has x override
-    preserveDot: [],   // has dot preserve
-    preserveAge: [],   // within cutoff, no dot, no x
-  };
+async function startHistoryCleanup(listings) {
+  stopRequested = false;
+  softThrottleCounts = {};
+  persistedLog = [];
+  savePersistedLog([]);
 
-  for (const c of comments) {
-    const byDate = shouldSkipCommentByDate(c.created_utc, daysToPreserve);
-    const byDot = shouldSkipCommentByDot(c.body, preserveDotComments);
-    const byX = shouldDeleteCommentByX(c.body, xMeansDelete);
+  showOverlay(SCRIPT_NAME + ' v' + VERSION, 'Starting history cleanup...');
+  const btnRow = overlayEl?.querySelector('.rco-btn-row');
+  if (btnRow) {
+    const stopBtn = document.createElement('button');
+    stopBtn.textContent = 'Stop';
+    Object.assign(stopBtn.style, { padding: '8px 20px', background: '#d00', color: '#fff',
+      border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' });
+    stopBtn.onclick = () => { stopRequested = true; };
+    btnRow.appendChild(stopBtn);
+  }
 
-    if (byDot) {
-      categorized.preserveDot.push(c);
-    } else if (byX) {
-      categorized.deleteByX.push(c);
-    } else if (!byDate) {
-      categorized.deleteByDate.push(c);
-    } else {
-      categorized.preserveAge.push(c);
+  const summary = [];
+  const render = current => updateOverlay(summary.concat(current ? [current] : []).join('<br>'));
+
+  for (const listing of listings) {
+    if (stopRequested) break;
+    const label = HISTORY_LABELS[listing];
+    log('Fetching ' + listing + ' items for ' + getUsername());
+    const items = await fetchHistoryListing(listing, n => render('Fetching ' + listing + '... ' + n + ' items'));
+
+    let done = 0;
+    let nextPause = rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+    for (const item of items) {
+      if (stopRequested) { log('Stop requested, stopping history cleanup'); break; }
+      if (await cleanupHistoryItem(listing, item.name)) {
+        done++;
+        if (!dryRun) {
+          pace.success();
+          savePace();
+          updateBudgetDisplay();
+        }
+        log(label + ' ' + item.name + (item.subreddit ? ' r/' + item.subreddit : '') + (item.title ? ' "' + item.title.slice(0, 50) + '"' : ''));
+      }
+      render(label + ': ' + done + ' / ' + items.length);
+
+      if (done >= nextPause) {
+        const p = paced(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
+        log('Long pause after ' + done + ' items, waiting ' + (p / 1000) + 's');
+        await sleep(p);
+        nextPause = done + rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+      }
+      await sleep(paced(DELETE_DELAY_MIN, DELETE_DELAY_MAX));
     }
+
+    log(label + ': ' + done + ' of ' + items.length + ' ' + listing + ' items done');
+    summary.push(escapeHtml(label) + ': ' + done + ' / ' + items.length + (dryRun ? ' (dry run)' : ''));
+    render();
   }
 
-  return categorized;
+  if (Object.keys(softThrottleCounts).length) log('Soft throttles this run: ' + formatSoftThrottleCounts());
+  if (!overlayEl) return;
+  render('<br><span style="font-size:24px;color:#2e7d32">&#10003;</span> <strong style="color:#2e7d32">' +
+    (stopRequested ? 'Stopped.' : 'Done.') + ' v' + VERSION + '</strong>');
+  if (btnRow) {
+    btnRow.innerHTML = '';
+    const okBtn = document.createElement('button');
+    okBtn.textContent = 'OK';
+    Object.assign(okBtn.style, { padding: '8px 20px', background: '#2e7d32', color: '#fff',
+      border: 'none', borderRadius: '4px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' });
+    okBtn.onclick = hideOverlay;
+    btnRow.appendChild(okBtn);
+  }
 }
 
 /*******************************
- * DELETE VIA /api/del
+ * IMPORT DATA EXPORT (reddit.com/settings/data-request)
  ******************************/
-async function deleteCommentViaApi(fullname) {
-  if (dryRun) {
-    log('DRY-RUN: Would delete ' + fullname);
-    return true;
-  }
+const EXPORT_FILES = { 'comments.csv': 't1_', 'posts.csv': 't3_' };
 
-  while (true) {
+async function readExportFile(file) {
+  if (/\.zip$/i.test(file.name)) return readZipEntries(await file.arrayBuffer(), Object.keys(EXPORT_FILES));
+  const name = /posts/i.test(file.name) ? 'posts.csv' : 'comments.csv';
+  return { [name]: await file.text() };
+}
+
+// The export still lists comments deleted since; /api/info returns them with author "[deleted]"
+// and leaves out ids Reddit no longer serves. Live items get current score, signals and thread data.
+async function fetchExportItems(fullnames, progressCb) {
+  const items = [];
+  let deleted = 0;
+
+  for (let i = 0; i < fullnames.length && overlayEl; ) {
     await waitForRateLimit();
+    const batch = fullnames.slice(i, i + API_PAGE_LIMIT);
+    const url = new URL(location.origin + '/api/info.json');
+    url.searchParams.set('id', batch.join(','));
+
+    let data;
     try {
-      const fd = new FormData();
-      fd.append('id', fullname);
-      const resp = await fetch('/api/del', {
-        method: 'POST', body: fd, credentials: 'include'
-      });
-      if (resp.ok) return true;
+      const resp = await fetch(url.toString(), { credentials: 'include' });
       if (resp.status === 429) {
-        log('Rate limited on delete, backing off');
+        log('Rate limited on /api/info, backing off');
         continue;
       }
-      log('Delete failed with HTTP ' + resp.status + ' for ' + fullname);
-      return false;
+      if (!resp.ok) throw new Error('HTTP ' + resp.status);
+      data = await resp.json();
     } catch (e) {
-      log('Delete error for ' + fullname + ': ' + e.message);
-      await sleep(5000);
+      log('Lookup failed for ' + batch.length + ' exported items (' + e.message + '), skipping them');
+      data = null;
+    }
+    i += batch.length;
+    if (!data) continue;
+
+    const found = (data?.data?.children || []).map(child => child?.data).filter(d => d && d.name);
+    for (const d of found) {
+      if (isDeletedItem(d)) deleted++;
+      else items.push(toListingItem(d, 'export'));
     }
+    deleted += batch.length - found.length;
+    if (progressCb) progressCb(i, items.length, deleted);
+    await sleep(FETCH_DELAY_MS);
   }
+
+  return { items, deleted };
 }
 
-async function runDeletions(comments, progressCb) {
-  let deleted = 0;
-  let nextPause = rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+async function startExportImport(file) {
+  stopRequested = false;
+  persistedLog = [];
+  savePersistedLog([]);
 
-  for (let i = 0; i < comments.length; i++) {
-    if (stopRequested) { log('Stop requested, stopping deletions'); break; }
+  showOverlay(SCRIPT_NAME + ' v' + VERSION, 'Reading ' + escapeHtml(file.name) + '...');
+  const btnRow = overlayEl?.querySelector('.rco-btn-row');
+  if (btnRow) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    Object.assign(cancelBtn.style, { padding: '8px 20px', background: '#888', color: '#fff',
+      border: 'none', borderRadius: '4px', cursor: 'pointer' });
+    cancelBtn.onclick = hideOverlay;
+    btnRow.appendChild(cancelBtn);
+  }
 
-    const c = comments[i];
-    const ok = await deleteCommentViaApi(c.name);
-    if (ok) {
-      deleted++;
-      const ageDays = ((Date.now() / 1000 - c.created_utc) / 86400).toFixed(1);
-      log('Deleted r/' + c.subreddit + ' "' + c.body.slice(0, 50) + '..."  ' + ageDays + 'd ago');
-    }
-    if (progressCb) progressCb(deleted, comments.length, c);
+  let files;
+  try {
+    files = await readExportFile(file);
+  } catch (e) {
+    log('Could not read ' + file.name + ': ' + e.message);
+    updateOverlay('Could not read ' + escapeHtml(file.name) + ': ' + escapeHtml(e.message));
+    return;
+  }
 
-    if (deleted >= nextPause) {
-      const p = rand(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
-      log('Long pause after ' + deleted + ' deletions, waiting ' + (p / 1000) + 's');
-      if (overlayStatusEl) overlayStatusEl.innerHTML += '<br>Progress: ' + deleted + ' / ' + comments.length + '  (rate limit pause ' + (p / 1000).toFixed(0) + 's)';
-      await sleep(p);
-      nextPause = deleted + rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
-    }
+  // Only the files matching the "Delete my" selector
+  const wanted = { comments: 'comments.csv', submitted: 'posts.csv' };
+  const fullnames = [];
+  for (const listing of contentListings(contentType)) {
+    const name = wanted[listing];
+    if (!files[name]) continue;
+    const names = exportFullnames(parseCsv(files[name]), EXPORT_FILES[name]);
+    log(name + ': ' + names.length + ' items');
+    fullnames.push(...names);
+  }
+  if (!fullnames.length) {
+    updateOverlay('No ' + contentListings(contentType).map(l => wanted[l]).join(' or ') + ' rows found in ' + escapeHtml(file.name) + '.');
+    return;
+  }
 
-    await sleep(rand(DELETE_DELAY_MIN, DELETE_DELAY_MAX));
+  log('Looking up ' + fullnames.length + ' exported items for ' + getUsername());
+  const { items, deleted } = await fetchExportItems(fullnames, (done, live, gone) =>
+    updateOverlay('Checking exported items... ' + done + ' / ' + fullnames.length +
+      '<br>' + live + ' still live, ' + gone + ' already deleted'));
+  if (!overlayEl) return;
+  log('Import complete: ' + items.length + ' live, ' + deleted + ' already deleted (skipped)');
+
+  if (!items.length) {
+    updateOverlay('Nothing left to delete: all ' + fullnames.length + ' exported items are already deleted.');
+    return;
   }
 
-  return deleted;
+  const categories = categorizeComments(items);
+  logCategorySummary(categories);
+  showChecklist(categories);
+}
+
+/*******************************
+ * POST-RUN VERIFICATION
+ ******************************/
+const DELETE_CATEGORIES = ['deletePost', 'deleteByDate', 'deleteByX', 'deleteByPattern'];
+
+// The last residual report is kept so the next run can be compared against it
+function loadResidualReport() {
+  try { return JSON.parse(localStorage.getItem('rco_residual') || 'null'); } catch { return null; }
+}
+function saveResidualReport(report) {
+  try { localStorage.setItem('rco_residual', JSON.stringify(report)); } catch { /* ignore quota */ }
+}
+
+// Listings lag behind deletions for a while, so wait out the cool-down, then fetch every pass
+// again and count what still lands in a delete category. Closing the overlay skips it.
+async function verifyAfterRun() {
+  if (!verifyAfterMinutes || dryRun || !overlayStatusEl) return;
+  log('Verification pass in ' + verifyAfterMinutes + ' minute(s)');
+  const note = document.createElement('div');
+  Object.assign(note.style, { marginTop: '8px', fontSize: '13px', color: '#555' });
+  overlayStatusEl.appendChild(note);
+  const until = Date.now() + verifyAfterMinutes * 60000;
+  while (overlayEl && Date.now() < until) {
+    note.textContent = 'Verifying in ' + Math.ceil((until - Date.now()) / 1000) + 's — press OK to skip';
+    await sleep(1000);
+  }
+  if (!overlayEl) {
+    log('Verification skipped');
+    return;
+  }
+
+  overlayStatusEl.style.maxHeight = '';
+  overlayStatusEl.style.overflowY = '';
+  updateOverlay('<div style="text-align:center;">Verifying: fetching every sort again...<br><br>' +
+    '<span style="font-size:14px;" id="rco-fetch-status">Initializing...</span></div>');
+  const completed = new Set();
+  const comments = await fetchAllComments((sort, totalUnique) => {
+    if (sort && totalUnique !== undefined) completed.add(sort);
+    updateFetchProgress(sort, totalUnique, [...completed]);
+  });
+  if (!overlayEl) return; // closed part-way, the count would be incomplete
+
+  const categories = categorizeComments(comments);
+  const previous = loadResidualReport();
+  const report = residualReport(DELETE_CATEGORIES.flatMap(key => categories[key]), Date.now());
+  saveResidualReport(report);
+  log('Verification: ' + formatResidualReport(report, previous));
+
+  const clean = report.count === 0;
+  const color = clean ? '#2e7d32' : '#b26a00';
+  updateOverlay('<span style="font-size:24px;color:' + color + '">' + (clean ? '&#10003;' : '&#9888;') + '</span> ' +
+    '<strong style="color:' + color + '">' + (clean ? 'Verified.' : report.count + ' still match your rules.') + '</strong><br>' +
+    escapeHtml(formatResidualReport(report, previous)));
+
+  const btnRow = overlayEl.querySelector('.rco-btn-row');
+  if (!btnRow) return;
+  btnRow.innerHTML = '';
+  if (!clean) {
+    const againBtn = document.createElement('button');
+    againBtn.textContent = 'Run Again';
+    Object.assign(againBtn.style, { padding: '8px 20px', background: '#ff4500', color: '#fff',
+      border: 'none', borderRadius: '4px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' });
+    againBtn.onclick = () => { hideOverlay(); startFetchAndDelete(); };
+    btnRow.appendChild(againBtn);
+  }
+  const okBtn = document.createElement('button');
+  okBtn.textContent = 'OK';
+  Object.assign(okBtn.style, { padding: '8px 20px', background: color, color: '#fff',
+    border: 'none', borderRadius: '4px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' });
+  okBtn.onclick = hideOverlay;
+  btnRow.appendChild(okBtn);
 }
 
 /*******************************
@@ -455,10 +2056,19 @@ function showChecklist(categories) {
   if (!overlayEl) showOverlay();
 
   const allComments = [
+    ...categories.deletePost,
     ...categories.deleteByDate,
     ...categories.deleteByX,
+    ...categories.deleteByPattern,
     ...categories.preserveAge,
-    ...categories.preserveDot
+    ...categories.preserveDot,
+    ...categories.preservePattern,
+    ...categories.preserveSubreddit,
+    ...categories.preserveScore,
+    ...categories.preserveNewest,
+    ...categories.preserveSignal,
+    ...categories.preserveOwnThread,
+    ...categories.preserveDepth
   ];
 
   if (!allComments.length) {
@@ -483,8 +2093,10 @@ function showChecklist(categories) {
 
   // Initially checked: delete candidates. Unchecked: preserved.
   const defaultChecked = new Set([
+    ...categories.deletePost.map(c => c.name),
     ...categories.deleteByDate.map(c => c.name),
-    ...categories.deleteByX.map(c => c.name)
+    ...categories.deleteByX.map(c => c.name),
+    ...categories.deleteByPattern.map(c => c.name)
   ]);
   const checked = new Set(allComments.filter(c => defaultChecked.has(c.name)).map(c => c.name));
 
@@ -495,22 +2107,34 @@ function showChecklist(categories) {
       let g = '<div style="font-weight:bold;margin-top:12px;margin-bottom:4px;color:#333;font-size:14px;">' + title + ' (' + list.length + ')</div>';
       for (const c of list) {
         const ageDays = ((Date.now() / 1000 - c.created_utc) / 86400).toFixed(0);
-        const shortBody = c.body.replace(/<[^>]+>/g, '').replace(/&#[^;]+;/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 70);
+        const shortBody = (c.title || c.body).replace(/<[^>]+>/g, '').replace(/&#[^;]+;/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 70);
         const isChecked = checked.has(c.name);
+        const policyText = c.policy ? ' <span style="color:#999;">[' + escapeHtml(c.policy) + ']</span>' : '';
+        const scoreText = c.score != null ? ' <span style="color:#999;">(' + c.score + ')</span>' : '';
         g += '<div style="display:flex;align-items:center;gap:6px;padding:2px 0;font-size:12px;">' +
           '<input type="checkbox" ' + (checkedByDefault && isChecked ? 'checked' : '') +
           ' data-name="' + c.name + '" style="flex-shrink:0;">' +
           '<span style="color:#999;flex-shrink:0;width:40px;">' + ageDays + 'd</span>' +
-          '<span style="color:#555;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">r/' + c.subreddit + ' ' + escapeHtml(shortBody) + '</span>' +
+          '<span style="color:#555;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">r/' + escapeHtml(c.subreddit || '') + policyText + scoreText + ' ' + escapeHtml(shortBody) + '</span>' +
           '</div>';
       }
       return g;
     };
 
-    html = makeGroup('Will be deleted (past date cutoff)', categories.deleteByDate, true);
+    const cutoffText = retentionMode === RETENTION_MODE_COUNT ? 'older than your newest ' + keepNewestCount : 'past date cutoff';
+    html = makeGroup('Will be deleted (' + cutoffText + (deleteFromDate || deleteToDate ? ', inside date range' : '') + ')', categories.deleteByDate, true);
+    html += makeGroup('Will be deleted (posts)', categories.deletePost, true);
     html += makeGroup('Will be deleted (force-delete via x)', categories.deleteByX, true);
-    html += makeGroup('Preserved by age', categories.preserveAge, false);
+    html += makeGroup('Will be deleted (force-delete pattern)', categories.deleteByPattern, true);
+    html += makeGroup(deleteFromDate || deleteToDate ? 'Preserved by age or date range' : 'Preserved by age', categories.preserveAge, false);
     html += makeGroup('Preserved by dot', categories.preserveDot, false);
+    html += makeGroup('Preserved by keep pattern', categories.preservePattern, false);
+    html += makeGroup('Preserved by subreddit filter', categories.preserveSubreddit, false);
+    html += makeGroup('Preserved by score', categories.preserveScore, false);
+    html += makeGroup('Preserved as one of your newest ' + keepNewestCount, categories.preserveNewest, false);
+    html += makeGroup('Preserved by Reddit signal', categories.preserveSignal, false);
+    html += makeGroup('Preserved (in a thread you started)', categories.preserveOwnThread, false);
+    html += makeGroup(depthFilter === DEPTH_FILTER_REPLIES ? 'Preserved (top-level comment)' : 'Preserved (reply)', categories.preserveDepth, false);
 
     return html;
   }
@@ -586,11 +2210,14 @@ function showChecklist(categories) {
 
       // Replace Stop button with OK
       btnRow.innerHTML = '';
+      const okBtn = document.createElement('button');
       okBtn.textContent = 'OK';
       Object.assign(okBtn.style, { padding: '8px 20px', background: '#2e7d32', color: '#fff',
         border: 'none', borderRadius: '4px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' });
       okBtn.onclick = hideOverlay;
       btnRow.appendChild(okBtn);
+
+      if (!stopRequested) await verifyAfterRun();
     };
 
     // Wire up checkbox change to update delete button count
@@ -622,11 +2249,12 @@ function updateFetchProgress(sort, totalUnique, completed) {
   const el = document.getElementById('rco-fetch-status');
   if (!el) return;
   completed = completed || [];
-  const parts = SORTS.map(s => {
+  const parts = fetchSteps().map(s => {
     if (sort === s) return s + ' ⟳';
     if (completed.includes(s)) return s + ' ✓';
     return s + ' ···';
   });
+  if (sort && !parts.some(p => p.startsWith(sort + ' '))) parts.push(sort + ' ⟳'); // author: searches
   el.textContent = 'Fetching: ' + parts.join('  ') + (totalUnique ? '  |  ' + totalUnique + ' unique' : '');
 }
 
@@ -667,6 +2295,24 @@ function showConfirmationModal() {
   Object.assign(warning.style, { marginBottom: '12px', lineHeight: '1.4', fontSize: '13px', color: '#444' });
   content.appendChild(warning);
 
+  // Content type: comments.json (t1_), submitted.json (t3_) or both
+  const contentRow = document.createElement('div');
+  Object.assign(contentRow.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const contentLabel = document.createElement('label');
+  contentLabel.htmlFor = 'rco-content-type'; contentLabel.textContent = 'Delete my:';
+  contentLabel.style.fontWeight = 'bold';
+  const contentSelect = document.createElement('select');
+  contentSelect.id = 'rco-content-type';
+  for (const [value, text] of [[CONTENT_TYPE_COMMENTS, 'comments'], [CONTENT_TYPE_POSTS, 'posts'], [CONTENT_TYPE_BOTH, 'comments and posts']]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = text;
+    contentSelect.appendChild(opt);
+  }
+  contentSelect.value = contentType;
+  contentSelect.addEventListener('change', () => { contentType = contentSelect.value; });
+  contentRow.append(contentLabel, contentSelect);
+  content.appendChild(contentRow);
+
   // Days input
   const daysContainer = document.createElement('div');
   Object.assign(daysContainer.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' });
@@ -682,7 +2328,121 @@ function showConfirmationModal() {
     if (!isNaN(v) && v >= 0) daysToPreserve = v;
   });
   daysContainer.append(daysLabel, daysInput);
-  content.appendChild(daysContainer);
+
+  // Count retention — keep the newest N comments whatever their dates
+  const countContainer = document.createElement('div');
+  Object.assign(countContainer.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const countLabel = document.createElement('label');
+  countLabel.textContent = 'Keep my newest:';
+  countLabel.style.fontWeight = 'bold';
+  const countInput = document.createElement('input');
+  countInput.type = 'number'; countInput.min = '0';
+  countInput.value = keepNewestCount;
+  Object.assign(countInput.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px', width: '70px' });
+  countInput.addEventListener('input', () => {
+    const v = parseInt(countInput.value, 10);
+    if (!isNaN(v) && v >= 0) keepNewestCount = v;
+  });
+  const countSuffix = document.createElement('span');
+  countSuffix.textContent = 'comments (and, counted apart, posts)';
+  countContainer.append(countLabel, countInput, countSuffix);
+
+  const retentionContainer = document.createElement('div');
+  Object.assign(retentionContainer.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const retentionLabel = document.createElement('label');
+  retentionLabel.htmlFor = 'rco-retention'; retentionLabel.textContent = 'Retention:';
+  retentionLabel.style.fontWeight = 'bold';
+  const retentionSelect = document.createElement('select');
+  retentionSelect.id = 'rco-retention';
+  for (const [value, text] of [[RETENTION_MODE_DAYS, 'keep recent days'], [RETENTION_MODE_COUNT, 'keep newest N comments']]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = text;
+    retentionSelect.appendChild(opt);
+  }
+  retentionSelect.value = retentionMode;
+  // Per-subreddit retention policy table (days mode only); the default row is "preserve days"
+  const policyContainer = document.createElement('div');
+  policyContainer.style.marginBottom = '14px';
+  const policyTitle = document.createElement('div');
+  policyTitle.textContent = 'Per-subreddit retention:';
+  Object.assign(policyTitle.style, { fontWeight: 'bold', fontSize: '13px', marginBottom: '4px' });
+  const policyRows = document.createElement('div');
+  policyContainer.append(policyTitle, policyRows);
+
+  const policies = parseSubredditPolicies(subredditPolicies);
+  const commitPolicies = () => {
+    subredditPolicies = serializeSubredditPolicies(policies.filter(([sub]) => sub));
+    savePolicies();
+  };
+  const smallBtn = { padding: '2px 8px', background: '#eee', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' };
+  function renderPolicies() {
+    policyRows.innerHTML = '';
+    policies.forEach((rule, i) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px', fontSize: '13px' });
+      const subInput = document.createElement('input');
+      subInput.type = 'text'; subInput.value = rule[0]; subInput.placeholder = 'subreddit';
+      Object.assign(subInput.style, { padding: '2px 6px', border: '1px solid #ccc', borderRadius: '4px', flex: '1' });
+      subInput.addEventListener('change', () => { rule[0] = parseSubredditList(subInput.value)[0] || ''; commitPolicies(); });
+      const ruleDays = document.createElement('input');
+      ruleDays.type = 'number'; ruleDays.min = '0'; ruleDays.value = rule[1];
+      Object.assign(ruleDays.style, { padding: '2px 6px', border: '1px solid #ccc', borderRadius: '4px', width: '55px' });
+      ruleDays.addEventListener('change', () => {
+        const v = parseInt(ruleDays.value, 10);
+        rule[1] = isNaN(v) || v < 0 ? 0 : v;
+        commitPolicies();
+      });
+      const suffix = document.createElement('span');
+      suffix.textContent = 'days';
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕'; removeBtn.title = 'Remove rule';
+      Object.assign(removeBtn.style, smallBtn);
+      removeBtn.onclick = () => { policies.splice(i, 1); commitPolicies(); renderPolicies(); };
+      row.append(subInput, ruleDays, suffix, removeBtn);
+      policyRows.appendChild(row);
+    });
+    const defaultRow = document.createElement('div');
+    defaultRow.textContent = 'All other subreddits: preserve days above (0 = delete immediately)';
+    Object.assign(defaultRow.style, { fontStyle: 'italic', color: '#666', fontSize: '12px', margin: '4px 0' });
+    const addBtn = document.createElement('button');
+    addBtn.textContent = '+ Add subreddit rule';
+    Object.assign(addBtn.style, smallBtn);
+    addBtn.onclick = () => { policies.push(['', daysToPreserve]); renderPolicies(); };
+    policyRows.append(defaultRow, addBtn);
+  }
+  renderPolicies();
+
+  const showRetention = () => {
+    daysContainer.style.display = retentionMode === RETENTION_MODE_DAYS ? 'flex' : 'none';
+    policyContainer.style.display = retentionMode === RETENTION_MODE_DAYS ? 'block' : 'none';
+    countContainer.style.display = retentionMode === RETENTION_MODE_COUNT ? 'flex' : 'none';
+  };
+  retentionSelect.addEventListener('change', () => { retentionMode = retentionSelect.value; showRetention(); });
+  retentionContainer.append(retentionLabel, retentionSelect);
+  showRetention();
+
+  content.append(retentionContainer, daysContainer, policyContainer, countContainer);
+
+  // Absolute date window — combines with preserve days (set days to 0 to use it alone)
+  const rangeContainer = document.createElement('div');
+  Object.assign(rangeContainer.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' });
+  const rangeLabel = document.createElement('label');
+  rangeLabel.textContent = 'Only delete written between:';
+  rangeLabel.style.fontWeight = 'bold';
+  const makeDateInput = (value, title, onChange) => {
+    const input = document.createElement('input');
+    input.type = 'date'; input.value = value; input.title = title;
+    Object.assign(input.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px' });
+    input.addEventListener('change', () => onChange(parseDateBound(input.value) === null ? '' : input.value));
+    return input;
+  };
+  const rangeAnd = document.createElement('span');
+  rangeAnd.textContent = 'and';
+  rangeContainer.append(rangeLabel,
+    makeDateInput(deleteFromDate, 'Leave empty for no lower bound', v => deleteFromDate = v),
+    rangeAnd,
+    makeDateInput(deleteToDate, 'Leave empty for no upper bound', v => deleteToDate = v));
+  content.appendChild(rangeContainer);
 
   // Checkboxes
   function makeCheckbox(id, label, checked, onChange) {
@@ -699,14 +2459,276 @@ function showConfirmationModal() {
     return row;
   }
 
-  content.appendChild(makeCheckbox('rco-dot-cb', 'Preserve comments ending with . on its own line', preserveDotComments,
-    v => preserveDotComments = v));
-  content.appendChild(makeCheckbox('rco-x-cb', 'Force-delete comments ending with x on its own line', xMeansDelete,
-    v => xMeansDelete = v));
+  // Subreddit filters
+  function makeTextInput(id, label, value, placeholder, onChange) {
+    const row = document.createElement('div');
+    Object.assign(row.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' });
+    const lb = document.createElement('label');
+    lb.htmlFor = id; lb.textContent = label;
+    Object.assign(lb.style, { fontWeight: 'bold', fontSize: '13px', whiteSpace: 'nowrap' });
+    const input = document.createElement('input');
+    input.type = 'text'; input.id = id; input.value = value; input.placeholder = placeholder;
+    Object.assign(input.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px', flex: '1' });
+    input.addEventListener('change', () => onChange(input.value));
+    row.append(lb, input);
+    return row;
+  }
+
+  content.appendChild(makeTextInput('rco-only-subs', 'Only delete in:', onlySubreddits, 'e.g. AskReddit, pics',
+    v => onlySubreddits = parseSubredditList(v).join(',')));
+  content.appendChild(makeTextInput('rco-except-subs', 'Never delete in:', exceptSubreddits, 'e.g. MyProject',
+    v => exceptSubreddits = parseSubredditList(v).join(',')));
+
+  // Score rule
+  const scoreContainer = document.createElement('div');
+  Object.assign(scoreContainer.style, { marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const scoreLabel = document.createElement('label');
+  scoreLabel.textContent = 'Preserve score ≥';
+  scoreLabel.htmlFor = 'rco-min-score';
+  scoreLabel.style.fontWeight = 'bold';
+  const scoreInput = document.createElement('input');
+  scoreInput.type = 'number'; scoreInput.id = 'rco-min-score'; scoreInput.placeholder = 'off';
+  scoreInput.value = minScoreToPreserve ?? '';
+  Object.assign(scoreInput.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px', width: '60px' });
+  scoreInput.addEventListener('input', () => {
+    const v = parseInt(scoreInput.value, 10);
+    minScoreToPreserve = isNaN(v) ? null : v;
+  });
+  scoreContainer.append(scoreLabel, scoreInput);
+  content.appendChild(scoreContainer);
+
+  // Reddit signal toggles
+  const signalNames = { distinguished: 'distinguished', stickied: 'stickied', gilded: 'awarded', saved: 'saved by me' };
+  const signalRow = document.createElement('div');
+  Object.assign(signalRow.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', fontSize: '13px' });
+  const signalLabel = document.createElement('span');
+  signalLabel.textContent = 'Never delete:';
+  signalLabel.style.fontWeight = 'bold';
+  signalRow.appendChild(signalLabel);
+  for (const signal of REDDIT_SIGNALS) {
+    const cb = document.createElement('input');
+    cb.type = 'checkbox'; cb.id = 'rco-signal-' + signal;
+    cb.checked = parseSignalList(protectedSignals).includes(signal);
+    const lb = document.createElement('label');
+    lb.htmlFor = cb.id; lb.textContent = signalNames[signal];
+    lb.style.cursor = 'pointer';
+    cb.addEventListener('change', () => {
+      const enabled = new Set(parseSignalList(protectedSignals));
+      if (cb.checked) enabled.add(signal); else enabled.delete(signal);
+      protectedSignals = parseSignalList([...enabled].join(',')).join(',');
+    });
+    signalRow.append(cb, lb);
+  }
+  content.appendChild(signalRow);
+
+  content.appendChild(makeCheckbox('rco-own-threads-cb', 'Preserve comments in threads I started', preserveOwnThreads,
+    v => preserveOwnThreads = v));
+
+  // Top-level / reply filter (parent_id)
+  const depthRow = document.createElement('div');
+  Object.assign(depthRow.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const depthLabel = document.createElement('label');
+  depthLabel.htmlFor = 'rco-depth'; depthLabel.textContent = 'Delete:';
+  Object.assign(depthLabel.style, { fontWeight: 'bold', fontSize: '13px' });
+  const depthSelect = document.createElement('select');
+  depthSelect.id = 'rco-depth';
+  for (const [value, text] of [[DEPTH_FILTER_ALL, 'all comments'], [DEPTH_FILTER_TOP_LEVEL, 'only top-level comments'], [DEPTH_FILTER_REPLIES, 'only replies']]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = text;
+    depthSelect.appendChild(opt);
+  }
+  depthSelect.value = depthFilter;
+  depthSelect.addEventListener('change', () => { depthFilter = depthSelect.value; });
+  depthRow.append(depthLabel, depthSelect);
+  content.appendChild(depthRow);
+
+  content.appendChild(makeCheckbox('rco-downvoted-cb', 'Only delete downvoted comments (score 0 or below)', onlyDeleteDownvoted,
+    v => onlyDeleteDownvoted = v));
+
+  // Marker checkbox with an inline input for the marker token
+  function makeMarkerCheckbox(id, label, checked, marker, fallback, onChange, onMarker) {
+    const row = makeCheckbox(id, label, checked, onChange);
+    const input = document.createElement('input');
+    input.type = 'text'; input.value = marker; input.title = 'Marker (default: ' + fallback + ')';
+    Object.assign(input.style, { padding: '2px 6px', border: '1px solid #ccc', borderRadius: '4px', width: '60px', fontFamily: 'monospace' });
+    input.addEventListener('change', () => {
+      input.value = normalizeMarker(input.value, fallback);
+      onMarker(input.value);
+      saveMarkers();
+    });
+    row.appendChild(input);
+    return row;
+  }
+
+  content.appendChild(makeMarkerCheckbox('rco-dot-cb', 'Preserve comments ending with this line:', preserveDotComments,
+    preserveMarker, DEFAULT_PRESERVE_MARKER, v => preserveDotComments = v, m => preserveMarker = m));
+  content.appendChild(makeMarkerCheckbox('rco-x-cb', 'Force-delete comments ending with this line:', xMeansDelete,
+    deleteMarker, DEFAULT_DELETE_MARKER, v => xMeansDelete = v, m => deleteMarker = m));
+
+  const modeRow = document.createElement('div');
+  Object.assign(modeRow.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const modeLabel = document.createElement('label');
+  modeLabel.htmlFor = 'rco-marker-mode'; modeLabel.textContent = 'Markers count when they are:';
+  Object.assign(modeLabel.style, { fontWeight: 'bold', fontSize: '13px' });
+  const modeSelect = document.createElement('select');
+  modeSelect.id = 'rco-marker-mode';
+  for (const [value, text] of [[MARKER_MODE_ANYWHERE, 'on any line of their own'], [MARKER_MODE_LAST_LINE, 'the comment\'s last line']]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = text;
+    modeSelect.appendChild(opt);
+  }
+  modeSelect.value = markerMode;
+  modeSelect.addEventListener('change', () => { markerMode = modeSelect.value; saveMarkers(); });
+  modeRow.append(modeLabel, modeSelect);
+  content.appendChild(modeRow);
+
+  // Keyword / regex pattern editors
+  function makePatternInput(id, label, value, placeholder, onChange) {
+    const row = document.createElement('div');
+    row.style.marginBottom = '10px';
+    const lb = document.createElement('label');
+    lb.htmlFor = id; lb.textContent = label;
+    Object.assign(lb.style, { fontWeight: 'bold', fontSize: '13px', display: 'block', marginBottom: '4px' });
+    const ta = document.createElement('textarea');
+    ta.id = id; ta.rows = 2; ta.value = value; ta.placeholder = placeholder;
+    Object.assign(ta.style, { width: '100%', boxSizing: 'border-box', padding: '4px 8px', border: '1px solid #ccc',
+      borderRadius: '4px', fontFamily: 'monospace', fontSize: '12px' });
+    ta.addEventListener('change', () => {
+      for (const bad of invalidPatterns(ta.value)) log('Ignoring invalid pattern: ' + bad);
+      onChange(parsePatternList(ta.value).join('\n'));
+    });
+    row.append(lb, ta);
+    return row;
+  }
+
+  content.appendChild(makePatternInput('rco-keep-patterns', 'Always preserve matching (keyword or /regex/ per line):',
+    keepPatterns, 'MyProjectName', v => keepPatterns = v));
+  content.appendChild(makePatternInput('rco-purge-patterns', 'Force-delete matching, regardless of age:',
+    purgePatterns, '/@gmail\\.com\\b/i', v => purgePatterns = v));
+
+  const overwriteRow = makeCheckbox('rco-overwrite-cb', 'Overwrite before deleting:', overwriteBeforeDelete,
+    v => overwriteBeforeDelete = v);
+  const overwriteInput = document.createElement('input');
+  overwriteInput.type = 'text'; overwriteInput.value = overwriteTemplate;
+  overwriteInput.title = 'Placeholder text — {date}, {subreddit} and {id} are filled in';
+  Object.assign(overwriteInput.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px', flex: '1' });
+  overwriteInput.addEventListener('change', () => {
+    overwriteTemplate = overwriteInput.value.trim() || DEFAULT_OVERWRITE_TEMPLATE;
+    overwriteInput.value = overwriteTemplate;
+    saveOverwriteTemplate();
+  });
+  overwriteRow.appendChild(overwriteInput);
+  content.appendChild(overwriteRow);
+
+  content.appendChild(makeCheckbox('rco-discovery-cb', 'Extra discovery passes (top/controversial per time window, author: searches)',
+    extendedDiscovery, v => extendedDiscovery = v));
+
+  // Post-run verification cool-down
+  const verifyContainer = document.createElement('div');
+  Object.assign(verifyContainer.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const verifyLabel = document.createElement('label');
+  verifyLabel.textContent = 'Verify after (minutes, 0 = off):';
+  verifyLabel.htmlFor = 'rco-verify-after';
+  Object.assign(verifyLabel.style, { fontWeight: 'bold', fontSize: '13px' });
+  const verifyInput = document.createElement('input');
+  verifyInput.type = 'number'; verifyInput.id = 'rco-verify-after'; verifyInput.min = '0';
+  verifyInput.value = verifyAfterMinutes;
+  Object.assign(verifyInput.style, { padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px', width: '60px' });
+  verifyInput.addEventListener('input', () => {
+    const v = parseInt(verifyInput.value, 10);
+    verifyAfterMinutes = isNaN(v) ? 0 : Math.max(0, v);
+  });
+  verifyContainer.append(verifyLabel, verifyInput);
+  content.appendChild(verifyContainer);
+
+  // Run schedule: delete only between two times of day, on the ticked days
+  const scheduleContainer = document.createElement('div');
+  Object.assign(scheduleContainer.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' });
+  const savedSchedule = parseSchedule(runSchedule) || parseSchedule('22:00-06:00');
+  const scheduleCheckbox = document.createElement('input');
+  scheduleCheckbox.type = 'checkbox'; scheduleCheckbox.id = 'rco-schedule';
+  scheduleCheckbox.checked = !!runSchedule;
+  const scheduleLabel = document.createElement('label');
+  scheduleLabel.textContent = 'Only delete between';
+  scheduleLabel.htmlFor = 'rco-schedule';
+  Object.assign(scheduleLabel.style, { fontWeight: 'bold', fontSize: '13px' });
+  const timeInput = mins => {
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.value = String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+    Object.assign(input.style, { padding: '2px 4px', border: '1px solid #ccc', borderRadius: '4px' });
+    return input;
+  };
+  const scheduleFromInput = timeInput(savedSchedule.from);
+  const scheduleToInput = timeInput(savedSchedule.to);
+  scheduleContainer.append(scheduleCheckbox, scheduleLabel, scheduleFromInput, 'and', scheduleToInput, 'on');
+  const dayBoxes = SCHEDULE_DAYS.map((day, i) => {
+    const label = document.createElement('label');
+    Object.assign(label.style, { fontSize: '12px', display: 'flex', alignItems: 'center', gap: '2px' });
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = savedSchedule.days.includes(i);
+    label.append(box, day.charAt(0).toUpperCase() + day.slice(1));
+    scheduleContainer.appendChild(label);
+    return box;
+  });
+  const commitSchedule = () => {
+    const days = dayBoxes.map((box, i) => box.checked ? SCHEDULE_DAYS[i] : '').filter(Boolean);
+    runSchedule = scheduleCheckbox.checked && scheduleFromInput.value && scheduleToInput.value && days.length
+      ? serializeSchedule(parseSchedule(scheduleFromInput.value + '-' + scheduleToInput.value + ' ' + days.join(',')))
+      : '';
+    saveSchedule();
+    log('Run schedule changed to: ' + (runSchedule || '(any time)'));
+  };
+  [scheduleCheckbox, scheduleFromInput, scheduleToInput, ...dayBoxes].forEach(el => el.addEventListener('change', commitSchedule));
+  content.appendChild(scheduleContainer);
+
+  const paceContainer = document.createElement('div');
+  Object.assign(paceContainer.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' });
+  const paceLabel = document.createElement('span');
+  Object.assign(paceLabel.style, { fontWeight: 'bold', fontSize: '13px' });
+  const renderPace = () => { paceLabel.textContent = 'Learned ' + formatPace(pace.delay()).toLowerCase() + ' for u/' + getUsername(); };
+  renderPace();
+  const paceResetBtn = document.createElement('button');
+  paceResetBtn.textContent = 'Reset pace';
+  Object.assign(paceResetBtn.style, { padding: '4px 10px', background: '#eee', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' });
+  paceResetBtn.onclick = () => {
+    pace.reset();
+    savePace();
+    renderPace();
+    log('Pace reset to ' + pace.delay() + 'ms');
+  };
+  paceContainer.append(paceLabel, paceResetBtn);
+  content.appendChild(paceContainer);
+
+  content.appendChild(makeCheckbox('rco-incremental-cb', 'Incremental scan (end a pass at the first page with nothing new or changed)',
+    incrementalScan, v => incrementalScan = v));
 
   content.appendChild(makeCheckbox('rco-dryrun-cb', 'Dry-run (log only, no deletions)', dryRun,
     v => dryRun = v));
 
+  // History cleanup — runs on its own, without fetching comments
+  const historyRow = document.createElement('div');
+  Object.assign(historyRow.style, { marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', fontSize: '13px' });
+  const historyLabel = document.createElement('span');
+  historyLabel.textContent = 'History cleanup:';
+  historyLabel.style.fontWeight = 'bold';
+  historyRow.appendChild(historyLabel);
+  const historySelected = new Set();
+  for (const listing of HISTORY_LISTINGS) {
+    const cb = document.createElement('input');
+    cb.type = 'checkbox'; cb.id = 'rco-history-' + listing;
+    const lb = document.createElement('label');
+    lb.htmlFor = cb.id; lb.textContent = HISTORY_LABELS[listing].toLowerCase() + 's';
+    lb.style.cursor = 'pointer';
+    cb.addEventListener('change', () => {
+      if (cb.checked) historySelected.add(listing); else historySelected.delete(listing);
+      historyBtn.disabled = !historySelected.size;
+    });
+    historyRow.append(cb, lb);
+  }
+  content.appendChild(historyRow);
+
   // Buttons
   const btns = document.createElement('div');
   Object.assign(btns.style, { display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '14px' });
@@ -727,7 +2749,34 @@ function showConfirmationModal() {
     startFetchAndDelete();
   };
 
-  btns.append(cancelBtn, fetchBtn);
+  const historyBtn = document.createElement('button');
+  historyBtn.textContent = 'Clean Up History';
+  historyBtn.disabled = true;
+  Object.assign(historyBtn.style, { padding: '8px 16px', background: '#555', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' });
+  historyBtn.onclick = () => {
+    modal.remove();
+    startHistoryCleanup(HISTORY_LISTINGS.filter(l => historySelected.has(l)));
+  };
+
+  // Data export import — uses the export's id list instead of the capped listings
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.zip,.csv';
+  importInput.style.display = 'none';
+  importInput.addEventListener('change', () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+    modal.remove();
+    startExportImport(file);
+  });
+
+  const importBtn = document.createElement('button');
+  importBtn.textContent = 'Import Data Export…';
+  importBtn.title = 'Reddit data export (.zip) or its comments.csv / posts.csv';
+  Object.assign(importBtn.style, { padding: '8px 16px', background: '#555', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer' });
+  importBtn.onclick = () => importInput.click();
+
+  btns.append(cancelBtn, historyBtn, importInput, importBtn, fetchBtn);
   content.appendChild(btns);
   modal.appendChild(content);
   document.body.appendChild(modal);
@@ -764,7 +2813,7 @@ async function startFetchAndDelete() {
   };
 
   log('Starting fetch for username: ' + getUsername());
-  const comments = await fetchAllComments(progressCb);
+  const comments = await fetchAllComments(progressCb, incrementalScan);
   log('Fetch complete: ' + comments.length + ' unique comments total');
 
   if (!comments.length) {
@@ -774,15 +2823,27 @@ async function startFetchAndDelete() {
 
   // Categorize
   const categories = categorizeComments(comments);
+  logCategorySummary(categories);
+  for (const [decision, items] of Object.entries(categories)) await indexItems(items, decision);
+
+  // Show checklist
+  showChecklist(categories);
+}
 
-  // Log summary
+function logCategorySummary(categories) {
   log('Delete by date: ' + categories.deleteByDate.length);
   log('Delete by x: ' + categories.deleteByX.length);
+  log('Delete by pattern: ' + categories.deleteByPattern.length);
+  log('Delete posts: ' + categories.deletePost.length);
   log('Preserve by age: ' + categories.preserveAge.length);
   log('Preserve by dot: ' + categories.preserveDot.length);
-
-  // Show checklist
-  showChecklist(categories);
+  log('Preserve by pattern: ' + categories.preservePattern.length);
+  log('Preserve by subreddit: ' + categories.preserveSubreddit.length);
+  log('Preserve by score: ' + categories.preserveScore.length);
+  log('Preserve as newest: ' + categories.preserveNewest.length);
+  log('Preserve by Reddit signal: ' + categories.preserveSignal.length);
+  log('Preserve in own thread: ' + categories.preserveOwnThread.length);
+  log('Preserve by depth filter: ' + categories.preserveDepth.length);
 }
 
 /*******************************
@@ -7,8 +7,13 @@
 // @updateURL    https://github.com/xpufx/reddit-comments-overkill/raw/refs/heads/main/reddit-comments-overkill.user.js
 // Old Reddit
 // @match        https://old.reddit.com/user/*/comments*
+// @match        https://old.reddit.com/user/*/submitted*
 // STILL Old Reddit but with RES etc that displays all reddit on the normal address
 // @match        https://www.reddit.com/user/*/comments*
+// @match        https://www.reddit.com/user/*/submitted*
+// Single thread mode
+// @match        https://old.reddit.com/r/*/comments/*
+// @match        https://www.reddit.com/r/*/comments/*
 // @grant        none
 // @run-at       document-idle
 // ==/UserScript==
@@ -22,18 +27,834 @@ function shouldSkipCommentByDate(createdUtc, daysToPreserve) {
   return (Date.now() / 1000 - createdUtc) / 86400 <= daysToPreserve;
 }
 
-function loneLineCheck(text, char) {
-  if (!text) return false;
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-  return lines.some(l => l === char);
+// Date bounds are "YYYY-MM-DD" strings (as produced by <input type="date">) in the browser's
+// local time. Returns unix seconds, or null for an empty/invalid bound.
+function parseDateBound(value, endOfDay) {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + (endOfDay ? 1 : 0));
+  if (isNaN(d.getTime())) return null;
+  return d.getTime() / 1000 - (endOfDay ? 0.001 : 0);
 }
 
-function shouldSkipCommentByDot(text, preserveDotComments) {
-  return preserveDotComments && loneLineCheck(text, '.');
+// Only comments written inside [fromDate, toDate] (inclusive, either bound optional) may be deleted.
+// Applies on top of daysToPreserve; set days to 0 to use the window on its own.
+function shouldSkipCommentByDateRange(createdUtc, fromDate, toDate) {
+  const from = parseDateBound(fromDate, false);
+  const to = parseDateBound(toDate, true);
+  if (from === null && to === null) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return (from !== null && createdUtc < from) || (to !== null && createdUtc > to);
+}
+
+// Count-based retention keeps the newest N comments whatever their age. The cutoff is the
+// created_utc of the Nth newest comment; comments at or after it are kept. With fewer than N
+// comments every comment is kept (cutoff 0); N = 0 keeps none (cutoff Infinity). Returns null
+// when the rule is off.
+const RETENTION_MODE_DAYS = 'days';
+const RETENTION_MODE_COUNT = 'count';
+
+function newestCutoff(createdUtcs, keepCount) {
+  if (typeof keepCount !== 'number' || !(keepCount >= 0)) return null;
+  if (keepCount === 0) return Infinity;
+  const sorted = createdUtcs.filter(t => t != null && !isNaN(t)).sort((a, b) => b - a);
+  return sorted.length < keepCount ? 0 : sorted[keepCount - 1];
+}
+
+// Comments and posts are ranked apart, the way the DOM variants count each profile listing on its
+// own: N keeps the newest N comments and, separately, the newest N posts. Items are
+// { kind: 'comment' | 'post', created_utc }.
+function newestCutoffsByKind(items, keepCount) {
+  const cutoffs = {};
+  for (const kind of ['comment', 'post']) {
+    cutoffs[kind] = newestCutoff(items.filter(i => (i.kind === 'post' ? 'post' : 'comment') === kind).map(i => i.created_utc), keepCount);
+  }
+  return cutoffs;
+}
+
+function shouldSkipCommentByRank(createdUtc, cutoff) {
+  if (cutoff == null || isNaN(cutoff)) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return createdUtc >= cutoff;
+}
+
+const DEFAULT_PRESERVE_MARKER = '.';
+const DEFAULT_DELETE_MARKER = 'x';
+
+// Markers are user-defined tokens such as "#keep"; blank or multi-line values fall back to the default
+function normalizeMarker(value, fallback) {
+  const m = value == null ? '' : String(value).trim();
+  return m && !/\n/.test(m) ? m : fallback;
+}
+
+// Marker detection reads a comment the way it renders. Both parsers below reduce a comment to
+// its top-level blocks in order, each block an array of trimmed lines. Code blocks, quotes and
+// lists become empty blocks: they keep their position but never contain a marker. Headings
+// become a single "#text" line so markers like "#keep" survive rendering.
+const MARKER_MODE_ANYWHERE = 'anywhere'; // marker may be any plain paragraph line
+const MARKER_MODE_LAST_LINE = 'last';    // marker must be the last line of the final block
+
+function decodeEntities(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCharCode(parseInt(d, 10)))
+    .replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function headingLine(level, text) {
+  return '#'.repeat(level) + text.trim();
+}
+
+// Raw markdown, e.g. the `body` field of comments.json (which Reddit HTML-escapes)
+function markdownParagraphs(text) {
+  if (!text) return [];
+  const blocks = [];
+  let cur = null; // { kind: 'p' | 'quote' | 'list' | 'code' | 'fence', lines, blankSeen }
+  const flush = () => {
+    if (cur) blocks.push(cur.kind === 'p' ? cur.lines : []);
+    cur = null;
+  };
+
+  for (const raw of decodeEntities(String(text)).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+
+    if (cur && cur.kind === 'fence') {
+      if (/^ {0,3}(`{3,}|~{3,})\s*$/.test(raw)) flush();
+      continue;
+    }
+    if (!line) {
+      if (cur && cur.kind === 'list') cur.blankSeen = true;
+      else flush();
+      continue;
+    }
+    if (/^ {0,3}(`{3,}|~{3,})/.test(raw)) {
+      flush();
+      cur = { kind: 'fence' };
+      continue;
+    }
+    // Indented lines continue a list item, even across blank lines
+    if (cur && cur.kind === 'list' && /^(\s{2,}|\t)/.test(raw)) continue;
+    // Indented code needs a preceding blank line; otherwise it is a lazy paragraph continuation
+    if (/^( {4}|\t)/.test(raw) && (!cur || cur.kind === 'code')) {
+      cur = cur || { kind: 'code' };
+      continue;
+    }
+    if (cur && cur.kind === 'code') flush();
+    if (/^ {0,3}>/.test(raw)) {
+      if (!cur || cur.kind !== 'quote') { flush(); cur = { kind: 'quote' }; }
+      continue;
+    }
+    if (/^ {0,3}([-*+]|\d+[.)])(\s|$)/.test(raw)) {
+      if (!cur || cur.kind !== 'list') { flush(); cur = { kind: 'list' }; }
+      cur.blankSeen = false;
+      continue;
+    }
+    // Lazy continuation of a quote or list item
+    if (cur && (cur.kind === 'quote' || (cur.kind === 'list' && !cur.blankSeen))) continue;
+    const h = line.match(/^(#{1,6})(.*?)#*$/);
+    if (h) {
+      flush();
+      blocks.push([headingLine(h[1].length, h[2])]);
+      continue;
+    }
+    if (!cur || cur.kind !== 'p') { flush(); cur = { kind: 'p', lines: [] }; }
+    cur.lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Rendered comment HTML, e.g. the innerHTML of an old Reddit .md element
+function htmlParagraphs(html) {
+  if (!html) return [];
+  let s = String(html);
+  // Collapse innermost ignored blocks first so nested quotes and lists reduce to one placeholder
+  const ignored = /<(pre|blockquote|ul|ol)\b[^>]*>(?:(?!<(?:pre|blockquote|ul|ol)\b)[\s\S])*?<\/\1>/gi;
+  let prev;
+  do { prev = s; s = s.replace(ignored, '<p>\u0000</p>'); } while (s !== prev);
+
+  const blocks = [];
+  const blockRe = /<(p|h([1-6]))\b[^>]*>([\s\S]*?)<\/(?:p|h[1-6])>/gi;
+  let m;
+  while ((m = blockRe.exec(s)) !== null) {
+    const text = decodeEntities(m[3].replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0 && l !== '\u0000');
+    blocks.push(m[2] ? [headingLine(Number(m[2]), lines.join(' '))] : lines);
+  }
+  // No block markup at all: treat the text as a single paragraph
+  if (!blocks.length) {
+    const lines = decodeEntities(s.replace(/<[^>]+>/g, '')).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    if (lines.length) blocks.push(lines);
+  }
+  return blocks;
+}
+
+// `source` is raw markdown or the block list from markdownParagraphs()/htmlParagraphs()
+function loneLineCheck(source, marker, mode) {
+  const blocks = Array.isArray(source) ? source : markdownParagraphs(source);
+  if (mode === MARKER_MODE_LAST_LINE) {
+    const last = blocks[blocks.length - 1];
+    return !!last && last[last.length - 1] === marker;
+  }
+  return blocks.some(b => b.includes(marker));
+}
+
+function shouldSkipCommentByDot(text, preserveDotComments, marker, mode) {
+  return preserveDotComments && loneLineCheck(text, normalizeMarker(marker, DEFAULT_PRESERVE_MARKER), mode);
+}
+
+function shouldDeleteCommentByX(text, xMeansDelete, marker, mode) {
+  return xMeansDelete && loneLineCheck(text, normalizeMarker(marker, DEFAULT_DELETE_MARKER), mode);
+}
+
+// Subreddit lists are typed by the user as "r/foo, bar /r/Baz" — normalize to bare lowercase names
+function parseSubredditList(text) {
+  if (!text) return [];
+  return String(text).split(/[\s,]+/)
+    .map(s => s.replace(/^\/?r\//i, '').replace(/\/+$/, '').toLowerCase())
+    .filter(s => s.length > 0);
+}
+
+function shouldSkipCommentBySubreddit(subreddit, onlySubreddits, exceptSubreddits) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const only = parseSubredditList(onlySubreddits);
+  if (only.length && !only.includes(sub)) return true;
+  return parseSubredditList(exceptSubreddits).includes(sub);
+}
+
+// Reddit-native signals that protect a comment from automatic deletion. `signals` holds what was
+// read from comments.json or old Reddit's .thing markup; `enabled` is a comma-separated list of
+// the signals the user chose to honour, e.g. "distinguished,saved".
+const REDDIT_SIGNALS = ['distinguished', 'stickied', 'gilded', 'saved'];
+
+function parseSignalList(text) {
+  const wanted = String(text || '').split(/[\s,]+/).map(s => s.toLowerCase());
+  return REDDIT_SIGNALS.filter(s => wanted.includes(s));
+}
+
+// Returns the first enabled signal present on the comment, or null
+function matchRedditSignal(signals, enabled) {
+  if (!signals) return null;
+  return parseSignalList(enabled).find(s => !!signals[s]) || null;
+}
+
+function shouldSkipCommentBySignal(signals, enabled) {
+  return matchRedditSignal(signals, enabled) !== null;
+}
+
+// Own-thread preservation compares the submission's author (`link_author` in comments.json,
+// the "by <author>" link in old Reddit's p.parent) with the account being cleaned.
+function shouldSkipCommentByThreadAuthor(linkAuthor, username, preserveOwnThreads) {
+  if (!preserveOwnThreads || !linkAuthor || !username) return false;
+  return String(linkAuthor).toLowerCase() === String(username).toLowerCase();
+}
+
+// Depth filter uses the parent fullname: "t3_..." (a post) means top-level, "t1_..." (a comment)
+// means reply. Unknown parents are preserved while a filter is active.
+const DEPTH_FILTER_ALL = 'all';
+const DEPTH_FILTER_TOP_LEVEL = 'top';
+const DEPTH_FILTER_REPLIES = 'replies';
+
+function shouldSkipCommentByDepth(parentId, depthFilter) {
+  if (depthFilter !== DEPTH_FILTER_TOP_LEVEL && depthFilter !== DEPTH_FILTER_REPLIES) return false;
+  const prefix = String(parentId || '').slice(0, 3);
+  if (prefix !== 't3_' && prefix !== 't1_') return true;
+  return depthFilter === DEPTH_FILTER_TOP_LEVEL ? prefix !== 't3_' : prefix !== 't1_';
+}
+
+// Per-subreddit retention: "AskReddit=7, myproject=365, politics=0" (":" also accepted).
+// Subreddits without a rule fall back to the default days. Malformed entries are dropped.
+function parseSubredditPolicies(text) {
+  if (!text) return [];
+  const policies = [];
+  for (const part of String(text).split(/[,\n]+/)) {
+    const m = part.trim().match(/^(\S+?)\s*[=:]\s*(\d+)$/);
+    if (!m) continue;
+    const sub = parseSubredditList(m[1])[0];
+    if (sub) policies.push([sub, parseInt(m[2], 10)]);
+  }
+  return policies;
+}
+
+function serializeSubredditPolicies(policies) {
+  return policies.map(([sub, days]) => sub + '=' + days).join(',');
+}
+
+// Returns { label, days } for logging, e.g. { label: 'r/askreddit', days: 7 } or { label: 'default', days: 10 }
+function findSubredditPolicy(subreddit, policies, defaultDays) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const rule = parseSubredditPolicies(policies).find(([s]) => s === sub);
+  return rule ? { label: 'r/' + rule[0], days: rule[1] } : { label: 'default', days: defaultDays };
+}
+
+// minScore of null disables the threshold. Unknown scores (e.g. "[score hidden]") are preserved
+// whenever a score rule is active, the same way unknown dates are.
+function shouldSkipCommentByScore(score, minScore, onlyDownvoted) {
+  const thresholdOn = minScore != null && !isNaN(minScore);
+  if (!thresholdOn && !onlyDownvoted) return false;
+  if (score == null || isNaN(score)) return true;
+  if (thresholdOn && score >= minScore) return true;
+  return !!onlyDownvoted && score > 0;
+}
+
+// Pattern lists hold one rule per line: /regex/flags is a full regular expression,
+// anything else is a case-insensitive keyword. Lines that fail to compile are skipped.
+function compilePattern(line) {
+  const m = line.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (m) return new RegExp(m[1], m[2].replace(/g|y/g, ''));
+    return new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch {
+    return null;
+  }
+}
+
+function parsePatternList(text) {
+  if (!text) return [];
+  return String(text).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+}
+
+function invalidPatterns(text) {
+  return parsePatternList(text).filter(l => !compilePattern(l));
+}
+
+// Returns the first line of the pattern list that matches the text, or null
+function matchPatternList(text, patterns) {
+  if (!text) return null;
+  for (const line of parsePatternList(patterns)) {
+    const re = compilePattern(line);
+    if (re && re.test(text)) return line;
+  }
+  return null;
+}
+
+function shouldSkipCommentByPattern(text, keepPatterns) {
+  return matchPatternList(text, keepPatterns) !== null;
+}
+
+function shouldDeleteCommentByPattern(text, purgePatterns) {
+  return matchPatternList(text, purgePatterns) !== null;
+}
+
+// Content types map to the profile listings the scripts walk: /user/<name>/comments holds
+// t1_ comments, /user/<name>/submitted holds t3_ posts.
+const CONTENT_TYPE_COMMENTS = 'comments';
+const CONTENT_TYPE_POSTS = 'posts';
+const CONTENT_TYPE_BOTH = 'both';
+
+function contentListings(contentType) {
+  if (contentType === CONTENT_TYPE_POSTS) return ['submitted'];
+  if (contentType === CONTENT_TYPE_BOTH) return ['comments', 'submitted'];
+  return ['comments'];
+}
+
+// Listing name from a profile path such as "/user/name/submitted/", or null
+function listingFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/(?:user|u)\/[^\/]+\/(comments|submitted)(?:[\/.]|$)/);
+  return m ? m[1] : null;
+}
+
+// Discovery passes. Listings stop at ~1000 items per sort, so extended discovery runs top and
+// controversial once per t= window. A pass key is "sort" or "sort:window", e.g. "top:week".
+const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+const TIME_FILTERED_SORTS = ['top', 'controversial'];
+
+function discoveryPasses(sorts, extended) {
+  return sorts.flatMap(sort => extended && TIME_FILTERED_SORTS.includes(sort) ? TIME_WINDOWS.map(t => sort + ':' + t) : [sort]);
+}
+
+function parsePass(pass) {
+  const [sort, t] = String(pass || '').split(':');
+  return { sort: sort, t: t || null };
+}
+
+// Adds ids to the seen set and returns how many were new
+function countNewIds(ids, seen) {
+  let added = 0;
+  for (const id of ids) {
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      added++;
+    }
+  }
+  return added;
+}
+
+// Thread pages look like /r/<sub>/comments/<id>/<slug>/; returns the post id, or null
+function threadIdFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/r\/[^\/]+\/comments\/([a-z0-9]+)(?:[\/.]|$)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// Reddit's data export (comments.csv, posts.csv): RFC 4180 CSV with a header row. Quoted fields
+// may contain commas, doubled quotes and newlines. Returns one object per row keyed by header.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const header = (rows.shift() || []).map(h => h.trim());
+  return rows
+    .filter(r => r.some(v => v !== ''))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+// Export ids are bare base36 ("k3x9z1"); listings and /api/info use fullnames ("t1_k3x9z1").
+// Invalid and duplicate ids are dropped.
+function exportFullnames(rows, prefix) {
+  const names = new Set();
+  for (const r of rows) {
+    const id = String(r.id || '').trim().toLowerCase().replace(/^t[13]_/, '');
+    if (/^[a-z0-9]+$/.test(id)) names.add(prefix + id);
+  }
+  return [...names];
+}
+
+// Minimal ZIP reader: walks the central directory and inflates only the wanted entries.
+// Reddit's export uses stored or deflate entries, which DecompressionStream covers. Returns
+// { 'comments.csv': text, ... } keyed by the lowercased base name; wanted files that are missing
+// are simply absent.
+async function readZipEntries(buffer, wanted) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip file');
+
+  const files = {};
+  const decoder = new TextDecoder();
+  let ptr = view.getUint32(eocd + 16, true);
+  for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) break;
+    const method = view.getUint16(ptr + 10, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + view.getUint16(ptr + 30, true) + view.getUint16(ptr + 32, true);
+
+    const base = name.split('/').pop().toLowerCase();
+    if (!wanted.includes(base)) continue;
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, size);
+    if (method === 0) {
+      files[base] = decoder.decode(data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[base] = await new Response(stream).text();
+    } else {
+      throw new Error(name + ' uses unsupported compression method ' + method);
+    }
+  }
+  return files;
+}
+
+// An item the user already deleted comes back from /api/info with author "[deleted]"
+function isDeletedItem(d) {
+  return !d || d.author === '[deleted]' || d.body === '[deleted]' || d.selftext === '[deleted]';
+}
+
+// History cleanup walks these profile listings; each maps to the call that removes one item
+const HISTORY_LISTINGS = ['saved', 'hidden', 'upvoted', 'downvoted'];
+
+function historyCleanupRequest(listing, fullname) {
+  if (listing === 'saved') return { path: '/api/unsave', params: { id: fullname } };
+  if (listing === 'hidden') return { path: '/api/unhide', params: { id: fullname } };
+  if (listing === 'upvoted' || listing === 'downvoted') return { path: '/api/vote', params: { id: fullname, dir: '0' } };
+  return null;
+}
+
+// Overwrite-before-delete placeholder. Tokens: {date} (today, local YYYY-MM-DD), {subreddit}, {id}.
+// Unknown tokens are left as typed; an empty template falls back to the default.
+const DEFAULT_OVERWRITE_TEMPLATE = 'Deleted by its author on {date}.';
+
+function localDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+function renderOverwriteTemplate(template, fields) {
+  const text = String(template || '').trim() || DEFAULT_OVERWRITE_TEMPLATE;
+  const values = Object.assign({ date: localDateString(new Date()) }, fields);
+  return text.replace(/\{(\w+)\}/g, (token, key) => values[key] != null ? String(values[key]) : token);
+}
+
+// Incremental scans keep a per-user index of fullname → { state, decision, rules } from earlier
+// runs. Decisions that flip by themselves as time passes are never treated as settled.
+const TIME_BOUND_DECISIONS = ['preserveAge', 'preserveNewest'];
+
+// The parts of an item that can change while its fullname stays the same
+function itemState(item) {
+  const signals = Object.keys(item.signals || {}).filter(k => item.signals[k]).sort().join('+');
+  return [item.score ?? '', item.subreddit || '', signals, item.title || '', item.body || ''].join('\u0001');
 }
 
-function shouldDeleteCommentByX(text, xMeansDelete) {
-  return xMeansDelete && loneLineCheck(text, 'x');
+// A listed item needs no fresh look when the index holds it in the same state, decided under
+// the same rules, and the decision does not depend on the clock. A delete decision ('delete',
+// 'deleteByDate', ...) is indexed before the delete runs; an item still listed with one is not
+// done yet (the delete failed or was throttled), and neither is one indexed as 'deleted'.
+function isSettledItem(record, state, rules) {
+  return !!record && record.state === state && record.rules === rules &&
+    !/^delete/.test(record.decision) && !TIME_BOUND_DECISIONS.includes(record.decision);
+}
+
+// Items from an early-stopped scan plus the indexed ones it did not reach (never those deleted)
+function mergeIndexedItems(fetched, records) {
+  const seen = new Set(fetched.map(item => item.name));
+  const rest = records.filter(r => r.decision !== 'deleted' && !seen.has(r.name)).map(r => r.item);
+  return fetched.concat(rest);
+}
+
+// Post-run verification: what still matches the delete rules after the cool-down.
+// items are { created_utc, subreddit }; subreddits are sorted by count, then by name.
+function residualReport(items, checkedAt) {
+  const counts = {};
+  let oldestUtc = null;
+  for (const item of items) {
+    const sub = item.subreddit || '(unknown)';
+    counts[sub] = (counts[sub] || 0) + 1;
+    if (item.created_utc != null && (oldestUtc === null || item.created_utc < oldestUtc)) oldestUtc = item.created_utc;
+  }
+  const subreddits = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return { checkedAt, count: items.length, oldestUtc, subreddits };
+}
+
+// One line for the log and overlay; `previous` is the report persisted by the last run
+function formatResidualReport(report, previous) {
+  let text = report.count
+    ? report.count + ' left, oldest ' + localDateString(new Date(report.oldestUtc * 1000)) + ', in ' +
+      report.subreddits.slice(0, 5).map(([sub, n]) => 'r/' + sub + ' (' + n + ')').join(', ') +
+      (report.subreddits.length > 5 ? ' and ' + (report.subreddits.length - 5) + ' more' : '')
+    : 'Nothing left';
+  if (previous) text += '; previous run: ' + previous.count + ' left';
+  return text;
+}
+
+// Run schedule (quiet hours): "HH:MM-HH:MM day,day" in local time, e.g. "22:00-06:00 fri,sat".
+// A window that ends before it starts runs past midnight and belongs to the day it starts on;
+// equal times mean the whole day. No days listed means every day. Blank or malformed = no schedule.
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseSchedule(text) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*(.*)$/.exec(String(text || ''));
+  if (!m || +m[1] > 23 || +m[2] > 59 || +m[3] > 23 || +m[4] > 59) return null;
+  const days = m[5].toLowerCase().split(/[\s,]+/).map(d => SCHEDULE_DAYS.indexOf(d.slice(0, 3))).filter(d => d >= 0);
+  return {
+    from: +m[1] * 60 + +m[2],
+    to: +m[3] * 60 + +m[4],
+    days: days.length ? [...new Set(days)].sort() : [0, 1, 2, 3, 4, 5, 6]
+  };
+}
+
+function serializeSchedule(schedule) {
+  if (!schedule) return '';
+  const hm = mins => String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+  return hm(schedule.from) + '-' + hm(schedule.to) +
+    (schedule.days.length < 7 ? ' ' + schedule.days.map(d => SCHEDULE_DAYS[d]).join(',') : '');
+}
+
+// Whether `date` falls inside one of the schedule's windows; no schedule means any time
+function inSchedule(schedule, date) {
+  if (!schedule) return true;
+  const mins = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (schedule.from === schedule.to) return schedule.days.includes(day);
+  if (schedule.from < schedule.to) return schedule.days.includes(day) && mins >= schedule.from && mins < schedule.to;
+  return (schedule.days.includes(day) && mins >= schedule.from) ||
+    (schedule.days.includes((day + 6) % 7) && mins < schedule.to);
+}
+
+// When the next window opens: `date` itself inside a window (or without a schedule)
+function nextScheduleStart(schedule, date) {
+  if (inSchedule(schedule, date)) return date;
+  for (let i = 0; i <= 7; i++) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() + i, Math.floor(schedule.from / 60), schedule.from % 60);
+    if (start > date && schedule.days.includes(start.getDay())) return start;
+  }
+  return date;
+}
+
+// Job state (DOM variants): one versioned record per account holds a run — the settings, the
+// listing and pass being worked on, the page to continue from, counters and the fullnames still
+// pending there. Storage lives in the script; these helpers only shape the record.
+const JOB_STATE_VERSION = 1;
+
+function createJob(user, pageUrl, now) {
+  return { version: JOB_STATE_VERSION, user, listing: null, sort: null, page: 1, pageUrl, counters: { deleted: 0, pages: 1 }, pendingIds: [], settings: {}, startedAt: now };
+}
+
+// A record saved by another version of the script is dropped, never guessed at
+function isCurrentJob(record) {
+  return !!record && record.version === JOB_STATE_VERSION;
+}
+
+// What a page load does with a saved record: the script's own navigation resumes it, any other
+// load (closed tab, followed link) only offers it, and no record or one without a pass does nothing
+function jobResumeAction(record, navigated) {
+  if (!isCurrentJob(record) || !record.sort) return 'none';
+  return navigated ? 'resume' : 'offer';
+}
+
+// Work on pass `sort` of `listing`; a different pass starts again from its first page
+function enterJobPass(record, listing, sort, settings) {
+  if (record.listing !== listing || record.sort !== sort) record.page = 1;
+  record.listing = listing;
+  record.sort = sort;
+  record.settings = settings;
+  return record;
+}
+
+// The listing a run moves on to once every pass on `listing` is done; null when the run is over
+function nextJobListing(listings, listing) {
+  const i = listings.indexOf(listing);
+  return i >= 0 && i + 1 < listings.length ? listings[i + 1] : null;
+}
+
+// About to load `url`: the next page of the same pass, or the first page of another
+function advanceJobPage(record, url, nextPage) {
+  record.pageUrl = String(url);
+  record.page = nextPage ? record.page + 1 : 1;
+  if (nextPage) record.counters.pages++;
+  record.pendingIds = [];
+  return record;
+}
+
+function markJobPending(record, ids) {
+  record.pendingIds = ids.filter(Boolean);
+  return record;
+}
+
+function markJobDeleted(record, id) {
+  record.counters.deleted++;
+  record.pendingIds = record.pendingIds.filter(p => p !== id);
+  return record;
+}
+
+
+// Shared rate limiter — used by all three userscripts and test.js.
+// During development: scripts @require this file.
+// On release: release.sh inlines it into the .user.js bundle.
+
+// Reddit's rate-limit headers: x-ratelimit-remaining (requests left in the window, can be
+// fractional), x-ratelimit-used, x-ratelimit-reset (seconds until the window resets) and
+// Retry-After (seconds or an HTTP date). `get` is a header getter; times come back absolute.
+// Returns null when the response carries none of them.
+function parseRateLimitHeaders(get, now) {
+  const num = name => {
+    const n = parseFloat(get(name));
+    return isNaN(n) ? null : n;
+  };
+  const remaining = num('x-ratelimit-remaining');
+  const used = num('x-ratelimit-used');
+  const reset = num('x-ratelimit-reset');
+  const retryAfter = String(get('retry-after') || '').trim();
+  let retryUntil = null;
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) retryUntil = now + parseFloat(retryAfter) * 1000;
+  else if (retryAfter && !isNaN(Date.parse(retryAfter))) retryUntil = Math.max(now, Date.parse(retryAfter));
+  if (remaining === null && reset === null && retryUntil === null) return null;
+  return { remaining, used, resetAt: reset === null ? null : now + reset * 1000, retryUntil, at: now };
+}
+
+// Earliest time for the next request: Retry-After when given, the reset when the budget (less
+// `reserve` left for Reddit's own page) is spent, otherwise the rest of the window spread evenly
+function nextRequestAt(budget, reserve) {
+  if (!budget) return 0;
+  if (budget.retryUntil) return budget.retryUntil;
+  if (budget.remaining === null || budget.resetAt === null || budget.resetAt <= budget.at) return 0;
+  if (budget.remaining <= reserve) return budget.resetAt;
+  return budget.at + (budget.resetAt - budget.at) / (budget.remaining - reserve);
+}
+
+function formatRateBudget(budget, now) {
+  if (!budget) return '';
+  const secs = at => Math.max(0, Math.ceil((at - now) / 1000)) + 's';
+  if (budget.retryUntil && budget.retryUntil > now) return 'Reddit asked to wait ' + secs(budget.retryUntil);
+  if (budget.remaining === null) return '';
+  return 'Reddit budget: ' + Math.floor(budget.remaining) + ' requests left' +
+    (budget.resetAt !== null ? ', resets in ' + secs(budget.resetAt) : '');
+}
+
+// Throttling that does not come as a 429: a 403, a 200 HTML "you're doing that too much"
+// interstitial, or an error JSON body (RATELIMIT errors name their wait, e.g. "try again in 9
+// minutes"). Returns { kind, waitMs } with kind 'forbidden', 'interstitial', 'ratelimit' or
+// 'error' and waitMs 0 when Reddit named no wait, or null for an ordinary response.
+function detectSoftThrottle(status, contentType, body) {
+  const text = String(body || '');
+  const hint = /(?:try again in|take a break for)\s+(\d+)\s*(millisecond|second|minute|hour)s?/i.exec(text);
+  const waitMs = hint ? parseInt(hint[1], 10) * { millisecond: 1, second: 1000, minute: 60000, hour: 3600000 }[hint[2].toLowerCase()] : 0;
+  const throttleText = /you(?:'|\u2019|&#39;)re doing that too much|doing that a lot|whoa there,? pardner|too many requests/i;
+  if (status === 403) return { kind: 'forbidden', waitMs };
+  if (/json/i.test(contentType || '') || /^\s*[{[]/.test(text)) {
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* not JSON after all */ }
+    if (data && typeof data === 'object') {
+      const errors = (data.json && data.json.errors) || data.errors || (data.error ? [[data.error, data.message || '']] : []);
+      if (!errors.length) return null;
+      const flat = errors.map(e => [].concat(e).join(' ')).join('; ');
+      return { kind: /RATELIMIT/.test(flat) || throttleText.test(flat) ? 'ratelimit' : 'error', waitMs };
+    }
+  }
+  if (/html/i.test(contentType || '') || /^\s*</.test(text)) {
+    if (throttleText.test(text)) return { kind: 'interstitial', waitMs };
+  }
+  return null;
+}
+
+// Token bucket with backoff. Every request takes a token from a bucket that refills at
+// `refillPerSec` up to `capacity`; Reddit's x-ratelimit budget spaces requests out further; a 429
+// blocks until Retry-After or the window reset, or for an exponential backoff (doubling from
+// `baseWait` up to `maxWait`) when Reddit sends neither. `now` and `sleep` are injectable so the
+// tests can run it on a fake clock.
+function createRateLimiter(options) {
+  const opts = Object.assign({
+    capacity: 10,
+    refillPerSec: 1,
+    reserve: 2, // requests left over for Reddit's own page scripts
+    baseWait: 60000,
+    maxWait: 1800000,
+    pollMs: 5000, // longest single sleep, so long waits are reported as they go
+    now: () => Date.now(),
+    sleep: ms => new Promise(r => setTimeout(r, ms)),
+    onWait: () => {} // (ms, reason) before each sleep; reason is 'rate limited', 'pacing' or 'bucket'
+  }, options);
+
+  let tokens = opts.capacity;
+  let refilledAt = opts.now();
+  let blockedUntil = 0;
+  let multiplier = 1;
+  let budget = null;
+  let resetFrom = 1; // the multiplier the last non-429 response reset, see noteThrottle()
+
+  // Wait for a throttle Reddit gave no length for; doubles from baseWait up to maxWait
+  function backoff() {
+    const wait = Math.min(opts.baseWait * multiplier, opts.maxWait);
+    multiplier = Math.min(multiplier * 2, opts.maxWait / opts.baseWait);
+    return wait;
+  }
+
+  // How long until the next request may go out, and why
+  function pending(now) {
+    tokens = Math.min(opts.capacity, tokens + (now - refilledAt) / 1000 * opts.refillPerSec);
+    refilledAt = now;
+    if (blockedUntil > now) return [blockedUntil - now, 'rate limited'];
+    const paced = nextRequestAt(budget, opts.reserve) - now;
+    if (paced > 0) return [paced, 'pacing'];
+    if (tokens < 1) return [Math.ceil((1 - tokens) / opts.refillPerSec * 1000), 'bucket'];
+    return [0, ''];
+  }
+
+  return {
+    isLimited: () => blockedUntil > opts.now(),
+    budget: () => budget,
+    multiplier: () => multiplier,
+
+    // What has to outlive a page load: when the current wait ends, the backoff multiplier and
+    // Reddit's last budget. restore() never shortens a wait already in progress.
+    state: () => ({ blockedUntil, multiplier, budget }),
+    restore(saved) {
+      if (!saved) return;
+      blockedUntil = Math.max(blockedUntil, Number(saved.blockedUntil) || 0);
+      multiplier = Math.min(Math.max(1, Number(saved.multiplier) || 1), opts.maxWait / opts.baseWait);
+      if (!budget && saved.budget) budget = saved.budget;
+    },
+
+    // Resolves once a request may be sent, and takes a token for it
+    async acquire() {
+      for (;;) {
+        const [wait, reason] = pending(opts.now());
+        if (wait <= 0) break;
+        opts.onWait(wait, reason);
+        await opts.sleep(Math.min(wait, opts.pollMs));
+      }
+      tokens -= 1;
+    },
+
+    // Every response goes through here. Returns { wait, fromHeaders } for a 429, null otherwise.
+    noteResponse(status, getHeader) {
+      const now = opts.now();
+      const parsed = parseRateLimitHeaders(getHeader, now);
+      if (parsed) budget = parsed;
+      if (status !== 429) {
+        resetFrom = multiplier;
+        multiplier = 1; // a successful response ends the backoff streak
+        return null;
+      }
+      const headerUntil = parsed && (parsed.retryUntil || parsed.resetAt);
+      const fromHeaders = !!headerUntil && headerUntil > now;
+      const wait = fromHeaders ? Math.min(headerUntil - now, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHeaders };
+    },
+
+    // Throttling without a 429 (see detectSoftThrottle, or a delete that did nothing). Its response
+    // has already been through noteResponse() as a success, so the streak that reset carries on.
+    // Waits `hintMs` when Reddit named a wait, otherwise backs off. Returns { wait, fromHint }.
+    noteThrottle(hintMs) {
+      const now = opts.now();
+      multiplier = Math.max(multiplier, resetFrom);
+      resetFrom = 1;
+      const fromHint = hintMs > 0;
+      const wait = fromHint ? Math.min(hintMs, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHint };
+    }
+  };
+}
+
+// Self-tuning pace between deletions: the delay creeps down by `speedUp` after every success and
+// jumps up by `slowDown` on any throttle, within [minDelay, maxDelay]. Long pauses scale with it
+// (scale() is the delay relative to baseDelay). state()/restore() carry the learned pace to the
+// next run.
+function createPaceController(options) {
+  const opts = Object.assign({
+    baseDelay: 1000,
+    minDelay: 250,
+    maxDelay: 60000,
+    speedUp: 0.97,
+    slowDown: 2
+  }, options);
+  const clamp = ms => Math.min(opts.maxDelay, Math.max(opts.minDelay, Math.round(ms)));
+  let delay = clamp(opts.baseDelay);
+
+  return {
+    delay: () => delay,
+    scale: () => delay / opts.baseDelay,
+    success() { delay = clamp(delay * opts.speedUp); },
+    throttle() { delay = clamp(delay * opts.slowDown); },
+    reset() { delay = clamp(opts.baseDelay); },
+    state: () => ({ delay }),
+    restore(saved) {
+      const ms = saved && Number(saved.delay);
+      if (ms > 0) delay = clamp(ms);
+    }
+  };
+}
+
+function formatPace(delayMs) {
+  return 'Pace: ' + (delayMs / 1000).toFixed(delayMs < 10000 ? 2 : 0) + 's between deletions';
 }
 
 
@@ -53,11 +874,38 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	const RATE_LIMIT_MAX = 1800000;
 	const SHORT_DELAY_MIN = 1000;
 	const SHORT_DELAY_MAX = 1000;
+	const SOFT_THROTTLE_RETRIES = 5; // Per comment, before it is given up on
+	const DELETE_CONFIRM_MS = 5000; // How long a clicked "yes" gets to remove the comment
 	const LONG_DELAY_AFTER = [10, 20];
 	const LONG_DELAY_MS = [10000, 15000];
+	let contentType = CONTENT_TYPE_COMMENTS; // What to delete: comments, posts (/submitted) or both, comments first
+	let retentionMode = RETENTION_MODE_DAYS; // 'days' keeps the last N days, 'count' keeps the newest N comments
 	let daysToPreserve = 10; // Keep comments from the last N days (set to 0 to delete all comments regardless of age)
+	let subredditPolicies = ''; // Per-subreddit days overriding daysToPreserve, e.g. "askreddit=7,politics=0" (saved as rco_policies)
+	let keepNewestCount = 200; // Count retention: always keep this many of the newest comments
+	let newestCutoffUtc = null; // Count retention: created_utc of the Nth newest comment, found by the counting pass
+	let deleteFromDate = ''; // YYYY-MM-DD — if set, comments written before this day are preserved
+	let deleteToDate = ''; // YYYY-MM-DD — if set, comments written after this day are preserved
 	let preserveDotComments = true; // Preserve comments that end with a dot (.) on its own line
 	let xMeansDelete = false; // Comments ending with x on its own line are force-deleted regardless of age (opt-in)
+	let preserveMarker = DEFAULT_PRESERVE_MARKER; // Line that marks a comment to preserve — user-definable, e.g. "#keep"
+	let deleteMarker = DEFAULT_DELETE_MARKER; // Line that marks a comment to force-delete — user-definable, e.g. "#purge"
+	let markerMode = MARKER_MODE_ANYWHERE; // Where markers count: any plain paragraph line, or only the comment's last line
+	let onlySubreddits = ''; // If set, only comments in these subreddits are deleted (comma-separated)
+	let exceptSubreddits = ''; // Comments in these subreddits are never deleted (comma-separated)
+	let protectedSignals = REDDIT_SIGNALS.join(','); // Never delete comments that are distinguished, stickied, gilded/awarded or saved
+	let preserveOwnThreads = false; // Never delete comments on posts I submitted (compares the post author with the profile)
+	let depthFilter = DEPTH_FILTER_ALL; // Delete all comments, only top-level comments, or only replies
+	let minScoreToPreserve = null; // Preserve comments with at least this score (null = no score rule)
+	let onlyDeleteDownvoted = false; // Only delete comments with a score of 0 or below
+	let keepPatterns = ''; // Newline-separated keywords or /regex/ — matching comments are always preserved
+	let purgePatterns = ''; // Newline-separated keywords or /regex/ — matching comments are force-deleted regardless of age
+	let extendedDiscovery = false; // Also run top/controversial once per t= window to get past the ~1000-item listing cap
+	let incrementalScan = true; // End a sort at the first page whose items are all indexed and unchanged since an earlier run
+	let overwriteBeforeDelete = false; // Edit the body to a placeholder through the edit form before deleting (opt-in)
+	let overwriteTemplate = DEFAULT_OVERWRITE_TEMPLATE; // Placeholder text; {date}, {subreddit} and {id} are filled in
+	let verifyAfterMinutes = 5; // Cool-down before the post-run verification pass re-lists every sort (0 = off)
+	let runSchedule = ''; // Quiet hours: only run inside this window, e.g. "22:00-06:00 fri,sat" (saved as rco_schedule; blank = any time)
 	let dryRun = false; // Dry run mode: log actions without actually deleting
 	let simulate = false; // Simulation mode: click "No" on confirmation instead of "Yes" — enable via ?rco_simulate=true
 
@@ -70,6 +918,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	let overlayEl = null;
 	let overlayStatusEl = null;
 	let overlayLogEl = null;
+	let overlayBudgetEl = null;
 
 	// Persist log across page reloads via localStorage
 	function loadPersistedLog() {
@@ -80,6 +929,47 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	}
 	let persistedLog = loadPersistedLog();
 
+	// Marker tokens are remembered across sessions — existing comments already carry them
+	function loadSavedMarkers() {
+		try {
+			const saved = JSON.parse(localStorage.getItem('rco_markers') || '{}');
+			preserveMarker = normalizeMarker(saved.preserve, DEFAULT_PRESERVE_MARKER);
+			deleteMarker = normalizeMarker(saved.delete, DEFAULT_DELETE_MARKER);
+			if (saved.mode === MARKER_MODE_LAST_LINE) markerMode = MARKER_MODE_LAST_LINE;
+		} catch { /* keep defaults */ }
+	}
+	function saveMarkers() {
+		try { localStorage.setItem('rco_markers', JSON.stringify({ preserve: preserveMarker, delete: deleteMarker, mode: markerMode })); } catch { /* ignore quota */ }
+	}
+	loadSavedMarkers();
+
+	// Per-subreddit retention policies are remembered across sessions
+	function loadSavedPolicies() {
+		try { subredditPolicies = serializeSubredditPolicies(parseSubredditPolicies(localStorage.getItem('rco_policies') || '')); } catch { /* keep none */ }
+	}
+	function savePolicies() {
+		try { localStorage.setItem('rco_policies', subredditPolicies); } catch { /* ignore quota */ }
+	}
+	loadSavedPolicies();
+
+	// The run schedule is remembered across sessions
+	function loadSavedSchedule() {
+		try { runSchedule = serializeSchedule(parseSchedule(localStorage.getItem('rco_schedule') || '')); } catch { /* keep none */ }
+	}
+	function saveSchedule() {
+		try { localStorage.setItem('rco_schedule', runSchedule); } catch { /* ignore quota */ }
+	}
+	loadSavedSchedule();
+
+	// The overwrite template is remembered across sessions; the toggle itself is not
+	function loadSavedOverwriteTemplate() {
+		try { overwriteTemplate = localStorage.getItem('rco_overwrite_template') || DEFAULT_OVERWRITE_TEMPLATE; } catch { /* keep default */ }
+	}
+	function saveOverwriteTemplate() {
+		try { localStorage.setItem('rco_overwrite_template', overwriteTemplate); } catch { /* ignore quota */ }
+	}
+	loadSavedOverwriteTemplate();
+
 	// Logging function to consistently identify our script
 	function log(message, ...args) {
 		if (LOGGING_ENABLED) {
@@ -101,87 +991,294 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	// All persistent state parameters — single source of truth
 	// Each entry: { key: "rco_xxx", get: () => currentValue, set: val => assignValue }
 	const STATE_PARAMS = [
-		{ key: 'rco_days',     get: () => daysToPreserve,        set: v => daysToPreserve = parseInt(v) || 10 },
+		{ key: 'rco_days',     get: () => daysToPreserve,        set: v => { const n = parseInt(v, 10); daysToPreserve = isNaN(n) ? 10 : n; } }, // 0 is valid
+		{ key: 'rco_content',     get: () => contentType,        set: v => contentType = [CONTENT_TYPE_POSTS, CONTENT_TYPE_BOTH].includes(v) ? v : CONTENT_TYPE_COMMENTS },
+		{ key: 'rco_policies',    get: () => subredditPolicies,  set: v => subredditPolicies = serializeSubredditPolicies(parseSubredditPolicies(v)) },
+		{ key: 'rco_retention',   get: () => retentionMode,      set: v => retentionMode = v === RETENTION_MODE_COUNT ? v : RETENTION_MODE_DAYS },
+		{ key: 'rco_keep_newest', get: () => keepNewestCount,    set: v => { const n = parseInt(v, 10); keepNewestCount = isNaN(n) ? 200 : Math.max(0, n); } }, // 0 keeps none
+		{ key: 'rco_newest_cutoff', get: () => newestCutoffUtc ?? '', set: v => { const n = parseFloat(v); newestCutoffUtc = isNaN(n) ? null : n; } },
+		{ key: 'rco_from',        get: () => deleteFromDate,     set: v => deleteFromDate = parseDateBound(v) === null ? '' : v },
+		{ key: 'rco_to',          get: () => deleteToDate,       set: v => deleteToDate = parseDateBound(v) === null ? '' : v },
 		{ key: 'rco_dot',      get: () => preserveDotComments,   set: v => preserveDotComments = v === 'true' },
 		{ key: 'rco_x',        get: () => xMeansDelete,          set: v => xMeansDelete = v === 'true' },
+		{ key: 'rco_dot_marker',  get: () => preserveMarker,     set: v => preserveMarker = normalizeMarker(v, DEFAULT_PRESERVE_MARKER) },
+		{ key: 'rco_x_marker',    get: () => deleteMarker,       set: v => deleteMarker = normalizeMarker(v, DEFAULT_DELETE_MARKER) },
+		{ key: 'rco_marker_mode', get: () => markerMode,         set: v => markerMode = v === MARKER_MODE_LAST_LINE ? v : MARKER_MODE_ANYWHERE },
+		{ key: 'rco_only_subs',   get: () => onlySubreddits,     set: v => onlySubreddits = v },
+		{ key: 'rco_except_subs', get: () => exceptSubreddits,   set: v => exceptSubreddits = v },
+		{ key: 'rco_signals',     get: () => protectedSignals,   set: v => protectedSignals = parseSignalList(v).join(',') },
+		{ key: 'rco_own_threads', get: () => preserveOwnThreads, set: v => preserveOwnThreads = v === 'true' },
+		{ key: 'rco_depth',       get: () => depthFilter,        set: v => depthFilter = [DEPTH_FILTER_TOP_LEVEL, DEPTH_FILTER_REPLIES].includes(v) ? v : DEPTH_FILTER_ALL },
+		{ key: 'rco_min_score',   get: () => minScoreToPreserve ?? '', set: v => { const n = parseInt(v, 10); minScoreToPreserve = isNaN(n) ? null : n; } },
+		{ key: 'rco_downvoted',   get: () => onlyDeleteDownvoted, set: v => onlyDeleteDownvoted = v === 'true' },
+		{ key: 'rco_keep',        get: () => keepPatterns,       set: v => keepPatterns = v },
+		{ key: 'rco_purge',       get: () => purgePatterns,      set: v => purgePatterns = v },
+		{ key: 'rco_extended',    get: () => extendedDiscovery,  set: v => extendedDiscovery = v === 'true' },
+		{ key: 'rco_incremental', get: () => incrementalScan,    set: v => incrementalScan = v === 'true' },
+		{ key: 'rco_overwrite',   get: () => overwriteBeforeDelete, set: v => overwriteBeforeDelete = v === 'true' },
+		{ key: 'rco_overwrite_text', get: () => overwriteTemplate, set: v => overwriteTemplate = v || DEFAULT_OVERWRITE_TEMPLATE },
+		{ key: 'rco_verify',      get: () => verifyAfterMinutes, set: v => { const n = parseInt(v, 10); verifyAfterMinutes = isNaN(n) ? 5 : Math.max(0, n); } }, // 0 is valid
+		{ key: 'rco_schedule',    get: () => runSchedule,        set: v => runSchedule = serializeSchedule(parseSchedule(v)) },
 		{ key: 'rco_dryrun',   get: () => dryRun,                set: v => dryRun = v === 'true' },
 		{ key: 'rco_simulate', get: () => simulate,              set: v => simulate = v === 'true' },
 	];
 
 	let running = false; // will be set by loadState()
+	let interruptedJob = null; // a run this tab did not leave off itself: offered for resume, never auto-started
+
+	/***********************
+	 * JOB STATE (IndexedDB)
+	 ************************/
+	// A run lives in one versioned record per account in the rco_jobs database: the settings
+	// (STATE_PARAMS), the pass being worked on, the page to continue from, counters and the IDs still
+	// pending on the current page. Closing the tab or following a link keeps it, and reopening the
+	// listing offers to resume. Only the script's own navigations resume without asking.
+	const JOB_DB = 'rco_jobs';
+	const JOB_NAV_FLAG = 'rco_navigating'; // sessionStorage: set just before the script navigates itself
+	let jobDbPromise = null;
+	let job = null; // the record of the run going on in this tab, or null
+
+	function openJobDb() {
+		if (!jobDbPromise) {
+			jobDbPromise = new Promise((resolve, reject) => {
+				const req = indexedDB.open(JOB_DB, 1);
+				req.onupgradeneeded = () => req.result.createObjectStore('jobs', { keyPath: 'user' });
+				req.onsuccess = () => resolve(req.result);
+				req.onerror = () => reject(req.error);
+			});
+		}
+		return jobDbPromise;
+	}
+
+	function jobUser() {
+		return getProfileUsername().toLowerCase();
+	}
 
-	function loadState() {
-		const params = new URLSearchParams(window.location.search);
+	async function readJob() {
+		const db = await openJobDb();
+		const record = await new Promise((resolve, reject) => {
+			const req = db.transaction('jobs').objectStore('jobs').get(jobUser());
+			req.onsuccess = () => resolve(req.result || null);
+			req.onerror = () => reject(req.error);
+		});
+		if (record && !isCurrentJob(record)) {
+			log("Dropping job state saved by another version (" + record.version + ")");
+			await deleteJob();
+			return null;
+		}
+		return record;
+	}
+
+	async function writeJob(record) {
+		const db = await openJobDb();
+		await new Promise((resolve, reject) => {
+			const tx = db.transaction('jobs', 'readwrite');
+			tx.objectStore('jobs').put(Object.assign(record, { updatedAt: Date.now() }));
+			tx.oncomplete = resolve;
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+
+	async function deleteJob() {
+		const db = await openJobDb();
+		await new Promise((resolve, reject) => {
+			const tx = db.transaction('jobs', 'readwrite');
+			tx.objectStore('jobs').delete(jobUser());
+			tx.oncomplete = resolve;
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+
+	// A job left by this tab's own navigation resumes here; any other is only offered
+	async function loadState() {
+		// ?rco_simulate=true/false is still read from the URL; a resumed job then applies its own setting
+		const simulateParam = new URLSearchParams(location.search).get('rco_simulate');
+		if (simulateParam !== null) simulate = simulateParam === 'true';
+
+		let record = null;
+		try { record = await readJob(); } catch (e) { log("Could not read job state:", e.message); }
+		let navigated = false;
+		try {
+			navigated = sessionStorage.getItem(JOB_NAV_FLAG) === jobUser();
+			sessionStorage.removeItem(JOB_NAV_FLAG);
+		} catch { /* no sessionStorage */ }
+		const action = jobResumeAction(record, navigated);
+		if (action === 'offer') interruptedJob = record;
+		if (action !== 'resume') return;
 		for (const p of STATE_PARAMS) {
-			const val = params.get(p.key);
-			if (val !== null) p.set(val);
+			if (record.settings && record.settings[p.key] !== undefined) p.set(String(record.settings[p.key]));
 		}
-		running = params.has('rco_sort');
+		job = record;
+		running = true;
 	}
 
-	function saveState(sortName) {
-		const params = new URLSearchParams();
-		if (sortName) {
-			params.set('rco_sort', sortName);
-			for (const p of STATE_PARAMS) {
-				params.set(p.key, String(p.get()));
-			}
+	// Record the pass `sortName` on `listing` (default: this page's) in the job; without a pass the
+	// whole run is over and the record is removed
+	function saveState(sortName, listing = getCurrentListing()) {
+		if (!sortName) {
+			job = null;
+			return deleteJob().catch(e => log("Could not clear job state:", e.message));
+		}
+		if (!job) job = createJob(jobUser(), location.href, Date.now());
+		enterJobPass(job, listing, sortName, Object.fromEntries(STATE_PARAMS.map(p => [p.key, p.get()])));
+		return writeJob(job).catch(e => log("Could not save job state:", e.message));
+	}
+
+	// Just before the script navigates itself: where the run picks up, and a mark that the load is ours
+	async function beforeNavigate(url, nextPage) {
+		if (job) {
+			advanceJobPage(job, url, nextPage);
+			try { await writeJob(job); } catch (e) { log("Could not save job state:", e.message); }
 		}
-		const newUrl = window.location.pathname + (params.toString() ? '?' + params.toString() : '') + window.location.hash;
-		history.replaceState({}, document.title, newUrl);
+		try { sessionStorage.setItem(JOB_NAV_FLAG, jobUser()); } catch { /* no sessionStorage */ }
 	}
 
-	function getParam(key) {
-		return new URLSearchParams(window.location.search).get(key);
+	function jobItemName(btn) {
+		const thing = btn.closest('.thing');
+		return thing ? thing.getAttribute('data-fullname') : null;
 	}
 
-	// Initialize state from URL
-	loadState();
-	log("Script loaded - URL parameters:", window.location.search);
-	log("Running state from URL:", running);
-	log("Current sort from URL:", getParam('rco_sort'));
-	for (const p of STATE_PARAMS) {
-		log(p.key + ":", String(p.get()));
+	// The delete buttons found on this page, before any is clicked
+	async function setJobPending(buttons) {
+		if (!job) return;
+		markJobPending(job, buttons.map(jobItemName));
+		try { await writeJob(job); } catch (e) { log("Could not save job state:", e.message); }
 	}
 
-	// Progress tracking is no longer needed since we use URL parameters
+	async function noteJobDeleted(btn) {
+		if (!job) return;
+		markJobDeleted(job, jobItemName(btn));
+		try { await writeJob(job); } catch (e) { log("Could not save job state:", e.message); }
+	}
+
+	function describeJob(record) {
+		return "from " + record.sort + (record.listing ? " on " + record.listing : "") + ", page " + record.page + " (" + record.counters.deleted + " processed, last saved " +
+			new Date(record.updatedAt).toLocaleString() + ")";
+	}
+
+	const stateLoaded = loadState().then(() => {
+		log("Script loaded - job state:", job ? describeJob(job) : interruptedJob ? "interrupted run " + describeJob(interruptedJob) : "none");
+		log("Running state from job:", running);
+		for (const p of STATE_PARAMS) {
+			log(p.key + ":", String(p.get()));
+		}
+	});
 
 
 	/***********************
 	 * RATE LIMITING
 	 ************************/
-	let rateLimitActive = false;
-	let lastRateLimitTime = 0;
-	let rateLimitMultiplier = 1; // Start at 1x, increases with each 429
 	const BASE_RATE_LIMIT_WAIT = 60000; // 60 seconds minimum wait
+	const RATE_BUDGET_RESERVE = 2; // Requests left over for Reddit's own page scripts
+
+	// Token bucket, Reddit's x-ratelimit budget and the 429 backoff all live in src/ratelimit.js
+	const rateLimiter = createRateLimiter({
+		baseWait: BASE_RATE_LIMIT_WAIT,
+		maxWait: RATE_LIMIT_MAX,
+		reserve: RATE_BUDGET_RESERVE,
+		onWait: (ms, reason) => {
+			if (reason === 'rate limited') log("Still rate limited, waiting...");
+			else if (reason === 'pacing' && ms > 1000) log("Pacing: " + formatRateBudget(rateLimiter.budget(), Date.now()) + ", waiting " + (ms / 1000).toFixed(1) + "s");
+			updateBudgetDisplay();
+		}
+	});
 
-	// Check if we're currently rate limited
-	function isRateLimited() {
-		if (!rateLimitActive) return false;
-
-		// Check if enough time has passed to resume
-		const now = Date.now();
-		const timeSinceLimit = now - lastRateLimitTime;
-		const baseWait = BASE_RATE_LIMIT_WAIT * rateLimitMultiplier;
-		const cappedWait = Math.min(baseWait, RATE_LIMIT_MAX);
+	// Every next page and sort change is a reload, so the limiter's wait, multiplier and budget
+	// are kept in localStorage; otherwise a 429 would be forgotten on the next page
+	function loadRateLimitState() {
+		try { return JSON.parse(localStorage.getItem('rco_ratelimit') || 'null'); } catch { return null; }
+	}
+	function saveRateLimitState() {
+		try { localStorage.setItem('rco_ratelimit', JSON.stringify(rateLimiter.state())); } catch { /* ignore quota */ }
+	}
+	rateLimiter.restore(loadRateLimitState());
 
-		if (timeSinceLimit >= cappedWait) {
-			// Enough time has passed, reset rate limit state
-			rateLimitActive = false;
-			return false;
-		}
+	// The delay after each deletion and the long pauses are scaled by a pace learned per account:
+	// it creeps faster while deletions go through and halves its speed on every throttle
+	const pace = createPaceController({ baseDelay: SHORT_DELAY_MAX });
+	function loadPaces() {
+		try { return JSON.parse(localStorage.getItem('rco_pace') || '{}'); } catch { return {}; }
+	}
+	function savePace() {
+		const paces = loadPaces();
+		paces[getProfileUsername().toLowerCase()] = pace.state();
+		try { localStorage.setItem('rco_pace', JSON.stringify(paces)); } catch { /* ignore quota */ }
+	}
+	function restorePace() {
+		pace.restore(loadPaces()[getProfileUsername().toLowerCase()]);
+	}
+	function slowPace() {
+		pace.throttle();
+		savePace();
+		log(formatPace(pace.delay()) + " after the throttle");
+	}
+	restorePace();
 
-		return true; // Still rate limited
+	// A random delay from [min, max] at the learned pace
+	function paced(min, max) {
+		return Math.round(rand(min, max) * pace.scale());
 	}
 
-	// Wait until rate limit period is over
+	// Wait until the limiter lets the next request out
 	async function waitForRateLimit() {
-		while (isRateLimited()) {
-			log("Still rate limited, waiting...");
-			await sleep(5000); // Check every 5 seconds
+		await rateLimiter.acquire();
+	}
+
+	// Both patches report every response here. A 429 waits for Retry-After or the window reset
+	// when Reddit sends them, and falls back to the exponential backoff when it does not.
+	function noteRateLimitResponse(status, getHeader, via) {
+		const hadBackoff = rateLimiter.multiplier() > 1;
+		const limited = rateLimiter.noteResponse(status, getHeader);
+		saveRateLimitState();
+		updateBudgetDisplay();
+
+		if (limited) {
+			log("RATE LIMIT detected (429) via " + via);
+			slowPace();
+			if (limited.fromHeaders) log("Rate limited, Reddit asks to wait " + (limited.wait / 1000).toFixed(0) + " seconds");
+			else log("Rate limited, setting flag for " + (limited.wait / 1000) + " seconds, multiplier now: " + rateLimiter.multiplier());
+		} else if (hadBackoff) {
+			log("Rate limit multiplier reset after successful " + via + " response");
 		}
 	}
 
+	// Reddit also throttles without a 429: an HTML interstitial, a 403 or an error body from a write
+	// endpoint (see detectSoftThrottle), or a "yes" that does nothing at all. The patches hand write
+	// responses to checkWriteResponse(); deleteComment() picks up what they saw. A 429 is left to
+	// noteRateLimitResponse() and only its status is kept, so it is not backed off a second time.
+	const WRITE_API_PATH = /\/api\/(del|editusertext)\b/;
+	let pendingSoftThrottle = null;
+	let lastWriteStatus = null;
+	function checkWriteResponse(url, status, contentType, body) {
+		if (!WRITE_API_PATH.test(url || '')) return;
+		lastWriteStatus = status;
+		if (status === 429) return;
+		const soft = detectSoftThrottle(status, contentType, body);
+		if (soft) pendingSoftThrottle = soft;
+	}
+
+	// Soft throttles go into the same backoff but are counted apart, by kind, for the whole run
+	function loadSoftThrottleCounts() {
+		try { return JSON.parse(localStorage.getItem('rco_soft_throttles') || '{}'); } catch { return {}; }
+	}
+	function saveSoftThrottleCounts(counts) {
+		try { localStorage.setItem('rco_soft_throttles', JSON.stringify(counts)); } catch { /* ignore quota */ }
+	}
+	function formatSoftThrottleCounts(counts) {
+		return Object.keys(counts).map(kind => kind + " " + counts[kind]).join(", ");
+	}
+	function noteSoftThrottle(kind, hintMs) {
+		const counts = loadSoftThrottleCounts();
+		counts[kind] = (counts[kind] || 0) + 1;
+		saveSoftThrottleCounts(counts);
+		const throttle = rateLimiter.noteThrottle(hintMs);
+		saveRateLimitState();
+		updateBudgetDisplay();
+		log("Soft throttle (" + kind + "), #" + counts[kind] + " this run; " + (throttle.fromHint ? "Reddit asks to wait " : "backing off ") +
+			(throttle.wait / 1000).toFixed(0) + " seconds, multiplier now: " + rateLimiter.multiplier());
+		slowPace();
+	}
+
 	/***********************
 	 * HELPERS
 	 ************************/
@@ -195,31 +1292,25 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		const skipByDate = shouldSkipCommentByDate(commentElement);
 		const skipByDot = shouldSkipCommentByDot(commentElement);
 		const forceX = shouldDeleteCommentByX(commentElement);
+		const skipBySub = shouldSkipCommentElementBySubreddit(commentElement);
+		const skipByScore = shouldSkipCommentElementByScore(commentElement);
+		const skipByKeep = shouldSkipCommentElementByPattern(commentElement);
+		const forcePurge = shouldDeleteCommentElementByPattern(commentElement);
+		const skipBySignal = shouldSkipCommentElementBySignal(commentElement);
+		const skipByThread = shouldSkipCommentElementByThread(commentElement);
 		log('DELETE DEBUG: ' + action + ' preserve=' + daysToPreserve +
-			' skipByDate=' + skipByDate + ' skipByDot=' + skipByDot + ' forceX=' + forceX);
+			' skipByDate=' + skipByDate + ' skipByDot=' + skipByDot + ' forceX=' + forceX + ' skipBySub=' + skipBySub +
+			' skipByScore=' + skipByScore + ' skipByKeep=' + skipByKeep + ' forcePurge=' + forcePurge + ' skipBySignal=' + skipBySignal +
+			' skipByThread=' + skipByThread);
 	}
 
 	// -------- fetch monkey patch --------
 	const originalFetch = window.fetch;
 	window.fetch = async function(...args) {
 		const resp = await originalFetch(...args);
-		if (resp.status === 429) {
-			log("RATE LIMIT detected (429) via fetch");
-			rateLimitActive = true;
-			lastRateLimitTime = Date.now();
-
-			// Calculate wait time with exponential backoff (up to max)
-			const baseWait = BASE_RATE_LIMIT_WAIT * rateLimitMultiplier;
-			const cappedWait = Math.min(baseWait, RATE_LIMIT_MAX);
-			rateLimitMultiplier = Math.min(rateLimitMultiplier * 2, RATE_LIMIT_MAX / BASE_RATE_LIMIT_WAIT); // Double multiplier but cap it
-
-			log("Rate limited, setting flag for " + (cappedWait / 1000) + " seconds, multiplier now: " + rateLimitMultiplier);
-		} else {
-			// Reset multiplier after successful response to avoid permanent slowdown
-			if (rateLimitMultiplier > 1) {
-				rateLimitMultiplier = 1;
-				log("Rate limit multiplier reset after successful response");
-			}
+		noteRateLimitResponse(resp.status, name => resp.headers.get(name), 'fetch');
+		if (WRITE_API_PATH.test(resp.url || '')) {
+			resp.clone().text().then(body => checkWriteResponse(resp.url, resp.status, resp.headers.get('content-type'), body)).catch(() => {});
 		}
 		return resp;
 	};
@@ -230,21 +1321,10 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		constructor() {
 			super();
 			this.addEventListener('readystatechange', () => {
-				if (this.readyState === 4 && this.status === 429) {
-					log("RATE LIMIT detected (429) via XMLHttpRequest");
-					rateLimitActive = true;
-					lastRateLimitTime = Date.now();
-
-					// Calculate wait time with exponential backoff (up to max)
-					const baseWait = BASE_RATE_LIMIT_WAIT * rateLimitMultiplier;
-					const cappedWait = Math.min(baseWait, RATE_LIMIT_MAX);
-					rateLimitMultiplier = Math.min(rateLimitMultiplier * 2, RATE_LIMIT_MAX / BASE_RATE_LIMIT_WAIT); // Double multiplier but cap it
-
-					log("Rate limited, setting flag for " + (cappedWait / 1000) + " seconds, multiplier now: " + rateLimitMultiplier);
-				} else if (this.readyState === 4 && this.status !== 429 && rateLimitMultiplier > 1) {
-					// Reset multiplier after successful response to avoid permanent slowdown
-					rateLimitMultiplier = 1;
-					log("Rate limit multiplier reset after successful XHR response");
+				if (this.readyState !== 4) return;
+				noteRateLimitResponse(this.status, name => this.getResponseHeader(name), 'XMLHttpRequest');
+				if (this.responseType === '' || this.responseType === 'text') {
+					checkWriteResponse(this.responseURL, this.status, this.getResponseHeader('content-type'), this.responseText);
 				}
 			});
 		}
@@ -260,8 +1340,11 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			const u = new URL(location.href);
 			const urlSort = u.searchParams.get("sort");
 			if (urlSort) {
-				log("getCurrentSort(): Found in URL:", urlSort);
-				return urlSort;
+				// Time-filtered sorts report their window as a pass key, e.g. "top:week"
+				const t = u.searchParams.get("t");
+				const pass = t && TIME_FILTERED_SORTS.includes(urlSort) ? urlSort + ':' + t : urlSort;
+				log("getCurrentSort(): Found in URL:", pass);
+				return pass;
 			}
 
 			// If not in URL, try to detect from the UI
@@ -284,22 +1367,19 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		}
 	}
 
-	function gotoSort(sort) {
+	async function gotoSort(sort) {
 		log("Switching sort →", sort, "via URL navigation");
 
 		const u = new URL(location.href);
-		u.searchParams.set("sort", sort);
-
-		// Preserve all rco state parameters across navigation
-		const cur = new URLSearchParams(window.location.search);
-		for (const key of ['rco_sort', ...STATE_PARAMS.map(p => p.key)]) {
-			const val = cur.get(key);
-			if (val !== null) u.searchParams.set(key, val);
-		}
+		const pass = parsePass(sort);
+		u.searchParams.set("sort", pass.sort);
+		if (pass.t) u.searchParams.set("t", pass.t);
+		else u.searchParams.delete("t");
 
 		log("Final URL before navigation:", u.toString());
 		if (u.toString() !== location.href) {
 			log("Navigating to:", u.toString());
+			await beforeNavigate(u, false);
 			location.href = u.toString();
 		} else {
 			log("URL unchanged, no navigation needed");
@@ -308,6 +1388,154 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	}
 
 
+	/***********************
+	 * CONTENT TYPE / LISTINGS
+	 ************************/
+
+	function getCurrentListing() {
+		return listingFromPath(location.pathname);
+	}
+
+	// Posts on /submitted are .thing.link; comments are .thing.comment
+	function isPostElement(commentElement) {
+		return (commentElement.closest('.thing') || commentElement).classList.contains('link');
+	}
+
+	// Switch between /comments and /submitted, starting the new listing from the first sort.
+	// The count retention cutoff is per listing, so it is cleared and recounted on arrival.
+	async function gotoListing(listing) {
+		log("Switching listing →", listing, "via URL navigation");
+		newestCutoffUtc = null;
+		const u = new URL(location.origin + '/user/' + encodeURIComponent(getProfileUsername()) + '/' + listing + '/');
+		u.searchParams.set('sort', SORTS[0]);
+		await saveState(SORTS[0], listing); // the job carries the run over to the new listing
+		await beforeNavigate(u, false);
+		location.href = u.toString();
+	}
+
+	/***********************
+	 * DISCOVERY REPORT
+	 ************************/
+	// IDs seen this run and how many each pass found first; kept in localStorage because the
+	// redirect variant reloads the page between sorts
+	function loadDiscovery() {
+		try {
+			const saved = JSON.parse(localStorage.getItem('rco_discovery') || '{}');
+			return { seen: saved.seen || [], passes: saved.passes || {} };
+		} catch { return { seen: [], passes: {} }; }
+	}
+	function saveDiscovery(discovery) {
+		try { localStorage.setItem('rco_discovery', JSON.stringify(discovery)); } catch { /* ignore quota */ }
+	}
+
+	function recordDiscovery(pass) {
+		const discovery = loadDiscovery();
+		const seen = new Set(discovery.seen);
+		const ids = [...document.querySelectorAll('#siteTable .thing[data-fullname]')].map(thing => thing.getAttribute('data-fullname'));
+		const added = countNewIds(ids, seen);
+		if (!added) return;
+		discovery.seen = [...seen];
+		discovery.passes[pass] = (discovery.passes[pass] || 0) + added;
+		saveDiscovery(discovery);
+		log("Discovery: " + added + " new unique IDs on this page of " + pass);
+	}
+
+	/***********************
+	 * SEEN-ID INDEX (IndexedDB)
+	 ************************/
+	// Per-user record of every comment or post a run has looked at: { user, name, state, decision, rules }.
+	// Shared by both DOM variants; the API variant keeps its own database.
+	const INDEX_DB = 'rco_index';
+	let indexDbPromise = null;
+	let pageDecisions = new Map(); // fullname → { decision, state } from the last getDeleteButtons()
+
+	function openIndexDb() {
+		if (!indexDbPromise) {
+			indexDbPromise = new Promise((resolve, reject) => {
+				const req = indexedDB.open(INDEX_DB, 1);
+				req.onupgradeneeded = () => {
+					const store = req.result.createObjectStore('items', { keyPath: ['user', 'name'] });
+					store.createIndex('user', 'user');
+				};
+				req.onsuccess = () => resolve(req.result);
+				req.onerror = () => reject(req.error);
+			});
+		}
+		return indexDbPromise;
+	}
+
+	async function getIndexRecords(names) {
+		const user = getProfileUsername().toLowerCase();
+		const db = await openIndexDb();
+		return new Promise((resolve, reject) => {
+			const records = new Map();
+			const tx = db.transaction('items');
+			for (const name of names) {
+				const req = tx.objectStore('items').get([user, name]);
+				req.onsuccess = () => { if (req.result) records.set(name, req.result); };
+			}
+			tx.oncomplete = () => resolve(records);
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+
+	async function saveIndexRecords(entries) {
+		if (!entries.length) return;
+		const user = getProfileUsername().toLowerCase();
+		const rules = currentRules();
+		const db = await openIndexDb();
+		await new Promise((resolve, reject) => {
+			const tx = db.transaction('items', 'readwrite');
+			for (const e of entries) tx.objectStore('items').put({ user, name: e.name, state: e.state, decision: e.decision, rules, seenAt: Date.now() });
+			tx.oncomplete = resolve;
+			tx.onerror = () => reject(tx.error);
+		});
+	}
+
+	// Everything the delete rules depend on; decisions indexed under other rules are looked at again
+	function currentRules() {
+		return JSON.stringify([retentionMode, daysToPreserve, subredditPolicies, keepNewestCount, deleteFromDate, deleteToDate,
+			preserveDotComments, xMeansDelete, preserveMarker, deleteMarker, markerMode, onlySubreddits, exceptSubreddits,
+			protectedSignals, preserveOwnThreads, depthFilter, minScoreToPreserve, onlyDeleteDownvoted, keepPatterns, purgePatterns]);
+	}
+
+	function getCommentElementState(commentElement) {
+		return itemState({
+			score: getCommentScore(commentElement),
+			subreddit: getCommentSubreddit(commentElement),
+			signals: getCommentSignals(commentElement),
+			body: getCommentText(commentElement)
+		});
+	}
+
+	// Indexes the decisions from the last getDeleteButtons() and reports whether every one of my
+	// items on the page was already settled before that. The index is best effort: errors only mean a full walk.
+	async function indexCurrentPage() {
+		const entries = [...pageDecisions].map(([name, d]) => ({ name, state: d.state, decision: d.decision }));
+		if (!entries.length) return false;
+		try {
+			const records = await getIndexRecords(entries.map(e => e.name));
+			const rules = currentRules();
+			const settled = entries.every(e => isSettledItem(records.get(e.name), e.state, rules));
+			if (!dryRun && !simulate) await saveIndexRecords(entries);
+			return settled;
+		} catch (e) {
+			log("Seen-ID index unavailable:", e.message);
+			return false;
+		}
+	}
+
+	async function indexDeleted(btn) {
+		const thing = btn.closest('.thing');
+		const name = thing && thing.getAttribute('data-fullname');
+		if (!name || dryRun || simulate) return;
+		try {
+			await saveIndexRecords([{ name, state: '', decision: 'deleted' }]);
+		} catch (e) {
+			log("Seen-ID index unavailable:", e.message);
+		}
+	}
+
 	/***********************
 	 * DATE FILTERING
 	 ************************/
@@ -331,37 +1559,39 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			return true;
 		}
 
-		const cutoff = Date.now() - daysToPreserve * 86400000;
-		log('shouldSkipCommentByDate: datetime="' + raw + '" ts=' + d.getTime() + ' cutoff=' + cutoff + ' preserve=' + daysToPreserve + ' skip=' + (d.getTime() >= cutoff));
-		return d.getTime() >= cutoff;
+		if (retentionMode === RETENTION_MODE_COUNT) {
+			// Without a counting-pass cutoff nothing is known to be outside the newest N — preserve
+			const skipByRank = newestCutoffUtc === null || shouldSkipCommentByRank(d.getTime() / 1000, newestCutoffUtc);
+			const skip = skipByRank || shouldSkipCommentByDateRange(d.getTime() / 1000, deleteFromDate, deleteToDate);
+			log('shouldSkipCommentByDate: datetime="' + raw + '" ts=' + d.getTime() + ' newestCutoff=' + newestCutoffUtc + ' keep=' + keepNewestCount +
+				' range=' + (deleteFromDate || '…') + '..' + (deleteToDate || '…') + ' skip=' + skip);
+			return skip;
+		}
+
+		const policy = findSubredditPolicy(getCommentSubreddit(commentElement), subredditPolicies, daysToPreserve);
+		const cutoff = Date.now() - policy.days * 86400000;
+		const skipByRange = shouldSkipCommentByDateRange(d.getTime() / 1000, deleteFromDate, deleteToDate);
+		const skip = d.getTime() >= cutoff || skipByRange;
+		log('shouldSkipCommentByDate: datetime="' + raw + '" ts=' + d.getTime() + ' cutoff=' + cutoff + ' policy=' + policy.label + '(' + policy.days + 'd)' +
+			' range=' + (deleteFromDate || '…') + '..' + (deleteToDate || '…') + ' skip=' + skip);
+		return skip;
 	}
 
-	function loneLineCheck(md, char) {
-		// Walk all block-level children, check if any is just {char}
-		const blocks = md.querySelectorAll('p, li, pre, blockquote, h1, h2, h3, h4, h5, h6');
-		for (const b of blocks) {
-			if (b.textContent.trim() === char) return true;
-		}
-		// Fallback: walk text nodes via treewalker for edge cases
-		const walker = document.createTreeWalker(md, NodeFilter.SHOW_TEXT, null, false);
-		let node;
-		while (node = walker.nextNode()) {
-			const text = node.textContent.trim();
-			if (text === char) return true;
-		}
-		return false;
+	// Rendered comment body split into blocks by the shared markdown-aware parser
+	function getCommentBlocks(commentElement) {
+		const md = commentElement.querySelector('.usertext-body .md') || commentElement.querySelector('.md');
+		return md ? htmlParagraphs(md.innerHTML) : null;
 	}
 
 	function shouldSkipCommentByDot(commentElement) {
 		if (!preserveDotComments) return false;
 
 		try {
-			const body = commentElement.querySelector('.usertext-body');
-			const md = body || commentElement.querySelector('.md');
-			if (!md) return false;
+			const blocks = getCommentBlocks(commentElement);
+			if (!blocks) return false;
 
-			if (loneLineCheck(md, '.')) {
-				log('shouldSkipCommentByDot: Preserving comment ending with dot');
+			if (loneLineCheck(blocks, preserveMarker, markerMode)) {
+				log('shouldSkipCommentByDot: Preserving comment ending with "' + preserveMarker + '"');
 				return true;
 			}
 			return false;
@@ -375,12 +1605,11 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		if (!xMeansDelete) return false;
 
 		try {
-			const body = commentElement.querySelector('.usertext-body');
-			const md = body || commentElement.querySelector('.md');
-			if (!md) return false;
+			const blocks = getCommentBlocks(commentElement);
+			if (!blocks) return false;
 
-			if (loneLineCheck(md, 'x')) {
-				log('shouldDeleteCommentByX: Force-deleting comment ending with x');
+			if (loneLineCheck(blocks, deleteMarker, markerMode)) {
+				log('shouldDeleteCommentByX: Force-deleting comment ending with "' + deleteMarker + '"');
 				return true;
 			}
 			return false;
@@ -390,10 +1619,218 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		}
 	}
 
+	/***********************
+	 * SUBREDDIT FILTERING
+	 ************************/
+
+	function getCommentSubreddit(commentElement) {
+		// The delete button resolves to .entry; the subreddit link lives on the enclosing .thing
+		const thing = commentElement.closest('.thing') || commentElement;
+		const link = thing.querySelector('a.subreddit');
+		if (link) return link.textContent.trim();
+		return thing.getAttribute('data-subreddit') || '';
+	}
+
+	function shouldSkipCommentElementBySubreddit(commentElement) {
+		if (!onlySubreddits && !exceptSubreddits) return false;
+		const subreddit = getCommentSubreddit(commentElement);
+		const skip = shouldSkipCommentBySubreddit(subreddit, onlySubreddits, exceptSubreddits);
+		if (skip) log('shouldSkipCommentElementBySubreddit: Preserving comment in r/' + (subreddit || '(unknown)'));
+		return skip;
+	}
+
+	/***********************
+	 * REDDIT SIGNALS
+	 ************************/
+
+	// Old Reddit marks these on the .thing and its tagline rather than in any data attribute
+	function getCommentSignals(commentElement) {
+		const thing = commentElement.closest('.thing') || commentElement;
+		return {
+			distinguished: !!thing.querySelector('.tagline a.author.moderator, .tagline a.author.admin, .tagline a.author.special'),
+			stickied: thing.classList.contains('stickied') || !!thing.querySelector('.tagline .stickied-tagline'),
+			gilded: thing.classList.contains('gilded') || !!thing.querySelector('.tagline .awarding-link, .tagline .gilded-icon'),
+			saved: thing.classList.contains('saved')
+		};
+	}
+
+	function shouldSkipCommentElementBySignal(commentElement) {
+		if (!protectedSignals) return false;
+		const match = matchRedditSignal(getCommentSignals(commentElement), protectedSignals);
+		if (match) log('shouldSkipCommentElementBySignal: Preserving ' + match + ' comment');
+		return match !== null;
+	}
+
+	/***********************
+	 * THREAD AND DEPTH FILTERS
+	 ************************/
+
+	// Thread pages have no /user/<name> in the path; fall back to the logged-in account
+	function getProfileUsername() {
+		const m = location.pathname.match(/\/user\/([^\/]+)/);
+		return m ? decodeURIComponent(m[1]) : getLoggedInUsername();
+	}
+
+	function getLoggedInUsername() {
+		const link = document.querySelector('#header .user a');
+		return link ? link.textContent.trim() : '';
+	}
+
+	// Profile listings name the post's author in the "by <author>" link of p.parent;
+	// on a thread page every comment shares the post at the top of #siteTable
+	function getCommentThreadAuthor(commentElement) {
+		const thing = commentElement.closest('.thing') || commentElement;
+		const link = thing.querySelector('p.parent a.author');
+		if (link) return link.textContent.trim();
+		const post = isThreadPage() && document.querySelector('#siteTable .thing.link');
+		return post ? post.getAttribute('data-author') || '' : '';
+	}
+
+	// Old Reddit has no parent_id attribute; replies get a "parent" button and top-level comments don't.
+	// Returns the fullname prefix the API would report, or '' when the buttons aren't rendered.
+	function getCommentParentPrefix(commentElement) {
+		const thing = commentElement.closest('.thing') || commentElement;
+		const buttons = thing.querySelector('.entry .buttons');
+		if (!buttons) return '';
+		return buttons.querySelector('a[data-event-action="parent"]') ? 't1_' : 't3_';
+	}
+
+	function shouldSkipCommentElementByThread(commentElement) {
+		if (isPostElement(commentElement)) return false; // a post is never a reply, and always in its own thread
+		if (shouldSkipCommentByThreadAuthor(getCommentThreadAuthor(commentElement), getProfileUsername(), preserveOwnThreads)) {
+			log('shouldSkipCommentElementByThread: Preserving comment in own thread');
+			return true;
+		}
+		if (shouldSkipCommentByDepth(getCommentParentPrefix(commentElement), depthFilter)) {
+			log('shouldSkipCommentElementByThread: Preserving comment outside the ' + depthFilter + ' filter');
+			return true;
+		}
+		return false;
+	}
+
+	/***********************
+	 * SCORE FILTERING
+	 ************************/
+
+	function getCommentScore(commentElement) {
+		// Old Reddit renders three .score spans (dislikes/unvoted/likes) and shows the one matching
+		// the vote state on .midcol; each carries the numeric score in its title attribute
+		const thing = commentElement.closest('.thing') || commentElement;
+		const midcol = thing.querySelector('.midcol');
+		const state = midcol && ['likes', 'dislikes', 'unvoted'].find(c => midcol.classList.contains(c));
+		// Posts show their score in .midcol instead of the tagline
+		const scoreEl = (state && (thing.querySelector('.tagline .score.' + state) || midcol.querySelector('.score.' + state))) ||
+			thing.querySelector('.tagline .score');
+		if (!scoreEl) return null; // e.g. [score hidden]
+		const n = parseInt(scoreEl.getAttribute('title') || scoreEl.textContent, 10);
+		return isNaN(n) ? null : n;
+	}
+
+	function shouldSkipCommentElementByScore(commentElement) {
+		if (minScoreToPreserve === null && !onlyDeleteDownvoted) return false;
+		const score = getCommentScore(commentElement);
+		const skip = shouldSkipCommentByScore(score, minScoreToPreserve, onlyDeleteDownvoted);
+		if (skip) log('shouldSkipCommentElementByScore: Preserving comment with score ' + (score ?? '(unknown)'));
+		return skip;
+	}
+
+	/***********************
+	 * KEYWORD / REGEX PATTERNS
+	 ************************/
+
+	// Posts match on their title as well as any rendered self text
+	function getCommentText(commentElement) {
+		const md = commentElement.querySelector('.usertext-body .md') || commentElement.querySelector('.md');
+		const text = md ? md.textContent : '';
+		if (!isPostElement(commentElement)) return text;
+		const title = (commentElement.closest('.thing') || commentElement).querySelector('p.title a.title');
+		return title ? title.textContent + '\n' + text : text;
+	}
+
+	function shouldSkipCommentElementByPattern(commentElement) {
+		if (!keepPatterns) return false;
+		const match = matchPatternList(getCommentText(commentElement), keepPatterns);
+		if (match !== null) log('shouldSkipCommentElementByPattern: Preserving comment matching "' + match + '"');
+		return match !== null;
+	}
+
+	function shouldDeleteCommentElementByPattern(commentElement) {
+		if (!purgePatterns) return false;
+		const match = matchPatternList(getCommentText(commentElement), purgePatterns);
+		if (match !== null) log('shouldDeleteCommentElementByPattern: Force-deleting comment matching "' + match + '"');
+		return match !== null;
+	}
+
+	/***********************
+	 * COUNT RETENTION
+	 ************************/
+
+	// Keep-newest-N needs the created time of the Nth newest comment before anything is deleted.
+	// Walk the "new" sort of `listing` in the background (fetch + DOMParser) so the current page is
+	// left alone. `keepGoing` lets the verification pass count after the run has ended.
+	async function countNewestComments(listing = getCurrentListing(), keepGoing = () => running) {
+		const times = [];
+		const u = new URL(location.origin + '/user/' + encodeURIComponent(getProfileUsername()) + '/' + listing + '/');
+		u.searchParams.set('sort', 'new');
+		u.searchParams.set('limit', '100');
+		let url = u.toString();
+		let page = 0;
+
+		while (url && keepGoing() && times.length < keepNewestCount) {
+			await waitForRateLimit();
+			page++;
+			updateOverlay('Counting your newest comments...', times.length + ' / ' + keepNewestCount + ' (page ' + page + ')');
+			const resp = await fetch(url, { credentials: 'include' });
+			if (!resp.ok) throw new Error('HTTP ' + resp.status);
+			const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+			for (const thing of doc.querySelectorAll('#siteTable .thing.comment, #siteTable .thing.link')) {
+				// First time element is the creation time; a second one marks an edit
+				const timeEl = thing.querySelector('time[datetime]');
+				const t = timeEl ? new Date(timeEl.getAttribute('datetime')).getTime() : NaN;
+				if (!isNaN(t)) times.push(t / 1000);
+			}
+			const next = doc.querySelector('span.next-button a');
+			url = next ? next.href : null;
+			if (url) await sleep(rand(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+		}
+
+		log("Counting pass: " + times.length + " items over " + page + " page(s) of the new sort on " + listing);
+		return newestCutoff(times, keepNewestCount);
+	}
+
+	// Runs the counting pass when count retention is selected. Returns false if the run must not start.
+	async function prepareRetention(startSort) {
+		if (retentionMode !== RETENTION_MODE_COUNT) return true;
+		if (!contentListings(contentType).includes(getCurrentListing())) return true; // main() switches listing and counts there
+
+		try {
+			newestCutoffUtc = await countNewestComments();
+		} catch (e) {
+			log("Counting pass failed:", e.message);
+			newestCutoffUtc = null;
+		}
+		if (!running) return false;
+
+		if (newestCutoffUtc === null) {
+			log("Could not determine your newest " + keepNewestCount + " comments — stopping without deleting");
+			running = false;
+			saveState();
+			updateButtonState();
+			updateOverlay('Stopped', 'The counting pass over the new sort did not finish');
+			return false;
+		}
+
+		log("Keeping newest " + keepNewestCount + " on " + getCurrentListing() +
+			(newestCutoffUtc > 0 && newestCutoffUtc < Infinity ? " (created at or after " + new Date(newestCutoffUtc * 1000).toISOString() + ")" : ""));
+		saveState(startSort); // carry the cutoff across sort/page navigation
+		return true;
+	}
+
 	/***********************
 	 * COMMENT DETECTION
 	 ************************/
 	function getDeleteButtons() {
+		pageDecisions = new Map();
 		// More robust selector using data attribute and class
 		const allButtons = [...document.querySelectorAll("a[data-event-action='delete'], a.togglebutton")]
 			.filter(el => /delete/i.test(el.textContent));
@@ -403,19 +1840,23 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 				// Find the comment element that contains this delete button
 				const commentElement = deleteBtn.closest('.comment, .thing, .entry, [id^=t1_]');
 				if (!commentElement) {
-					return true; // If we can't find the comment element, include the button
+					return !isThreadPage(); // If we can't find the comment element, include the button (never in thread mode)
 				}
 
-				// Check if this comment should be skipped based on date or dot preservation
-				const skipByDate = shouldSkipCommentByDate(commentElement);
-				const skipByDot = shouldSkipCommentByDot(commentElement);
-				const shouldSkip = skipByDot || skipByDate;
-				const forceDeleteByX = shouldDeleteCommentByX(commentElement);
+				// Thread mode: only my own comments, never the post itself
+				if (isThreadPage() && (isPostElement(commentElement) || !isOwnComment(commentElement))) {
+					return false;
+				}
 
+				const { shouldSkip, forceDelete, forceDeleteByX, reasons, decision } = getCommentDecision(commentElement);
+				const thing = commentElement.closest('.thing');
+				if (thing && thing.getAttribute('data-fullname')) {
+					pageDecisions.set(thing.getAttribute('data-fullname'), { decision, state: getCommentElementState(commentElement) });
+				}
 				if (shouldSkip) {
-					log(`getDeleteButtons: Skipping comment (date: ${skipByDate}, dot: ${skipByDot}, x-detected: ${forceDeleteByX})`);
-				} else if (forceDeleteByX) {
-					log(`getDeleteButtons: Including comment via x-override`);
+					log(`getDeleteButtons: Skipping comment (${reasons})`);
+				} else if (forceDelete) {
+					log(`getDeleteButtons: Including comment via ${forceDeleteByX ? 'x' : 'purge pattern'} override`);
 				}
 
 				return !shouldSkip;
@@ -425,6 +1866,28 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		return filtered;
 	}
 
+	// Runs every delete rule on one comment or post; also used by the verification pass on fetched pages
+	function getCommentDecision(commentElement) {
+		// Check if this comment should be skipped based on date, dot preservation, subreddit or score
+		const skipByDate = shouldSkipCommentByDate(commentElement);
+		const skipByDot = shouldSkipCommentByDot(commentElement);
+		const skipBySub = shouldSkipCommentElementBySubreddit(commentElement);
+		const skipByScore = shouldSkipCommentElementByScore(commentElement);
+		const skipByKeep = shouldSkipCommentElementByPattern(commentElement);
+		const skipBySignal = shouldSkipCommentElementBySignal(commentElement);
+		const skipByThread = shouldSkipCommentElementByThread(commentElement);
+		const forceDeleteByX = shouldDeleteCommentByX(commentElement);
+		const forceDeleteByPattern = shouldDeleteCommentElementByPattern(commentElement);
+		// Dot, keep patterns, Reddit signals, the thread filters and the subreddit filter always win; x and purge patterns override date and score
+		const forceDelete = forceDeleteByX || forceDeleteByPattern;
+		const shouldSkip = skipByDot || skipByKeep || skipBySignal || skipByThread || skipBySub || (!forceDelete && (skipByDate || skipByScore));
+		const reasons = `date: ${skipByDate}, dot: ${skipByDot}, keep: ${skipByKeep}, signal: ${skipBySignal}, thread: ${skipByThread}, subreddit: ${skipBySub}, score: ${skipByScore}, x-detected: ${forceDeleteByX}, purge: ${forceDeleteByPattern}`;
+		// For the seen-ID index: a date skip can expire on its own, the other reasons only change with the comment or the rules
+		const permanentSkip = skipByDot || skipByKeep || skipBySignal || skipByThread || skipBySub || !skipByDate;
+		const decision = !shouldSkip ? 'delete' : permanentSkip ? 'preserve' : 'preserveAge';
+		return { shouldSkip, forceDelete, forceDeleteByX, reasons, decision };
+	}
+
 	async function waitForComments() {
 		const start = Date.now();
 		while (Date.now() - start < WAIT_FOR_COMMENTS_MS && running) {
@@ -433,7 +1896,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 
 			// Check for both delete buttons and comment containers to ensure page is loaded
 			const del = getDeleteButtons();
-			const comments = document.querySelectorAll('div.comment, div.comment-body, .thing.comment');
+			const comments = document.querySelectorAll('div.comment, div.comment-body, .thing.comment, .thing.link');
 
 			if (del.length > 0) return del;
 			// If we see comments but no delete buttons, they might still be loading
@@ -452,16 +1915,22 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	 ************************/
 	async function deleteComment(btn) {
 		let success = false;
+		let softThrottles = 0;
 
 		// Log full diagnostic before any action
 		logCommentState(btn, 'deleteComment called');
 
 		// Dry-run mode: log action without actually deleting
 		if (dryRun) {
-			log("DRY-RUN: Would delete comment");
+			log("DRY-RUN: Would " + (overwriteBeforeDelete ? "overwrite and " : "") + "delete comment");
 			return true;
 		}
 
+		if (overwriteBeforeDelete) {
+			if (simulate) log("SIMULATE: Skipping overwrite");
+			else if (!(await overwriteComment(btn))) return false; // its original text would outlive the delete
+		}
+
 		while (!success && running) {
 			// Wait if we're currently rate limited
 			await waitForRateLimit();
@@ -491,7 +1960,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 					} else {
 						log("SIMULATE: No confirmation dialog found");
 					}
-					await sleep(rand(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+					await sleep(paced(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
 					return true;
 				}
 
@@ -503,10 +1972,30 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 					return false;
 				}
 
+				pendingSoftThrottle = null;
+				lastWriteStatus = null;
 				yes.click();
-				log("Deleted comment");
-				await sleep(rand(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
-				return true;
+				const outcome = await confirmDeleted(btn);
+				if (outcome === 'limited') {
+					// The 429 has already been backed off; wait it out at the top of the loop and click again
+					log("Delete rate limited, retrying after the wait");
+					continue;
+				}
+				if (outcome === true) {
+					log("Deleted comment");
+					pace.success();
+					savePace();
+					updateBudgetDisplay();
+					await sleep(paced(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+					return true;
+				}
+
+				// Throttled or silently ignored: back off, then click through again
+				noteSoftThrottle(outcome.kind, outcome.waitMs);
+				if (++softThrottles >= SOFT_THROTTLE_RETRIES) {
+					log("Giving up on this comment after " + softThrottles + " soft throttles");
+					return false;
+				}
 
 			} catch (err) {
 				log("Error during delete:", err);
@@ -519,7 +2008,81 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		return false;
 	}
 
-
+	// After "yes": true once the comment is gone (old Reddit fades it out or marks it deleted),
+	// 'limited' after a 429, otherwise the soft throttle the patches or the inline error saw. A
+	// 'noop' is only a 2xx that left the comment in place; no answer or another status is an 'error'.
+	async function confirmDeleted(btn) {
+		const thing = btn.closest('.thing') || btn.closest('.comment, .entry, [id^=t1_]');
+		for (let waited = 0; waited < DELETE_CONFIRM_MS; waited += 250) {
+			await sleep(250);
+			if (!thing || !thing.isConnected || !thing.offsetParent || thing.classList.contains('deleted')) return true;
+			if (lastWriteStatus === 429) return 'limited';
+			if (pendingSoftThrottle) return pendingSoftThrottle;
+			const status = thing.querySelector('.entry .status, .entry .error');
+			const inline = status && status.offsetParent ? detectSoftThrottle(200, 'text/html', '<p>' + status.textContent + '</p>') : null;
+			if (inline) return inline;
+		}
+		if (rateLimiter.isLimited()) return 'limited';
+		return { kind: lastWriteStatus >= 200 && lastWriteStatus < 300 ? 'noop' : 'error', waitMs: 0 };
+	}
+
+
+	/***********************
+	 * OVERWRITE BEFORE DELETE
+	 ************************/
+	// Old Reddit's inline edit form: "edit" reveals a textarea and a save button inside form.usertext,
+	// and a successful save hides the textarea again. Returns true if the delete may go ahead: the
+	// placeholder was saved, or a link post has no body to overwrite. On failure the original text
+	// would survive the delete, so the item is left alone.
+	async function overwriteComment(btn) {
+		const commentElement = btn.closest('.comment, .thing, .entry, [id^=t1_]');
+		const thing = commentElement && (commentElement.closest('.thing') || commentElement);
+		const id = (thing && thing.getAttribute('data-fullname')) || 'comment';
+		const editLink = thing && thing.querySelector('.entry .buttons a.edit-usertext');
+		if (!editLink) {
+			if (thing && thing.classList.contains('link') && !thing.classList.contains('self')) {
+				log("Overwrite: " + id + " is a link post without a body, deleting without overwrite");
+				return true;
+			}
+			log("Overwrite: no edit link for " + id + ", not deleting it");
+			return false;
+		}
+
+		const text = renderOverwriteTemplate(overwriteTemplate, { subreddit: getCommentSubreddit(commentElement), id: thing.getAttribute('data-fullname') || '' });
+		await waitForRateLimit();
+		editLink.click();
+		await sleep(300);
+
+		const form = thing.querySelector('.entry form.usertext');
+		const textarea = form && form.querySelector('.usertext-edit textarea');
+		const save = form && form.querySelector('.usertext-buttons button.save, .usertext-buttons button[type=submit]');
+		if (!textarea || !save) {
+			log("Overwrite: edit form not found for " + id + ", not deleting it");
+			return false;
+		}
+
+		textarea.value = text;
+		save.click();
+		for (let i = 0; i < 20; i++) {
+			await sleep(500);
+			if (!textarea.offsetParent) {
+				log("Overwrote " + id + " with: " + text);
+				await sleep(paced(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+				return true;
+			}
+			const error = form.querySelector('.usertext-buttons .error');
+			if (error && error.offsetParent && error.textContent.trim()) {
+				log("Overwrite failed for " + id + " (" + error.textContent.trim() + "), not deleting it");
+				break;
+			}
+		}
+
+		const cancel = form.querySelector('.usertext-buttons button.cancel');
+		if (cancel) cancel.click();
+		if (textarea.offsetParent) log("Overwrite did not confirm for " + id + ", not deleting it");
+		return false;
+	}
+
 	/***********************
 	 * PROCESS PAGE
 	 ************************/
@@ -529,12 +2092,14 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		// Wait if we're currently rate limited
 		await waitForRateLimit();
 
+		recordDiscovery(getCurrentSort());
 		let deletes = getDeleteButtons();
 
 		if (deletes.length === 0) {
 			// wait for lazy-loaded comments
 			deletes = await waitForComments();
 		}
+		const pageSettled = await indexCurrentPage();
 
 		// Check if there are actually comments on the page, not just delete buttons
 		const commentElements = document.querySelectorAll('div.comment, div.comment-body, .thing.comment');
@@ -545,11 +2110,16 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		if (deletes.length === 0) {
 			// Comments exist but no delete buttons (might be someone else's comments)
 			log("Comments found but no delete buttons available");
+			if (incrementalScan && pageSettled) {
+				log("Incremental scan: every item on this page is indexed and unchanged, skipping the rest of " + getCurrentSort());
+				return false;
+			}
 			// Update status to show current state
 			// Check for next page or load more even if no deletes found
 			const nextBtn = document.querySelector("span.next-button a");
 			if (nextBtn && running) {
 				log("Next page →", nextBtn.href);
+				await beforeNavigate(nextBtn.href, true);
 				location.href = nextBtn.href;
 				return true;
 			}
@@ -576,22 +2146,29 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		let deleted = 0;
 		// Generate the initial pause target once (not per iteration like before)
 		let nextPauseTarget = rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+		await setJobPending(deletes);
 
 		for (const btn of deletes) {
 			if (!running) break;
 
+			// Checked per deletion: the allowed window can close in the middle of a page or a sort
+			await waitForSchedule();
+			if (!running) break;
+
 			// Wait for potential rate limit before each deletion
 			await waitForRateLimit();
 
 			const success = await deleteComment(btn);
 			if (success) {
 				deleted++;
+				await indexDeleted(btn);
+				await noteJobDeleted(btn);
 				updateOverlay(getCurrentSort() + ' sort', deleted + ' / ' + deletes.length + ' comments processed');
 			}
 
 			// periodic long pause to avoid rate limit
 			if (deleted >= nextPauseTarget) {
-				const p = rand(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
+				const p = paced(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
 				log("Long pause after", deleted, "deletions, waiting", p / 1000, "seconds");
 				updateOverlay(getCurrentSort() + ' sort', 'Rate limit pause... (' + (p / 1000).toFixed(0) + 's)');
 				await sleep(p);
@@ -604,6 +2181,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		const nextBtn = document.querySelector("span.next-button a");
 		if (nextBtn && running) {
 			log("Next page →", nextBtn.href);
+			await beforeNavigate(nextBtn.href, true);
 			location.href = nextBtn.href;
 			return true;
 		}
@@ -635,7 +2213,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			log("Current sort is", cur, "but need", sort, "waiting before navigation to prevent rate limits");
 			// Wait before navigation to prevent rate limiting
 			await sleep(5000); // 5 second wait before navigation (reduced from 30 seconds)
-			gotoSort(sort);
+			await gotoSort(sort);
 			// Wait a bit to allow navigation to start before this script context ends
 			await sleep(5000); // 5 second wait (increased from 2 seconds)
 			return false; // let reload happen since we're using URL navigation
@@ -667,39 +2245,264 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			await sleep(3000); // Increased from 800ms
 		}
 
-		log("Sort complete:", sort);
+		log("Sort complete:", sort + " (" + (loadDiscovery().passes[sort] || 0) + " new unique IDs)");
 		return true;
 	}
 
 
 
 
+	/*************************
+	 * SINGLE THREAD MODE
+	 ************************/
+	// On a thread page (/r/<sub>/comments/<id>/...) only my comments in that thread are deleted,
+	// with the same rules as on the profile. No sorts or pages — the whole tree is expanded in place.
+	function isThreadPage() {
+		return threadIdFromPath(location.pathname) !== null;
+	}
+
+	function isOwnComment(commentElement) {
+		const thing = commentElement.closest('.thing') || commentElement;
+		const me = getLoggedInUsername().toLowerCase();
+		return !!me && (thing.getAttribute('data-author') || '').toLowerCase() === me;
+	}
+
+	// Click every "load more comments" link until none are left. "continue this thread" links open
+	// a separate page and are only reported.
+	async function expandThread() {
+		let expanded = 0;
+		while (running) {
+			const more = [...document.querySelectorAll('.commentarea .morecomments a')].find(a => !a.dataset.rcoClicked);
+			if (!more) break;
+			await waitForRateLimit();
+			more.dataset.rcoClicked = 'true';
+			more.scrollIntoView();
+			more.click();
+			expanded++;
+			updateOverlay('Thread mode', 'Expanding "load more comments" (' + expanded + ')...');
+			// Reddit swaps the link for the loaded comments; give up on this one after 10s
+			for (let i = 0; i < 20 && more.isConnected; i++) await sleep(500);
+			await sleep(rand(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+		}
+		const deep = document.querySelectorAll('.commentarea .deepthread a').length;
+		log("Thread expanded: " + expanded + " \"load more\" link(s) clicked" +
+			(deep ? ", " + deep + " \"continue this thread\" link(s) not followed — open them and run again" : ""));
+	}
+
+	async function runThread() {
+		log("Thread mode for post " + threadIdFromPath(location.pathname) + " as " + (getLoggedInUsername() || '(not logged in)'));
+		if (!getLoggedInUsername()) {
+			log("Thread mode needs you to be logged in — stopping");
+			running = false;
+			saveState();
+			updateButtonState();
+			updateOverlay('Stopped', 'Log in to delete your comments in this thread');
+			return;
+		}
+
+		updateOverlay('Thread mode', 'Expanding "load more comments"...');
+		await expandThread();
+		if (!running) return;
+
+		// Count retention keeps the newest N of my comments in this thread
+		if (retentionMode === RETENTION_MODE_COUNT) {
+			const times = [...document.querySelectorAll('.commentarea .thing.comment')]
+				.filter(thing => isOwnComment(thing))
+				.map(thing => thing.querySelector('.entry time[datetime]'))
+				.map(timeEl => timeEl ? new Date(timeEl.getAttribute('datetime')).getTime() / 1000 : NaN)
+				.filter(t => !isNaN(t));
+			newestCutoffUtc = newestCutoff(times, keepNewestCount);
+		}
+
+		const deletes = getDeleteButtons();
+		log((dryRun ? "DRY-RUN: " : simulate ? "SIMULATE: " : "") + "Found " + deletes.length + " of your comments to delete in this thread");
+		updateOverlay('Thread mode', deletes.length + ' comments found');
+
+		let deleted = 0;
+		let nextPauseTarget = rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+		for (const btn of deletes) {
+			if (!running) break;
+			await waitForSchedule();
+			if (!running) break;
+			await waitForRateLimit();
+			if (await deleteComment(btn)) {
+				deleted++;
+				updateOverlay('Thread mode', deleted + ' / ' + deletes.length + ' comments processed');
+			}
+			if (deleted >= nextPauseTarget) {
+				const p = paced(LONG_DELAY_MS[0], LONG_DELAY_MS[1]);
+				log("Long pause after", deleted, "deletions, waiting", p / 1000, "seconds");
+				updateOverlay('Thread mode', 'Rate limit pause... (' + (p / 1000).toFixed(0) + 's)');
+				await sleep(p);
+				nextPauseTarget = deleted + rand(LONG_DELAY_AFTER[0], LONG_DELAY_AFTER[1]);
+			}
+		}
+		if (!running) return;
+
+		log("Thread mode complete: " + deleted + " of " + deletes.length + " comments processed");
+		running = false;
+		saveState();
+		updateButtonState();
+		showCompleteOverlay();
+	}
+
+	/*************************
+	 * POST-RUN VERIFICATION
+	 ************************/
+	// The last residual report is kept so the next run can be compared against it
+	function loadResidualReport() {
+		try { return JSON.parse(localStorage.getItem('rco_residual') || 'null'); } catch { return null; }
+	}
+	function saveResidualReport(report) {
+		try { localStorage.setItem('rco_residual', JSON.stringify(report)); } catch { /* ignore quota */ }
+	}
+
+	// Re-lists every pass of every selected listing off-screen and runs the delete rules again.
+	// Returns { created_utc, subreddit } for each of my items that would still be deleted.
+	async function findResidualItems() {
+		const residual = new Map();
+		const runCutoffUtc = newestCutoffUtc;
+		try {
+			for (const listing of contentListings(contentType)) await findResidualInListing(listing, residual);
+		} finally {
+			newestCutoffUtc = runCutoffUtc;
+		}
+		return [...residual.values()];
+	}
+
+	// The count retention cutoff is per listing, so it is worked out again for each one, as the run does
+	async function findResidualInListing(listing, residual) {
+		if (retentionMode === RETENTION_MODE_COUNT) {
+			newestCutoffUtc = await countNewestComments(listing, () => !!overlayEl);
+			if (newestCutoffUtc === null) throw new Error('could not count your newest items on ' + listing);
+		}
+		for (const pass of discoveryPasses(SORTS, extendedDiscovery)) {
+			const { sort, t } = parsePass(pass);
+			const u = new URL(location.origin + '/user/' + encodeURIComponent(getProfileUsername()) + '/' + listing + '/');
+			u.searchParams.set('sort', sort);
+			if (t) u.searchParams.set('t', t);
+			u.searchParams.set('limit', '100');
+			let url = u.toString();
+			let page = 0;
+
+			while (url && overlayEl) {
+				await waitForRateLimit();
+				page++;
+				updateOverlay('Verifying ' + listing + ' ' + pass + ' (page ' + page + ')', residual.size + ' still matching your rules');
+				const resp = await fetch(url, { credentials: 'include' });
+				if (!resp.ok) throw new Error('HTTP ' + resp.status);
+				const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+				const buttons = [...doc.querySelectorAll("#siteTable a[data-event-action='delete'], #siteTable a.togglebutton")]
+					.filter(el => /delete/i.test(el.textContent));
+				for (const deleteBtn of buttons) {
+					const commentElement = deleteBtn.closest('.comment, .thing, .entry, [id^=t1_]');
+					const thing = commentElement && commentElement.closest('.thing');
+					if (!thing || getCommentDecision(commentElement).shouldSkip) continue;
+					const timeEl = commentElement.querySelector('time[datetime]');
+					residual.set(thing.getAttribute('data-fullname') || thing.id, {
+						created_utc: timeEl ? new Date(timeEl.getAttribute('datetime')).getTime() / 1000 : null,
+						subreddit: getCommentSubreddit(commentElement)
+					});
+				}
+				const next = doc.querySelector('span.next-button a');
+				url = next ? next.href : null;
+				if (url) await sleep(rand(SHORT_DELAY_MIN, SHORT_DELAY_MAX));
+			}
+		}
+	}
+
+	// Listings lag behind deletions for a while, so verification waits out a cool-down first.
+	// Closing the overlay skips it.
+	async function verifyAfterRun() {
+		if (!verifyAfterMinutes || dryRun || simulate || isThreadPage()) return;
+		log("Verification pass in " + verifyAfterMinutes + " minute(s)");
+		const until = Date.now() + verifyAfterMinutes * 60000;
+		while (overlayEl && Date.now() < until) {
+			setCompleteNote('Verifying in ' + Math.ceil((until - Date.now()) / 1000) + 's — close this window to skip');
+			await sleep(1000);
+		}
+		if (!overlayEl) {
+			log("Verification skipped");
+			return;
+		}
+
+		let items;
+		try {
+			items = await findResidualItems();
+		} catch (e) {
+			log("Verification failed:", e.message);
+			updateOverlay('Verification failed', e.message);
+			return;
+		}
+		if (!overlayEl) return; // closed part-way, the count would be incomplete
+
+		const previous = loadResidualReport();
+		const report = residualReport(items, Date.now());
+		saveResidualReport(report);
+		log("Verification: " + formatResidualReport(report, previous));
+		showResidualOverlay(report, previous);
+	}
+
 	/*************************
 	 * MAIN LOOP
 	 ************************/
+	// Outside the run schedule: stay on this page, keep our place in the job state, and sleep until
+	// the next window opens (or the run is stopped)
+	async function waitForSchedule() {
+		const schedule = parseSchedule(runSchedule);
+		if (inSchedule(schedule, new Date())) return;
+		const resumeAt = nextScheduleStart(schedule, new Date());
+		log("Outside the run schedule (" + runSchedule + "), pausing until " + resumeAt.toLocaleString());
+		updateOverlay('Paused until ' + resumeAt.toLocaleString(), 'Outside the run schedule ' + runSchedule);
+		while (running && Date.now() < resumeAt.getTime()) {
+			await sleep(Math.min(60000, resumeAt.getTime() - Date.now()));
+		}
+		if (running) log("Run schedule window open, resuming");
+	}
+
 	async function main(isFreshStart = false) {
-		// Always process all 4 sorts
-		const activeSorts = SORTS;
+		// A 429 from before the reload still holds; sit it out before touching the page
+		if (rateLimiter.isLimited()) {
+			const state = rateLimiter.state();
+			log("Rate limit from the previous page still in effect for " + Math.ceil((state.blockedUntil - Date.now()) / 1000) + " seconds, multiplier: " + state.multiplier);
+			updateOverlay('Rate limited', 'Waiting before resuming...');
+			await waitForRateLimit();
+		}
+		await waitForSchedule();
+		if (!running) return;
+
+		if (isThreadPage()) return runThread();
+
+		// Comments and posts live on separate listings; start on the first one the content type asks for
+		const listings = contentListings(contentType);
+		if (!listings.includes(getCurrentListing())) {
+			await gotoListing(listings[0]);
+			return; // the page reloads and resumes from the job state
+		}
+		if (retentionMode === RETENTION_MODE_COUNT && newestCutoffUtc === null && !(await prepareRetention(getCurrentSort()))) return;
+
+		// Always process all 4 sorts — with extended discovery, top/controversial once per time window
+		const activeSorts = discoveryPasses(SORTS, extendedDiscovery);
 		log("Processing all sorts:", activeSorts);
 
 		// Determine if we're starting fresh or resuming
-		const urlHasRunningState = new URLSearchParams(window.location.search).has('rco_sort');
+		const hasJobState = !!(job && job.sort);
 		let idx = 0;
 
-		if (urlHasRunningState && !isFreshStart) {
-			// Actual resume: page loaded with URL params, no modal was shown
-			log("Resuming from URL state");
-			const urlSort = new URLSearchParams(window.location.search).get('rco_sort');
-			if (urlSort && activeSorts.includes(urlSort)) {
-				idx = activeSorts.indexOf(urlSort);
-				log("Resuming from sort:", urlSort, "at index:", idx);
-			} else if (urlSort) {
+		if (hasJobState && !isFreshStart) {
+			// Actual resume: the job record brought us here, no modal was shown
+			log("Resuming from job state " + describeJob(job));
+			const jobSort = job.sort;
+			if (jobSort && activeSorts.includes(jobSort)) {
+				idx = activeSorts.indexOf(jobSort);
+				log("Resuming from sort:", jobSort, "at index:", idx);
+			} else if (jobSort) {
 				// If the URL sort isn't in active sorts, find the next valid one
-				const urlSortOriginalIndex = SORTS.indexOf(urlSort);
-				if (urlSortOriginalIndex !== -1) {
+				const jobSortOriginalIndex = SORTS.indexOf(parsePass(jobSort).sort);
+				if (jobSortOriginalIndex !== -1) {
 					for (let i = 0; i < activeSorts.length; i++) {
-						const activeSortOriginalIndex = SORTS.indexOf(activeSorts[i]);
-						if (activeSortOriginalIndex >= urlSortOriginalIndex) {
+						const activeSortOriginalIndex = SORTS.indexOf(parsePass(activeSorts[i]).sort);
+						if (activeSortOriginalIndex >= jobSortOriginalIndex) {
 							idx = i;
 							log("URL sort not in selected sorts, resuming from:", activeSorts[idx], "at index:", idx);
 							break;
@@ -729,7 +2532,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 
 		// Mark all previous sorts as completed if resuming from a middle position
 		// (only on genuine resume, not on fresh start — fresh start must process ALL sorts)
-		if (urlHasRunningState && !isFreshStart) {
+		if (hasJobState && !isFreshStart) {
 			for (let i = 0; i < idx; i++) {
 				if (i < activeSorts.length) {
 					completedSorts.add(activeSorts[i]);
@@ -742,6 +2545,10 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 				// Wait if we're currently rate limited
 				await waitForRateLimit();
 
+				// Wait for the run schedule's next window
+				await waitForSchedule();
+				if (!running) break;
+
 				// Find next non-completed sort
 				while (idx < activeSorts.length && completedSorts.has(activeSorts[idx])) {
 					log("Skipping already completed sort:", activeSorts[idx]);
@@ -749,12 +2556,24 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 				}
 
 				if (idx >= activeSorts.length) {
+					const nextListing = nextJobListing(listings, getCurrentListing());
+					if (nextListing) {
+						log("All sorts processed on " + getCurrentListing() + ", moving on to " + nextListing);
+						updateOverlay('Switching to ' + nextListing, 'All sorts processed on ' + getCurrentListing());
+						await gotoListing(nextListing);
+						break; // the page reloads and resumes from the job state
+					}
+					log("Discovery report (new unique IDs per pass): " +
+						Object.entries(loadDiscovery().passes).map(([pass, n]) => pass + ' +' + n).join(', '));
 					log("ALL SELECTED SORTS PROCESSED — no more comments.");
+					const softThrottles = loadSoftThrottleCounts();
+					if (Object.keys(softThrottles).length) log("Soft throttles this run: " + formatSoftThrottleCounts(softThrottles));
 					running = false;
 					saveState();
 			updateButtonState();
 			showCompleteOverlay();
 					log("All selected sorts completed, clearing state");
+					await verifyAfterRun();
 					break;
 				}
 
@@ -769,14 +2588,12 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 					completedSorts.add(sort);
 					idx++;
 					log("Finished " + sort + " sort, advancing to index: " + idx);
-					// Update URL state for page reload recovery
-					// Get next sort to process, or empty if done
-					let nextSort = "";
+					// Update the job state for page reload recovery. After the last sort the record is
+					// kept: the loop either carries it over to the next listing or ends the run and clears it.
 					if (idx < activeSorts.length) {
-						nextSort = activeSorts[idx];
+						saveState(activeSorts[idx]);
+						log("Updated job state - next sort: " + activeSorts[idx]);
 					}
-					saveState(nextSort);
-					log("Updated URL state - running: " + (!!nextSort) + ", next sort: " + nextSort);
 					// Update progress in status display
 				}
 
@@ -853,10 +2670,40 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 
 		const warning = document.createElement("p");
 		const modeText = simulate ? "SIMULATION MODE — comments will NOT be deleted" : "Comments WILL be permanently deleted";
-		warning.innerHTML = `<span id="rco-mode-text">[${modeText}]</span><br><br>This will process all your Reddit comments across all sort types (new, hot, top, controversial). Comments from the last <span id='days-display'>${daysToPreserve}</span> days will be preserved. You can also preserve comments ending with a single <code>.</code> on its own line, or force-delete comments ending with a single <code>x</code> on its own line.`;
+		warning.innerHTML = `<span id="rco-mode-text">[${modeText}]</span><br><br>This will process all your Reddit comments across all sort types (new, hot, top, controversial). Comments from the last <span id='days-display'>${daysToPreserve}</span> days will be preserved. You can also preserve comments ending with <code>${escapeHtml(preserveMarker)}</code> on its own line, or force-delete comments ending with <code>${escapeHtml(deleteMarker)}</code> on its own line.`;
+		if (isThreadPage()) warning.innerHTML += "<br><br><strong>Thread mode:</strong> only your own comments in this thread will be processed.";
 		warning.style.cssText = "margin-bottom: 10px; line-height: 1.4;";
 		content.appendChild(warning);
 
+		// Content type — comments live on /comments, posts on /submitted
+		const contentContainer = document.createElement("div");
+		contentContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const contentLabel = document.createElement("label");
+		contentLabel.htmlFor = "content-type";
+		contentLabel.textContent = "Delete my:";
+		contentLabel.style.cssText = "font-weight: bold;";
+
+		const contentSelect = document.createElement("select");
+		contentSelect.id = "content-type";
+		contentSelect.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+		for (const [value, text] of [[CONTENT_TYPE_COMMENTS, "comments"], [CONTENT_TYPE_POSTS, "posts"], [CONTENT_TYPE_BOTH, "comments and posts"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			contentSelect.appendChild(option);
+		}
+		contentSelect.value = contentType;
+
+		contentContainer.appendChild(contentLabel);
+		contentContainer.appendChild(contentSelect);
+		content.appendChild(contentContainer);
+
+		contentSelect.addEventListener('change', () => {
+			contentType = contentSelect.value;
+			log("Content type changed to:", contentType);
+		});
+
 		// Days input
 		const daysContainer = document.createElement("div");
 		daysContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
@@ -889,6 +2736,226 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			}
 		});
 
+		// Retention mode — "days" uses the input above, "count" keeps the newest N comments
+		const retentionContainer = document.createElement("div");
+		retentionContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const retentionLabel = document.createElement("label");
+		retentionLabel.htmlFor = "retention-mode";
+		retentionLabel.textContent = "Retention:";
+		retentionLabel.style.cssText = "font-weight: bold;";
+
+		const retentionSelect = document.createElement("select");
+		retentionSelect.id = "retention-mode";
+		retentionSelect.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+		for (const [value, text] of [[RETENTION_MODE_DAYS, "keep recent days"], [RETENTION_MODE_COUNT, "keep my newest N comments"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			retentionSelect.appendChild(option);
+		}
+		retentionSelect.value = retentionMode;
+
+		retentionContainer.appendChild(retentionLabel);
+		retentionContainer.appendChild(retentionSelect);
+		content.insertBefore(retentionContainer, daysContainer);
+
+		const countContainer = document.createElement("div");
+		countContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const countLabel = document.createElement("label");
+		countLabel.htmlFor = "keep-newest";
+		countLabel.textContent = "Always keep my newest:";
+		countLabel.style.cssText = "font-weight: bold;";
+
+		const countInput = document.createElement("input");
+		countInput.type = "number";
+		countInput.id = "keep-newest";
+		countInput.min = "0";
+		countInput.value = keepNewestCount;
+		countInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; width: 70px;";
+
+		const countSuffix = document.createElement("span");
+		countSuffix.textContent = "comments, and separately posts (counted over each listing's new sort before deleting)";
+
+		countContainer.appendChild(countLabel);
+		countContainer.appendChild(countInput);
+		countContainer.appendChild(countSuffix);
+		content.appendChild(countContainer);
+
+		// Per-subreddit retention policy table (days mode only); the default row is "days to preserve"
+		const policyContainer = document.createElement("div");
+		policyContainer.style.cssText = "margin-bottom: 20px;";
+
+		const policyTitle = document.createElement("div");
+		policyTitle.textContent = "Per-subreddit retention:";
+		policyTitle.style.cssText = "font-weight: bold; margin-bottom: 6px;";
+		policyContainer.appendChild(policyTitle);
+
+		const policyRows = document.createElement("div");
+		policyContainer.appendChild(policyRows);
+		content.appendChild(policyContainer);
+
+		const policies = parseSubredditPolicies(subredditPolicies);
+		const commitPolicies = () => {
+			subredditPolicies = serializeSubredditPolicies(policies.filter(([sub]) => sub));
+			savePolicies();
+			log("Subreddit policies changed to:", subredditPolicies || '(none)');
+		};
+
+		function renderPolicies() {
+			policyRows.innerHTML = '';
+			policies.forEach((rule, i) => {
+				const row = document.createElement("div");
+				row.style.cssText = "display: flex; align-items: center; gap: 6px; margin-bottom: 4px;";
+
+				const subInput = document.createElement("input");
+				subInput.type = "text";
+				subInput.value = rule[0];
+				subInput.placeholder = "subreddit";
+				subInput.style.cssText = "padding: 4px 8px; border: 1px solid #ccc; border-radius: 4px; flex: 1;";
+				subInput.addEventListener('change', () => {
+					rule[0] = parseSubredditList(subInput.value)[0] || '';
+					commitPolicies();
+				});
+
+				const daysRuleInput = document.createElement("input");
+				daysRuleInput.type = "number";
+				daysRuleInput.min = "0";
+				daysRuleInput.value = rule[1];
+				daysRuleInput.style.cssText = "padding: 4px 8px; border: 1px solid #ccc; border-radius: 4px; width: 60px;";
+				daysRuleInput.addEventListener('change', () => {
+					const newValue = parseInt(daysRuleInput.value, 10);
+					rule[1] = isNaN(newValue) || newValue < 0 ? 0 : newValue;
+					commitPolicies();
+				});
+
+				const daysRuleSuffix = document.createElement("span");
+				daysRuleSuffix.textContent = "days";
+
+				const removeBtn = document.createElement("button");
+				removeBtn.textContent = "✕";
+				removeBtn.title = "Remove rule";
+				removeBtn.style.cssText = "padding: 2px 8px; background: #eee; border: none; border-radius: 4px; cursor: pointer;";
+				removeBtn.onclick = () => {
+					policies.splice(i, 1);
+					commitPolicies();
+					renderPolicies();
+				};
+
+				row.appendChild(subInput);
+				row.appendChild(daysRuleInput);
+				row.appendChild(daysRuleSuffix);
+				row.appendChild(removeBtn);
+				policyRows.appendChild(row);
+			});
+
+			const defaultRow = document.createElement("div");
+			defaultRow.textContent = "All other subreddits: the days to preserve above (0 days = delete immediately)";
+			defaultRow.style.cssText = "font-style: italic; color: #666; margin: 4px 0;";
+			policyRows.appendChild(defaultRow);
+
+			const addBtn = document.createElement("button");
+			addBtn.textContent = "+ Add subreddit rule";
+			addBtn.style.cssText = "padding: 4px 10px; background: #eee; border: none; border-radius: 4px; cursor: pointer;";
+			addBtn.onclick = () => {
+				policies.push(['', daysToPreserve]);
+				renderPolicies();
+			};
+			policyRows.appendChild(addBtn);
+		}
+		renderPolicies();
+
+		const showRetention = () => {
+			daysContainer.style.display = retentionMode === RETENTION_MODE_DAYS ? 'flex' : 'none';
+			policyContainer.style.display = retentionMode === RETENTION_MODE_DAYS ? 'block' : 'none';
+			countContainer.style.display = retentionMode === RETENTION_MODE_COUNT ? 'flex' : 'none';
+		};
+		showRetention();
+
+		retentionSelect.addEventListener('change', () => {
+			retentionMode = retentionSelect.value;
+			showRetention();
+			log("Retention mode changed to:", retentionMode);
+		});
+		countInput.addEventListener('input', () => {
+			const newValue = parseInt(countInput.value, 10);
+			if (!isNaN(newValue) && newValue >= 0) keepNewestCount = newValue;
+		});
+
+		// Absolute date window — combines with "days to preserve" (set days to 0 to use it alone)
+		const rangeContainer = document.createElement("div");
+		rangeContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px; flex-wrap: wrap;";
+
+		const rangeLabel = document.createElement("label");
+		rangeLabel.textContent = "Only delete comments written between:";
+		rangeLabel.style.cssText = "font-weight: bold;";
+
+		const fromInput = document.createElement("input");
+		fromInput.type = "date";
+		fromInput.value = deleteFromDate;
+		fromInput.title = "Leave empty for no lower bound";
+		fromInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+
+		const rangeAnd = document.createElement("span");
+		rangeAnd.textContent = "and";
+
+		const toInput = document.createElement("input");
+		toInput.type = "date";
+		toInput.value = deleteToDate;
+		toInput.title = "Leave empty for no upper bound";
+		toInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+
+		rangeContainer.appendChild(rangeLabel);
+		rangeContainer.appendChild(fromInput);
+		rangeContainer.appendChild(rangeAnd);
+		rangeContainer.appendChild(toInput);
+		content.appendChild(rangeContainer);
+
+		const onRangeChange = () => {
+			deleteFromDate = parseDateBound(fromInput.value) === null ? '' : fromInput.value;
+			deleteToDate = parseDateBound(toInput.value) === null ? '' : toInput.value;
+			log("Date range changed to:", (deleteFromDate || '(any)') + ' .. ' + (deleteToDate || '(any)'));
+			if (deleteFromDate && deleteToDate && deleteFromDate > deleteToDate) {
+				log("WARNING: date range is empty — 'from' is after 'to', nothing will be deleted by date");
+			}
+		};
+		fromInput.addEventListener('change', onRangeChange);
+		toInput.addEventListener('change', onRangeChange);
+
+		// Subreddit filter inputs
+		function makeSubredditInput(id, labelText, value, onChange) {
+			const container = document.createElement("div");
+			container.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+			const label = document.createElement("label");
+			label.htmlFor = id;
+			label.textContent = labelText;
+			label.style.cssText = "font-weight: bold; white-space: nowrap;";
+
+			const input = document.createElement("input");
+			input.type = "text";
+			input.id = id;
+			input.value = value;
+			input.placeholder = "e.g. AskReddit, pics";
+			input.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; flex: 1;";
+
+			container.appendChild(label);
+			container.appendChild(input);
+			content.appendChild(container);
+
+			input.addEventListener('change', () => onChange(parseSubredditList(input.value).join(',')));
+		}
+
+		makeSubredditInput("only-subreddits", "Only delete in subreddits:", onlySubreddits, v => {
+			onlySubreddits = v;
+			log("Only-subreddits setting changed to:", onlySubreddits || '(all)');
+		});
+		makeSubredditInput("except-subreddits", "Never delete in subreddits:", exceptSubreddits, v => {
+			exceptSubreddits = v;
+			log("Except-subreddits setting changed to:", exceptSubreddits || '(none)');
+		});
+
 		// Dot preservation checkbox
 		const dotContainer = document.createElement("div");
 		dotContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
@@ -901,19 +2968,362 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 
 		const dotLabel = document.createElement("label");
 		dotLabel.htmlFor = "dot-preservation";
-		dotLabel.textContent = "Preserve comments ending with a dot (.) on their own line";
+		dotLabel.textContent = "Preserve comments ending with this marker on its own line:";
 		dotLabel.style.cssText = "font-weight: bold; cursor: pointer;";
 
+		const dotMarkerInput = document.createElement("input");
+		dotMarkerInput.type = "text";
+		dotMarkerInput.value = preserveMarker;
+		dotMarkerInput.title = "Preserve marker (default: " + DEFAULT_PRESERVE_MARKER + ")";
+		dotMarkerInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; width: 70px; font-family: monospace;";
+
 		dotContainer.appendChild(dotCheckbox);
 		dotContainer.appendChild(dotLabel);
+		dotContainer.appendChild(dotMarkerInput);
 		content.appendChild(dotContainer);
 
+		dotMarkerInput.addEventListener('change', () => {
+			preserveMarker = normalizeMarker(dotMarkerInput.value, DEFAULT_PRESERVE_MARKER);
+			dotMarkerInput.value = preserveMarker;
+			saveMarkers();
+			log("Preserve marker changed to:", preserveMarker);
+		});
+
 		// Update variable when checkbox changes
 		dotCheckbox.addEventListener('change', () => {
 			preserveDotComments = dotCheckbox.checked;
 			log("Dot preservation setting changed to:", preserveDotComments);
 		});
 
+		// Reddit signal toggles
+		const signalContainer = document.createElement("div");
+		signalContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px; flex-wrap: wrap;";
+
+		const signalLabel = document.createElement("span");
+		signalLabel.textContent = "Never delete comments that are:";
+		signalLabel.style.cssText = "font-weight: bold;";
+		signalContainer.appendChild(signalLabel);
+
+		const signalNames = { distinguished: "distinguished", stickied: "stickied", gilded: "awarded", saved: "saved by me" };
+		for (const signal of REDDIT_SIGNALS) {
+			const signalCheckbox = document.createElement("input");
+			signalCheckbox.type = "checkbox";
+			signalCheckbox.id = "signal-" + signal;
+			signalCheckbox.checked = parseSignalList(protectedSignals).includes(signal);
+			signalCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+			const signalCheckboxLabel = document.createElement("label");
+			signalCheckboxLabel.htmlFor = "signal-" + signal;
+			signalCheckboxLabel.textContent = signalNames[signal];
+			signalCheckboxLabel.style.cssText = "cursor: pointer;";
+
+			signalCheckbox.addEventListener('change', () => {
+				const enabled = new Set(parseSignalList(protectedSignals));
+				if (signalCheckbox.checked) enabled.add(signal);
+				else enabled.delete(signal);
+				protectedSignals = parseSignalList([...enabled].join(',')).join(',');
+				log("Protected Reddit signals changed to:", protectedSignals || '(none)');
+			});
+
+			signalContainer.appendChild(signalCheckbox);
+			signalContainer.appendChild(signalCheckboxLabel);
+		}
+		content.appendChild(signalContainer);
+
+		// Own-thread toggle and top-level / reply filter
+		const threadContainer = document.createElement("div");
+		threadContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px; flex-wrap: wrap;";
+
+		const ownThreadCheckbox = document.createElement("input");
+		ownThreadCheckbox.type = "checkbox";
+		ownThreadCheckbox.id = "own-threads";
+		ownThreadCheckbox.checked = preserveOwnThreads;
+		ownThreadCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const ownThreadLabel = document.createElement("label");
+		ownThreadLabel.htmlFor = "own-threads";
+		ownThreadLabel.textContent = "Preserve comments in threads I started";
+		ownThreadLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		const depthLabel = document.createElement("label");
+		depthLabel.htmlFor = "depth-filter";
+		depthLabel.textContent = "Delete:";
+		depthLabel.style.cssText = "font-weight: bold; margin-left: 10px;";
+
+		const depthSelect = document.createElement("select");
+		depthSelect.id = "depth-filter";
+		depthSelect.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+		for (const [value, text] of [[DEPTH_FILTER_ALL, "all comments"], [DEPTH_FILTER_TOP_LEVEL, "only top-level comments"], [DEPTH_FILTER_REPLIES, "only replies"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			depthSelect.appendChild(option);
+		}
+		depthSelect.value = depthFilter;
+
+		threadContainer.appendChild(ownThreadCheckbox);
+		threadContainer.appendChild(ownThreadLabel);
+		threadContainer.appendChild(depthLabel);
+		threadContainer.appendChild(depthSelect);
+		content.appendChild(threadContainer);
+
+		ownThreadCheckbox.addEventListener('change', () => {
+			preserveOwnThreads = ownThreadCheckbox.checked;
+			log("Own-thread preservation changed to:", preserveOwnThreads);
+		});
+
+		depthSelect.addEventListener('change', () => {
+			depthFilter = depthSelect.value;
+			log("Depth filter changed to:", depthFilter);
+		});
+
+		// Score threshold input
+		const scoreContainer = document.createElement("div");
+		scoreContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const scoreLabel = document.createElement("label");
+		scoreLabel.htmlFor = "min-score";
+		scoreLabel.textContent = "Preserve comments with a score of at least:";
+		scoreLabel.style.cssText = "font-weight: bold;";
+
+		const scoreInput = document.createElement("input");
+		scoreInput.type = "number";
+		scoreInput.id = "min-score";
+		scoreInput.value = minScoreToPreserve ?? '';
+		scoreInput.placeholder = "off";
+		scoreInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; width: 70px;";
+
+		scoreContainer.appendChild(scoreLabel);
+		scoreContainer.appendChild(scoreInput);
+		content.appendChild(scoreContainer);
+
+		// Empty input turns the threshold off
+		scoreInput.addEventListener('change', () => {
+			const newValue = parseInt(scoreInput.value, 10);
+			minScoreToPreserve = isNaN(newValue) ? null : newValue;
+			log("Score threshold changed to:", minScoreToPreserve ?? 'off');
+		});
+
+		// Downvoted-only checkbox
+		const downvotedContainer = document.createElement("div");
+		downvotedContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const downvotedCheckbox = document.createElement("input");
+		downvotedCheckbox.type = "checkbox";
+		downvotedCheckbox.id = "only-downvoted";
+		downvotedCheckbox.checked = onlyDeleteDownvoted;
+		downvotedCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const downvotedLabel = document.createElement("label");
+		downvotedLabel.htmlFor = "only-downvoted";
+		downvotedLabel.textContent = "Only delete downvoted comments (score of 0 or below)";
+		downvotedLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		downvotedContainer.appendChild(downvotedCheckbox);
+		downvotedContainer.appendChild(downvotedLabel);
+		content.appendChild(downvotedContainer);
+
+		downvotedCheckbox.addEventListener('change', () => {
+			onlyDeleteDownvoted = downvotedCheckbox.checked;
+			log("Only-downvoted setting changed to:", onlyDeleteDownvoted);
+		});
+
+		// Overwrite-before-delete toggle and template
+		const overwriteContainer = document.createElement("div");
+		overwriteContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px; flex-wrap: wrap;";
+
+		const overwriteCheckbox = document.createElement("input");
+		overwriteCheckbox.type = "checkbox";
+		overwriteCheckbox.id = "overwrite-before-delete";
+		overwriteCheckbox.checked = overwriteBeforeDelete;
+		overwriteCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const overwriteLabel = document.createElement("label");
+		overwriteLabel.htmlFor = "overwrite-before-delete";
+		overwriteLabel.textContent = "Overwrite with this text before deleting:";
+		overwriteLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		const overwriteInput = document.createElement("input");
+		overwriteInput.type = "text";
+		overwriteInput.value = overwriteTemplate;
+		overwriteInput.title = "Placeholder text — {date}, {subreddit} and {id} are filled in";
+		overwriteInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; flex: 1; min-width: 200px;";
+
+		overwriteContainer.appendChild(overwriteCheckbox);
+		overwriteContainer.appendChild(overwriteLabel);
+		overwriteContainer.appendChild(overwriteInput);
+		content.appendChild(overwriteContainer);
+
+		overwriteCheckbox.addEventListener('change', () => {
+			overwriteBeforeDelete = overwriteCheckbox.checked;
+			log("Overwrite-before-delete changed to:", overwriteBeforeDelete);
+		});
+
+		overwriteInput.addEventListener('change', () => {
+			overwriteTemplate = overwriteInput.value.trim() || DEFAULT_OVERWRITE_TEMPLATE;
+			overwriteInput.value = overwriteTemplate;
+			saveOverwriteTemplate();
+			log("Overwrite template changed to:", overwriteTemplate);
+		});
+
+		// Extended discovery checkbox
+		const discoveryContainer = document.createElement("div");
+		discoveryContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const discoveryCheckbox = document.createElement("input");
+		discoveryCheckbox.type = "checkbox";
+		discoveryCheckbox.id = "extended-discovery";
+		discoveryCheckbox.checked = extendedDiscovery;
+		discoveryCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const discoveryLabel = document.createElement("label");
+		discoveryLabel.htmlFor = "extended-discovery";
+		discoveryLabel.textContent = "Extra discovery passes: top and controversial for every time window (hour … all)";
+		discoveryLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		discoveryContainer.appendChild(discoveryCheckbox);
+		discoveryContainer.appendChild(discoveryLabel);
+		content.appendChild(discoveryContainer);
+
+		discoveryCheckbox.addEventListener('change', () => {
+			extendedDiscovery = discoveryCheckbox.checked;
+			log("Extended discovery changed to:", extendedDiscovery);
+		});
+
+		// Incremental scan checkbox
+		const incrementalContainer = document.createElement("div");
+		incrementalContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const incrementalCheckbox = document.createElement("input");
+		incrementalCheckbox.type = "checkbox";
+		incrementalCheckbox.id = "incremental-scan";
+		incrementalCheckbox.checked = incrementalScan;
+		incrementalCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const incrementalLabel = document.createElement("label");
+		incrementalLabel.htmlFor = "incremental-scan";
+		incrementalLabel.textContent = "Incremental scan: end a sort at the first page with nothing new or changed since an earlier run";
+		incrementalLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		incrementalContainer.appendChild(incrementalCheckbox);
+		incrementalContainer.appendChild(incrementalLabel);
+		content.appendChild(incrementalContainer);
+
+		incrementalCheckbox.addEventListener('change', () => {
+			incrementalScan = incrementalCheckbox.checked;
+			log("Incremental scan changed to:", incrementalScan);
+		});
+
+		// Post-run verification cool-down
+		const verifyContainer = document.createElement("div");
+		verifyContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const verifyLabel = document.createElement("label");
+		verifyLabel.htmlFor = "verify-after";
+		verifyLabel.textContent = "Verify what is left this many minutes after the run (0 = off):";
+		verifyLabel.style.cssText = "font-weight: bold;";
+
+		const verifyInput = document.createElement("input");
+		verifyInput.type = "number";
+		verifyInput.id = "verify-after";
+		verifyInput.min = "0";
+		verifyInput.value = verifyAfterMinutes;
+		verifyInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; width: 70px;";
+
+		verifyContainer.appendChild(verifyLabel);
+		verifyContainer.appendChild(verifyInput);
+		content.appendChild(verifyContainer);
+
+		verifyInput.addEventListener('change', () => {
+			const newValue = parseInt(verifyInput.value, 10);
+			verifyAfterMinutes = isNaN(newValue) ? 0 : Math.max(0, newValue);
+			verifyInput.value = verifyAfterMinutes;
+			log("Verification cool-down changed to:", verifyAfterMinutes);
+		});
+
+		// Run schedule: only work between two times of day, on the ticked days
+		const scheduleContainer = document.createElement("div");
+		scheduleContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap;";
+
+		const savedSchedule = parseSchedule(runSchedule) || parseSchedule('22:00-06:00');
+		const scheduleCheckbox = document.createElement("input");
+		scheduleCheckbox.type = "checkbox";
+		scheduleCheckbox.id = "run-schedule";
+		scheduleCheckbox.checked = !!runSchedule;
+		scheduleCheckbox.style.cssText = "width: 18px; height: 18px;";
+
+		const scheduleLabel = document.createElement("label");
+		scheduleLabel.htmlFor = "run-schedule";
+		scheduleLabel.textContent = "Only run between";
+		scheduleLabel.style.cssText = "font-weight: bold; cursor: pointer;";
+
+		const timeInput = mins => {
+			const input = document.createElement("input");
+			input.type = "time";
+			input.value = String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+			input.style.cssText = "padding: 4px 6px; border: 1px solid #ccc; border-radius: 4px;";
+			return input;
+		};
+		const scheduleFromInput = timeInput(savedSchedule.from);
+		const scheduleToInput = timeInput(savedSchedule.to);
+		const andSpan = document.createElement("span");
+		andSpan.textContent = "and";
+		const onSpan = document.createElement("span");
+		onSpan.textContent = "on";
+
+		scheduleContainer.appendChild(scheduleCheckbox);
+		scheduleContainer.appendChild(scheduleLabel);
+		scheduleContainer.appendChild(scheduleFromInput);
+		scheduleContainer.appendChild(andSpan);
+		scheduleContainer.appendChild(scheduleToInput);
+		scheduleContainer.appendChild(onSpan);
+
+		const dayBoxes = SCHEDULE_DAYS.map((day, i) => {
+			const label = document.createElement("label");
+			label.style.cssText = "display: flex; align-items: center; gap: 2px; cursor: pointer;";
+			const box = document.createElement("input");
+			box.type = "checkbox";
+			box.checked = savedSchedule.days.includes(i);
+			label.appendChild(box);
+			label.appendChild(document.createTextNode(day.charAt(0).toUpperCase() + day.slice(1)));
+			scheduleContainer.appendChild(label);
+			return box;
+		});
+		content.appendChild(scheduleContainer);
+
+		const commitSchedule = () => {
+			const days = dayBoxes.map((box, i) => box.checked ? SCHEDULE_DAYS[i] : '').filter(Boolean);
+			runSchedule = scheduleCheckbox.checked && scheduleFromInput.value && scheduleToInput.value && days.length
+				? serializeSchedule(parseSchedule(scheduleFromInput.value + '-' + scheduleToInput.value + ' ' + days.join(',')))
+				: '';
+			saveSchedule();
+			log("Run schedule changed to:", runSchedule || '(any time)');
+		};
+		[scheduleCheckbox, scheduleFromInput, scheduleToInput, ...dayBoxes].forEach(el => el.addEventListener('change', commitSchedule));
+
+		// Learned pace for this account, with a way back to the default
+		const paceContainer = document.createElement("div");
+		paceContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const paceLabel = document.createElement("span");
+		paceLabel.style.cssText = "font-weight: bold;";
+		const renderPace = () => { paceLabel.textContent = "Learned " + formatPace(pace.delay()).toLowerCase() + " for u/" + getProfileUsername(); };
+		renderPace();
+
+		const paceResetBtn = document.createElement("button");
+		paceResetBtn.textContent = "Reset pace";
+		paceResetBtn.style.cssText = "padding: 4px 12px; background: #eee; border: 1px solid #ccc; border-radius: 4px; cursor: pointer;";
+		paceResetBtn.onclick = () => {
+			pace.reset();
+			savePace();
+			renderPace();
+			log("Pace reset to", pace.delay(), "ms");
+		};
+
+		paceContainer.appendChild(paceLabel);
+		paceContainer.appendChild(paceResetBtn);
+		content.appendChild(paceContainer);
+
 		// Dry-run checkbox
 		const dryRunContainer = document.createElement("div");
 		dryRunContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
@@ -953,18 +3363,102 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 
 		const xLabel = document.createElement("label");
 		xLabel.htmlFor = "x-means-delete";
-		xLabel.textContent = "Force-delete comments ending with x on their own line";
+		xLabel.textContent = "Force-delete comments ending with this marker on its own line:";
 		xLabel.style.cssText = "font-weight: bold; cursor: pointer;";
 
+		const xMarkerInput = document.createElement("input");
+		xMarkerInput.type = "text";
+		xMarkerInput.value = deleteMarker;
+		xMarkerInput.title = "Delete marker (default: " + DEFAULT_DELETE_MARKER + ")";
+		xMarkerInput.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; width: 70px; font-family: monospace;";
+
 		xContainer.appendChild(xCheckbox);
 		xContainer.appendChild(xLabel);
+		xContainer.appendChild(xMarkerInput);
 		content.appendChild(xContainer);
 
+		xMarkerInput.addEventListener('change', () => {
+			deleteMarker = normalizeMarker(xMarkerInput.value, DEFAULT_DELETE_MARKER);
+			xMarkerInput.value = deleteMarker;
+			saveMarkers();
+			log("Delete marker changed to:", deleteMarker);
+		});
+
+		// Marker position select
+		const markerModeContainer = document.createElement("div");
+		markerModeContainer.style.cssText = "margin-bottom: 20px; display: flex; align-items: center; gap: 10px;";
+
+		const markerModeLabel = document.createElement("label");
+		markerModeLabel.htmlFor = "marker-mode";
+		markerModeLabel.textContent = "Markers count when they are:";
+		markerModeLabel.style.cssText = "font-weight: bold;";
+
+		const markerModeSelect = document.createElement("select");
+		markerModeSelect.id = "marker-mode";
+		markerModeSelect.style.cssText = "padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px;";
+		for (const [value, text] of [[MARKER_MODE_ANYWHERE, "on any line of their own"], [MARKER_MODE_LAST_LINE, "the comment's last line"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			markerModeSelect.appendChild(option);
+		}
+		markerModeSelect.value = markerMode;
+
+		markerModeContainer.appendChild(markerModeLabel);
+		markerModeContainer.appendChild(markerModeSelect);
+		content.appendChild(markerModeContainer);
+
+		markerModeSelect.addEventListener('change', () => {
+			markerMode = markerModeSelect.value;
+			saveMarkers();
+			log("Marker mode changed to:", markerMode);
+		});
+
 		xCheckbox.addEventListener('change', () => {
 			xMeansDelete = xCheckbox.checked;
 			log("X-means-delete setting changed to:", xMeansDelete);
 		});
 
+		// Keyword / regex pattern editors
+		function makePatternInput(id, labelText, value, placeholder, onChange) {
+			const container = document.createElement("div");
+			container.style.cssText = "margin-bottom: 20px;";
+
+			const label = document.createElement("label");
+			label.htmlFor = id;
+			label.textContent = labelText;
+			label.style.cssText = "font-weight: bold; display: block; margin-bottom: 6px;";
+
+			const textarea = document.createElement("textarea");
+			textarea.id = id;
+			textarea.rows = 3;
+			textarea.value = value;
+			textarea.placeholder = placeholder;
+			textarea.style.cssText = "width: 100%; box-sizing: border-box; padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; font-family: monospace;";
+
+			container.appendChild(label);
+			container.appendChild(textarea);
+			content.appendChild(container);
+
+			textarea.addEventListener('change', () => {
+				for (const bad of invalidPatterns(textarea.value)) {
+					log("Ignoring invalid pattern:", bad);
+				}
+				onChange(parsePatternList(textarea.value).join('\n'));
+			});
+		}
+
+		makePatternInput("keep-patterns", "Always preserve comments matching (one keyword or /regex/ per line):", keepPatterns,
+			"MyProjectName\n/\\bv\\d+\\.\\d+\\b/", v => {
+				keepPatterns = v;
+				log("Keep patterns changed to:", keepPatterns || '(none)');
+			});
+		makePatternInput("purge-patterns", "Force-delete comments matching, regardless of age:", purgePatterns,
+			"/@gmail\\.com\\b/i", v => {
+				purgePatterns = v;
+				log("Purge patterns changed to:", purgePatterns || '(none)');
+			});
+
 		const note = document.createElement("p");
 		note.textContent = "Starting from current sort: " + getCurrentSort();
 		note.style.cssText = "margin-bottom: 20px; font-style: italic;";
@@ -1024,23 +3518,124 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			} catch (e) {
 				// Ignore errors
 			}
-			running = true;
-			updateButtonState();
+			startRun();
+		};
+	}
 
-			// Calculate starting sort and update URL
-			const currentSort = getCurrentSort();
-			saveState(currentSort);
+	// A run left behind by a closed tab, a followed link or Reddit dropping the page: resume it from
+	// its page (the script's own navigation, so the next load picks it up), keep it for later, or drop it
+	function showResumeOffer() {
+		if (!interruptedJob || document.querySelector('.rco-resume-offer')) return;
+		const record = interruptedJob;
 
-			// Clear persisted log for fresh start
-			persistedLog = [];
-			savePersistedLog([]);
-			showOverlay();
-			updateOverlay('Starting...', 'Processing all 4 sort types');
-			mainRunning = true;
-			main(true).finally(() => { mainRunning = false; if (running) hideOverlay(); }); // true = fresh start — process ALL 4 sorts
+		const modal = document.createElement("div");
+		modal.className = 'rco-resume-offer';
+		modal.style.cssText = `
+			position: fixed;
+			top: 0;
+			left: 0;
+			width: 100%;
+			height: 100%;
+			background: rgba(0, 0, 0, 0.7);
+			display: flex;
+			justify-content: center;
+			align-items: center;
+			z-index: 999997;
+		`;
+
+		const content = document.createElement("div");
+		content.style.cssText = `
+			background: white;
+			padding: 20px;
+			border-radius: 8px;
+			min-width: 300px;
+			max-width: 500px;
+			box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+		`;
+
+		const title = document.createElement("h3");
+		title.textContent = "Resume interrupted run from " + record.sort + ", page " + record.page + "?";
+		title.style.cssText = "margin: 0 0 10px 0;";
+		content.appendChild(title);
+
+		const detail = document.createElement("p");
+		detail.textContent = record.counters.deleted + " comments processed so far, " + record.pendingIds.length +
+			" pending on that page. Last saved " + new Date(record.updatedAt).toLocaleString() + ".";
+		detail.style.cssText = "margin-bottom: 20px;";
+		content.appendChild(detail);
+
+		const buttonContainer = document.createElement("div");
+		buttonContainer.style.cssText = "display: flex; justify-content: flex-end; gap: 10px;";
+
+		const buttonStyle = (background, color) => `
+			padding: 8px 16px;
+			background: ${background};
+			color: ${color};
+			border: none;
+			border-radius: 4px;
+			cursor: pointer;
+		`;
+		const discardBtn = document.createElement("button");
+		discardBtn.textContent = "Discard";
+		discardBtn.style.cssText = buttonStyle('#ccc', '#333');
+		const laterBtn = document.createElement("button");
+		laterBtn.textContent = "Later";
+		laterBtn.style.cssText = buttonStyle('#ccc', '#333');
+		const resumeBtn = document.createElement("button");
+		resumeBtn.textContent = "Resume";
+		resumeBtn.style.cssText = buttonStyle('#ff4500', 'white');
+
+		buttonContainer.appendChild(discardBtn);
+		buttonContainer.appendChild(laterBtn);
+		buttonContainer.appendChild(resumeBtn);
+		content.appendChild(buttonContainer);
+		modal.appendChild(content);
+		document.body.appendChild(modal);
+
+		laterBtn.onclick = () => modal.remove();
+		discardBtn.onclick = () => {
+			modal.remove();
+			interruptedJob = null;
+			log("Discarded interrupted run " + describeJob(record));
+			deleteJob().catch(e => log("Could not clear job state:", e.message));
+			updateButtonState();
+		};
+		resumeBtn.onclick = () => {
+			modal.remove();
+			log("Resuming interrupted run " + describeJob(record));
+			try { sessionStorage.setItem(JOB_NAV_FLAG, jobUser()); } catch { /* no sessionStorage */ }
+			location.href = record.pageUrl;
 		};
 	}
 
+	// Fresh run with the current settings — from the confirmation modal, or "Run again" after verification
+	function startRun() {
+		if (mainRunning) {
+			log("A deletion session is already active, ignoring start");
+			return;
+		}
+		running = true;
+		job = null;
+		interruptedJob = null;
+		updateButtonState();
+
+		// Calculate starting sort and start a new job record
+		const currentSort = getCurrentSort();
+		saveState(currentSort);
+
+		// Clear persisted log for fresh start
+		persistedLog = [];
+		savePersistedLog([]);
+		saveDiscovery({ seen: [], passes: {} });
+		saveSoftThrottleCounts({});
+		showOverlay();
+		updateOverlay('Starting...', 'Processing all 4 sort types');
+		mainRunning = true;
+		prepareRetention(currentSort)
+			.then(ok => { if (ok) return main(true); }) // true = fresh start — process ALL 4 sorts
+			.finally(() => { mainRunning = false; if (running) hideOverlay(); });
+	}
+
 	/***********************
 	 * OVERLAY — covers the page while script is running
 	 ************************/
@@ -1141,6 +3736,17 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		overlayStatusEl.textContent = 'Starting...';
 		panel.appendChild(overlayStatusEl);
 
+		// Reddit's request budget from the x-ratelimit-* headers, empty until a response carries them
+		overlayBudgetEl = document.createElement("div");
+		Object.assign(overlayBudgetEl.style, {
+			fontSize: '12px',
+			color: '#777',
+			marginTop: '-12px',
+			marginBottom: '12px'
+		});
+		panel.appendChild(overlayBudgetEl);
+		updateBudgetDisplay();
+
 		const logContainer = document.createElement("div");
 		Object.assign(logContainer.style, {
 			position: 'relative',
@@ -1250,6 +3856,10 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		overlayStatusEl.innerHTML = html;
 	}
 
+	function updateBudgetDisplay() {
+		if (overlayBudgetEl) overlayBudgetEl.textContent = [formatRateBudget(rateLimiter.budget(), Date.now()), formatPace(pace.delay())].filter(Boolean).join(' · ');
+	}
+
 	function showCompleteOverlay() {
 		if (!overlayEl) return;
 		// Change overlay background to green-tinted to signal completion
@@ -1257,7 +3867,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		// Update status prominently
 		const statusEl = overlayStatusEl;
 		if (statusEl) {
-			statusEl.innerHTML = '<span style="font-size:28px;color:#2e7d32">&#10003;</span><br><strong style="font-size:22px;color:#2e7d32">Complete!  v' + VERSION + '</strong><br><span style="font-size:14px;color:#555">All 4 sorts processed. Your comments have been deleted according to your settings.</span>';
+			statusEl.innerHTML = '<span style="font-size:28px;color:#2e7d32">&#10003;</span><br><strong style="font-size:22px;color:#2e7d32">Complete!  v' + VERSION + '</strong><br><span style="font-size:14px;color:#555">' + (isThreadPage() ? 'Thread processed.' : 'All 4 sorts processed.') + ' Your comments have been deleted according to your settings.</span>';
 		}
 		// Replace the button row with a single OK button
 		const oldRow = overlayEl.querySelector('.rco-btn-row');
@@ -1282,12 +3892,64 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		// Hide the Close button row if it exists (we already replaced it)
 	}
 
+	// Small line under the completion message, e.g. the verification countdown
+	function setCompleteNote(text) {
+		if (!overlayStatusEl) return;
+		let note = overlayStatusEl.querySelector('.rco-complete-note');
+		if (!note) {
+			note = document.createElement("div");
+			note.className = 'rco-complete-note';
+			Object.assign(note.style, { marginTop: '10px', fontSize: '13px', color: '#555' });
+			overlayStatusEl.appendChild(note);
+		}
+		note.textContent = text;
+	}
+
+	function showResidualOverlay(report, previous) {
+		if (!overlayEl) return;
+		const clean = report.count === 0;
+		const color = clean ? '#2e7d32' : '#b26a00';
+		overlayEl.style.background = clean ? 'rgba(0,80,0,0.6)' : 'rgba(120,70,0,0.6)';
+		if (overlayStatusEl) {
+			overlayStatusEl.innerHTML = '<span style="font-size:28px;color:' + color + '">' + (clean ? '&#10003;' : '&#9888;') + '</span><br>' +
+				'<strong style="font-size:22px;color:' + color + '">' + (clean ? 'Verified!' : report.count + ' still match your rules') + '</strong><br>' +
+				'<span style="font-size:14px;color:#555">' + escapeHtml(formatResidualReport(report, previous)) + '</span>';
+		}
+		const row = overlayEl.querySelector('.rco-btn-row');
+		if (!row) return;
+		row.innerHTML = '';
+		const buttonStyle = {
+			padding: '12px 30px',
+			color: '#fff',
+			border: 'none',
+			borderRadius: '8px',
+			fontSize: '18px',
+			fontWeight: 'bold',
+			cursor: 'pointer',
+			margin: '0 5px',
+			boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+		};
+		if (!clean) {
+			const againBtn = document.createElement("button");
+			againBtn.textContent = 'Run again';
+			Object.assign(againBtn.style, buttonStyle, { background: '#ff4500' });
+			againBtn.onclick = () => { hideOverlay(); startRun(); };
+			row.appendChild(againBtn);
+		}
+		const okBtn = document.createElement("button");
+		okBtn.textContent = 'OK';
+		Object.assign(okBtn.style, buttonStyle, { background: color });
+		okBtn.onclick = hideOverlay;
+		row.appendChild(okBtn);
+	}
+
 	function hideOverlay() {
 		if (overlayEl) {
 			try { overlayEl.remove(); } catch (e) { /* ignore */ }
 			overlayEl = null;
 			overlayStatusEl = null;
 			overlayLogEl = null;
+			overlayBudgetEl = null;
 		}
 		// Show badge if the script is still running so user can get back to the overlay
 		if (running) showBadge();
@@ -1306,10 +3968,6 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	// Guard to prevent multiple concurrent main() loops
 	let mainRunning = false;
 
-	function updateButtonDisplay() {
-		btn.style.display = running || !new URLSearchParams(window.location.search).has('rco_sort') ? 'flex' : 'none';
-	}
-
 	const btn = document.createElement("button");
 	btn.innerHTML = '<img src="' + LOGO_64 + '" style="width:20px;height:22px;margin-right:6px;vertical-align:middle" alt=""><span style="font-weight: bold; font-size: 11px; opacity: 0.8; margin-right: 6px;">Reddit Comments Overkill</span><span class="btn-text">Start Deleting</span>';
 	btn.title = 'Reddit Comments Overkill';
@@ -1342,7 +4000,7 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 			btn.style.boxShadow = "0 2px 8px rgba(208, 0, 0, 0.5)";
 			btn.style.animation = "pulse 1.5s infinite";
 		} else {
-			btnText.textContent = "Start Deleting";
+			btnText.textContent = interruptedJob ? "Resume Deleting" : "Start Deleting";
 			btn.style.background = "#ff4500";
 			btn.style.boxShadow = "0 2px 8px rgba(0,0,0,0.3)";
 			btn.style.animation = "none";
@@ -1361,7 +4019,6 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 	document.head.appendChild(pulseStyle);
 
 	updateButtonState();
-	updateButtonDisplay();
 
 	btn.onclick = () => {
 		if (!running) {
@@ -1369,13 +4026,8 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 				log("A deletion session is already active, ignoring click");
 				return;
 			}
-			if (new URLSearchParams(window.location.search).has('rco_sort')) {
-				running = true;
-				updateButtonState();
-				mainRunning = true;
-				showOverlay();
-				updateOverlay('Resuming...', 'Continuing from previous session');
-				main().finally(() => { mainRunning = false; if (running) hideOverlay(); });
+			if (interruptedJob) {
+				showResumeOffer();
 			} else {
 				showConfirmationModal();
 			}
@@ -1388,16 +4040,19 @@ function shouldDeleteCommentByX(text, xMeansDelete) {
 		}
 	};
 
-	// Auto-start if resuming from URL state
-	if (running) {
-		log("Resuming from previous state");
-		running = true;
+	// Auto-start when this tab's own navigation led here; a run interrupted any other way is offered
+	stateLoaded.then(() => {
 		updateButtonState();
-		showOverlay();
-		updateOverlay('Resuming...', 'Continuing from previous session');
-		mainRunning = true;
-		main().finally(() => { mainRunning = false; if (running) hideOverlay(); });
-	}
+		if (running) {
+			log("Resuming from previous state");
+			showOverlay();
+			updateOverlay('Resuming...', 'Continuing from previous session');
+			mainRunning = true;
+			main().finally(() => { mainRunning = false; if (running) hideOverlay(); });
+		} else if (interruptedJob) {
+			showResumeOffer();
+		}
+	});
 
 })();
 
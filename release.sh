@@ -39,17 +39,23 @@ if [ -f "test.js" ]; then
 	fi
 fi
 
-# Check and inline @require detection.js into all .user.js files
+# Check and inline @require src/ modules (detection.js, ratelimit.js) into all .user.js files
 for f in reddit-comments-overkill*.user.js; do
-	if grep -q '@require.*detection\.js' "$f" 2>/dev/null; then
-		echo "  Inlining detection.js into $f..."
+	if grep -qE '@require.*(detection|ratelimit)\.js' "$f" 2>/dev/null; then
+		echo "  Inlining src/ modules into $f..."
 		node -e "
 var fs = require('fs');
-var detection = fs.readFileSync('src/detection.js','utf-8').split('\n').filter(function(l){return !/module\.exports/.test(l)}).join('\n');
 var content = fs.readFileSync('$f','utf-8');
-content = content.replace(/\/\/ @require.*detection\.js.*\n/, '');
-content = content.replace('// ==/UserScript==', '// ==/UserScript==\n\n' + detection);
+var re = /\/\/ @require.*\/((detection|ratelimit)\.js).*\n/g;
+var mods = [], m;
+while ((m = re.exec(content))) mods.push(m[1]);
+var code = mods.map(function(name){
+	return fs.readFileSync('src/' + name,'utf-8').split('\n').filter(function(l){return !/module\.exports/.test(l)}).join('\n');
+}).join('\n');
+content = content.replace(re, '');
+content = content.replace('// ==/UserScript==', '// ==/UserScript==\n\n' + code);
 fs.writeFileSync('$f', content);
+console.log('  Inlined: ' + mods.join(', '));
 try { new Function(content.replace(/^\/\/.*\n?/gm,'')); console.log('  Syntax OK'); }
 catch(e) { console.log('  FAIL:', e.message); process.exit(1); }
 "
@@ -7,18 +7,630 @@ function shouldSkipCommentByDate(createdUtc, daysToPreserve) {
   return (Date.now() / 1000 - createdUtc) / 86400 <= daysToPreserve;
 }
 
-function loneLineCheck(text, char) {
-  if (!text) return false;
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-  return lines.some(l => l === char);
+// Date bounds are "YYYY-MM-DD" strings (as produced by <input type="date">) in the browser's
+// local time. Returns unix seconds, or null for an empty/invalid bound.
+function parseDateBound(value, endOfDay) {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + (endOfDay ? 1 : 0));
+  if (isNaN(d.getTime())) return null;
+  return d.getTime() / 1000 - (endOfDay ? 0.001 : 0);
 }
 
-function shouldSkipCommentByDot(text, preserveDotComments) {
-  return preserveDotComments && loneLineCheck(text, '.');
+// Only comments written inside [fromDate, toDate] (inclusive, either bound optional) may be deleted.
+// Applies on top of daysToPreserve; set days to 0 to use the window on its own.
+function shouldSkipCommentByDateRange(createdUtc, fromDate, toDate) {
+  const from = parseDateBound(fromDate, false);
+  const to = parseDateBound(toDate, true);
+  if (from === null && to === null) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return (from !== null && createdUtc < from) || (to !== null && createdUtc > to);
+}
+
+// Count-based retention keeps the newest N comments whatever their age. The cutoff is the
+// created_utc of the Nth newest comment; comments at or after it are kept. With fewer than N
+// comments every comment is kept (cutoff 0); N = 0 keeps none (cutoff Infinity). Returns null
+// when the rule is off.
+const RETENTION_MODE_DAYS = 'days';
+const RETENTION_MODE_COUNT = 'count';
+
+function newestCutoff(createdUtcs, keepCount) {
+  if (typeof keepCount !== 'number' || !(keepCount >= 0)) return null;
+  if (keepCount === 0) return Infinity;
+  const sorted = createdUtcs.filter(t => t != null && !isNaN(t)).sort((a, b) => b - a);
+  return sorted.length < keepCount ? 0 : sorted[keepCount - 1];
+}
+
+// Comments and posts are ranked apart, the way the DOM variants count each profile listing on its
+// own: N keeps the newest N comments and, separately, the newest N posts. Items are
+// { kind: 'comment' | 'post', created_utc }.
+function newestCutoffsByKind(items, keepCount) {
+  const cutoffs = {};
+  for (const kind of ['comment', 'post']) {
+    cutoffs[kind] = newestCutoff(items.filter(i => (i.kind === 'post' ? 'post' : 'comment') === kind).map(i => i.created_utc), keepCount);
+  }
+  return cutoffs;
+}
+
+function shouldSkipCommentByRank(createdUtc, cutoff) {
+  if (cutoff == null || isNaN(cutoff)) return false;
+  if (createdUtc == null || isNaN(createdUtc)) return true;
+  return createdUtc >= cutoff;
+}
+
+const DEFAULT_PRESERVE_MARKER = '.';
+const DEFAULT_DELETE_MARKER = 'x';
+
+// Markers are user-defined tokens such as "#keep"; blank or multi-line values fall back to the default
+function normalizeMarker(value, fallback) {
+  const m = value == null ? '' : String(value).trim();
+  return m && !/\n/.test(m) ? m : fallback;
+}
+
+// Marker detection reads a comment the way it renders. Both parsers below reduce a comment to
+// its top-level blocks in order, each block an array of trimmed lines. Code blocks, quotes and
+// lists become empty blocks: they keep their position but never contain a marker. Headings
+// become a single "#text" line so markers like "#keep" survive rendering.
+const MARKER_MODE_ANYWHERE = 'anywhere'; // marker may be any plain paragraph line
+const MARKER_MODE_LAST_LINE = 'last';    // marker must be the last line of the final block
+
+function decodeEntities(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCharCode(parseInt(d, 10)))
+    .replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function headingLine(level, text) {
+  return '#'.repeat(level) + text.trim();
+}
+
+// Raw markdown, e.g. the `body` field of comments.json (which Reddit HTML-escapes)
+function markdownParagraphs(text) {
+  if (!text) return [];
+  const blocks = [];
+  let cur = null; // { kind: 'p' | 'quote' | 'list' | 'code' | 'fence', lines, blankSeen }
+  const flush = () => {
+    if (cur) blocks.push(cur.kind === 'p' ? cur.lines : []);
+    cur = null;
+  };
+
+  for (const raw of decodeEntities(String(text)).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+
+    if (cur && cur.kind === 'fence') {
+      if (/^ {0,3}(`{3,}|~{3,})\s*$/.test(raw)) flush();
+      continue;
+    }
+    if (!line) {
+      if (cur && cur.kind === 'list') cur.blankSeen = true;
+      else flush();
+      continue;
+    }
+    if (/^ {0,3}(`{3,}|~{3,})/.test(raw)) {
+      flush();
+      cur = { kind: 'fence' };
+      continue;
+    }
+    // Indented lines continue a list item, even across blank lines
+    if (cur && cur.kind === 'list' && /^(\s{2,}|\t)/.test(raw)) continue;
+    // Indented code needs a preceding blank line; otherwise it is a lazy paragraph continuation
+    if (/^( {4}|\t)/.test(raw) && (!cur || cur.kind === 'code')) {
+      cur = cur || { kind: 'code' };
+      continue;
+    }
+    if (cur && cur.kind === 'code') flush();
+    if (/^ {0,3}>/.test(raw)) {
+      if (!cur || cur.kind !== 'quote') { flush(); cur = { kind: 'quote' }; }
+      continue;
+    }
+    if (/^ {0,3}([-*+]|\d+[.)])(\s|$)/.test(raw)) {
+      if (!cur || cur.kind !== 'list') { flush(); cur = { kind: 'list' }; }
+      cur.blankSeen = false;
+      continue;
+    }
+    // Lazy continuation of a quote or list item
+    if (cur && (cur.kind === 'quote' || (cur.kind === 'list' && !cur.blankSeen))) continue;
+    const h = line.match(/^(#{1,6})(.*?)#*$/);
+    if (h) {
+      flush();
+      blocks.push([headingLine(h[1].length, h[2])]);
+      continue;
+    }
+    if (!cur || cur.kind !== 'p') { flush(); cur = { kind: 'p', lines: [] }; }
+    cur.lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Rendered comment HTML, e.g. the innerHTML of an old Reddit .md element
+function htmlParagraphs(html) {
+  if (!html) return [];
+  let s = String(html);
+  // Collapse innermost ignored blocks first so nested quotes and lists reduce to one placeholder
+  const ignored = /<(pre|blockquote|ul|ol)\b[^>]*>(?:(?!<(?:pre|blockquote|ul|ol)\b)[\s\S])*?<\/\1>/gi;
+  let prev;
+  do { prev = s; s = s.replace(ignored, '<p>\u0000</p>'); } while (s !== prev);
+
+  const blocks = [];
+  const blockRe = /<(p|h([1-6]))\b[^>]*>([\s\S]*?)<\/(?:p|h[1-6])>/gi;
+  let m;
+  while ((m = blockRe.exec(s)) !== null) {
+    const text = decodeEntities(m[3].replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0 && l !== '\u0000');
+    blocks.push(m[2] ? [headingLine(Number(m[2]), lines.join(' '))] : lines);
+  }
+  // No block markup at all: treat the text as a single paragraph
+  if (!blocks.length) {
+    const lines = decodeEntities(s.replace(/<[^>]+>/g, '')).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    if (lines.length) blocks.push(lines);
+  }
+  return blocks;
+}
+
+// `source` is raw markdown or the block list from markdownParagraphs()/htmlParagraphs()
+function loneLineCheck(source, marker, mode) {
+  const blocks = Array.isArray(source) ? source : markdownParagraphs(source);
+  if (mode === MARKER_MODE_LAST_LINE) {
+    const last = blocks[blocks.length - 1];
+    return !!last && last[last.length - 1] === marker;
+  }
+  return blocks.some(b => b.includes(marker));
+}
+
+function shouldSkipCommentByDot(text, preserveDotComments, marker, mode) {
+  return preserveDotComments && loneLineCheck(text, normalizeMarker(marker, DEFAULT_PRESERVE_MARKER), mode);
+}
+
+function shouldDeleteCommentByX(text, xMeansDelete, marker, mode) {
+  return xMeansDelete && loneLineCheck(text, normalizeMarker(marker, DEFAULT_DELETE_MARKER), mode);
+}
+
+// Subreddit lists are typed by the user as "r/foo, bar /r/Baz" — normalize to bare lowercase names
+function parseSubredditList(text) {
+  if (!text) return [];
+  return String(text).split(/[\s,]+/)
+    .map(s => s.replace(/^\/?r\//i, '').replace(/\/+$/, '').toLowerCase())
+    .filter(s => s.length > 0);
+}
+
+function shouldSkipCommentBySubreddit(subreddit, onlySubreddits, exceptSubreddits) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const only = parseSubredditList(onlySubreddits);
+  if (only.length && !only.includes(sub)) return true;
+  return parseSubredditList(exceptSubreddits).includes(sub);
+}
+
+// Reddit-native signals that protect a comment from automatic deletion. `signals` holds what was
+// read from comments.json or old Reddit's .thing markup; `enabled` is a comma-separated list of
+// the signals the user chose to honour, e.g. "distinguished,saved".
+const REDDIT_SIGNALS = ['distinguished', 'stickied', 'gilded', 'saved'];
+
+function parseSignalList(text) {
+  const wanted = String(text || '').split(/[\s,]+/).map(s => s.toLowerCase());
+  return REDDIT_SIGNALS.filter(s => wanted.includes(s));
+}
+
+// Returns the first enabled signal present on the comment, or null
+function matchRedditSignal(signals, enabled) {
+  if (!signals) return null;
+  return parseSignalList(enabled).find(s => !!signals[s]) || null;
+}
+
+function shouldSkipCommentBySignal(signals, enabled) {
+  return matchRedditSignal(signals, enabled) !== null;
+}
+
+// Own-thread preservation compares the submission's author (`link_author` in comments.json,
+// the "by <author>" link in old Reddit's p.parent) with the account being cleaned.
+function shouldSkipCommentByThreadAuthor(linkAuthor, username, preserveOwnThreads) {
+  if (!preserveOwnThreads || !linkAuthor || !username) return false;
+  return String(linkAuthor).toLowerCase() === String(username).toLowerCase();
+}
+
+// Depth filter uses the parent fullname: "t3_..." (a post) means top-level, "t1_..." (a comment)
+// means reply. Unknown parents are preserved while a filter is active.
+const DEPTH_FILTER_ALL = 'all';
+const DEPTH_FILTER_TOP_LEVEL = 'top';
+const DEPTH_FILTER_REPLIES = 'replies';
+
+function shouldSkipCommentByDepth(parentId, depthFilter) {
+  if (depthFilter !== DEPTH_FILTER_TOP_LEVEL && depthFilter !== DEPTH_FILTER_REPLIES) return false;
+  const prefix = String(parentId || '').slice(0, 3);
+  if (prefix !== 't3_' && prefix !== 't1_') return true;
+  return depthFilter === DEPTH_FILTER_TOP_LEVEL ? prefix !== 't3_' : prefix !== 't1_';
+}
+
+// Per-subreddit retention: "AskReddit=7, myproject=365, politics=0" (":" also accepted).
+// Subreddits without a rule fall back to the default days. Malformed entries are dropped.
+function parseSubredditPolicies(text) {
+  if (!text) return [];
+  const policies = [];
+  for (const part of String(text).split(/[,\n]+/)) {
+    const m = part.trim().match(/^(\S+?)\s*[=:]\s*(\d+)$/);
+    if (!m) continue;
+    const sub = parseSubredditList(m[1])[0];
+    if (sub) policies.push([sub, parseInt(m[2], 10)]);
+  }
+  return policies;
+}
+
+function serializeSubredditPolicies(policies) {
+  return policies.map(([sub, days]) => sub + '=' + days).join(',');
+}
+
+// Returns { label, days } for logging, e.g. { label: 'r/askreddit', days: 7 } or { label: 'default', days: 10 }
+function findSubredditPolicy(subreddit, policies, defaultDays) {
+  const sub = parseSubredditList(subreddit)[0] || '';
+  const rule = parseSubredditPolicies(policies).find(([s]) => s === sub);
+  return rule ? { label: 'r/' + rule[0], days: rule[1] } : { label: 'default', days: defaultDays };
+}
+
+// minScore of null disables the threshold. Unknown scores (e.g. "[score hidden]") are preserved
+// whenever a score rule is active, the same way unknown dates are.
+function shouldSkipCommentByScore(score, minScore, onlyDownvoted) {
+  const thresholdOn = minScore != null && !isNaN(minScore);
+  if (!thresholdOn && !onlyDownvoted) return false;
+  if (score == null || isNaN(score)) return true;
+  if (thresholdOn && score >= minScore) return true;
+  return !!onlyDownvoted && score > 0;
+}
+
+// Pattern lists hold one rule per line: /regex/flags is a full regular expression,
+// anything else is a case-insensitive keyword. Lines that fail to compile are skipped.
+function compilePattern(line) {
+  const m = line.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (m) return new RegExp(m[1], m[2].replace(/g|y/g, ''));
+    return new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch {
+    return null;
+  }
+}
+
+function parsePatternList(text) {
+  if (!text) return [];
+  return String(text).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+}
+
+function invalidPatterns(text) {
+  return parsePatternList(text).filter(l => !compilePattern(l));
+}
+
+// Returns the first line of the pattern list that matches the text, or null
+function matchPatternList(text, patterns) {
+  if (!text) return null;
+  for (const line of parsePatternList(patterns)) {
+    const re = compilePattern(line);
+    if (re && re.test(text)) return line;
+  }
+  return null;
+}
+
+function shouldSkipCommentByPattern(text, keepPatterns) {
+  return matchPatternList(text, keepPatterns) !== null;
+}
+
+function shouldDeleteCommentByPattern(text, purgePatterns) {
+  return matchPatternList(text, purgePatterns) !== null;
+}
+
+// Content types map to the profile listings the scripts walk: /user/<name>/comments holds
+// t1_ comments, /user/<name>/submitted holds t3_ posts.
+const CONTENT_TYPE_COMMENTS = 'comments';
+const CONTENT_TYPE_POSTS = 'posts';
+const CONTENT_TYPE_BOTH = 'both';
+
+function contentListings(contentType) {
+  if (contentType === CONTENT_TYPE_POSTS) return ['submitted'];
+  if (contentType === CONTENT_TYPE_BOTH) return ['comments', 'submitted'];
+  return ['comments'];
+}
+
+// Listing name from a profile path such as "/user/name/submitted/", or null
+function listingFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/(?:user|u)\/[^\/]+\/(comments|submitted)(?:[\/.]|$)/);
+  return m ? m[1] : null;
+}
+
+// Discovery passes. Listings stop at ~1000 items per sort, so extended discovery runs top and
+// controversial once per t= window. A pass key is "sort" or "sort:window", e.g. "top:week".
+const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+const TIME_FILTERED_SORTS = ['top', 'controversial'];
+
+function discoveryPasses(sorts, extended) {
+  return sorts.flatMap(sort => extended && TIME_FILTERED_SORTS.includes(sort) ? TIME_WINDOWS.map(t => sort + ':' + t) : [sort]);
+}
+
+function parsePass(pass) {
+  const [sort, t] = String(pass || '').split(':');
+  return { sort: sort, t: t || null };
+}
+
+// Adds ids to the seen set and returns how many were new
+function countNewIds(ids, seen) {
+  let added = 0;
+  for (const id of ids) {
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      added++;
+    }
+  }
+  return added;
+}
+
+// Thread pages look like /r/<sub>/comments/<id>/<slug>/; returns the post id, or null
+function threadIdFromPath(pathname) {
+  const m = String(pathname || '').match(/^\/r\/[^\/]+\/comments\/([a-z0-9]+)(?:[\/.]|$)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// Reddit's data export (comments.csv, posts.csv): RFC 4180 CSV with a header row. Quoted fields
+// may contain commas, doubled quotes and newlines. Returns one object per row keyed by header.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const header = (rows.shift() || []).map(h => h.trim());
+  return rows
+    .filter(r => r.some(v => v !== ''))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+// Export ids are bare base36 ("k3x9z1"); listings and /api/info use fullnames ("t1_k3x9z1").
+// Invalid and duplicate ids are dropped.
+function exportFullnames(rows, prefix) {
+  const names = new Set();
+  for (const r of rows) {
+    const id = String(r.id || '').trim().toLowerCase().replace(/^t[13]_/, '');
+    if (/^[a-z0-9]+$/.test(id)) names.add(prefix + id);
+  }
+  return [...names];
+}
+
+// Minimal ZIP reader: walks the central directory and inflates only the wanted entries.
+// Reddit's export uses stored or deflate entries, which DecompressionStream covers. Returns
+// { 'comments.csv': text, ... } keyed by the lowercased base name; wanted files that are missing
+// are simply absent.
+async function readZipEntries(buffer, wanted) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip file');
+
+  const files = {};
+  const decoder = new TextDecoder();
+  let ptr = view.getUint32(eocd + 16, true);
+  for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) break;
+    const method = view.getUint16(ptr + 10, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + view.getUint16(ptr + 30, true) + view.getUint16(ptr + 32, true);
+
+    const base = name.split('/').pop().toLowerCase();
+    if (!wanted.includes(base)) continue;
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, size);
+    if (method === 0) {
+      files[base] = decoder.decode(data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[base] = await new Response(stream).text();
+    } else {
+      throw new Error(name + ' uses unsupported compression method ' + method);
+    }
+  }
+  return files;
+}
+
+// An item the user already deleted comes back from /api/info with author "[deleted]"
+function isDeletedItem(d) {
+  return !d || d.author === '[deleted]' || d.body === '[deleted]' || d.selftext === '[deleted]';
+}
+
+// History cleanup walks these profile listings; each maps to the call that removes one item
+const HISTORY_LISTINGS = ['saved', 'hidden', 'upvoted', 'downvoted'];
+
+function historyCleanupRequest(listing, fullname) {
+  if (listing === 'saved') return { path: '/api/unsave', params: { id: fullname } };
+  if (listing === 'hidden') return { path: '/api/unhide', params: { id: fullname } };
+  if (listing === 'upvoted' || listing === 'downvoted') return { path: '/api/vote', params: { id: fullname, dir: '0' } };
+  return null;
+}
+
+// Overwrite-before-delete placeholder. Tokens: {date} (today, local YYYY-MM-DD), {subreddit}, {id}.
+// Unknown tokens are left as typed; an empty template falls back to the default.
+const DEFAULT_OVERWRITE_TEMPLATE = 'Deleted by its author on {date}.';
+
+function localDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+function renderOverwriteTemplate(template, fields) {
+  const text = String(template || '').trim() || DEFAULT_OVERWRITE_TEMPLATE;
+  const values = Object.assign({ date: localDateString(new Date()) }, fields);
+  return text.replace(/\{(\w+)\}/g, (token, key) => values[key] != null ? String(values[key]) : token);
+}
+
+// Incremental scans keep a per-user index of fullname → { state, decision, rules } from earlier
+// runs. Decisions that flip by themselves as time passes are never treated as settled.
+const TIME_BOUND_DECISIONS = ['preserveAge', 'preserveNewest'];
+
+// The parts of an item that can change while its fullname stays the same
+function itemState(item) {
+  const signals = Object.keys(item.signals || {}).filter(k => item.signals[k]).sort().join('+');
+  return [item.score ?? '', item.subreddit || '', signals, item.title || '', item.body || ''].join('\u0001');
+}
+
+// A listed item needs no fresh look when the index holds it in the same state, decided under
+// the same rules, and the decision does not depend on the clock. A delete decision ('delete',
+// 'deleteByDate', ...) is indexed before the delete runs; an item still listed with one is not
+// done yet (the delete failed or was throttled), and neither is one indexed as 'deleted'.
+function isSettledItem(record, state, rules) {
+  return !!record && record.state === state && record.rules === rules &&
+    !/^delete/.test(record.decision) && !TIME_BOUND_DECISIONS.includes(record.decision);
+}
+
+// Items from an early-stopped scan plus the indexed ones it did not reach (never those deleted)
+function mergeIndexedItems(fetched, records) {
+  const seen = new Set(fetched.map(item => item.name));
+  const rest = records.filter(r => r.decision !== 'deleted' && !seen.has(r.name)).map(r => r.item);
+  return fetched.concat(rest);
+}
+
+// Post-run verification: what still matches the delete rules after the cool-down.
+// items are { created_utc, subreddit }; subreddits are sorted by count, then by name.
+function residualReport(items, checkedAt) {
+  const counts = {};
+  let oldestUtc = null;
+  for (const item of items) {
+    const sub = item.subreddit || '(unknown)';
+    counts[sub] = (counts[sub] || 0) + 1;
+    if (item.created_utc != null && (oldestUtc === null || item.created_utc < oldestUtc)) oldestUtc = item.created_utc;
+  }
+  const subreddits = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return { checkedAt, count: items.length, oldestUtc, subreddits };
+}
+
+// One line for the log and overlay; `previous` is the report persisted by the last run
+function formatResidualReport(report, previous) {
+  let text = report.count
+    ? report.count + ' left, oldest ' + localDateString(new Date(report.oldestUtc * 1000)) + ', in ' +
+      report.subreddits.slice(0, 5).map(([sub, n]) => 'r/' + sub + ' (' + n + ')').join(', ') +
+      (report.subreddits.length > 5 ? ' and ' + (report.subreddits.length - 5) + ' more' : '')
+    : 'Nothing left';
+  if (previous) text += '; previous run: ' + previous.count + ' left';
+  return text;
+}
+
+// Run schedule (quiet hours): "HH:MM-HH:MM day,day" in local time, e.g. "22:00-06:00 fri,sat".
+// A window that ends before it starts runs past midnight and belongs to the day it starts on;
+// equal times mean the whole day. No days listed means every day. Blank or malformed = no schedule.
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseSchedule(text) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*(.*)$/.exec(String(text || ''));
+  if (!m || +m[1] > 23 || +m[2] > 59 || +m[3] > 23 || +m[4] > 59) return null;
+  const days = m[5].toLowerCase().split(/[\s,]+/).map(d => SCHEDULE_DAYS.indexOf(d.slice(0, 3))).filter(d => d >= 0);
+  return {
+    from: +m[1] * 60 + +m[2],
+    to: +m[3] * 60 + +m[4],
+    days: days.length ? [...new Set(days)].sort() : [0, 1, 2, 3, 4, 5, 6]
+  };
+}
+
+function serializeSchedule(schedule) {
+  if (!schedule) return '';
+  const hm = mins => String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+  return hm(schedule.from) + '-' + hm(schedule.to) +
+    (schedule.days.length < 7 ? ' ' + schedule.days.map(d => SCHEDULE_DAYS[d]).join(',') : '');
+}
+
+// Whether `date` falls inside one of the schedule's windows; no schedule means any time
+function inSchedule(schedule, date) {
+  if (!schedule) return true;
+  const mins = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (schedule.from === schedule.to) return schedule.days.includes(day);
+  if (schedule.from < schedule.to) return schedule.days.includes(day) && mins >= schedule.from && mins < schedule.to;
+  return (schedule.days.includes(day) && mins >= schedule.from) ||
+    (schedule.days.includes((day + 6) % 7) && mins < schedule.to);
+}
+
+// When the next window opens: `date` itself inside a window (or without a schedule)
+function nextScheduleStart(schedule, date) {
+  if (inSchedule(schedule, date)) return date;
+  for (let i = 0; i <= 7; i++) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() + i, Math.floor(schedule.from / 60), schedule.from % 60);
+    if (start > date && schedule.days.includes(start.getDay())) return start;
+  }
+  return date;
+}
+
+// Job state (DOM variants): one versioned record per account holds a run — the settings, the
+// listing and pass being worked on, the page to continue from, counters and the fullnames still
+// pending there. Storage lives in the script; these helpers only shape the record.
+const JOB_STATE_VERSION = 1;
+
+function createJob(user, pageUrl, now) {
+  return { version: JOB_STATE_VERSION, user, listing: null, sort: null, page: 1, pageUrl, counters: { deleted: 0, pages: 1 }, pendingIds: [], settings: {}, startedAt: now };
+}
+
+// A record saved by another version of the script is dropped, never guessed at
+function isCurrentJob(record) {
+  return !!record && record.version === JOB_STATE_VERSION;
+}
+
+// What a page load does with a saved record: the script's own navigation resumes it, any other
+// load (closed tab, followed link) only offers it, and no record or one without a pass does nothing
+function jobResumeAction(record, navigated) {
+  if (!isCurrentJob(record) || !record.sort) return 'none';
+  return navigated ? 'resume' : 'offer';
+}
+
+// Work on pass `sort` of `listing`; a different pass starts again from its first page
+function enterJobPass(record, listing, sort, settings) {
+  if (record.listing !== listing || record.sort !== sort) record.page = 1;
+  record.listing = listing;
+  record.sort = sort;
+  record.settings = settings;
+  return record;
+}
+
+// The listing a run moves on to once every pass on `listing` is done; null when the run is over
+function nextJobListing(listings, listing) {
+  const i = listings.indexOf(listing);
+  return i >= 0 && i + 1 < listings.length ? listings[i + 1] : null;
+}
+
+// About to load `url`: the next page of the same pass, or the first page of another
+function advanceJobPage(record, url, nextPage) {
+  record.pageUrl = String(url);
+  record.page = nextPage ? record.page + 1 : 1;
+  if (nextPage) record.counters.pages++;
+  record.pendingIds = [];
+  return record;
+}
+
+function markJobPending(record, ids) {
+  record.pendingIds = ids.filter(Boolean);
+  return record;
 }
 
-function shouldDeleteCommentByX(text, xMeansDelete) {
-  return xMeansDelete && loneLineCheck(text, 'x');
+function markJobDeleted(record, id) {
+  record.counters.deleted++;
+  record.pendingIds = record.pendingIds.filter(p => p !== id);
+  return record;
 }
 
-if (typeof module !== 'undefined') module.exports = { shouldSkipCommentByDate, loneLineCheck, shouldSkipCommentByDot, shouldDeleteCommentByX };
+if (typeof module !== 'undefined') module.exports = { shouldSkipCommentByDate, parseDateBound, shouldSkipCommentByDateRange, RETENTION_MODE_DAYS, RETENTION_MODE_COUNT, newestCutoff, newestCutoffsByKind, shouldSkipCommentByRank, DEFAULT_PRESERVE_MARKER, DEFAULT_DELETE_MARKER, normalizeMarker, MARKER_MODE_ANYWHERE, MARKER_MODE_LAST_LINE, decodeEntities, markdownParagraphs, htmlParagraphs, loneLineCheck, shouldSkipCommentByDot, shouldDeleteCommentByX, parseSubredditList, shouldSkipCommentBySubreddit, REDDIT_SIGNALS, parseSignalList, matchRedditSignal, shouldSkipCommentBySignal, shouldSkipCommentByThreadAuthor, DEPTH_FILTER_ALL, DEPTH_FILTER_TOP_LEVEL, DEPTH_FILTER_REPLIES, shouldSkipCommentByDepth, parseSubredditPolicies, serializeSubredditPolicies, findSubredditPolicy, shouldSkipCommentByScore, compilePattern, parsePatternList, invalidPatterns, matchPatternList, shouldSkipCommentByPattern, shouldDeleteCommentByPattern, CONTENT_TYPE_COMMENTS, CONTENT_TYPE_POSTS, CONTENT_TYPE_BOTH, contentListings, listingFromPath, TIME_WINDOWS, TIME_FILTERED_SORTS, discoveryPasses, parsePass, countNewIds, threadIdFromPath, parseCsv, exportFullnames, readZipEntries, isDeletedItem, HISTORY_LISTINGS, historyCleanupRequest, DEFAULT_OVERWRITE_TEMPLATE, localDateString, renderOverwriteTemplate, TIME_BOUND_DECISIONS, itemState, isSettledItem, mergeIndexedItems, residualReport, formatResidualReport, SCHEDULE_DAYS, parseSchedule, serializeSchedule, inSchedule, nextScheduleStart, JOB_STATE_VERSION, createJob, isCurrentJob, jobResumeAction, enterJobPass, nextJobListing, advanceJobPage, markJobPending, markJobDeleted };
@@ -0,0 +1,204 @@
+// Shared rate limiter — used by all three userscripts and test.js.
+// During development: scripts @require this file.
+// On release: release.sh inlines it into the .user.js bundle.
+
+// Reddit's rate-limit headers: x-ratelimit-remaining (requests left in the window, can be
+// fractional), x-ratelimit-used, x-ratelimit-reset (seconds until the window resets) and
+// Retry-After (seconds or an HTTP date). `get` is a header getter; times come back absolute.
+// Returns null when the response carries none of them.
+function parseRateLimitHeaders(get, now) {
+  const num = name => {
+    const n = parseFloat(get(name));
+    return isNaN(n) ? null : n;
+  };
+  const remaining = num('x-ratelimit-remaining');
+  const used = num('x-ratelimit-used');
+  const reset = num('x-ratelimit-reset');
+  const retryAfter = String(get('retry-after') || '').trim();
+  let retryUntil = null;
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) retryUntil = now + parseFloat(retryAfter) * 1000;
+  else if (retryAfter && !isNaN(Date.parse(retryAfter))) retryUntil = Math.max(now, Date.parse(retryAfter));
+  if (remaining === null && reset === null && retryUntil === null) return null;
+  return { remaining, used, resetAt: reset === null ? null : now + reset * 1000, retryUntil, at: now };
+}
+
+// Earliest time for the next request: Retry-After when given, the reset when the budget (less
+// `reserve` left for Reddit's own page) is spent, otherwise the rest of the window spread evenly
+function nextRequestAt(budget, reserve) {
+  if (!budget) return 0;
+  if (budget.retryUntil) return budget.retryUntil;
+  if (budget.remaining === null || budget.resetAt === null || budget.resetAt <= budget.at) return 0;
+  if (budget.remaining <= reserve) return budget.resetAt;
+  return budget.at + (budget.resetAt - budget.at) / (budget.remaining - reserve);
+}
+
+function formatRateBudget(budget, now) {
+  if (!budget) return '';
+  const secs = at => Math.max(0, Math.ceil((at - now) / 1000)) + 's';
+  if (budget.retryUntil && budget.retryUntil > now) return 'Reddit asked to wait ' + secs(budget.retryUntil);
+  if (budget.remaining === null) return '';
+  return 'Reddit budget: ' + Math.floor(budget.remaining) + ' requests left' +
+    (budget.resetAt !== null ? ', resets in ' + secs(budget.resetAt) : '');
+}
+
+// Throttling that does not come as a 429: a 403, a 200 HTML "you're doing that too much"
+// interstitial, or an error JSON body (RATELIMIT errors name their wait, e.g. "try again in 9
+// minutes"). Returns { kind, waitMs } with kind 'forbidden', 'interstitial', 'ratelimit' or
+// 'error' and waitMs 0 when Reddit named no wait, or null for an ordinary response.
+function detectSoftThrottle(status, contentType, body) {
+  const text = String(body || '');
+  const hint = /(?:try again in|take a break for)\s+(\d+)\s*(millisecond|second|minute|hour)s?/i.exec(text);
+  const waitMs = hint ? parseInt(hint[1], 10) * { millisecond: 1, second: 1000, minute: 60000, hour: 3600000 }[hint[2].toLowerCase()] : 0;
+  const throttleText = /you(?:'|\u2019|&#39;)re doing that too much|doing that a lot|whoa there,? pardner|too many requests/i;
+  if (status === 403) return { kind: 'forbidden', waitMs };
+  if (/json/i.test(contentType || '') || /^\s*[{[]/.test(text)) {
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* not JSON after all */ }
+    if (data && typeof data === 'object') {
+      const errors = (data.json && data.json.errors) || data.errors || (data.error ? [[data.error, data.message || '']] : []);
+      if (!errors.length) return null;
+      const flat = errors.map(e => [].concat(e).join(' ')).join('; ');
+      return { kind: /RATELIMIT/.test(flat) || throttleText.test(flat) ? 'ratelimit' : 'error', waitMs };
+    }
+  }
+  if (/html/i.test(contentType || '') || /^\s*</.test(text)) {
+    if (throttleText.test(text)) return { kind: 'interstitial', waitMs };
+  }
+  return null;
+}
+
+// Token bucket with backoff. Every request takes a token from a bucket that refills at
+// `refillPerSec` up to `capacity`; Reddit's x-ratelimit budget spaces requests out further; a 429
+// blocks until Retry-After or the window reset, or for an exponential backoff (doubling from
+// `baseWait` up to `maxWait`) when Reddit sends neither. `now` and `sleep` are injectable so the
+// tests can run it on a fake clock.
+function createRateLimiter(options) {
+  const opts = Object.assign({
+    capacity: 10,
+    refillPerSec: 1,
+    reserve: 2, // requests left over for Reddit's own page scripts
+    baseWait: 60000,
+    maxWait: 1800000,
+    pollMs: 5000, // longest single sleep, so long waits are reported as they go
+    now: () => Date.now(),
+    sleep: ms => new Promise(r => setTimeout(r, ms)),
+    onWait: () => {} // (ms, reason) before each sleep; reason is 'rate limited', 'pacing' or 'bucket'
+  }, options);
+
+  let tokens = opts.capacity;
+  let refilledAt = opts.now();
+  let blockedUntil = 0;
+  let multiplier = 1;
+  let budget = null;
+  let resetFrom = 1; // the multiplier the last non-429 response reset, see noteThrottle()
+
+  // Wait for a throttle Reddit gave no length for; doubles from baseWait up to maxWait
+  function backoff() {
+    const wait = Math.min(opts.baseWait * multiplier, opts.maxWait);
+    multiplier = Math.min(multiplier * 2, opts.maxWait / opts.baseWait);
+    return wait;
+  }
+
+  // How long until the next request may go out, and why
+  function pending(now) {
+    tokens = Math.min(opts.capacity, tokens + (now - refilledAt) / 1000 * opts.refillPerSec);
+    refilledAt = now;
+    if (blockedUntil > now) return [blockedUntil - now, 'rate limited'];
+    const paced = nextRequestAt(budget, opts.reserve) - now;
+    if (paced > 0) return [paced, 'pacing'];
+    if (tokens < 1) return [Math.ceil((1 - tokens) / opts.refillPerSec * 1000), 'bucket'];
+    return [0, ''];
+  }
+
+  return {
+    isLimited: () => blockedUntil > opts.now(),
+    budget: () => budget,
+    multiplier: () => multiplier,
+
+    // What has to outlive a page load: when the current wait ends, the backoff multiplier and
+    // Reddit's last budget. restore() never shortens a wait already in progress.
+    state: () => ({ blockedUntil, multiplier, budget }),
+    restore(saved) {
+      if (!saved) return;
+      blockedUntil = Math.max(blockedUntil, Number(saved.blockedUntil) || 0);
+      multiplier = Math.min(Math.max(1, Number(saved.multiplier) || 1), opts.maxWait / opts.baseWait);
+      if (!budget && saved.budget) budget = saved.budget;
+    },
+
+    // Resolves once a request may be sent, and takes a token for it
+    async acquire() {
+      for (;;) {
+        const [wait, reason] = pending(opts.now());
+        if (wait <= 0) break;
+        opts.onWait(wait, reason);
+        await opts.sleep(Math.min(wait, opts.pollMs));
+      }
+      tokens -= 1;
+    },
+
+    // Every response goes through here. Returns { wait, fromHeaders } for a 429, null otherwise.
+    noteResponse(status, getHeader) {
+      const now = opts.now();
+      const parsed = parseRateLimitHeaders(getHeader, now);
+      if (parsed) budget = parsed;
+      if (status !== 429) {
+        resetFrom = multiplier;
+        multiplier = 1; // a successful response ends the backoff streak
+        return null;
+      }
+      const headerUntil = parsed && (parsed.retryUntil || parsed.resetAt);
+      const fromHeaders = !!headerUntil && headerUntil > now;
+      const wait = fromHeaders ? Math.min(headerUntil - now, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHeaders };
+    },
+
+    // Throttling without a 429 (see detectSoftThrottle, or a delete that did nothing). Its response
+    // has already been through noteResponse() as a success, so the streak that reset carries on.
+    // Waits `hintMs` when Reddit named a wait, otherwise backs off. Returns { wait, fromHint }.
+    noteThrottle(hintMs) {
+      const now = opts.now();
+      multiplier = Math.max(multiplier, resetFrom);
+      resetFrom = 1;
+      const fromHint = hintMs > 0;
+      const wait = fromHint ? Math.min(hintMs, opts.maxWait) : backoff();
+      blockedUntil = Math.max(blockedUntil, now + wait);
+      return { wait, fromHint };
+    }
+  };
+}
+
+// Self-tuning pace between deletions: the delay creeps down by `speedUp` after every success and
+// jumps up by `slowDown` on any throttle, within [minDelay, maxDelay]. Long pauses scale with it
+// (scale() is the delay relative to baseDelay). state()/restore() carry the learned pace to the
+// next run.
+function createPaceController(options) {
+  const opts = Object.assign({
+    baseDelay: 1000,
+    minDelay: 250,
+    maxDelay: 60000,
+    speedUp: 0.97,
+    slowDown: 2
+  }, options);
+  const clamp = ms => Math.min(opts.maxDelay, Math.max(opts.minDelay, Math.round(ms)));
+  let delay = clamp(opts.baseDelay);
+
+  return {
+    delay: () => delay,
+    scale: () => delay / opts.baseDelay,
+    success() { delay = clamp(delay * opts.speedUp); },
+    throttle() { delay = clamp(delay * opts.slowDown); },
+    reset() { delay = clamp(opts.baseDelay); },
+    state: () => ({ delay }),
+    restore(saved) {
+      const ms = saved && Number(saved.delay);
+      if (ms > 0) delay = clamp(ms);
+    }
+  };
+}
+
+function formatPace(delayMs) {
+  return 'Pace: ' + (delayMs / 1000).toFixed(delayMs < 10000 ? 2 : 0) + 's between deletions';
+}
+
+if (typeof module !== 'undefined') module.exports = { parseRateLimitHeaders, nextRequestAt, formatRateBudget, detectSoftThrottle, createRateLimiter, createPaceController, formatPace };
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 // Regression test suite for date, dot, and x detection.
-// Uses src/detection.js for logic — single source of truth.
+// Uses src/detection.js and src/ratelimit.js for logic — single source of truth.
+//
+// Unit checks for the shared predicates run first and need no sample files; the data export
+// checks read the committed test-export-*.csv / *.zip fixtures next to this file.
 //
 // Each test-sample*.html can include an annotation comment:
 //   <!-- TEST: days=10 skip=8 delete=3 dots=1 x=0 -->
@@ -18,11 +21,398 @@
 //   node test.js some-file.html         # run a single file
 
 const fs = require('fs');
+const path = require('path');
 const {
   shouldSkipCommentByDate,
+  parseDateBound,
+  shouldSkipCommentByDateRange,
+  newestCutoff,
+  newestCutoffsByKind,
+  shouldSkipCommentByRank,
   shouldSkipCommentByDot,
-  shouldDeleteCommentByX
+  shouldDeleteCommentByX,
+  normalizeMarker,
+  MARKER_MODE_ANYWHERE,
+  MARKER_MODE_LAST_LINE,
+  markdownParagraphs,
+  htmlParagraphs,
+  loneLineCheck,
+  parseSubredditList,
+  shouldSkipCommentBySubreddit,
+  parseSignalList,
+  matchRedditSignal,
+  shouldSkipCommentBySignal,
+  shouldSkipCommentByThreadAuthor,
+  DEPTH_FILTER_ALL,
+  DEPTH_FILTER_TOP_LEVEL,
+  DEPTH_FILTER_REPLIES,
+  shouldSkipCommentByDepth,
+  parseSubredditPolicies,
+  serializeSubredditPolicies,
+  findSubredditPolicy,
+  shouldSkipCommentByScore,
+  invalidPatterns,
+  matchPatternList,
+  shouldSkipCommentByPattern,
+  shouldDeleteCommentByPattern,
+  CONTENT_TYPE_COMMENTS,
+  CONTENT_TYPE_POSTS,
+  CONTENT_TYPE_BOTH,
+  contentListings,
+  listingFromPath,
+  TIME_WINDOWS,
+  discoveryPasses,
+  parsePass,
+  countNewIds,
+  threadIdFromPath,
+  parseCsv,
+  exportFullnames,
+  readZipEntries,
+  isDeletedItem,
+  HISTORY_LISTINGS,
+  historyCleanupRequest,
+  DEFAULT_OVERWRITE_TEMPLATE,
+  localDateString,
+  renderOverwriteTemplate,
+  itemState,
+  isSettledItem,
+  mergeIndexedItems,
+  residualReport,
+  formatResidualReport,
+  parseSchedule,
+  serializeSchedule,
+  inSchedule,
+  nextScheduleStart,
+  JOB_STATE_VERSION,
+  createJob,
+  isCurrentJob,
+  jobResumeAction,
+  enterJobPass,
+  nextJobListing,
+  advanceJobPage,
+  markJobPending,
+  markJobDeleted
 } = require('./src/detection.js');
+const { parseRateLimitHeaders, nextRequestAt, formatRateBudget, detectSoftThrottle, createRateLimiter, createPaceController, formatPace } = require('./src/ratelimit.js');
+
+let totalPassed = 0;
+let totalFailed = 0;
+let totalFiles = 0;
+
+// --- Unit checks (no sample files needed) ---
+{
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok) => {
+    if (ok) { passed++; }
+    else { failed++; console.log('    FAIL:', name); }
+  };
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  console.log('--- unit: src/detection.js ---');
+
+  // Absolute date range (local time, inclusive days)
+  const ts = (y, mo, d, h) => new Date(y, mo - 1, d, h || 0).getTime() / 1000;
+  check('range: bounds off', !shouldSkipCommentByDateRange(ts(2019, 1, 1), '', ''));
+  check('range: inside', !shouldSkipCommentByDateRange(ts(2019, 6, 15), '2019-03-01', '2020-06-30'));
+  check('range: first day included', !shouldSkipCommentByDateRange(ts(2019, 3, 1), '2019-03-01', '2020-06-30'));
+  check('range: last day included', !shouldSkipCommentByDateRange(ts(2020, 6, 30, 23), '2019-03-01', '2020-06-30'));
+  check('range: before from preserved', shouldSkipCommentByDateRange(ts(2019, 2, 28, 23), '2019-03-01', '2020-06-30'));
+  check('range: after to preserved', shouldSkipCommentByDateRange(ts(2020, 7, 1), '2019-03-01', '2020-06-30'));
+  check('range: only "to" = delete everything before', !shouldSkipCommentByDateRange(ts(2012, 1, 1), '', '2020-06-30'));
+  check('range: only "from"', shouldSkipCommentByDateRange(ts(2012, 1, 1), '2019-03-01', ''));
+  check('range: unknown date preserved', shouldSkipCommentByDateRange(null, '2019-03-01', ''));
+  check('range: invalid bound ignored', parseDateBound('2019-3-1') === null && !shouldSkipCommentByDateRange(ts(2012, 1, 1), 'junk', ''));
+  check('age: older than N days deleted', !shouldSkipCommentByDate(Date.now() / 1000 - 20 * 86400, 10));
+  check('age: newer than N days preserved', shouldSkipCommentByDate(Date.now() / 1000 - 5 * 86400, 10));
+
+  // Count-based retention
+  const times = [500, 100, 400, 200, 300];
+  check('cutoff: Nth newest', newestCutoff(times, 2) === 400);
+  check('cutoff: rule off', newestCutoff(times, null) === null && newestCutoff(times, -1) === null);
+  check('cutoff: keep none', newestCutoff(times, 0) === Infinity && !shouldSkipCommentByRank(500, newestCutoff(times, 0)));
+  check('cutoff: fewer comments than N keeps all', newestCutoff(times, 10) === 0);
+  check('cutoff: unknown dates ignored', newestCutoff([null, 300, NaN, 100], 2) === 100);
+  check('rank: newest kept', times.filter(t => shouldSkipCommentByRank(t, newestCutoff(times, 2))).length === 2);
+  const mixed = [{ kind: 'comment', created_utc: 100 }, { kind: 'post', created_utc: 50 }, { kind: 'comment', created_utc: 300 }, { kind: 'post', created_utc: 400 }, { kind: 'comment', created_utc: 200 }];
+  check('cutoff: comments and posts ranked apart', same(newestCutoffsByKind(mixed, 2), { comment: 200, post: 50 }));
+  check('cutoff: by kind, rule off', same(newestCutoffsByKind(mixed, NaN), { comment: null, post: null }));
+  check('rank: older deleted', !shouldSkipCommentByRank(300, 400));
+  check('rank: rule off', !shouldSkipCommentByRank(300, null));
+  check('rank: unknown date preserved', shouldSkipCommentByRank(null, 400));
+
+  // Marker tokens
+  check('default dot marker', shouldSkipCommentByDot('hello\n.', true));
+  check('default x marker', shouldDeleteCommentByX('hello\nx', true));
+  check('toggle off', !shouldSkipCommentByDot('hello\n.', false));
+  check('custom preserve marker', shouldSkipCommentByDot('hello\n#keep', true, '#keep'));
+  check('custom marker replaces dot', !shouldSkipCommentByDot('hello\n.', true, '#keep'));
+  check('custom delete marker', shouldDeleteCommentByX('X | O | X\nx\n#purge', true, '#purge'));
+  check('custom marker ignores tic-tac-toe x', !shouldDeleteCommentByX('x | o | x\nx', true, '#purge'));
+  check('marker must be a whole line', !shouldSkipCommentByDot('please #keep this', true, '#keep'));
+  check('blank marker falls back', normalizeMarker('  ', '.') === '.');
+  check('marker is trimmed', normalizeMarker(' #keep ', '.') === '#keep');
+
+  // Markdown-aware marker parsing — raw markdown (API body) and rendered HTML (DOM .md) fixtures
+  const ANY = MARKER_MODE_ANYWHERE, LAST = MARKER_MODE_LAST_LINE;
+  const fixtures = [
+    // [name, markdown, html, anywhere, last]
+    ['trailing paragraph', 'Some text.\n\n.', '<p>Some text.</p>\n<p>.</p>', true, true],
+    ['same paragraph, last line', 'Some text.\n.', '<p>Some text.\n.</p>', true, true],
+    ['after a line break', 'Some text.  \n.', '<p>Some text.<br/>\n.</p>', true, true],
+    ['middle paragraph', 'Intro\n\n.\n\nMore text', '<p>Intro</p>\n<p>.</p>\n<p>More text</p>', true, false],
+    ['inside fenced code', 'Look:\n\n```\n.\n```', '<p>Look:</p>\n<pre><code>.\n</code></pre>', false, false],
+    ['inside indented code', 'Look:\n\n    .', '<p>Look:</p>\n<pre><code>.\n</code></pre>', false, false],
+    ['inside a quote', 'Reply\n\n> .', '<p>Reply</p>\n<blockquote>\n<p>.</p>\n</blockquote>', false, false],
+    ['lazy quote continuation', '> quoted\n.', '<blockquote>\n<p>quoted\n.</p>\n</blockquote>', false, false],
+    ['nested quote', '> > .\n\ntext', '<blockquote><blockquote><p>.</p></blockquote></blockquote><p>text</p>', false, false],
+    ['inside a list item', '- one\n- .', '<ul>\n<li>one</li>\n<li>.</li>\n</ul>', false, false],
+    ['indented list continuation', '1. one\n\n   .', '<ol>\n<li><p>one</p>\n\n<p>.</p></li>\n</ol>', false, false],
+    ['after a quote', '> quoted\n\n.', '<blockquote>\n<p>quoted</p>\n</blockquote>\n<p>.</p>', true, true],
+    ['trailing code after marker', '.\n\n```\ncode\n```', '<p>.</p>\n<pre><code>code\n</code></pre>', true, false],
+    ['marker with other text', 'ok .', '<p>ok .</p>', false, false],
+    ['entity-escaped quote in API body', 'text\n\n&gt; .', '<p>text</p>\n<blockquote>\n<p>.</p>\n</blockquote>', false, false],
+  ];
+  for (const [name, md, html, any, last] of fixtures) {
+    check('md/anywhere: ' + name, loneLineCheck(md, '.', ANY) === any);
+    check('md/last: ' + name, loneLineCheck(md, '.', LAST) === last);
+    check('html/anywhere: ' + name, loneLineCheck(htmlParagraphs(html), '.', ANY) === any);
+    check('html/last: ' + name, loneLineCheck(htmlParagraphs(html), '.', LAST) === last);
+  }
+  check('md and html agree on blocks', same(markdownParagraphs('a\nb\n\n> q\n\nc'), htmlParagraphs('<p>a\nb</p><blockquote><p>q</p></blockquote><p>c</p>')));
+  check('heading marker: md', shouldSkipCommentByDot('text\n\n#keep', true, '#keep', LAST));
+  check('heading marker: html', shouldSkipCommentByDot(htmlParagraphs('<p>text</p><h1>keep</h1>'), true, '#keep', LAST));
+  check('tic-tac-toe board in code', !shouldDeleteCommentByX('Board:\n\n    x | o | x\n    x\n', true));
+  check('mode defaults to anywhere', shouldSkipCommentByDot('.\n\nlater text', true));
+  check('empty html', !loneLineCheck(htmlParagraphs(''), '.', ANY));
+
+  // Subreddit filter
+  check('parse list', same(parseSubredditList('r/Foo, /r/bar/\nbaz  qux,'), ['foo', 'bar', 'baz', 'qux']));
+  check('parse empty', same(parseSubredditList(''), []));
+  check('no lists keeps nothing back', !shouldSkipCommentBySubreddit('AskReddit', '', ''));
+  check('only: listed sub deleted', !shouldSkipCommentBySubreddit('AskReddit', 'askreddit, pics', ''));
+  check('only: other sub preserved', shouldSkipCommentBySubreddit('news', 'askreddit, pics', ''));
+  check('only: unknown sub preserved', shouldSkipCommentBySubreddit('', 'askreddit', ''));
+  check('except: listed sub preserved', shouldSkipCommentBySubreddit('r/MyProject', '', 'myproject'));
+  check('except: other sub deleted', !shouldSkipCommentBySubreddit('pics', '', 'myproject'));
+  check('except wins over only', shouldSkipCommentBySubreddit('pics', 'pics', 'pics'));
+
+  // Reddit-native signals
+  const allSignals = 'distinguished,stickied,gilded,saved';
+  check('signals: parse keeps known names in order', same(parseSignalList('saved, bogus,Distinguished'), ['distinguished', 'saved']));
+  check('signals: none present', !shouldSkipCommentBySignal({ distinguished: null, stickied: false, gilded: false, saved: false }, allSignals));
+  check('signals: distinguished', matchRedditSignal({ distinguished: 'moderator' }, allSignals) === 'distinguished');
+  check('signals: gilded', shouldSkipCommentBySignal({ gilded: true }, allSignals));
+  check('signals: toggle off', !shouldSkipCommentBySignal({ saved: true }, 'distinguished,stickied,gilded'));
+  check('signals: all off', !shouldSkipCommentBySignal({ saved: true, stickied: true }, ''));
+  check('signals: missing data', !shouldSkipCommentBySignal(null, allSignals));
+
+  // Own threads and top-level/reply filter
+  check('own thread preserved', shouldSkipCommentByThreadAuthor('Me_Myself', 'me_myself', true));
+  check('own thread: toggle off', !shouldSkipCommentByThreadAuthor('me', 'me', false));
+  check('other thread deleted', !shouldSkipCommentByThreadAuthor('someone', 'me', true));
+  check('own thread: unknown author', !shouldSkipCommentByThreadAuthor('', 'me', true));
+  check('depth: all', !shouldSkipCommentByDepth('t1_abc', DEPTH_FILTER_ALL) && !shouldSkipCommentByDepth('', DEPTH_FILTER_ALL));
+  check('depth: top-level only keeps replies', shouldSkipCommentByDepth('t1_abc', DEPTH_FILTER_TOP_LEVEL));
+  check('depth: top-level only deletes top-level', !shouldSkipCommentByDepth('t3_xyz', DEPTH_FILTER_TOP_LEVEL));
+  check('depth: replies only keeps top-level', shouldSkipCommentByDepth('t3_xyz', DEPTH_FILTER_REPLIES));
+  check('depth: replies only deletes replies', !shouldSkipCommentByDepth('t1_abc', DEPTH_FILTER_REPLIES));
+  check('depth: unknown parent preserved', shouldSkipCommentByDepth(null, DEPTH_FILTER_REPLIES));
+
+  // Per-subreddit retention policies
+  const policies = 'r/AskReddit=7, myproject: 365\npolitics=0, broken, nodays=';
+  check('policies: parse', same(parseSubredditPolicies(policies), [['askreddit', 7], ['myproject', 365], ['politics', 0]]));
+  check('policies: round trip', serializeSubredditPolicies(parseSubredditPolicies(policies)) === 'askreddit=7,myproject=365,politics=0');
+  check('policies: match', same(findSubredditPolicy('AskReddit', policies, 10), { label: 'r/askreddit', days: 7 }));
+  check('policies: zero days', findSubredditPolicy('politics', policies, 10).days === 0);
+  check('policies: default row', same(findSubredditPolicy('pics', policies, 10), { label: 'default', days: 10 }));
+  check('policies: empty table', same(findSubredditPolicy('pics', '', 30), { label: 'default', days: 30 }));
+  const eightDaysAgo = Date.now() / 1000 - 8 * 86400;
+  check('policies: 7d rule deletes 8d-old', !shouldSkipCommentByDate(eightDaysAgo, findSubredditPolicy('askreddit', policies, 10).days));
+  check('policies: default keeps 8d-old', shouldSkipCommentByDate(eightDaysAgo, findSubredditPolicy('pics', policies, 10).days));
+
+  // Score rule
+  check('score: rules off', !shouldSkipCommentByScore(500, null, false));
+  check('score: rules off, unknown score', !shouldSkipCommentByScore(null, null, false));
+  check('score: at threshold preserved', shouldSkipCommentByScore(50, 50, false));
+  check('score: below threshold deleted', !shouldSkipCommentByScore(49, 50, false));
+  check('score: unknown preserved when active', shouldSkipCommentByScore(null, 50, false));
+  check('downvoted-only: positive preserved', shouldSkipCommentByScore(1, null, true));
+  check('downvoted-only: zero deleted', !shouldSkipCommentByScore(0, null, true));
+  check('downvoted-only: negative deleted', !shouldSkipCommentByScore(-4, null, true));
+  check('both: threshold still preserves', shouldSkipCommentByScore(-2, -5, true));
+
+  // Keyword / regex patterns
+  const keep = 'OverkillProject\n/\\bv\\d+\\.\\d+\\b/';
+  const purge = '/@(gmail|yahoo)\\.com\\b/i\n\n  my.old.handle  ';
+  check('keyword is case-insensitive', shouldSkipCommentByPattern('we use overkillproject daily', keep));
+  check('regex pattern', shouldSkipCommentByPattern('fixed in v2.64', keep));
+  check('no match', !shouldSkipCommentByPattern('nothing here', keep));
+  check('regex flags honoured', shouldDeleteCommentByPattern('mail me: Someone@GMAIL.com', purge));
+  check('keyword escapes regex chars', !shouldDeleteCommentByPattern('myXoldXhandle', purge));
+  check('keyword with dots', shouldDeleteCommentByPattern('I was my.old.handle before', purge));
+  check('match reports pattern', matchPatternList('ping me@yahoo.com', purge) === '/@(gmail|yahoo)\\.com\\b/i');
+  check('empty list never matches', !shouldDeleteCommentByPattern('anything', ''));
+  check('empty text never matches', !shouldSkipCommentByPattern('', keep));
+  check('invalid regex reported', JSON.stringify(invalidPatterns('/(unclosed/\nfine')) === '["/(unclosed/"]');
+  check('invalid regex ignored', !shouldSkipCommentByPattern('(unclosed', '/(unclosed/'));
+  check('global flag is stateless', (() => {
+    const p = '/abc/g';
+    return shouldSkipCommentByPattern('abc', p) && shouldSkipCommentByPattern('abc', p);
+  })());
+
+  // Content types and profile listings
+  check('content: comments', same(contentListings(CONTENT_TYPE_COMMENTS), ['comments']));
+  check('content: posts', same(contentListings(CONTENT_TYPE_POSTS), ['submitted']));
+  check('content: both, comments first', same(contentListings(CONTENT_TYPE_BOTH), ['comments', 'submitted']));
+  check('content: unknown falls back to comments', same(contentListings('bogus'), ['comments']));
+  check('listing: comments page', listingFromPath('/user/someone/comments/') === 'comments');
+  check('listing: submitted page', listingFromPath('/user/someone/submitted') === 'submitted');
+  check('listing: json endpoint', listingFromPath('/user/someone/submitted.json') === 'submitted');
+  check('listing: overview is neither', listingFromPath('/user/someone/') === null);
+  // Discovery passes
+  const sorts = ['new', 'hot', 'top', 'controversial'];
+  check('passes: default is the plain sorts', same(discoveryPasses(sorts, false), sorts));
+  check('passes: extended splits top/controversial', discoveryPasses(sorts, true).length === 2 + 2 * TIME_WINDOWS.length);
+  check('passes: extended order', same(discoveryPasses(sorts, true).slice(0, 4), ['new', 'hot', 'top:hour', 'top:day']));
+  check('pass: parse with window', same(parsePass('controversial:year'), { sort: 'controversial', t: 'year' }));
+  check('pass: parse plain sort', same(parsePass('new'), { sort: 'new', t: null }));
+  check('new ids counted once', (() => {
+    const seen = new Set(['t1_a']);
+    return countNewIds(['t1_a', 't1_b', 't1_b', '', 't1_c'], seen) === 2 && seen.size === 3;
+  })());
+  check('thread: id from path', threadIdFromPath('/r/pics/comments/1ab2c3/some_title/') === '1ab2c3');
+  check('thread: without slug', threadIdFromPath('/r/pics/comments/1AB2C3') === '1ab2c3');
+  check('thread: profile is not a thread', threadIdFromPath('/user/someone/comments/') === null);
+
+  // Data export CSV import — test-export-*.csv follow Reddit's comments.csv / posts.csv layout
+  const commentsCsv = fs.readFileSync(path.join(__dirname, 'test-export-comments.csv'), 'utf-8');
+  const postsCsv = fs.readFileSync(path.join(__dirname, 'test-export-posts.csv'), 'utf-8');
+  const commentRows = parseCsv(commentsCsv);
+  check('csv: rows parsed, blank line skipped', commentRows.length === 4);
+  check('csv: BOM stripped from header', commentRows[0].id === 'k3x9z1');
+  check('csv: quoted comma, quotes and newline', commentRows[1].body === 'comma, "quotes"\nand a second line');
+  check('csv: parent column', commentRows[1].parent === 't1_k3x9z1');
+  check('csv: LF line endings and no trailing newline', parseCsv(postsCsv).length === 1 && parseCsv(postsCsv)[0].title === 'My title');
+  check('csv: empty input', parseCsv('').length === 0);
+  check('export: comment fullnames, deduped, invalid dropped', same(exportFullnames(commentRows, 't1_'), ['t1_k3x9z1', 't1_k3x9z2']));
+  check('export: post fullnames', same(exportFullnames(parseCsv(postsCsv), 't3_'), ['t3_p9q8r7']));
+  check('export: deleted comment', isDeletedItem({ author: '[deleted]', body: '[deleted]' }));
+  check('export: deleted post', isDeletedItem({ author: '[deleted]', selftext: '[deleted]' }));
+  check('export: removed by a mod is still deletable', !isDeletedItem({ author: 'me', body: '[removed]' }));
+  check('export: live comment', !isDeletedItem({ author: 'me', body: 'hello' }));
+
+  // History cleanup requests
+  check('history: unsave', same(historyCleanupRequest('saved', 't1_a'), { path: '/api/unsave', params: { id: 't1_a' } }));
+  check('history: unhide', same(historyCleanupRequest('hidden', 't3_b'), { path: '/api/unhide', params: { id: 't3_b' } }));
+  check('history: clear upvote', same(historyCleanupRequest('upvoted', 't3_c'), { path: '/api/vote', params: { id: 't3_c', dir: '0' } }));
+  check('history: clear downvote', same(historyCleanupRequest('downvoted', 't1_d'), { path: '/api/vote', params: { id: 't1_d', dir: '0' } }));
+  check('history: every listing has a request', HISTORY_LISTINGS.every(l => historyCleanupRequest(l, 't1_x') !== null));
+  check('history: unknown listing', historyCleanupRequest('comments', 't1_x') === null);
+
+  // Overwrite-before-delete templates
+  check('overwrite: local date', localDateString(new Date(2024, 0, 5)) === '2024-01-05');
+  check('overwrite: tokens', renderOverwriteTemplate('gone from r/{subreddit} ({id}) on {date}', { subreddit: 'pics', id: 't1_a', date: '2024-01-05' }) === 'gone from r/pics (t1_a) on 2024-01-05');
+  check('overwrite: unknown token kept', renderOverwriteTemplate('{nope} {id}', { id: 't1_a' }) === '{nope} t1_a');
+  check('overwrite: empty template uses default', renderOverwriteTemplate('  ', { date: '2024-01-05' }) === DEFAULT_OVERWRITE_TEMPLATE.replace('{date}', '2024-01-05'));
+  check('overwrite: date defaults to today', renderOverwriteTemplate('{date}', {}) === localDateString(new Date()));
+
+  // Incremental scan index
+  const indexed = { name: 't1_a', score: 3, subreddit: 'pics', signals: { saved: false, gilded: true }, body: 'hi' };
+  const indexedState = itemState(indexed);
+  check('index: state stable', indexedState === itemState(Object.assign({}, indexed)));
+  check('index: state changes with score', indexedState !== itemState(Object.assign({}, indexed, { score: 4 })));
+  check('index: state changes with body', indexedState !== itemState(Object.assign({}, indexed, { body: 'edited' })));
+  check('index: state changes with signals', indexedState !== itemState(Object.assign({}, indexed, { signals: { saved: true, gilded: true } })));
+  check('index: hidden score differs from 0', itemState({ score: null }) !== itemState({ score: 0 }));
+  const record = { name: 't1_a', state: indexedState, rules: 'r1', decision: 'preserveDot' };
+  check('index: settled', isSettledItem(record, indexedState, 'r1'));
+  check('index: unknown is not settled', !isSettledItem(undefined, indexedState, 'r1'));
+  check('index: changed item is not settled', !isSettledItem(record, itemState({ score: 9 }), 'r1'));
+  check('index: changed rules are not settled', !isSettledItem(record, indexedState, 'r2'));
+  check('index: age decision is not settled', !isSettledItem(Object.assign({}, record, { decision: 'preserveAge' }), indexedState, 'r1'));
+  check('index: newest decision is not settled', !isSettledItem(Object.assign({}, record, { decision: 'preserveNewest' }), indexedState, 'r1'));
+  check('index: deleted item seen again is not settled', !isSettledItem(Object.assign({}, record, { decision: 'deleted' }), indexedState, 'r1'));
+  check('index: pending delete is not settled', !isSettledItem(Object.assign({}, record, { decision: 'delete' }), indexedState, 'r1') &&
+    !isSettledItem(Object.assign({}, record, { decision: 'deleteByDate' }), indexedState, 'r1'));
+  const merged = mergeIndexedItems([{ name: 't1_a', v: 'fresh' }], [
+    { name: 't1_a', decision: 'preserveDot', item: { name: 't1_a', v: 'old' } },
+    { name: 't1_b', decision: 'deleteByDate', item: { name: 't1_b' } },
+    { name: 't1_c', decision: 'deleted', item: { name: 't1_c' } }
+  ]);
+  check('index: merge keeps fresh copy, adds unreached, drops deleted', same(merged, [{ name: 't1_a', v: 'fresh' }, { name: 't1_b' }]));
+
+  // Post-run residual report
+  const jan = Date.UTC(2024, 0, 15, 12) / 1000;
+  const residual = residualReport([
+    { created_utc: jan + 86400, subreddit: 'pics' },
+    { created_utc: jan, subreddit: 'AskReddit' },
+    { created_utc: jan + 3600, subreddit: 'pics' },
+    { created_utc: null, subreddit: '' }
+  ], 1700000000000);
+  check('residual: count', residual.count === 4 && residual.checkedAt === 1700000000000);
+  check('residual: oldest', residual.oldestUtc === jan);
+  check('residual: subreddits by count then name', same(residual.subreddits, [['pics', 2], ['(unknown)', 1], ['AskReddit', 1]]));
+  check('residual: empty', same(residualReport([], 1), { checkedAt: 1, count: 0, oldestUtc: null, subreddits: [] }));
+  check('residual: format', formatResidualReport(residual) === '4 left, oldest 2024-01-15, in r/pics (2), r/(unknown) (1), r/AskReddit (1)');
+  check('residual: format nothing left with previous', formatResidualReport(residualReport([], 1), residual) === 'Nothing left; previous run: 4 left');
+  const manySubs = residualReport('abcdefg'.split('').map(s => ({ created_utc: jan, subreddit: s })), 1);
+  check('residual: format caps subreddits', formatResidualReport(manySubs).endsWith('r/e (1) and 2 more'));
+
+  // Run schedule, local time. 2024-01-05 is a Friday.
+  const at = (d, h, mi) => new Date(2024, 0, d, h, mi || 0);
+  const night = parseSchedule('22:00-06:30 fri, Saturday');
+  check('schedule: parsed', same(night, { from: 1320, to: 390, days: [5, 6] }));
+  check('schedule: round trip', serializeSchedule(night) === '22:00-06:30 fri,sat' && serializeSchedule(parseSchedule('9:00-17:00')) === '09:00-17:00');
+  check('schedule: blank or malformed is none', parseSchedule('') === null && parseSchedule('25:00-06:00') === null && parseSchedule('nightly') === null && serializeSchedule(null) === '');
+  check('schedule: none means any time', inSchedule(null, at(5, 12)));
+  check('schedule: inside, evening of an allowed day', inSchedule(night, at(5, 23)));
+  check('schedule: inside, past midnight', inSchedule(night, at(6, 6, 29)));
+  check('schedule: window ends', !inSchedule(night, at(6, 6, 30)));
+  check('schedule: morning after a day not listed', !inSchedule(night, at(5, 3)) && inSchedule(night, at(7, 3)) && !inSchedule(night, at(8, 3)));
+  check('schedule: day window', inSchedule(parseSchedule('09:00-17:00 mon'), at(8, 9)) && !inSchedule(parseSchedule('09:00-17:00 mon'), at(8, 17)));
+  check('schedule: equal times = whole day', inSchedule(parseSchedule('00:00-00:00 sun'), at(7, 15)) && !inSchedule(parseSchedule('00:00-00:00 sun'), at(8, 15)));
+  check('schedule: next start later today', nextScheduleStart(night, at(5, 12)).getTime() === at(5, 22).getTime());
+  check('schedule: next start skips unlisted days', nextScheduleStart(night, at(7, 12)).getTime() === at(12, 22).getTime());
+  check('schedule: inside returns now', nextScheduleStart(night, at(6, 1)).getTime() === at(6, 1).getTime());
+
+  // Job state record (DOM variants)
+  const job = createJob('me', 'https://old.reddit.com/user/me/comments/', 1000);
+  check('job: new record', job.version === JOB_STATE_VERSION && job.user === 'me' && job.page === 1 && job.sort === null && same(job.pendingIds, []) && job.startedAt === 1000);
+  check('job: current version', isCurrentJob(job));
+  check('job: other version dropped', !isCurrentJob(Object.assign({}, job, { version: JOB_STATE_VERSION + 1 })) && !isCurrentJob({ sort: 'new' }) && !isCurrentJob(null));
+  check('job: no pass yet does nothing', jobResumeAction(job, true) === 'none' && jobResumeAction(null, true) === 'none');
+  enterJobPass(job, 'comments', 'new', { rco_days: 10 });
+  check('job: own navigation resumes', jobResumeAction(job, true) === 'resume');
+  check('job: any other load only offers', jobResumeAction(job, false) === 'offer');
+  check('job: other version never resumes', jobResumeAction(Object.assign({}, job, { version: 0 }), true) === 'none');
+  markJobPending(job, ['t1_a', null, 't1_b', 't1_c']);
+  check('job: pending ids, unnamed dropped', same(job.pendingIds, ['t1_a', 't1_b', 't1_c']));
+  markJobDeleted(job, 't1_b');
+  markJobDeleted(job, 't1_x');
+  check('job: deleted leaves pending, every delete counted', same(job.pendingIds, ['t1_a', 't1_c']) && job.counters.deleted === 2);
+  advanceJobPage(job, new URL('https://old.reddit.com/user/me/comments/?sort=new&after=t1_c'), true);
+  check('job: next page', job.page === 2 && job.counters.pages === 2 && same(job.pendingIds, []) && job.pageUrl.endsWith('after=t1_c'));
+  enterJobPass(job, 'comments', 'new', { rco_days: 10 });
+  check('job: same pass keeps its page', job.page === 2);
+  enterJobPass(job, 'comments', 'top', { rco_days: 10 });
+  advanceJobPage(job, 'https://old.reddit.com/user/me/comments/?sort=top', false);
+  check('job: new pass starts at page 1, totals kept', job.page === 1 && job.sort === 'top' && job.counters.pages === 2 && job.counters.deleted === 2);
+  // A "both" run crossing from comments to submitted keeps the record, then ends with it
+  const bothListings = contentListings(CONTENT_TYPE_BOTH);
+  check('job: comments lead to submitted', nextJobListing(bothListings, 'comments') === 'submitted');
+  enterJobPass(job, nextJobListing(bothListings, 'comments'), 'new', { rco_days: 10 });
+  advanceJobPage(job, 'https://old.reddit.com/user/me/submitted/?sort=new', false);
+  check('job: crossing to submitted resumes there', jobResumeAction(job, true) === 'resume' && job.listing === 'submitted' && job.sort === 'new' && job.page === 1 && job.counters.deleted === 2);
+  check('job: run over after submitted', nextJobListing(bothListings, 'submitted') === null);
+  check('job: single listing run over', nextJobListing(contentListings(CONTENT_TYPE_COMMENTS), 'comments') === null);
+  check('job: unknown listing', nextJobListing(bothListings, 'saved') === null);
+
+  console.log('  ' + passed + ' / ' + (passed + failed) + ' passed');
+  console.log('');
+  totalPassed += passed;
+  totalFailed += failed;
+}
 
 const glob = process.argv[2];
 const files = glob
@@ -32,16 +422,11 @@ const files = glob
 if (!files.length) {
   console.log('No test-sample*.html files found.');
   console.log('Save a Reddit comments page as test-sample.html and re-run.');
-  process.exit(1);
+} else {
+  console.log('Found ' + files.length + ' test file(s): ' + files.join(', '));
+  console.log('');
 }
 
-console.log('Found ' + files.length + ' test file(s): ' + files.join(', '));
-console.log('');
-
-let totalPassed = 0;
-let totalFailed = 0;
-let totalFiles = 0;
-
 for (const file of files) {
   totalFiles++;
   let passed = 0;
@@ -106,9 +491,9 @@ for (const file of files) {
   let mdTotal = 0, dotCount = 0, xCount = 0;
   while ((mdM = mdRe.exec(html)) !== null) {
     mdTotal++;
-    const text = mdM[1].replace(/<[^>]+>/g, ' ').replace(/&#[^;]+;/g, ' ').trim();
-    if (shouldSkipCommentByDot(text, true)) dotCount++;
-    if (shouldDeleteCommentByX(text, true)) xCount++;
+    const blocks = htmlParagraphs(mdM[1]);
+    if (shouldSkipCommentByDot(blocks, true)) dotCount++;
+    if (shouldDeleteCommentByX(blocks, true)) xCount++;
   }
   msg(mdTotal > 0, '.md elements found', 'none found');
   if (annot.dots !== undefined) msg(dotCount === annot.dots,
@@ -130,5 +515,189 @@ for (const file of files) {
 }
 
 console.log('');
-console.log('=== Final: ' + totalPassed + ' passed, ' + totalFailed + ' failed across ' + totalFiles + ' file(s) ===');
-process.exit(totalFailed ? 1 : 0);
+// --- Async unit checks: the export ZIP reader, and src/ratelimit.js on a fake clock ---
+(async () => {
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok) => {
+    if (ok) { passed++; }
+    else { failed++; console.log('    FAIL:', name); }
+  };
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  console.log('--- unit: data export ZIP fixtures ---');
+
+  // test-export.zip holds export_me/comments.csv stored, posts.csv and messages.csv deflated;
+  // test-export-no-csv.zip only has files the import does not read
+  const zipFixture = name => {
+    const b = fs.readFileSync(path.join(__dirname, name));
+    return b.buffer.slice(b.byteOffset, b.byteOffset + b.length);
+  };
+  const exportCsvs = ['comments.csv', 'posts.csv'];
+  const commentsFixture = fs.readFileSync(path.join(__dirname, 'test-export-comments.csv'), 'utf-8');
+  const unzipped = await readZipEntries(zipFixture('test-export.zip'), exportCsvs);
+  check('zip: wanted entries only, by base name', same(Object.keys(unzipped).sort(), exportCsvs));
+  check('zip: stored entry (TextDecoder drops the BOM)', unzipped['comments.csv'] === commentsFixture.replace(/^\uFEFF/, ''));
+  check('zip: deflated entry', unzipped['posts.csv'] === fs.readFileSync(path.join(__dirname, 'test-export-posts.csv'), 'utf-8'));
+  check('zip: entries parse like the CSV files', same(exportFullnames(parseCsv(unzipped['comments.csv']), 't1_'), ['t1_k3x9z1', 't1_k3x9z2']));
+  check('zip: without comments.csv or posts.csv', same(await readZipEntries(zipFixture('test-export-no-csv.zip'), exportCsvs), {}));
+  check('zip: not a zip file', await readZipEntries(zipFixture('test-export-posts.csv'), exportCsvs).then(() => false, e => e.message === 'not a zip file'));
+
+  console.log('  ' + passed + ' / ' + (passed + failed) + ' passed');
+  console.log('');
+  totalPassed += passed;
+  totalFailed += failed;
+  passed = 0;
+  failed = 0;
+
+  console.log('--- unit: src/ratelimit.js ---');
+
+  // Headers and pacing
+  const headers = h => name => h[name] ?? null;
+  const t0 = 1700000000000;
+  const budget = parseRateLimitHeaders(headers({ 'x-ratelimit-remaining': '98.0', 'x-ratelimit-used': '2', 'x-ratelimit-reset': '300' }), t0);
+  check('ratelimit: headers parsed', same(budget, { remaining: 98, used: 2, resetAt: t0 + 300000, retryUntil: null, at: t0 }));
+  check('ratelimit: no headers', parseRateLimitHeaders(headers({}), t0) === null);
+  check('ratelimit: Retry-After seconds', parseRateLimitHeaders(headers({ 'retry-after': '30' }), t0).retryUntil === t0 + 30000);
+  check('ratelimit: Retry-After date', parseRateLimitHeaders(headers({ 'retry-after': new Date(t0 + 60000).toUTCString() }), t0).retryUntil === t0 + 60000);
+  check('ratelimit: Retry-After date in the past', parseRateLimitHeaders(headers({ 'retry-after': new Date(t0 - 60000).toUTCString() }), t0).retryUntil === t0);
+  check('ratelimit: garbage Retry-After ignored', parseRateLimitHeaders(headers({ 'retry-after': 'soon' }), t0) === null);
+  check('pace: no budget', nextRequestAt(null, 2) === 0);
+  check('pace: spread over the window', nextRequestAt(budget, 2) === t0 + 300000 / 96);
+  check('pace: spent budget waits for reset', nextRequestAt(Object.assign({}, budget, { remaining: 2 }), 2) === t0 + 300000);
+  check('pace: Retry-After wins', nextRequestAt(Object.assign({}, budget, { retryUntil: t0 + 5000 }), 2) === t0 + 5000);
+  check('pace: expired window', nextRequestAt(Object.assign({}, budget, { resetAt: t0 }), 2) === 0);
+  check('pace: format budget', formatRateBudget(budget, t0 + 1500) === 'Reddit budget: 98 requests left, resets in 299s');
+  check('pace: format Retry-After', formatRateBudget({ retryUntil: t0 + 4200, remaining: null }, t0) === 'Reddit asked to wait 5s');
+  check('pace: format nothing', formatRateBudget(null, t0) === '');
+
+  // Limiter on a fake clock: sleep() only moves time forward
+  const fakeLimiter = (options = {}) => {
+    const clock = { t: t0, waits: [] };
+    const limiter = createRateLimiter(Object.assign({
+      now: () => clock.t,
+      sleep: async ms => { clock.t += ms; },
+      onWait: (ms, reason) => clock.waits.push(reason)
+    }, options));
+    return { clock, limiter };
+  };
+  const elapsedFor = async (limiter, clock) => {
+    const start = clock.t;
+    await limiter.acquire();
+    return clock.t - start;
+  };
+
+  {
+    const { clock, limiter } = fakeLimiter({ capacity: 3, refillPerSec: 0.5 });
+    const first = [];
+    for (let i = 0; i < 3; i++) first.push(await elapsedFor(limiter, clock));
+    check('bucket: burst up to capacity', same(first, [0, 0, 0]));
+    check('bucket: empty bucket waits for a refill', await elapsedFor(limiter, clock) === 2000 && clock.waits.includes('bucket'));
+    clock.t += 60000;
+    check('bucket: refill capped at capacity', same([await elapsedFor(limiter, clock), await elapsedFor(limiter, clock), await elapsedFor(limiter, clock)], [0, 0, 0]) &&
+      await elapsedFor(limiter, clock) === 2000);
+  }
+
+  {
+    const { clock, limiter } = fakeLimiter({ baseWait: 60000, maxWait: 200000 });
+    const none = headers({});
+    check('backoff: first 429', same(limiter.noteResponse(429, none), { wait: 60000, fromHeaders: false }) && limiter.isLimited());
+    check('backoff: acquire waits it out', await elapsedFor(limiter, clock) === 60000 && !limiter.isLimited());
+    check('backoff: doubles', limiter.noteResponse(429, none).wait === 120000 && limiter.multiplier() > 2);
+    check('backoff: capped', limiter.noteResponse(429, none).wait === 200000 && limiter.noteResponse(429, none).wait === 200000);
+    check('backoff: success resets the streak', limiter.noteResponse(200, none) === null && limiter.multiplier() === 1);
+    check('backoff: long waits are slept in polls', clock.waits.filter(r => r === 'rate limited').length === 12);
+  }
+
+  {
+    const { clock, limiter } = fakeLimiter();
+    check('429: Retry-After instead of backoff', same(limiter.noteResponse(429, headers({ 'retry-after': '7' })), { wait: 7000, fromHeaders: true }));
+    check('429: Retry-After keeps the multiplier', limiter.multiplier() === 1);
+    check('429: waits exactly Retry-After', await elapsedFor(limiter, clock) === 7000);
+    limiter.noteResponse(429, headers({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '42' }));
+    check('429: reset header used when no Retry-After', await elapsedFor(limiter, clock) === 42000);
+  }
+
+  {
+    const { clock, limiter } = fakeLimiter({ reserve: 2 });
+    limiter.noteResponse(200, headers({ 'x-ratelimit-remaining': '12', 'x-ratelimit-reset': '100' }));
+    check('pacing: remaining budget spread over the window', await elapsedFor(limiter, clock) === 10000 && clock.waits.includes('pacing'));
+    check('pacing: no further wait until the next reading', await elapsedFor(limiter, clock) === 0);
+    limiter.noteResponse(200, headers({ 'x-ratelimit-remaining': '1', 'x-ratelimit-reset': '30' }));
+    check('pacing: spent budget waits for the reset', await elapsedFor(limiter, clock) === 30000);
+    check('pacing: budget kept', limiter.budget().remaining === 1);
+  }
+
+  {
+    const html = 'text/html; charset=utf-8';
+    const json = 'application/json; charset=UTF-8';
+    check('soft: plain success', detectSoftThrottle(200, json, '{}') === null);
+    check('soft: ordinary HTML page', detectSoftThrottle(200, html, '<html><body>comments</body></html>') === null);
+    check('soft: 403', same(detectSoftThrottle(403, html, '<html>Forbidden</html>'), { kind: 'forbidden', waitMs: 0 }));
+    check('soft: interstitial', same(detectSoftThrottle(200, html, "<html><h1>whoa there, pardner!</h1><p>you're doing that too much. try again in 3 minutes.</p></html>"), { kind: 'interstitial', waitMs: 180000 }));
+    check('soft: RATELIMIT error body', same(detectSoftThrottle(200, json, JSON.stringify({ json: { errors: [['RATELIMIT', 'Looks like you\'ve been doing that a lot. Take a break for 9 minutes before trying again.', 'ratelimit']] } })), { kind: 'ratelimit', waitMs: 540000 }));
+    check('soft: other error body', same(detectSoftThrottle(200, json, JSON.stringify({ json: { errors: [['USER_REQUIRED', 'Please log in to do that.']] } })), { kind: 'error', waitMs: 0 }));
+    check('soft: error/message body', same(detectSoftThrottle(200, json, '{"message": "Too Many Requests", "error": 429}'), { kind: 'ratelimit', waitMs: 0 }));
+    check('soft: JSON without a content type', detectSoftThrottle(200, '', '{"json": {"errors": []}}') === null);
+
+    const { clock, limiter } = fakeLimiter({ baseWait: 60000, maxWait: 1800000 });
+    const none = headers({});
+    limiter.noteResponse(429, none);
+    clock.t += 60000;
+    limiter.noteResponse(200, none);
+    check('throttle: success resets as usual', limiter.multiplier() === 1);
+    check('throttle: soft throttle picks the streak back up', same(limiter.noteThrottle(0), { wait: 120000, fromHint: false }) && limiter.multiplier() === 4 && limiter.isLimited());
+    check('throttle: named wait used as is', same(limiter.noteThrottle(90000), { wait: 90000, fromHint: true }) && limiter.multiplier() === 4);
+    check('throttle: acquire waits it out', await elapsedFor(limiter, clock) === 120000);
+  }
+
+  {
+    // A page reload: the old limiter's state goes through JSON into a fresh one on the same clock
+    const { clock, limiter } = fakeLimiter({ baseWait: 60000, maxWait: 1800000 });
+    const none = headers({});
+    limiter.noteResponse(429, none);
+    clock.t += 20000;
+    const saved = JSON.parse(JSON.stringify(limiter.state()));
+    const reloaded = createRateLimiter({ now: () => clock.t, sleep: async ms => { clock.t += ms; }, baseWait: 60000, maxWait: 1800000 });
+    reloaded.restore(saved);
+    check('restore: wait carries over', reloaded.isLimited() && reloaded.multiplier() === 2);
+    check('restore: only the rest of the wait', await elapsedFor(reloaded, clock) === 40000);
+    check('restore: backoff keeps building', reloaded.noteResponse(429, none).wait === 120000 && reloaded.multiplier() === 4);
+    reloaded.restore({ blockedUntil: 0, multiplier: 1 });
+    check('restore: never shortens a wait', reloaded.isLimited() && reloaded.multiplier() === 1);
+    const fresh = createRateLimiter({ now: () => clock.t });
+    fresh.restore(null);
+    fresh.restore({ multiplier: 'x' });
+    check('restore: missing or bad state ignored', !fresh.isLimited() && fresh.multiplier() === 1 && fresh.budget() === null);
+  }
+
+  {
+    const pace = createPaceController({ baseDelay: 1000, minDelay: 250, maxDelay: 8000, speedUp: 0.9, slowDown: 2 });
+    check('pace: starts at the base delay', pace.delay() === 1000 && pace.scale() === 1);
+    for (let i = 0; i < 5; i++) pace.success();
+    check('pace: speeds up slowly on success', pace.delay() === 590);
+    for (let i = 0; i < 100; i++) pace.success();
+    check('pace: never below the floor', pace.delay() === 250 && pace.scale() === 0.25);
+    pace.throttle();
+    check('pace: backs off sharply on a throttle', pace.delay() === 500);
+    for (let i = 0; i < 10; i++) pace.throttle();
+    check('pace: never above the ceiling', pace.delay() === 8000);
+    const next = createPaceController({ baseDelay: 1000, minDelay: 250, maxDelay: 8000 });
+    next.restore(JSON.parse(JSON.stringify(pace.state())));
+    check('pace: learned delay carries over', next.delay() === 8000);
+    next.restore({ delay: 'x' });
+    next.restore(null);
+    check('pace: bad saved state ignored', next.delay() === 8000);
+    next.reset();
+    check('pace: reset', next.delay() === 1000);
+    check('pace: formatted', formatPace(1234) === 'Pace: 1.23s between deletions' && formatPace(30000) === 'Pace: 30s between deletions');
+  }
+
+  console.log('  ' + passed + ' / ' + (passed + failed) + ' passed');
+  console.log('');
+  totalPassed += passed;
+  totalFailed += failed;
+
+  console.log('=== Final: ' + totalPassed + ' passed, ' + totalFailed + ' failed across ' + totalFiles + ' file(s) ===');
+  process.exit(totalFailed ? 1 : 0);
+})();